@@ -1,11 +1,96 @@
-import { useState } from 'react';
-import { MoreVertical, Edit2, Trash2, Check, X } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import {
+  MoreVertical,
+  Edit2,
+  Trash2,
+  Check,
+  X,
+  SmilePlus,
+  CornerUpLeft,
+  FileText,
+  Download,
+  Loader2,
+  Lock,
+} from 'lucide-react';
 import './style.css';
+import api from '../../request';
 
-const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
+// Matches MESSAGE_REACTIONS on the server
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split message text so each "@Name" of a stored mention can be highlighted
+const renderContent = (content, mentions = [], currentUserId) => {
+  if (mentions.length === 0) return content;
+
+  const pattern = new RegExp(
+    `(${mentions.map((m) => `@${escapeRegex(m.userName)}`).join('|')})`,
+    'gi'
+  );
+  return content.split(pattern).map((part, index) => {
+    const mention = mentions.find((m) => `@${m.userName}`.toLowerCase() === part.toLowerCase());
+    if (!mention) return part;
+    return (
+      <span
+        key={index}
+        className={`message-mention ${mention.userId === currentUserId ? 'self' : ''}`}
+      >
+        {part}
+      </span>
+    );
+  });
+};
+
+// One chip per emoji: how many reacted, who, and whether that includes us
+const groupReactions = (reactions = [], currentUserId) => {
+  const groups = new Map();
+  for (const reaction of reactions) {
+    const group = groups.get(reaction.emoji) || { emoji: reaction.emoji, names: [], reacted: false };
+    group.names.push(reaction.userName);
+    if (reaction.userId === currentUserId) group.reacted = true;
+    groups.set(reaction.emoji, group);
+  }
+  return Array.from(groups.values());
+};
+
+// Who a private message was for, from the reader's point of view
+const getPrivateLabel = (message, currentUserId) => {
+  if (message.audience === 'hosts') return 'Private to hosts';
+  if (message.userId === currentUserId) {
+    return `Private to ${message.recipients.map((r) => r.userName).join(', ')}`;
+  }
+  return 'Private message to you';
+};
+
+// Bytes -> "532 B" / "14.2 KB" / "3.1 MB"
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachments need the auth header, so they're fetched as blobs rather than
+// linked to directly
+const fetchAttachment = (attachmentId) =>
+  api.get(`/api/messages/attachments/${attachmentId}`, { responseType: 'blob' });
+
+const Message = ({
+  message,
+  isOwnMessage,
+  currentUserId,
+  replies = [],
+  isReply = false,
+  onEdit,
+  onDelete,
+  onReply,
+  onReact,
+}) => {
   const [showMenu, setShowMenu] = useState(false);
+  const [showReactions, setShowReactions] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [editContent, setEditContent] = useState(message.content);
+  const isPrivate = message.recipients?.length > 0;
 
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
@@ -44,6 +129,11 @@ const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
     }
   };
 
+  const handleReact = (emoji) => {
+    onReact(message._id, emoji);
+    setShowReactions(false);
+  };
+
   const getInitials = (name) => {
     return name
       .split(' ')
@@ -54,7 +144,11 @@ const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
   };
 
   return (
-    <div className={`message-wrapper ${isOwnMessage ? 'own-message' : 'other-message'}`}>
+    <div
+      className={`message-wrapper ${isOwnMessage ? 'own-message' : 'other-message'} ${
+        isReply ? 'reply-message' : ''
+      }`}
+    >
       {!isOwnMessage && (
         <div className="message-avatar">
           {getInitials(message.userName)}
@@ -63,11 +157,23 @@ const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
       
       <div className="message-content-wrapper">
         {!isOwnMessage && (
-          <div className="message-sender-name">{message.userName}</div>
+          <div className="message-sender-name">
+            {message.userName}
+            {message.isGuest && <span className="message-guest-label">Guest</span>}
+          </div>
+        )}
+
+        {isPrivate && (
+          <div className="message-private-label">
+            <Lock size={11} />
+            {getPrivateLabel(message, currentUserId)}
+          </div>
         )}
         
         <div className="message-bubble-container">
-          <div className={`message-bubble ${isOwnMessage ? 'own' : 'other'}`}>
+          <div
+            className={`message-bubble ${isOwnMessage ? 'own' : 'other'} ${isPrivate ? 'private' : ''}`}
+          >
             {isEditing ? (
               <div className="message-edit-form">
                 <textarea
@@ -99,26 +205,76 @@ const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
               </div>
             ) : (
               <>
-                <p className="message-text">{message.content}</p>
+                {message.content && (
+                  <p className="message-text">
+                    {renderContent(message.content, message.mentions, currentUserId)}
+                  </p>
+                )}
+                {message.attachments?.length > 0 && (
+                  <div className="message-attachments">
+                    {message.attachments.map((attachment) =>
+                      attachment.mimeType.startsWith('image/') ? (
+                        <ImageAttachment key={attachment._id} attachment={attachment} />
+                      ) : (
+                        <FileAttachment key={attachment._id} attachment={attachment} />
+                      )
+                    )}
+                  </div>
+                )}
                 <div className="message-meta">
                   <span className="message-time">{formatTime(message.timestamp)}</span>
                   {message.isEdited && <span className="message-edited">(edited)</span>}
+                  {message.breakoutName && (
+                    <span className="message-breakout">{message.breakoutName}</span>
+                  )}
                 </div>
               </>
             )}
           </div>
 
-          {isOwnMessage && !isEditing && (
+          {!isEditing && (
             <div className="message-actions">
               <button
                 className="message-menu-btn"
-                onClick={() => setShowMenu(!showMenu)}
-                title="Message options"
+                onClick={() => {
+                  setShowReactions(!showReactions);
+                  setShowMenu(false);
+                }}
+                title="React"
+              >
+                <SmilePlus size={16} />
+              </button>
+              <button
+                className="message-menu-btn"
+                onClick={() => onReply(message)}
+                title="Reply in thread"
               >
-                <MoreVertical size={16} />
+                <CornerUpLeft size={16} />
               </button>
+              {isOwnMessage && (
+                <button
+                  className="message-menu-btn"
+                  onClick={() => {
+                    setShowMenu(!showMenu);
+                    setShowReactions(false);
+                  }}
+                  title="Message options"
+                >
+                  <MoreVertical size={16} />
+                </button>
+              )}
+
+              {showReactions && (
+                <div className="message-reaction-picker">
+                  {REACTION_EMOJIS.map((emoji) => (
+                    <button key={emoji} onClick={() => handleReact(emoji)} className="reaction-option">
+                      {emoji}
+                    </button>
+                  ))}
+                </div>
+              )}
               
-              {showMenu && (
+              {isOwnMessage && showMenu && (
                 <div className="message-menu">
                   <button onClick={() => setIsEditing(true)} className="menu-item">
                     <Edit2 size={14} />
@@ -133,9 +289,130 @@ const Message = ({ message, isOwnMessage, onEdit, onDelete }) => {
             </div>
           )}
         </div>
+
+        {message.reactions?.length > 0 && (
+          <div className="message-reactions">
+            {groupReactions(message.reactions, currentUserId).map((group) => (
+              <button
+                key={group.emoji}
+                onClick={() => onReact(message._id, group.emoji)}
+                className={`reaction-chip ${group.reacted ? 'reacted' : ''}`}
+                title={group.names.join(', ')}
+              >
+                {group.emoji} {group.names.length}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {replies.length > 0 && (
+          <div className="message-replies">
+            {replies.map((reply) => (
+              <Message
+                key={reply._id}
+                message={reply}
+                isOwnMessage={reply.userId === currentUserId}
+                currentUserId={currentUserId}
+                isReply
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onReply={onReply}
+                onReact={onReact}
+              />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default Message;
\ No newline at end of file
+// ============================================================================
+// IMAGE ATTACHMENT - inline thumbnail, opens full size in a new tab
+// ============================================================================
+const ImageAttachment = ({ attachment }) => {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadImage = useCallback(async () => {
+    try {
+      const response = await fetchAttachment(attachment._id);
+      setImageUrl(URL.createObjectURL(response.data));
+    } catch (err) {
+      console.error('Error loading image attachment:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [attachment._id]);
+
+  useEffect(() => {
+    loadImage();
+  }, [loadImage]);
+
+  useEffect(() => {
+    if (!imageUrl) return;
+    return () => URL.revokeObjectURL(imageUrl);
+  }, [imageUrl]);
+
+  // Fall back to a download card if the preview couldn't be loaded
+  if (!isLoading && !imageUrl) return <FileAttachment attachment={attachment} />;
+
+  return (
+    <a
+      href={imageUrl || undefined}
+      target="_blank"
+      rel="noreferrer"
+      className="message-attachment-image"
+      title={attachment.fileName}
+    >
+      {imageUrl ? (
+        <img src={imageUrl} alt={attachment.fileName} />
+      ) : (
+        <Loader2 size={20} className="spin" />
+      )}
+    </a>
+  );
+};
+
+// ============================================================================
+// FILE ATTACHMENT - download card
+// ============================================================================
+const FileAttachment = ({ attachment }) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await fetchAttachment(attachment._id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      alert('Failed to download file. Please try again.');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleDownload}
+      className="message-attachment-file"
+      disabled={isDownloading}
+      title={`Download ${attachment.fileName}`}
+    >
+      <FileText size={20} className="attachment-file-icon" />
+      <span className="attachment-file-info">
+        <span className="attachment-file-name">{attachment.fileName}</span>
+        <span className="attachment-file-size">{formatFileSize(attachment.size)}</span>
+      </span>
+      {isDownloading ? <Loader2 size={16} className="spin" /> : <Download size={16} />}
+    </button>
+  );
+};
+
+export default Message;
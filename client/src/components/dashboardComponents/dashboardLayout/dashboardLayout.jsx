@@ -1,11 +1,13 @@
 import { Outlet } from 'react-router-dom';
 import Navbar from '../navbar/navbar';
+import VerifyEmailBanner from '../verifyEmailBanner/verifyEmailBanner';
 import './style.css';
 
 const DashboardLayout = () => {
   return (
     <div className="dashboard-layout">
       <Navbar />
+      <VerifyEmailBanner />
       <main className="dashboard-main">
         <Outlet />
       </main>
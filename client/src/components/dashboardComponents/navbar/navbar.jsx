@@ -29,14 +29,26 @@ const Navbar = () => {
             {theme === "light" ? <Moon size={20} /> : <Sun size={20} />}
           </button>
 
+          <Link to="/schedule" className="navbar-link">
+            Schedule
+          </Link>
+
           <Link to="/recordings" className="navbar-link">
             Recordings
           </Link>
 
-          <div className="navbar-user">
+          <Link to="/meetings" className="navbar-link">
+            Past meetings
+          </Link>
+
+          <Link to="/search" className="navbar-link">
+            Search
+          </Link>
+
+          <Link to="/settings/sessions" className="navbar-user" title="Signed-in devices">
             <User size={18} />
             <span>{user?.fullName}</span>
-          </div>
+          </Link>
 
           <button
             onClick={handleLogout}
@@ -0,0 +1,57 @@
+import { Check } from 'lucide-react';
+import './style.css';
+
+// Share of voters who picked an option. With multiple choice the shares
+// can add up to more than 100%.
+const getPercent = (count, totalVoters) =>
+  totalVoters > 0 ? Math.round((count / totalVoters) * 100) : 0;
+
+// Results of one poll: a bar per option, the viewer's own choices ticked, and
+// who voted for what unless the poll is anonymous
+const PollResults = ({ poll }) => {
+  const myVote = (poll.myVote || []).map(String);
+
+  return (
+    <div className="poll-results">
+      <p className="poll-results-question">{poll.question}</p>
+      <div className="poll-results-meta">
+        <span>{poll.allowMultiple ? 'Multiple choice' : 'Single choice'}</span>
+        {poll.isAnonymous && <span>Anonymous</span>}
+        <span>
+          {poll.totalVoters} {poll.totalVoters === 1 ? 'vote' : 'votes'}
+        </span>
+        <span className={`poll-status ${poll.status}`}>
+          {poll.status === 'open' ? 'Open' : 'Closed'}
+        </span>
+      </div>
+
+      <ul className="poll-results-options">
+        {poll.options.map((option) => {
+          const percent = getPercent(option.count, poll.totalVoters);
+          const isMine = myVote.includes(String(option._id));
+          return (
+            <li key={option._id} className={`poll-results-option ${isMine ? 'mine' : ''}`}>
+              <div className="poll-results-label">
+                <span className="poll-results-text">
+                  {isMine && <Check size={14} />}
+                  {option.text}
+                </span>
+                <span className="poll-results-count">
+                  {option.count} · {percent}%
+                </span>
+              </div>
+              <div className="poll-results-bar">
+                <span style={{ width: `${percent}%` }} />
+              </div>
+              {option.voters?.length > 0 && (
+                <p className="poll-results-voters">{option.voters.join(', ')}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PollResults;
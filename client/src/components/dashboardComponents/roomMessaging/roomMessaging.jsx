@@ -1,18 +1,61 @@
 import { useState, useEffect, useRef } from 'react';
-import { MessageCircle, X, Send, Loader2 } from 'lucide-react';
+import { MessageCircle, X, Send, Loader2, AtSign, CornerUpLeft, Paperclip, Lock } from 'lucide-react';
 import './style.css';
 import Message from '../Message/Message';
 import api from '../../request';
 
-const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOpen, onUnreadCountChange }) => {
+// "@partial" right before the caret opens the mention list
+const MENTION_QUERY_PATTERN = /(?:^|\s)@([^\s@]*)$/;
+const MAX_MENTION_SUGGESTIONS = 5;
+const MENTION_TOAST_DURATION = 6000;
+
+// Add a message unless it's already there - our own messages arrive both
+// in the POST response and over the socket
+const addMessage = (messages, message) =>
+  messages.some((m) => m._id === message._id) ? messages : [...messages, message];
+
+// Short text for previews of a message that may only carry files
+const getMessagePreview = (message) =>
+  message.content || message.attachments?.map((a) => a.fileName).join(', ') || '';
+
+// Same check as the server's allow-list: exact types or "type/*"
+const isAllowedType = (type, allowedTypes) =>
+  allowedTypes.some((allowed) =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  );
+
+const RoomMessaging = ({
+  meetingId,
+  userId,
+  socketRef,
+  isOpen,
+  setIsOpen,
+  onUnreadCountChange,
+  isChatEnabled = true,
+  isPrivateChatEnabled = true,
+  participants = [],
+  breakoutId = null,
+}) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isSending, setIsSending] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [replyTo, setReplyTo] = useState(null);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [selectedMentions, setSelectedMentions] = useState([]);
+  const [mentionToast, setMentionToast] = useState(null);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  const [attachmentRules, setAttachmentRules] = useState(null);
+  const [attachmentError, setAttachmentError] = useState('');
+  // 'everyone', 'hosts', or the user id of one participant
+  const [recipient, setRecipient] = useState('everyone');
   const messagesEndRef = useRef(null);
+  const fileInputRef = useRef(null);
   const messageContainerRef = useRef(null);
   const inputRef = useRef(null);
+  const mentionToastTimeoutRef = useRef(null);
 
   // Scroll to bottom of messages
   const scrollToBottom = (smooth = true) => {
@@ -24,7 +67,8 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
     }
   };
 
-  // Load messages when opening
+  // Load messages when opening, and again on moving to another breakout room,
+  // whose chat is separate
   useEffect(() => {
     if (isOpen) {
       loadMessages();
@@ -35,7 +79,7 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
         inputRef.current?.focus();
       }, 300);
     }
-  }, [isOpen]);
+  }, [isOpen, breakoutId]);
 
   // Scroll to bottom when new messages arrive
   useEffect(() => {
@@ -48,37 +92,55 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
   useEffect(() => {
     if (!socketRef.current) return;
 
-    const handleReceiveMessage = (data) => {
-      // Don't add our own messages - they're already added via optimistic update
-      if (data.userName === userName) {
-        return;
-      }
-
-      const newMsg = {
-        _id: `temp-${Date.now()}-${Math.random()}`,
-        content: data.message,
-        userName: data.userName,
-        userId: data.socketId, // Using socketId as temporary userId
-        timestamp: data.timestamp,
-        isEdited: false,
-      };
-
-      setMessages((prev) => [...prev, newMsg]);
+    // Private messages come through our personal channel, which isn't
+    // tied to this meeting
+    const handleReceiveMessage = ({ message }) => {
+      if (message.meetingId !== meetingId) return;
+      setMessages((prev) => addMessage(prev, message));
 
       // Increment unread count if chat is closed
-      if (!isOpen) {
+      if (!isOpen && message.userId !== userId) {
         setUnreadCount((prev) => prev + 1);
       }
     };
 
-    socketRef.current.on('receive-message', handleReceiveMessage);
+    // Edits and reaction changes
+    const handleMessageUpdated = ({ message }) => {
+      if (message.meetingId !== meetingId) return;
+      setMessages((prev) => prev.map((msg) => (msg._id === message._id ? message : msg)));
+    };
+
+    const handleMessageDeleted = ({ messageId }) => {
+      setMessages((prev) => prev.filter((msg) => msg._id !== messageId));
+    };
+
+    // Sent to the mentioned user only, whether or not the chat is open
+    const handleMentioned = ({ meetingId: mentionMeetingId, message }) => {
+      if (mentionMeetingId !== meetingId || isOpen) return;
+
+      setMentionToast({ userName: message.userName, content: getMessagePreview(message) });
+      clearTimeout(mentionToastTimeoutRef.current);
+      mentionToastTimeoutRef.current = setTimeout(
+        () => setMentionToast(null),
+        MENTION_TOAST_DURATION
+      );
+    };
+
+    const socket = socketRef.current;
+    socket.on('receive-message', handleReceiveMessage);
+    socket.on('message-updated', handleMessageUpdated);
+    socket.on('message-deleted', handleMessageDeleted);
+    socket.on('mentioned', handleMentioned);
 
     return () => {
-      if (socketRef.current) {
-        socketRef.current.off('receive-message', handleReceiveMessage);
-      }
+      socket.off('receive-message', handleReceiveMessage);
+      socket.off('message-updated', handleMessageUpdated);
+      socket.off('message-deleted', handleMessageDeleted);
+      socket.off('mentioned', handleMentioned);
     };
-  }, [socketRef, isOpen, userName]);
+  }, [socketRef, isOpen, userId, meetingId]);
+
+  useEffect(() => () => clearTimeout(mentionToastTimeoutRef.current), []);
 
   // Load messages from server
   const loadMessages = async () => {
@@ -87,6 +149,7 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
       const response = await api.get(`/api/messages/${meetingId}`);
       if (response.data.success) {
         setMessages(response.data.data.messages);
+        setAttachmentRules(response.data.data.attachmentRules);
         setTimeout(() => scrollToBottom(false), 100);
       }
     } catch (err) {
@@ -96,37 +159,72 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
     }
   };
 
+  // People in the room, once each (someone may be connected twice)
+  const otherParticipants = participants.filter(
+    (p, index, list) =>
+      p.oduserId !== userId && list.findIndex((other) => other.oduserId === p.oduserId) === index
+  );
+
+  // Fall back to everyone if private chat is turned off or the person left
+  const activeRecipient =
+    !isPrivateChatEnabled ||
+    (recipient !== 'everyone' &&
+      recipient !== 'hosts' &&
+      !otherParticipants.some((p) => p.oduserId === recipient))
+      ? 'everyone'
+      : recipient;
+
+  // Replies follow their thread, so the recipient only applies to new messages
+  const privacy = replyTo
+    ? {}
+    : activeRecipient === 'everyone' || activeRecipient === 'hosts'
+      ? { audience: activeRecipient }
+      : { audience: 'participant', recipientId: activeRecipient };
+
   // Send message
   const handleSendMessage = async () => {
-    if (!newMessage.trim() || isSending) return;
+    if ((!newMessage.trim() && pendingFiles.length === 0) || isSending || !isChatEnabled) return;
 
     const messageContent = newMessage.trim();
+    const mentions = selectedMentions
+      .filter((mention) => messageContent.includes(`@${mention.userName}`))
+      .map((mention) => mention.oduserId);
     setNewMessage('');
+    setMentionQuery(null);
+    setAttachmentError('');
     setIsSending(true);
 
     try {
-      // Save to database
-      const response = await api.post(`/api/messages/${meetingId}`, {
-        content: messageContent,
+      // Saved messages are broadcast to the room by the server. Files go
+      // up as multipart along with the rest of the message.
+      let body = { content: messageContent, parentId: replyTo?._id, mentions, ...privacy };
+      if (pendingFiles.length > 0) {
+        body = new FormData();
+        body.append('content', messageContent);
+        if (replyTo) body.append('parentId', replyTo._id);
+        Object.entries(privacy).forEach(([key, value]) => body.append(key, value));
+        mentions.forEach((id) => body.append('mentions', id));
+        pendingFiles.forEach((file) => body.append('attachments', file));
+      }
+
+      const response = await api.post(`/api/messages/${meetingId}`, body, {
+        // Lets the browser fill in the multipart boundary
+        ...(body instanceof FormData && { headers: { 'Content-Type': 'multipart/form-data' } }),
       });
 
       if (response.data.success) {
-        // Add to local state
-        setMessages((prev) => [...prev, response.data.data.message]);
-
-        // Emit via socket for real-time delivery to others
-        if (socketRef.current) {
-          socketRef.current.emit('send-message', {
-            roomId: meetingId,
-            message: messageContent,
-            userName: userName,
-          });
-        }
+        setMessages((prev) => addMessage(prev, response.data.data.message));
+        setReplyTo(null);
+        setSelectedMentions([]);
+        setPendingFiles([]);
       }
     } catch (err) {
       console.error('Error sending message:', err);
       // Restore message on error
       setNewMessage(messageContent);
+      if (pendingFiles.length > 0) {
+        setAttachmentError(err.response?.data?.message || 'Failed to upload files');
+      }
     } finally {
       setIsSending(false);
     }
@@ -166,8 +264,121 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
     }
   };
 
+  // Add or remove our reaction
+  const handleReact = async (messageId, emoji) => {
+    try {
+      const response = await api.post(`/api/messages/${messageId}/reactions`, { emoji });
+      if (response.data.success) {
+        const updated = response.data.data.message;
+        setMessages((prev) => prev.map((msg) => (msg._id === messageId ? updated : msg)));
+      }
+    } catch (err) {
+      console.error('Error reacting to message:', err);
+    }
+  };
+
+  // Queue picked files, skipping any the server would reject
+  const handleFilesSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const errors = [];
+    const accepted = files.filter((file) => {
+      if (!attachmentRules) return true;
+      if (!isAllowedType(file.type, attachmentRules.allowedTypes)) {
+        errors.push(`${file.name}: this file type isn't allowed`);
+        return false;
+      }
+      if (file.size > attachmentRules.maxFileSize) {
+        errors.push(
+          `${file.name}: larger than ${Math.round(attachmentRules.maxFileSize / (1024 * 1024))} MB`
+        );
+        return false;
+      }
+      return true;
+    });
+
+    const maxFiles = attachmentRules?.maxFiles ?? Infinity;
+    if (pendingFiles.length + accepted.length > maxFiles) {
+      errors.push(`You can attach up to ${maxFiles} files per message`);
+    }
+
+    setPendingFiles((prev) => [...prev, ...accepted].slice(0, maxFiles));
+    setAttachmentError(errors.join('. '));
+    inputRef.current?.focus();
+  };
+
+  const removePendingFile = (index) => {
+    setPendingFiles((prev) => prev.filter((_, i) => i !== index));
+    setAttachmentError('');
+  };
+
+  // Replies go to the thread's top-level message
+  const handleReply = (message) => {
+    const root = message.parentId
+      ? messages.find((msg) => msg._id === message.parentId) || message
+      : message;
+    setReplyTo(root);
+    inputRef.current?.focus();
+  };
+
+  // Mention suggestions: people in the room whose name contains the query
+  const mentionSuggestions = mentionQuery
+    ? otherParticipants
+        .filter((p) => p.userName.toLowerCase().includes(mentionQuery.text.toLowerCase()))
+        .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
+  const handleInputChange = (e) => {
+    const { value, selectionStart } = e.target;
+    setNewMessage(value);
+
+    const match = value.slice(0, selectionStart).match(MENTION_QUERY_PATTERN);
+    setMentionQuery(match ? { text: match[1], start: selectionStart - match[1].length - 1 } : null);
+    setMentionIndex(0);
+  };
+
+  // Replace the "@partial" being typed with the full name
+  const selectMention = (participant) => {
+    const caret = inputRef.current?.selectionStart ?? newMessage.length;
+    const before = newMessage.slice(0, mentionQuery.start);
+    const inserted = `@${participant.userName} `;
+    setNewMessage(`${before}${inserted}${newMessage.slice(caret)}`);
+    setSelectedMentions((prev) =>
+      prev.some((m) => m.oduserId === participant.oduserId) ? prev : [...prev, participant]
+    );
+    setMentionQuery(null);
+
+    requestAnimationFrame(() => {
+      const position = before.length + inserted.length;
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
   // Handle keyboard shortcuts
   const handleKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex(
+          (prev) => (prev + step + mentionSuggestions.length) % mentionSuggestions.length
+        );
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectMention(mentionSuggestions[mentionIndex] || mentionSuggestions[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMentionQuery(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSendMessage();
@@ -179,9 +390,23 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
     setIsOpen(!isOpen);
     if (!isOpen) {
       setUnreadCount(0);
+      setMentionToast(null);
     }
   };
 
+  // Threads: replies are shown under their top-level message. A reply whose
+  // parent isn't loaded (deleted, or older than the page) is shown on its own.
+  const loadedIds = new Set(messages.map((msg) => msg._id));
+  const repliesByParent = new Map();
+  const topLevelMessages = [];
+  for (const message of messages) {
+    if (message.parentId && loadedIds.has(message.parentId)) {
+      repliesByParent.set(message.parentId, [...(repliesByParent.get(message.parentId) || []), message]);
+    } else {
+      topLevelMessages.push(message);
+    }
+  }
+
   // Notify parent of unread count changes
   useEffect(() => {
     if (onUnreadCountChange) {
@@ -219,13 +444,17 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
             </div>
           ) : (
             <div className="messages-list">
-              {messages.map((message) => (
+              {topLevelMessages.map((message) => (
                 <Message
                   key={message._id}
                   message={message}
                   isOwnMessage={message.userId === userId}
+                  currentUserId={userId}
+                  replies={repliesByParent.get(message._id)}
                   onEdit={handleEditMessage}
                   onDelete={handleDeleteMessage}
+                  onReply={handleReply}
+                  onReact={handleReact}
                 />
               ))}
               <div ref={messagesEndRef} />
@@ -235,21 +464,108 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
 
         {/* Input area */}
         <div className="room-messaging-footer">
+          {replyTo && (
+            <div className="reply-banner">
+              {replyTo.recipients?.length > 0 ? <Lock size={14} /> : <CornerUpLeft size={14} />}
+              <span className="reply-banner-text">
+                Replying to <strong>{replyTo.userName}</strong>: {getMessagePreview(replyTo)}
+              </span>
+              <button onClick={() => setReplyTo(null)} className="reply-banner-close" title="Cancel reply">
+                <X size={14} />
+              </button>
+            </div>
+          )}
+
+          {mentionSuggestions.length > 0 && (
+            <ul className="mention-suggestions">
+              {mentionSuggestions.map((participant, index) => (
+                <li key={participant.oduserId}>
+                  <button
+                    className={`mention-suggestion ${index === mentionIndex ? 'active' : ''}`}
+                    // Keep focus in the input
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => selectMention(participant)}
+                  >
+                    <AtSign size={14} />
+                    {participant.userName}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pendingFiles.length > 0 && (
+            <ul className="pending-attachments">
+              {pendingFiles.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="pending-attachment">
+                  <Paperclip size={12} />
+                  <span className="pending-attachment-name">{file.name}</span>
+                  <button
+                    onClick={() => removePendingFile(index)}
+                    className="pending-attachment-remove"
+                    title="Remove file"
+                    disabled={isSending}
+                  >
+                    <X size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {attachmentError && <div className="attachment-error">{attachmentError}</div>}
+
+          {isPrivateChatEnabled && !replyTo && (
+            <label className="recipient-selector">
+              <span>To:</span>
+              <select
+                value={activeRecipient}
+                onChange={(e) => setRecipient(e.target.value)}
+                className={activeRecipient !== 'everyone' ? 'private' : ''}
+                disabled={isSending || !isChatEnabled}
+              >
+                <option value="everyone">Everyone</option>
+                <option value="hosts">Hosts only (private)</option>
+                {otherParticipants.map((p) => (
+                  <option key={p.oduserId} value={p.oduserId}>
+                    {p.userName} (private)
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
           <div className="message-input-wrapper">
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={attachmentRules?.allowedTypes.join(',')}
+              onChange={handleFilesSelected}
+              className="attachment-input"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isSending || !isChatEnabled}
+              className="attach-file-btn"
+              title="Attach files"
+            >
+              <Paperclip size={18} />
+            </button>
             <textarea
               ref={inputRef}
               value={newMessage}
-              onChange={(e) => setNewMessage(e.target.value)}
+              onChange={handleInputChange}
               onKeyDown={handleKeyDown}
-              placeholder="Type a message..."
+              placeholder={isChatEnabled ? 'Type a message...' : 'Chat has been disabled by the host'}
               className="message-input"
               rows={1}
               maxLength={5000}
-              disabled={isSending}
+              disabled={isSending || !isChatEnabled}
             />
             <button
               onClick={handleSendMessage}
-              disabled={!newMessage.trim() || isSending}
+              disabled={(!newMessage.trim() && pendingFiles.length === 0) || isSending || !isChatEnabled}
               className="send-message-btn"
               title="Send message"
             >
@@ -257,10 +573,21 @@ const RoomMessaging = ({ meetingId, userId, userName, socketRef, isOpen, setIsOp
             </button>
           </div>
           <div className="message-input-hint">
-            Press Enter to send, Shift+Enter for new line
+            Press Enter to send, Shift+Enter for new line, @ to mention
           </div>
         </div>
       </div>
+
+      {/* Mention notification while the chat is closed */}
+      {mentionToast && !isOpen && (
+        <button className="mention-toast" onClick={toggleChat}>
+          <AtSign size={18} />
+          <span>
+            <strong>{mentionToast.userName} mentioned you</strong>
+            <span className="mention-toast-text">{mentionToast.content}</span>
+          </span>
+        </button>
+      )}
     </>
   );
 };
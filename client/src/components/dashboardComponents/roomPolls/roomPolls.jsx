@@ -0,0 +1,419 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BarChart3, X, Plus, Trash2, Loader2, Clock } from 'lucide-react';
+import './style.css';
+import PollResults from '../pollResults/pollResults';
+import api from '../../request';
+
+const MAX_OPTIONS = 10;
+
+// Choices for when voting closes; '' leaves it open until closed by hand
+const DURATION_OPTIONS = [
+  { value: '', label: 'Until I end it' },
+  { value: '30', label: '30 seconds' },
+  { value: '60', label: '1 minute' },
+  { value: '120', label: '2 minutes' },
+  { value: '300', label: '5 minutes' },
+  { value: '600', label: '10 minutes' },
+];
+
+// Add or replace a poll. Broadcasts don't know who is watching, so keep our
+// own vote from what we already had.
+const upsertPoll = (polls, poll) => {
+  const existing = polls.find((p) => p._id === poll._id);
+  if (!existing) return [...polls, poll];
+  return polls.map((p) => (p._id === poll._id ? { ...poll, myVote: poll.myVote ?? p.myVote } : p));
+};
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+const RoomPolls = ({
+  meetingId,
+  userId,
+  socketRef,
+  isOpen,
+  setIsOpen,
+  canCreatePolls = false,
+  onPendingCountChange,
+}) => {
+  const [polls, setPolls] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  // The poll shown in the vote modal
+  const [votingPollId, setVotingPollId] = useState(null);
+
+  const loadPolls = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/polls/${meetingId}`);
+      setPolls(response.data.data.polls);
+    } catch (err) {
+      console.error('Error loading polls:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [meetingId]);
+
+  // Load on joining, and again on opening in case our join wasn't saved yet
+  useEffect(() => {
+    loadPolls();
+  }, [loadPolls, isOpen]);
+
+  // Socket event listeners
+  useEffect(() => {
+    if (!socketRef.current) return;
+
+    // New polls pop up for everyone except whoever started them
+    const handlePollCreated = ({ poll }) => {
+      if (poll.meetingId !== meetingId) return;
+      setPolls((prev) => upsertPoll(prev, poll));
+      if (String(poll.createdBy) !== String(userId)) {
+        setVotingPollId(poll._id);
+      }
+    };
+
+    // Votes and closing
+    const handlePollUpdated = ({ poll }) => {
+      if (poll.meetingId !== meetingId) return;
+      setPolls((prev) => upsertPoll(prev, poll));
+    };
+
+    const socket = socketRef.current;
+    socket.on('poll-created', handlePollCreated);
+    socket.on('poll-updated', handlePollUpdated);
+
+    return () => {
+      socket.off('poll-created', handlePollCreated);
+      socket.off('poll-updated', handlePollUpdated);
+    };
+  }, [socketRef, meetingId, userId]);
+
+  // Open polls we haven't answered yet
+  const pendingCount = polls.filter((poll) => poll.status === 'open' && !poll.myVote).length;
+
+  useEffect(() => {
+    if (onPendingCountChange) {
+      onPendingCountChange(pendingCount);
+    }
+  }, [pendingCount, onPendingCountChange]);
+
+  const handleCreatePoll = async (poll) => {
+    const response = await api.post(`/api/polls/${meetingId}`, poll);
+    setPolls((prev) => upsertPoll(prev, response.data.data.poll));
+    setShowCreateForm(false);
+  };
+
+  const handleVote = async (pollId, optionIds) => {
+    const response = await api.post(`/api/polls/${pollId}/votes`, { optionIds });
+    setPolls((prev) => upsertPoll(prev, response.data.data.poll));
+  };
+
+  const handleClosePoll = async (pollId) => {
+    setError('');
+    try {
+      const response = await api.post(`/api/polls/${pollId}/close`);
+      setPolls((prev) => upsertPoll(prev, response.data.data.poll));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to end poll');
+    }
+  };
+
+  const votingPoll = polls.find((poll) => poll._id === votingPollId);
+
+  return (
+    <>
+      <div className={`room-polls ${isOpen ? 'open' : 'closed'}`}>
+        <div className="room-polls-header">
+          <div className="header-left">
+            <BarChart3 size={20} />
+            <h3>Polls</h3>
+          </div>
+          <div className="room-polls-header-actions">
+            {canCreatePolls && !showCreateForm && (
+              <button onClick={() => setShowCreateForm(true)} className="room-polls-new-btn">
+                <Plus size={16} />
+                New poll
+              </button>
+            )}
+            <button onClick={() => setIsOpen(false)} className="close-chat-btn" title="Close polls">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        <div className="room-polls-body">
+          {error && <div className="room-polls-error">{error}</div>}
+
+          {showCreateForm && (
+            <CreatePollForm onSubmit={handleCreatePoll} onCancel={() => setShowCreateForm(false)} />
+          )}
+
+          {isLoading ? (
+            <div className="room-polls-empty">
+              <Loader2 size={24} className="spin" />
+            </div>
+          ) : polls.length === 0 ? (
+            !showCreateForm && (
+              <div className="room-polls-empty">
+                <BarChart3 size={32} />
+                <p>{canCreatePolls ? 'Start a poll to ask the room a question' : 'No polls yet'}</p>
+              </div>
+            )
+          ) : (
+            [...polls].reverse().map((poll) => (
+              <div key={poll._id} className="room-poll-card">
+                <PollResults poll={poll} />
+                {poll.status === 'open' && (
+                  <div className="room-poll-actions">
+                    {poll.closesAt && (
+                      <span className="room-poll-closes">
+                        <Clock size={12} />
+                        Closes at {formatTime(poll.closesAt)}
+                      </span>
+                    )}
+                    {!poll.myVote && (
+                      <button onClick={() => setVotingPollId(poll._id)} className="btn btn-primary">
+                        Vote
+                      </button>
+                    )}
+                    {canCreatePolls && (
+                      <button onClick={() => handleClosePoll(poll._id)} className="btn btn-secondary">
+                        End poll
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+
+      {votingPoll && (
+        <VoteModal poll={votingPoll} onVote={handleVote} onClose={() => setVotingPollId(null)} />
+      )}
+    </>
+  );
+};
+
+// ============================================================================
+// CREATE POLL FORM (host and co-hosts)
+// ============================================================================
+const CreatePollForm = ({ onSubmit, onCancel }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [duration, setDuration] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateOption = (index, value) => {
+    setOptions((prev) => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        question,
+        options: options.filter((option) => option.trim()),
+        allowMultiple,
+        isAnonymous,
+        durationSeconds: duration ? Number(duration) : null,
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start poll');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="create-poll-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        placeholder="Ask a question"
+        maxLength={300}
+        className="create-poll-input"
+        autoFocus
+      />
+
+      {options.map((option, index) => (
+        <div key={index} className="create-poll-option">
+          <input
+            type="text"
+            value={option}
+            onChange={(e) => updateOption(index, e.target.value)}
+            placeholder={`Option ${index + 1}`}
+            maxLength={150}
+            className="create-poll-input"
+          />
+          {options.length > 2 && (
+            <button
+              type="button"
+              onClick={() => setOptions((prev) => prev.filter((_, i) => i !== index))}
+              className="create-poll-remove"
+              title="Remove option"
+            >
+              <Trash2 size={16} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {options.length < MAX_OPTIONS && (
+        <button
+          type="button"
+          onClick={() => setOptions((prev) => [...prev, ''])}
+          className="create-poll-add"
+        >
+          <Plus size={14} />
+          Add option
+        </button>
+      )}
+
+      <label className="create-poll-check">
+        <input
+          type="checkbox"
+          checked={allowMultiple}
+          onChange={(e) => setAllowMultiple(e.target.checked)}
+        />
+        Allow more than one answer
+      </label>
+      <label className="create-poll-check">
+        <input
+          type="checkbox"
+          checked={isAnonymous}
+          onChange={(e) => setIsAnonymous(e.target.checked)}
+        />
+        Anonymous results (hide who voted for what)
+      </label>
+      <label className="create-poll-duration">
+        Voting closes
+        <select value={duration} onChange={(e) => setDuration(e.target.value)}>
+          {DURATION_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {error && <div className="room-polls-error">{error}</div>}
+
+      <div className="create-poll-actions">
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={isSubmitting || !question.trim()}>
+          {isSubmitting ? 'Starting...' : 'Start poll'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// ============================================================================
+// VOTE MODAL
+// ============================================================================
+const VoteModal = ({ poll, onVote, onClose }) => {
+  const [selected, setSelected] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Once we've voted or voting is over, the modal shows the results instead
+  const canVote = poll.status === 'open' && !poll.myVote;
+
+  const toggleOption = (optionId) => {
+    if (!poll.allowMultiple) {
+      setSelected([optionId]);
+      return;
+    }
+    setSelected((prev) =>
+      prev.includes(optionId) ? prev.filter((id) => id !== optionId) : [...prev, optionId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await onVote(poll._id, selected);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record your vote');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="poll-modal-backdrop" onClick={onClose}>
+      <div className="poll-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="poll-modal-header">
+          <h3>
+            <BarChart3 size={18} />
+            Poll from {poll.createdByName}
+          </h3>
+          <button onClick={onClose} className="poll-modal-close" title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {canVote ? (
+          <form onSubmit={handleSubmit} className="poll-modal-body">
+            <p className="poll-results-question">{poll.question}</p>
+            <p className="poll-modal-hint">
+              {poll.allowMultiple ? 'Choose all that apply' : 'Choose one'}
+              {poll.isAnonymous && ' · Your answer is anonymous'}
+            </p>
+            <div className="poll-modal-options">
+              {poll.options.map((option) => (
+                <label
+                  key={option._id}
+                  className={`poll-modal-option ${selected.includes(option._id) ? 'selected' : ''}`}
+                >
+                  <input
+                    type={poll.allowMultiple ? 'checkbox' : 'radio'}
+                    name={`poll-${poll._id}`}
+                    checked={selected.includes(option._id)}
+                    onChange={() => toggleOption(option._id)}
+                  />
+                  {option.text}
+                </label>
+              ))}
+            </div>
+            {error && <div className="room-polls-error">{error}</div>}
+            <div className="create-poll-actions">
+              <button type="button" onClick={onClose} className="btn btn-secondary">
+                Later
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={isSubmitting || selected.length === 0}
+              >
+                {isSubmitting ? 'Submitting...' : 'Submit vote'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="poll-modal-body">
+            <PollResults poll={poll} />
+            <div className="create-poll-actions">
+              <button onClick={onClose} className="btn btn-primary">
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomPolls;
@@ -2,6 +2,16 @@ import { useState, useEffect, useRef } from 'react';
 import { FileText, X, Download, Copy, Check } from 'lucide-react';
 import './style.css';
 import TranscriptionEntry from '../transcriptionEntry/transcriptionEntry';
+import api from '../../request';
+
+// Formats offered by GET /api/transcriptions/:meetingId/export
+const EXPORT_FORMATS = [
+  { value: 'txt', label: 'Text (.txt)' },
+  { value: 'srt', label: 'Subtitles (.srt)' },
+  { value: 'vtt', label: 'WebVTT (.vtt)' },
+  { value: 'json', label: 'JSON (.json)' },
+  { value: 'md', label: 'Markdown (.md)' },
+];
 
 const TranscriptionWidget = ({ 
   isOpen, 
@@ -9,12 +19,16 @@ const TranscriptionWidget = ({
   entries,
   interimTranscriptions, // Map<userId, {text, userName, lastUpdate}>
   meetingId,
-  userId 
+  userId,
+  isTranscriptionEnabled = true,
 }) => {
   const [copied, setCopied] = useState(false);
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
   const [displayMode, setDisplayMode] = useState('live'); // 'live' or 'final-only'
+  const [exportFormat, setExportFormat] = useState('txt');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
 
   // Scroll to bottom
   const scrollToBottom = (smooth = true) => {
@@ -56,33 +70,30 @@ const TranscriptionWidget = ({
     setTimeout(() => setCopied(false), 2000);
   };
 
-  // Export as text file (final only)
-  const handleExport = () => {
-    const text = `Meeting Transcript
-Meeting ID: ${meetingId}
-Date: ${new Date().toLocaleString()}
-Total Entries: ${entries.length}
-
-${entries
-  .map(e => {
-    const minutes = Math.floor(e.secondsIntoMeeting / 60);
-    const seconds = e.secondsIntoMeeting % 60;
-    const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    return `[${timeStr}] ${e.userName}: ${e.text}`;
-  })
-  .join('\n')}
-
----
-Generated by MyMeet
-`;
-
-    const blob = new Blob([text], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `transcript-${meetingId}-${Date.now()}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // Export in the chosen format - the server builds the file
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError('');
+
+    try {
+      const response = await api.get(`/api/transcriptions/${meetingId}/export`, {
+        params: { format: exportFormat },
+      });
+      const { text, mimeType, fileName } = response.data.data;
+
+      const blob = new Blob([text], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting transcript:', err);
+      setExportError(err.response?.data?.message || 'Export failed');
+    } finally {
+      setIsExporting(false);
+    }
   };
 
   const hasContent = entries.length > 0 || (interimTranscriptions && interimTranscriptions.size > 0);
@@ -104,11 +115,24 @@ Generated by MyMeet
           >
             {copied ? <Check size={16} /> : <Copy size={16} />}
           </button>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="export-format-select"
+            title="Export format"
+            disabled={entries.length === 0}
+          >
+            {EXPORT_FORMATS.map((format) => (
+              <option key={format.value} value={format.value}>
+                {format.label}
+              </option>
+            ))}
+          </select>
           <button 
             onClick={handleExport} 
             className="header-action-btn"
-            title="Export as text file"
-            disabled={entries.length === 0}
+            title="Export transcript"
+            disabled={entries.length === 0 || isExporting}
           >
             <Download size={16} />
           </button>
@@ -128,7 +152,11 @@ Generated by MyMeet
           <div className="transcription-empty">
             <FileText size={48} />
             <p>No transcriptions yet</p>
-            <span>Speech will be transcribed automatically</span>
+            <span>
+              {isTranscriptionEnabled
+                ? 'Speech will be transcribed automatically'
+                : 'The host has turned off transcription'}
+            </span>
           </div>
         ) : (
           <div className="transcription-list">
@@ -181,10 +209,18 @@ Generated by MyMeet
                 <span className="pulse-dot"></span>
                 Live transcribing
               </>
-            ) : (
+            ) : isTranscriptionEnabled ? (
               'Auto-transcribing'
+            ) : (
+              'Transcription off'
             )}
           </span>
+          {exportError && (
+            <>
+              <span className="info-separator">•</span>
+              <span className="info-item export-error">{exportError}</span>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useApp } from '../../../context/context';
+import api from '../../request';
+import './style.css';
+
+// Reminds users who haven't confirmed their email address yet, who can't host
+// meetings until they do
+const VerifyEmailBanner = () => {
+  const { user, updateUser } = useApp();
+  const [isSending, setIsSending] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const isUnverified = user?.emailVerified === false;
+
+  // They may have confirmed from another browser since signing in here
+  useEffect(() => {
+    if (!isUnverified) return;
+
+    api.get('/api/auth/verify')
+      .then((response) => {
+        if (response.data.data.user.emailVerified) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch((err) => console.error('Error checking email status:', err));
+  }, [isUnverified, updateUser]);
+
+  if (!isUnverified) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const response = await api.post('/api/auth/resend-verification');
+      setNotice(response.data.message);
+    } catch (err) {
+      setNotice(err.response?.data?.message || 'Could not send the email. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-email-banner">
+      <MailWarning size={18} />
+      <span>
+        {notice || `Confirm your email address (${user.email}) to host meetings. Check your inbox for the link.`}
+      </span>
+      <button
+        onClick={handleResend}
+        className="verify-email-banner-btn"
+        disabled={isSending}
+      >
+        {isSending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
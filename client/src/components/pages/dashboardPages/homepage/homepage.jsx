@@ -5,11 +5,32 @@ import './style.css';
 import api from '../../../request';
 import { useApp } from '../../../../context/context';
 
+// Work out what was typed or pasted into "Join meeting": a link to a room or
+// an invite, a meeting code, or a meeting ID
+const parseJoinInput = (input) => {
+  const value = input.trim();
+  let path = value;
+  try {
+    path = new URL(value).pathname;
+  } catch {
+    // Not a full URL
+  }
+
+  const invite = path.match(/\/join\/([^/]+)/);
+  if (invite) return { inviteToken: invite[1] };
+
+  const room = path.match(/\/room\/([^/]+)/);
+  return { reference: room ? decodeURIComponent(room[1]) : value };
+};
+
 const Homepage = () => {
   const navigate = useNavigate();
   const { user } = useApp();
   const [meetingId, setMeetingId] = useState('');
   const [isCreating, setIsCreating] = useState(false);
+  const [isJoining, setIsJoining] = useState(false);
+  const [passcodeMeeting, setPasscodeMeeting] = useState(null); // resolved meeting waiting on a passcode
+  const [passcode, setPasscode] = useState('');
   const [error, setError] = useState('');
 
   const handleCreateMeeting = async () => {
@@ -32,12 +53,44 @@ const Homepage = () => {
     }
   };
 
-  const handleJoinMeeting = () => {
+  const handleJoinMeeting = async () => {
+    if (passcodeMeeting) {
+      if (!/^\d{4,10}$/.test(passcode.trim())) {
+        setError('Please enter the meeting passcode');
+        return;
+      }
+      navigate(`/room/${passcodeMeeting.meetingId}`, { state: { passcode: passcode.trim() } });
+      return;
+    }
+
     if (!meetingId.trim()) {
-      setError('Please enter a meeting ID');
+      setError('Please enter a meeting code or link');
+      return;
+    }
+
+    const { inviteToken, reference } = parseJoinInput(meetingId);
+    if (inviteToken) {
+      navigate(`/join/${inviteToken}`);
       return;
     }
-    navigate(`/room/${meetingId.trim()}`);
+
+    setIsJoining(true);
+    setError('');
+
+    try {
+      const response = await api.get(`/api/meetings/resolve/${encodeURIComponent(reference)}`);
+      const meeting = response.data.data.meeting;
+
+      if (meeting.requiresPasscode) {
+        setPasscodeMeeting(meeting);
+      } else {
+        navigate(`/room/${meeting.meetingId}`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not find that meeting');
+    } finally {
+      setIsJoining(false);
+    }
   };
 
   return (
@@ -83,7 +136,7 @@ const Homepage = () => {
             </div>
             <h3 className="card-title">Join Meeting</h3>
             <p className="card-description">
-              Enter a meeting ID to join an existing meeting
+              Enter a meeting code or link to join an existing meeting
             </p>
             <div className="join-meeting-form">
               <input
@@ -91,16 +144,40 @@ const Homepage = () => {
                 value={meetingId}
                 onChange={(e) => {
                   setMeetingId(e.target.value);
+                  setPasscodeMeeting(null);
+                  setPasscode('');
                   setError('');
                 }}
-                placeholder="Enter meeting ID"
+                placeholder="e.g. abc-defg-hij"
                 className="meeting-input"
               />
+              {passcodeMeeting && (
+                <>
+                  <p className="join-meeting-passcode-label">
+                    {passcodeMeeting.title} needs a passcode
+                  </p>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={passcode}
+                    onChange={(e) => {
+                      setPasscode(e.target.value.replace(/\D/g, ''));
+                      setError('');
+                    }}
+                    placeholder="Passcode"
+                    maxLength={10}
+                    className="meeting-input"
+                    autoFocus
+                  />
+                </>
+              )}
               <button
                 onClick={handleJoinMeeting}
                 className="btn btn-primary w-full"
+                disabled={isJoining}
               >
-                Join Meeting
+                {isJoining ? 'Finding meeting...' : 'Join Meeting'}
               </button>
             </div>
           </div>
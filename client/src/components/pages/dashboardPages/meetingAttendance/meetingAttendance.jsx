@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, BarChart3, Calendar, Download, FileText, Mic, MicOff, Crown } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+import PollResults from "../../../dashboardComponents/pollResults/pollResults";
+
+// Seconds -> "1h 5m" / "12m" / "45s"
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${Math.floor(seconds)}s`;
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// The span every timeline bar is drawn against: first join to last leave
+// (open sessions run until `now`)
+const getTimelineRange = (attendees, now) => {
+  const sessions = attendees.flatMap((attendee) => attendee.sessions);
+  if (sessions.length === 0) return null;
+  const start = Math.min(...sessions.map((s) => new Date(s.joinedAt).getTime()));
+  const end = Math.max(...sessions.map((s) => (s.leftAt ? new Date(s.leftAt).getTime() : now)));
+  return { start, end: Math.max(end, start + 1) };
+};
+
+const MeetingAttendance = () => {
+  const { meetingId } = useParams();
+  const [meeting, setMeeting] = useState(null);
+  const [attendees, setAttendees] = useState([]);
+  const [polls, setPolls] = useState([]);
+  // When the figures were fetched - open sessions are drawn up to here
+  const [loadedAt, setLoadedAt] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const fetchAttendance = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/meetings/${meetingId}/attendance`);
+      setMeeting(response.data.data.meeting);
+      setAttendees(response.data.data.attendees);
+      setLoadedAt(Date.now());
+
+      // Polls are extra - the report stands without them
+      const pollsResponse = await api.get(`/api/polls/${meetingId}`).catch(() => null);
+      if (pollsResponse) setPolls(pollsResponse.data.data.polls);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load attendance");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [meetingId]);
+
+  useEffect(() => {
+    fetchAttendance();
+  }, [fetchAttendance]);
+
+  const handleDownloadCsv = async () => {
+    try {
+      const response = await api.get(`/api/meetings/${meetingId}/attendance/csv`, {
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `attendance-${meetingId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError("Failed to download attendance report");
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="attendance-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading attendance...</p>
+      </div>
+    );
+  }
+
+  const range = getTimelineRange(attendees, loadedAt);
+
+  return (
+    <div className="attendance-page">
+      <div className="attendance-container">
+        <Link to="/meetings" className="attendance-back">
+          <ArrowLeft size={18} />
+          Back to past meetings
+        </Link>
+
+        {error && <div className="attendance-error">{error}</div>}
+
+        {meeting && (
+          <>
+            <div className="attendance-header">
+              <div>
+                <h1 className="attendance-title">{meeting.title}</h1>
+                <div className="attendance-meta">
+                  <span>
+                    <Calendar size={14} />
+                    {formatDate(meeting.startedAt)}
+                  </span>
+                  <span>Hosted by {meeting.hostName}</span>
+                </div>
+              </div>
+              <div className="attendance-actions">
+                <Link to={`/meetings/${meetingId}/transcript`} className="btn btn-secondary">
+                  <FileText size={16} />
+                  Transcript
+                </Link>
+                {meeting.canDownloadReport && (
+                  <button onClick={handleDownloadCsv} className="btn btn-primary">
+                    <Download size={16} />
+                    Download CSV
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {attendees.length === 0 ? (
+              <p className="attendance-empty">No attendance was recorded for this meeting.</p>
+            ) : (
+              <div className="attendance-table">
+                <div className="attendance-row attendance-row-head">
+                  <span>Attendee</span>
+                  <span>Time</span>
+                  <span>Spoke</span>
+                  <span>Timeline</span>
+                </div>
+                {attendees.map((attendee) => (
+                  <AttendeeRow
+                    key={attendee.userId || attendee.name}
+                    attendee={attendee}
+                    range={range}
+                    now={loadedAt}
+                  />
+                ))}
+              </div>
+            )}
+
+            {polls.length > 0 && (
+              <section className="attendance-polls">
+                <h2 className="attendance-section-title">
+                  <BarChart3 size={18} />
+                  Polls
+                </h2>
+                {polls.map((poll) => (
+                  <div key={poll._id} className="attendance-poll">
+                    <PollResults poll={poll} />
+                  </div>
+                ))}
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// ATTENDEE ROW
+// ============================================================================
+const AttendeeRow = ({ attendee, range, now }) => {
+  const span = range ? range.end - range.start : 1;
+
+  return (
+    <div className="attendance-row">
+      <span className="attendance-name">
+        {attendee.name}
+        {attendee.isHost && <Crown size={14} className="attendance-host-icon" />}
+        {attendee.isPresent && <span className="attendance-present">In meeting</span>}
+      </span>
+      <span className="attendance-total">{formatDuration(attendee.totalSeconds)}</span>
+      <span
+        className={`attendance-spoke ${attendee.spoke ? "yes" : ""}`}
+        title={attendee.spoke ? `${attendee.spokenEntries} transcript lines` : "No transcript lines"}
+      >
+        {attendee.spoke ? <Mic size={16} /> : <MicOff size={16} />}
+      </span>
+      <div className="attendance-timeline">
+        {range &&
+          attendee.sessions.map((session) => {
+            const start = new Date(session.joinedAt).getTime();
+            const end = session.leftAt ? new Date(session.leftAt).getTime() : now;
+            return (
+              <span
+                key={session.joinedAt}
+                className="attendance-session"
+                style={{
+                  left: `${((start - range.start) / span) * 100}%`,
+                  width: `${Math.max(((end - start) / span) * 100, 0.5)}%`,
+                }}
+                title={`${formatTime(session.joinedAt)} - ${
+                  session.leftAt ? formatTime(session.leftAt) : "now"
+                }`}
+              />
+            );
+          })}
+      </div>
+    </div>
+  );
+};
+
+export default MeetingAttendance;
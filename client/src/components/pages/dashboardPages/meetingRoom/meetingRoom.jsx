@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef, useCallback } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useLocation } from "react-router-dom";
 import {
   Mic,
   MicOff,
@@ -21,13 +21,36 @@ import {
   AlertCircle,
   MessageCircle,
   FileText,
+  ScreenShare,
+  ScreenShareOff,
+  Settings,
+  Lock,
+  Unlock,
+  UserMinus,
+  ShieldPlus,
+  ShieldMinus,
+  Crown,
+  Hand,
+  SmilePlus,
+  ListOrdered,
+  BarChart3,
+  LayoutGrid,
+  Megaphone,
+  Shuffle,
+  LogIn,
+  Timer,
+  Link2,
+  Trash2,
+  KeyRound,
 } from "lucide-react";
 import { io } from "socket.io-client";
 import "./style.css";
-import api from "../../../request";
+import api, { refreshAccessToken } from "../../../request";
 import { useApp } from "../../../../context/context";
 import RoomMessaging from "../../../dashboardComponents/roomMessaging/roomMessaging";
 import TranscriptionWidget from "../../../dashboardComponents/transcriptionWidget/transcriptionWidget";
+import RoomPolls from "../../../dashboardComponents/roomPolls/roomPolls";
+import { createSfuSession } from "./sfuSession";
 
 // ============================================================================
 // CONSTANTS
@@ -36,12 +59,44 @@ const MAX_RECONNECTION_ATTEMPTS = 5;
 const RECONNECTION_DELAY = 2000;
 const ICE_GATHERING_TIMEOUT = 10000;
 const PEER_CONNECTION_TIMEOUT = 30000;
+const ICE_CANDIDATE_POOL_SIZE = 10;
+const ICE_REFRESH_RATIO = 0.8; // refetch TURN credentials this far into their lifetime
+const ICE_REFRESH_MAX_DELAY = 24 * 60 * 60 * 1000;
 const WAITING_ROOM_POLL_INTERVAL = 30000;
 
 // Transcription constants
 const INTERIM_UPDATE_THROTTLE = 100; // ms - throttle interim updates
 const FINAL_RESULT_DEBOUNCE = 300; // ms - debounce final results
 
+// Recording upload constants
+const RECORDING_TIMESLICE = 5000; // ms of recording per uploaded chunk
+const RECORDING_RETRY_DELAY = 1000; // ms - first retry, doubled each attempt
+const RECORDING_RETRY_MAX_DELAY = 30000;
+const RECORDING_MAX_RETRIES = 20;
+
+// Matches ROOM_REACTIONS on the server
+const ROOM_REACTIONS = ["👍", "👏", "❤️", "😂", "🎉", "😮"];
+const REACTION_DURATION = 4000; // ms a reaction floats over the tile
+
+// Breakout rooms - limits match the server
+const MAX_BREAKOUT_ROOMS = 20;
+const MAX_BREAKOUT_BROADCAST_LENGTH = 500;
+const BREAKOUT_DURATIONS = [0, 5, 10, 15, 30, 60]; // minutes, 0 = until closed by hand
+
+// Invite links for guests without an account
+const INVITE_EXPIRY_OPTIONS = [
+  { hours: 1, label: "1 hour" },
+  { hours: 24, label: "1 day" },
+  { hours: 7 * 24, label: "1 week" },
+  { hours: 30 * 24, label: "30 days" },
+];
+
+// Time left as M:SS
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
+
 // ============================================================================
 // ADMISSION STATUS ENUM
 // ============================================================================
@@ -52,16 +107,113 @@ const AdmissionStatus = {
   APPROVED: "approved",
   DENIED: "denied",
   EXPIRED: "expired",
+  PASSCODE: "passcode",
   ERROR: "error",
 };
 
+// ============================================================================
+// RECORDING UPLOADER
+// ============================================================================
+
+// Retry a request through network drops and server errors. Client errors
+// (4xx) won't succeed on a retry, so they are thrown straight away.
+const retryRequest = async (request) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      const status = err.response?.status;
+      // An earlier attempt that timed out on our side may still be saving the file
+      const isInProgress = err.response?.data?.code === 'UPLOAD_IN_PROGRESS';
+      if ((status && status < 500 && !isInProgress) || attempt >= RECORDING_MAX_RETRIES) throw err;
+      const delay = Math.min(RECORDING_RETRY_DELAY * 2 ** attempt, RECORDING_RETRY_MAX_DELAY);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+// Streams MediaRecorder chunks to an upload session in order, one at a time.
+// Chunks stay in memory only until the server has stored them.
+const createRecordingUploader = (uploadId) => {
+  const queue = [];
+  let nextIndex = 0;
+  let draining = null;
+  let failure = null;
+
+  const drain = async () => {
+    try {
+      while (queue.length > 0) {
+        const { index, blob, endsAt } = queue[0];
+        await retryRequest(() =>
+          api.put(`/api/recordings/uploads/${uploadId}/chunks/${index}`, blob, {
+            headers: {
+              "Content-Type": "application/octet-stream",
+              "X-Chunk-Ends-At": String(endsAt),
+            },
+          })
+        );
+        queue.shift();
+      }
+    } catch (err) {
+      failure = err;
+      queue.length = 0;
+    } finally {
+      draining = null;
+    }
+  };
+
+  return {
+    uploadId,
+
+    // `endsAt`: ms into the recording at the end of this chunk
+    addChunk(blob, endsAt) {
+      if (failure) return;
+      queue.push({ index: nextIndex++, blob, endsAt });
+      if (!draining) draining = drain();
+    },
+
+    // Wait for every chunk, then have the server put the file together
+    async finish() {
+      while (draining) await draining;
+      if (failure) throw failure;
+
+      const response = await retryRequest(() =>
+        api.post(`/api/recordings/uploads/${uploadId}/complete`, { totalChunks: nextIndex })
+      );
+      return response.data.data.recording;
+    },
+  };
+};
+
+// Finalize uploads left open by a reload or a dropped connection, keeping the
+// unbroken run of chunks from the start. Returns how many were saved.
+const recoverRecordingUploads = async (meetingId, activeUploadId) => {
+  const response = await api.get("/api/recordings/uploads", { params: { meetingId } });
+  let recovered = 0;
+
+  for (const upload of response.data.data.uploads) {
+    if (upload.uploadId === activeUploadId) continue;
+
+    let totalChunks = 0;
+    while (upload.receivedChunks[totalChunks] === totalChunks) totalChunks++;
+    if (totalChunks === 0) continue;
+
+    await retryRequest(() =>
+      api.post(`/api/recordings/uploads/${upload.uploadId}/complete`, { totalChunks })
+    );
+    recovered++;
+  }
+  return recovered;
+};
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
 const MeetingRoom = () => {
   const { meetingId } = useParams();
   const navigate = useNavigate();
-  const { user } = useApp();
+  const location = useLocation();
+  const { user, logout } = useApp();
 
   // -------------------------------------------------------------------------
   // REFS
@@ -72,13 +224,27 @@ const MeetingRoom = () => {
   const peerConnectionsRef = useRef({});
   const pendingCandidatesRef = useRef({});
   const mediaRecorderRef = useRef(null);
-  const recordedChunksRef = useRef([]);
+  const recordingUploaderRef = useRef(null);
+  const recordingRecoveryStartedRef = useRef(false); // Leftover uploads are recovered once per visit
   const reconnectionAttemptsRef = useRef(0);
   const isLeavingRef = useRef(false);
   const mixedStreamRef = useRef(null);
   const audioContextRef = useRef(null);
   const canvasRef = useRef(null);
   const admissionRequestSentRef = useRef(false);
+  const socketAuthRetriedRef = useRef(false); // One token refresh per failed handshake
+  const passcodeRef = useRef(location.state?.passcode || ""); // Sent with every join request
+  const screenStreamRef = useRef(null);
+  const screenSendersRef = useRef({}); // Map<socketId, RTCRtpSender> for the display track
+  const presenterRef = useRef(null); // Mirrors `presenter` for socket handlers
+  const isHostRef = useRef(false); // Mirrors `isHost` for socket handlers
+  const entryRulesAppliedRef = useRef(false); // Mute/camera-off on entry only applies once
+  const remotePeerInfoRef = useRef({}); // Map<socketId, { mediaState }> until their stream arrives
+  const rolesRef = useRef({ hostUserId: null, coHostUserIds: [] }); // Latest roles for socket handlers
+  const mediaModeRef = useRef("mesh"); // "mesh" (peer connections) or "sfu" (through the server)
+  const sfuSessionRef = useRef(null); // Set while media goes through the SFU
+  const iceConfigRef = useRef(null); // RTCConfiguration from the server, loaded before joining
+  const iceRefreshTimeoutRef = useRef(null);
 
   // -------------------------------------------------------------------------
   // STATE - Media Controls
@@ -86,6 +252,7 @@ const MeetingRoom = () => {
   const [isAudioEnabled, setIsAudioEnabled] = useState(true);
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
   const [isRecording, setIsRecording] = useState(false);
+  const [isScreenSharing, setIsScreenSharing] = useState(false);
 
   // -------------------------------------------------------------------------
   // STATE - Participants
@@ -103,8 +270,44 @@ const MeetingRoom = () => {
   const [isInitializing, setIsInitializing] = useState(true);
   const [isChatOpen, setIsChatOpen] = useState(false);
   const [chatUnreadCount, setChatUnreadCount] = useState(0);
+  const [isPollsOpen, setIsPollsOpen] = useState(false);
+  const [pendingPollCount, setPendingPollCount] = useState(0); // open polls we haven't voted in
   const [isTranscriptionOpen, setIsTranscriptionOpen] = useState(false);
 
+  // -------------------------------------------------------------------------
+  // STATE - Screen Sharing
+  // -------------------------------------------------------------------------
+  // { socketId, oduserId, userName, streamId, stream, isLocal } | null
+  const [presenter, setPresenter] = useState(null);
+
+  // -------------------------------------------------------------------------
+  // STATE - Room Settings (host-configurable, pushed by the server)
+  // -------------------------------------------------------------------------
+  const [roomSettings, setRoomSettings] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+
+  // -------------------------------------------------------------------------
+  // STATE - Moderation
+  // -------------------------------------------------------------------------
+  const [showParticipants, setShowParticipants] = useState(false);
+  const [isMeetingLocked, setIsMeetingLocked] = useState(false);
+
+  // -------------------------------------------------------------------------
+  // STATE - Raised Hands & Reactions
+  // -------------------------------------------------------------------------
+  const [handQueue, setHandQueue] = useState([]); // [{ oduserId, userName, raisedAt }], server order
+  const [showHandQueue, setShowHandQueue] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const [floatingReactions, setFloatingReactions] = useState([]); // [{ id, oduserId, emoji }]
+
+  // -------------------------------------------------------------------------
+  // STATE - Breakout Rooms
+  // -------------------------------------------------------------------------
+  const [breakouts, setBreakouts] = useState({ isOpen: false, endsAt: null, rooms: [], mainParticipants: [] });
+  const [currentBreakout, setCurrentBreakout] = useState(null); // { id, name }, null in the main room
+  const [showBreakouts, setShowBreakouts] = useState(false);
+  const [now, setNow] = useState(() => Date.now()); // ticks while a breakout timer runs
+
   // -------------------------------------------------------------------------
   // STATE - Transcription (IMPROVED)
   // -------------------------------------------------------------------------
@@ -124,24 +327,13 @@ const MeetingRoom = () => {
   // -------------------------------------------------------------------------
   const [admissionStatus, setAdmissionStatus] = useState(AdmissionStatus.INITIALIZING);
   const [isHost, setIsHost] = useState(false);
+  const [isCoHost, setIsCoHost] = useState(false);
   const [pendingRequests, setPendingRequests] = useState([]);
   const [showWaitingRoom, setShowWaitingRoom] = useState(false);
   const [denyReason, setDenyReason] = useState("");
   const [waitingMessage, setWaitingMessage] = useState("Connecting...");
-
-  // -------------------------------------------------------------------------
-  // ICE SERVERS CONFIGURATION
-  // -------------------------------------------------------------------------
-  const iceServers = {
-    iceServers: [
-      { urls: "stun:stun.l.google.com:19302" },
-      { urls: "stun:stun1.l.google.com:19302" },
-      { urls: "stun:stun2.l.google.com:19302" },
-      { urls: "stun:stun3.l.google.com:19302" },
-      { urls: "stun:stun4.l.google.com:19302" },
-    ],
-    iceCandidatePoolSize: 10,
-  };
+  const [passcodePrompt, setPasscodePrompt] = useState(null); // { message, invalid, locked }
+  const [meetingCode, setMeetingCode] = useState(null);
 
   // =========================================================================
   // TRANSCRIPTION - ADD ENTRY HELPER
@@ -260,6 +452,7 @@ const MeetingRoom = () => {
     if (interimUpdateTimeoutRef.current) {
       clearTimeout(interimUpdateTimeoutRef.current);
     }
+    clearTimeout(iceRefreshTimeoutRef.current);
 
     if (isRecording && mediaRecorderRef.current) {
       try {
@@ -276,6 +469,15 @@ const MeetingRoom = () => {
       localStreamRef.current = null;
     }
 
+    if (screenStreamRef.current) {
+      screenStreamRef.current.getTracks().forEach((track) => {
+        track.onended = null;
+        track.stop();
+      });
+      screenStreamRef.current = null;
+    }
+    screenSendersRef.current = {};
+
     Object.values(peerConnectionsRef.current).forEach((pc) => {
       if (pc && pc.close) {
         pc.close();
@@ -283,6 +485,8 @@ const MeetingRoom = () => {
     });
     peerConnectionsRef.current = {};
     pendingCandidatesRef.current = {};
+    sfuSessionRef.current?.close();
+    sfuSessionRef.current = null;
 
     if (socketRef.current) {
       socketRef.current.disconnect();
@@ -315,11 +519,52 @@ const MeetingRoom = () => {
     }
   };
 
+  // =========================================================================
+  // ICE SERVERS CONFIGURATION
+  // =========================================================================
+  // STUN and TURN servers come from the server, with TURN credentials that
+  // expire - fresh ones are fetched ahead of time for connections made later
+  const loadIceConfig = async () => {
+    const response = await api.get(`/api/meetings/${meetingId}/ice-servers`);
+    if (isLeavingRef.current) return;
+
+    const { iceServers, iceTransportPolicy, ttl } = response.data.data;
+    iceConfigRef.current = { iceServers, iceTransportPolicy, iceCandidatePoolSize: ICE_CANDIDATE_POOL_SIZE };
+
+    clearTimeout(iceRefreshTimeoutRef.current);
+    iceRefreshTimeoutRef.current = setTimeout(() => {
+      loadIceConfig().catch((err) => console.warn("Error refreshing ICE servers:", err));
+    }, Math.min(ttl * 1000 * ICE_REFRESH_RATIO, ICE_REFRESH_MAX_DELAY));
+  };
+
+  // The host switched relay-only on: new connections gather relay candidates
+  // only, and open ones restart ICE so they move onto TURN as well
+  const enforceRelayOnly = () => {
+    iceConfigRef.current = { ...iceConfigRef.current, iceTransportPolicy: "relay" };
+
+    Object.entries(peerConnectionsRef.current).forEach(([socketId, pc]) => {
+      pc.setConfiguration({ ...pc.getConfiguration(), iceTransportPolicy: "relay" });
+      // One side of each pair restarts, so the two offers don't collide
+      if (socketRef.current?.id < socketId) {
+        pc.restartIce();
+      }
+    });
+  };
+
   // =========================================================================
   // INITIALIZE MEDIA & SOCKET
   // =========================================================================
   useEffect(() => {
     const initializeMedia = async () => {
+      try {
+        await loadIceConfig();
+      } catch (err) {
+        console.error("Error loading ICE servers:", err);
+        setError("Failed to load connection settings. Please refresh the page.");
+        setIsInitializing(false);
+        return;
+      }
+
       try {
         const stream = await navigator.mediaDevices.getUserMedia({
           video: {
@@ -500,10 +745,14 @@ const MeetingRoom = () => {
   // =========================================================================
   // TRANSCRIPTION - AUTO-START SPEECH RECOGNITION (IMPROVED)
   // =========================================================================
+  const isTranscriptionEnabled = roomSettings?.transcriptionEnabled !== false;
+
   useEffect(() => {
-    // Only start if approved, have local stream, socket connected, and not already running
+    // Only start if approved, transcription allowed by the host, have local stream,
+    // socket connected, and not already running
     if (
       admissionStatus !== AdmissionStatus.APPROVED ||
+      !isTranscriptionEnabled ||
       !localStreamRef.current ||
       !socketRef.current ||
       recognitionRef.current ||
@@ -595,8 +844,6 @@ const MeetingRoom = () => {
               if (socketRef.current && socketRef.current.connected) {
                 socketRef.current.emit('transcription-interim', {
                   roomId: meetingId,
-                  userId: user.id,
-                  userName: user.fullName,
                   text: currentInterimText,
                   timestamp: Date.now(),
                 });
@@ -680,7 +927,7 @@ const MeetingRoom = () => {
         }
       }
     };
-  }, [admissionStatus, user.id, user.fullName, meetingId, addTranscriptionEntry, updateInterimTranscription, clearInterimTranscription]);
+  }, [admissionStatus, isTranscriptionEnabled, user.id, user.fullName, meetingId, addTranscriptionEntry, updateInterimTranscription, clearInterimTranscription]);
 
   // =========================================================================
   // TRANSCRIPTION - RECEIVE UPDATES FROM OTHERS (IMPROVED)
@@ -816,6 +1063,13 @@ const MeetingRoom = () => {
     };
   }, [user.id, admissionStatus, meetingId, addTranscriptionEntry, updateInterimTranscription, clearInterimTranscription]);
 
+  // Tick the breakout countdown
+  useEffect(() => {
+    if (!breakouts.endsAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [breakouts.endsAt]);
+
   // =========================================================================
   // SOCKET INITIALIZATION WITH ADMISSION CONTROL
   // =========================================================================
@@ -834,6 +1088,9 @@ const MeetingRoom = () => {
     console.log("Initializing socket connection to:", socketUrl);
 
     socketRef.current = io(socketUrl, {
+      // Same JWT the REST API uses - verified by the server's handshake middleware.
+      // Read on every attempt, so reconnects pick up refreshed tokens.
+      auth: (cb) => cb({ token: localStorage.getItem("mymeet-token") }),
       reconnection: true,
       reconnectionAttempts: MAX_RECONNECTION_ATTEMPTS,
       reconnectionDelay: RECONNECTION_DELAY,
@@ -847,11 +1104,14 @@ const MeetingRoom = () => {
     socketRef.current.on("disconnect", handleSocketDisconnect);
     socketRef.current.on("reconnect", handleSocketReconnect);
     socketRef.current.on("reconnect_failed", handleSocketReconnectFailed);
+    socketRef.current.on("connect_error", handleSocketConnectError);
+    socketRef.current.on("session-revoked", handleSessionRevoked);
 
     // Admission Control Events
     socketRef.current.on("join-approved", handleJoinApproved);
     socketRef.current.on("join-denied", handleJoinDenied);
     socketRef.current.on("waiting-for-approval", handleWaitingForApproval);
+    socketRef.current.on("passcode-required", handlePasscodeRequired);
     socketRef.current.on("join-request", handleJoinRequest);
     socketRef.current.on("join-request-processed", handleJoinRequestProcessed);
     socketRef.current.on("join-request-expired", handleJoinRequestExpired);
@@ -869,6 +1129,36 @@ const MeetingRoom = () => {
     socketRef.current.on("user-disconnected", handleUserDisconnected);
     socketRef.current.on("user-media-toggle", handleUserMediaToggle);
     socketRef.current.on("renegotiation-needed", handleRenegotiationNeeded);
+    socketRef.current.on("media-mode", handleMediaMode);
+
+    // Screen Sharing Events
+    socketRef.current.on("screen-share-started", handleScreenShareStarted);
+    socketRef.current.on("screen-share-stopped", handleScreenShareStopped);
+    socketRef.current.on("screen-share-denied", handleScreenShareDenied);
+
+    // Room Settings Events
+    socketRef.current.on("room-settings-updated", handleRoomSettingsUpdated);
+
+    // Moderation Events
+    socketRef.current.on("force-mute", handleForceMute);
+    socketRef.current.on("force-stop-video", handleForceStopVideo);
+    socketRef.current.on("removed-from-meeting", handleRemovedFromMeeting);
+    socketRef.current.on("meeting-lock-changed", handleMeetingLockChanged);
+
+    // Role Events
+    socketRef.current.on("roles-updated", handleRolesUpdated);
+    socketRef.current.on("host-changed", handleHostChanged);
+
+    // Raised Hand & Reaction Events
+    socketRef.current.on("hand-queue-updated", handleHandQueueUpdated);
+    socketRef.current.on("hand-called", handleHandCalled);
+    socketRef.current.on("room-reaction", handleRoomReaction);
+
+    // Breakout Room Events
+    socketRef.current.on("breakouts-updated", handleBreakoutsUpdated);
+    socketRef.current.on("breakout-moved", handleBreakoutMoved);
+    socketRef.current.on("breakout-broadcast", handleBreakoutBroadcast);
+    socketRef.current.on("breakouts-closed", handleBreakoutsClosed);
 
     // Error Handler
     socketRef.current.on("error", (data) => {
@@ -883,15 +1173,15 @@ const MeetingRoom = () => {
   const handleSocketConnect = () => {
     console.log("Socket connected:", socketRef.current.id);
     reconnectionAttemptsRef.current = 0;
+    socketAuthRetriedRef.current = false;
     setError("");
 
     if (admissionStatus === AdmissionStatus.APPROVED) {
       console.log("Already approved, rejoining room with new socket");
       socketRef.current.emit("request-join-room", {
         roomId: meetingId,
-        oduserId: user.id,
-        userName: user.fullName,
         isRejoin: true,
+        passcode: passcodeRef.current,
       });
     } else if (!admissionRequestSentRef.current) {
       setAdmissionStatus(AdmissionStatus.REQUESTING);
@@ -899,14 +1189,12 @@ const MeetingRoom = () => {
 
       socketRef.current.emit("request-join-room", {
         roomId: meetingId,
-        oduserId: user.id,
-        userName: user.fullName,
         isRejoin: false,
+        passcode: passcodeRef.current,
       });
     } else if (admissionStatus === AdmissionStatus.WAITING) {
       socketRef.current.emit("update-waiting-socket", {
         roomId: meetingId,
-        oduserId: user.id,
       });
     }
   };
@@ -936,18 +1224,43 @@ const MeetingRoom = () => {
     if (admissionStatus === AdmissionStatus.APPROVED) {
       socketRef.current.emit("request-join-room", {
         roomId: meetingId,
-        oduserId: user.id,
-        userName: user.fullName,
         isRejoin: true,
+        passcode: passcodeRef.current,
       });
     } else if (admissionStatus === AdmissionStatus.WAITING) {
       socketRef.current.emit("update-waiting-socket", {
         roomId: meetingId,
-        oduserId: user.id,
       });
     }
   };
 
+  const handleSocketConnectError = (err) => {
+    // Handshake rejected by the server's auth middleware. An expired access
+    // token is refreshed once; otherwise the session is over.
+    if (err.data?.code === "AUTH_FAILED") {
+      if (!socketAuthRetriedRef.current) {
+        socketAuthRetriedRef.current = true;
+        refreshAccessToken()
+          .then(() => socketRef.current?.connect())
+          .catch(() => handleSessionRevoked());
+        return;
+      }
+
+      console.error("Socket authentication failed:", err.message);
+      handleSessionRevoked();
+      return;
+    }
+
+    console.warn("Socket connection error:", err.message);
+  };
+
+  // Signed out from another device, or the session could not be renewed
+  const handleSessionRevoked = () => {
+    cleanup();
+    logout();
+    navigate("/signin?expired=1", { replace: true });
+  };
+
   const handleSocketReconnectFailed = () => {
     console.error("Socket reconnection failed");
     setError("Connection lost. Please refresh the page to rejoin the meeting.");
@@ -957,11 +1270,14 @@ const MeetingRoom = () => {
   // =========================================================================
   // SOCKET EVENT HANDLERS - Admission Control
   // =========================================================================
-  const handleJoinApproved = ({ roomId, isHost: userIsHost, pendingRequests: pending, message }) => {
+  const handleJoinApproved = ({ roomId, isHost: userIsHost, pendingRequests: pending, settings, meetingCode: code, message }) => {
     console.log("Join approved:", { roomId, isHost: userIsHost, message });
 
     setAdmissionStatus(AdmissionStatus.APPROVED);
+    setPasscodePrompt(null);
+    if (code) setMeetingCode(code);
     setIsHost(userIsHost);
+    isHostRef.current = userIsHost;
     setWaitingMessage("");
 
     if (userIsHost && pending && pending.length > 0) {
@@ -969,13 +1285,39 @@ const MeetingRoom = () => {
       setShowWaitingRoom(true);
     }
 
+    // Save recordings cut short by a reload or dropped connection on an earlier visit
+    if (!recordingRecoveryStartedRef.current) {
+      recordingRecoveryStartedRef.current = true;
+      recoverRecordingUploads(meetingId, recordingUploaderRef.current?.uploadId)
+        .then((recovered) => {
+          if (recovered > 0) {
+            setError(
+              `Recovered ${recovered} unfinished recording${recovered > 1 ? "s" : ""} - find ${recovered > 1 ? "them" : "it"} on the Recordings page.`
+            );
+          }
+        })
+        .catch((err) => console.error("Error recovering recordings:", err));
+    }
+
+    if (settings) {
+      setRoomSettings(settings);
+
+      if (!userIsHost && !entryRulesAppliedRef.current) {
+        if (settings.muteOnEntry) disableLocalTrack("audio");
+        if (settings.cameraOffOnEntry) disableLocalTrack("video");
+      }
+    }
+    entryRulesAppliedRef.current = true;
+
+    // Read from the tracks - state in this handler may be stale
+    const audioTrack = localStreamRef.current?.getAudioTracks()[0];
+    const videoTrack = localStreamRef.current?.getVideoTracks()[0];
+
     socketRef.current.emit("join-room", {
       roomId: meetingId,
-      oduserId: user.id,
-      userName: user.fullName,
       mediaState: {
-        audio: isAudioEnabled,
-        video: isVideoEnabled,
+        audio: audioTrack ? audioTrack.enabled : isAudioEnabled,
+        video: videoTrack ? videoTrack.enabled : isVideoEnabled,
       },
     });
   };
@@ -986,13 +1328,30 @@ const MeetingRoom = () => {
     setDenyReason(reason || "Your request to join was denied by the host.");
   };
 
+  const handlePasscodeRequired = ({ message, invalid, locked }) => {
+    console.log("Passcode required:", message);
+    if (invalid) passcodeRef.current = "";
+    setAdmissionStatus(AdmissionStatus.PASSCODE);
+    setPasscodePrompt({ message, invalid: Boolean(invalid), locked: Boolean(locked) });
+  };
+
+  const submitPasscode = (passcode) => {
+    passcodeRef.current = passcode;
+    setAdmissionStatus(AdmissionStatus.REQUESTING);
+    socketRef.current?.emit("request-join-room", {
+      roomId: meetingId,
+      isRejoin: false,
+      passcode,
+    });
+  };
+
   const handleWaitingForApproval = ({ message, position, isDuplicate }) => {
     console.log("Waiting for approval:", message);
     setAdmissionStatus(AdmissionStatus.WAITING);
     setWaitingMessage(message || "Waiting for the host to admit you...");
   };
 
-  const handleJoinRequest = ({ oduserId, userName, requesterId, requestedAt }) => {
+  const handleJoinRequest = ({ oduserId, userName, isGuest, requesterId, requestedAt }) => {
     console.log("New join request from:", userName);
 
     setPendingRequests((prev) => {
@@ -1002,7 +1361,7 @@ const MeetingRoom = () => {
           r.oduserId === oduserId ? { ...r, socketId: requesterId, requestedAt } : r
         );
       }
-      return [...prev, { oduserId, userName, socketId: requesterId, requestedAt }];
+      return [...prev, { oduserId, userName, isGuest, socketId: requesterId, requestedAt }];
     });
 
     setShowWaitingRoom(true);
@@ -1049,7 +1408,6 @@ const MeetingRoom = () => {
     socketRef.current.emit("approve-join-request", {
       roomId: meetingId,
       oduserId,
-      approverUserId: user.id,
     });
   };
 
@@ -1059,7 +1417,6 @@ const MeetingRoom = () => {
       roomId: meetingId,
       oduserId,
       reason,
-      approverUserId: user.id,
     });
   };
 
@@ -1067,7 +1424,6 @@ const MeetingRoom = () => {
     console.log("Admitting all waiting users");
     socketRef.current.emit("admit-all-waiting", {
       roomId: meetingId,
-      approverUserId: user.id,
     });
     setPendingRequests([]);
   };
@@ -1081,6 +1437,11 @@ const MeetingRoom = () => {
     for (const participant of existingParticipants) {
       if (participant.oduserId === user.id) continue;
 
+      remotePeerInfoRef.current[participant.socketId] = {
+        mediaState: participant.mediaState,
+        isGuest: participant.isGuest,
+      };
+
       await createPeerConnection(
         participant.socketId,
         participant.userName,
@@ -1090,11 +1451,13 @@ const MeetingRoom = () => {
     }
   };
 
-  const handleUserJoined = async ({ socketId, userName, oduserId, mediaState }) => {
+  const handleUserJoined = async ({ socketId, userName, oduserId, mediaState, isGuest }) => {
     console.log("User joined:", userName, socketId);
 
     if (oduserId === user.id) return;
 
+    remotePeerInfoRef.current[socketId] = { mediaState, isGuest };
+
     Object.entries(peerConnectionsRef.current).forEach(([oldSocketId, pc]) => {
       const existingParticipant = participants.find((p) => p.socketId === oldSocketId);
       if (
@@ -1153,6 +1516,11 @@ const MeetingRoom = () => {
   };
 
   const handleUserMediaToggle = ({ socketId, type, enabled }) => {
+    const info = remotePeerInfoRef.current[socketId];
+    if (info?.mediaState) {
+      info.mediaState = { ...info.mediaState, [type]: enabled };
+    }
+
     setParticipants((prev) =>
       prev.map((p) =>
         p.socketId === socketId
@@ -1165,6 +1533,70 @@ const MeetingRoom = () => {
     );
   };
 
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Media Mode
+  // =========================================================================
+  // Drop every media connection to the current mesh - peer connections and
+  // the SFU alike. Participants reappear as their tracks arrive again.
+  const closeMediaConnections = () => {
+    Object.values(peerConnectionsRef.current).forEach((pc) => pc.close());
+    peerConnectionsRef.current = {};
+    pendingCandidatesRef.current = {};
+    screenSendersRef.current = {};
+    sfuSessionRef.current?.close();
+    sfuSessionRef.current = null;
+    setParticipants([]);
+    setConnectionStates({});
+  };
+
+  // The server picked how our mesh carries media: peer connections for small
+  // calls, the SFU for larger ones. Sent on joining and whenever it changes;
+  // either way we start over in the new mode. For mesh the server follows up
+  // with the peers to call, for the SFU we connect to it ourselves.
+  const handleMediaMode = ({ mode }) => {
+    console.log("Media mode:", mode);
+    closeMediaConnections();
+    mediaModeRef.current = mode;
+
+    // A remote screen share comes back over the new connections
+    setPresenter((prev) => (prev && !prev.isLocal ? { ...prev, stream: null } : prev));
+
+    if (mode === "sfu") {
+      startSfu();
+    }
+  };
+
+  const startSfu = async () => {
+    const session = createSfuSession({
+      socket: socketRef.current,
+      roomId: meetingId,
+      iceConfig: iceConfigRef.current,
+      onTrack: handleSfuTrack,
+    });
+    sfuSessionRef.current = session;
+
+    try {
+      await session.start({
+        localStream: localStreamRef.current,
+        screenStream: screenStreamRef.current,
+      });
+    } catch (err) {
+      // Replaced by a newer session meanwhile - nothing to report
+      if (sfuSessionRef.current !== session) return;
+      console.error("Error connecting to the media server:", err);
+      setError("Failed to connect to the media server. Please rejoin the meeting.");
+    }
+  };
+
+  // Tracks from the SFU land exactly where a peer connection's would
+  const handleSfuTrack = ({ socketId, oduserId, userName, source, stream }) => {
+    if (source === "screen") {
+      setPresenter((prev) => (prev && prev.socketId === socketId ? { ...prev, stream } : prev));
+      return;
+    }
+    handleRemoteTrack({ streams: [stream] }, socketId, userName, oduserId);
+  };
+
   const handleRenegotiationNeeded = async ({ from, userName, oduserId }) => {
     console.log("Renegotiation needed for:", userName);
     const pc = peerConnectionsRef.current[from];
@@ -1174,94 +1606,400 @@ const MeetingRoom = () => {
   };
 
   // =========================================================================
-  // WEBRTC - Peer Connection Management
+  // SOCKET EVENT HANDLERS - Screen Sharing
   // =========================================================================
-  const createPeerConnection = async (socketId, userName, oduserId, isInitiator) => {
-    if (oduserId === user.id) {
-      console.log("Skipping self-connection");
+  const handleScreenShareStarted = (share) => {
+    console.log("Screen share started by:", share.userName);
+    presenterRef.current = share;
+    setPresenter({ ...share, stream: null, isLocal: false });
+  };
+
+  const handleScreenShareStopped = ({ socketId, userName, stoppedByHost }) => {
+    console.log("Screen share stopped for:", userName);
+
+    // Our own share was stopped by the host
+    if (socketId === socketRef.current?.id) {
+      stopScreenShare(false);
+      if (stoppedByHost) {
+        setError("The host stopped your screen share.");
+      }
       return;
     }
 
-    try {
-      if (peerConnectionsRef.current[socketId]) {
-        console.log("Closing existing peer connection for:", userName);
-        peerConnectionsRef.current[socketId].close();
-        delete peerConnectionsRef.current[socketId];
-      }
+    if (presenterRef.current?.socketId === socketId) {
+      presenterRef.current = null;
+      setPresenter(null);
+    }
+  };
 
-      const peerConnection = new RTCPeerConnection(iceServers);
-      peerConnectionsRef.current[socketId] = peerConnection;
+  const handleScreenShareDenied = ({ message }) => {
+    console.log("Screen share denied:", message);
+    stopScreenShare(false);
+    setError(message);
+  };
 
-      pendingCandidatesRef.current[socketId] = [];
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Room Settings
+  // =========================================================================
+  const handleRoomSettingsUpdated = ({ settings, updatedBy }) => {
+    console.log("Room settings updated by:", updatedBy);
+    setRoomSettings(settings);
+
+    const iceTransportPolicy = iceConfigRef.current?.iceTransportPolicy;
+    if (settings.relayOnly && iceTransportPolicy !== "relay") {
+      enforceRelayOnly();
+    } else if (!settings.relayOnly && iceTransportPolicy === "relay") {
+      // Relay may still be forced server-wide; open connections can stay on TURN
+      loadIceConfig().catch((err) => console.warn("Error refreshing ICE servers:", err));
+    }
 
-      setConnectionStates((prev) => ({ ...prev, [socketId]: "connecting" }));
+    // Recording was restricted to the host while we were recording
+    if (
+      !isHostRef.current &&
+      settings.recordingPermission !== "everyone" &&
+      mediaRecorderRef.current?.state === "recording"
+    ) {
+      stopRecording();
+      setError("The host has restricted recording. Your recording was stopped.");
+    }
+  };
 
-      if (localStreamRef.current) {
-        localStreamRef.current.getTracks().forEach((track) => {
-          peerConnection.addTrack(track, localStreamRef.current);
-        });
-      }
+  const updateRoomSettings = (changes) => {
+    socketRef.current?.emit("update-room-settings", {
+      roomId: meetingId,
+      settings: changes,
+    });
+  };
 
-      peerConnection.ontrack = (event) => {
-        console.log("Received remote track from:", userName);
-        handleRemoteTrack(event, socketId, userName, oduserId);
-      };
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Moderation
+  // =========================================================================
+  const obeyForcedMediaOff = (type, message) => {
+    disableLocalTrack(type);
+    socketRef.current?.emit("toggle-media", {
+      roomId: meetingId,
+      type,
+      enabled: false,
+    });
+    setError(message);
+  };
 
-      peerConnection.onicecandidate = (event) => {
-        if (event.candidate) {
-          socketRef.current.emit("ice-candidate", {
-            candidate: event.candidate,
-            to: socketId,
-            from: socketRef.current.id,
-          });
-        }
-      };
+  const handleForceMute = ({ by }) => {
+    console.log("Muted by host:", by);
+    obeyForcedMediaOff("audio", `${by} muted your microphone.`);
+  };
 
-      peerConnection.oniceconnectionstatechange = () => {
-        handleIceConnectionStateChange(peerConnection, socketId, userName);
-      };
+  const handleForceStopVideo = ({ by }) => {
+    console.log("Camera turned off by host:", by);
+    obeyForcedMediaOff("video", `${by} turned off your camera.`);
+  };
 
-      peerConnection.onconnectionstatechange = () => {
-        handleConnectionStateChange(peerConnection, socketId, userName);
-      };
+  const handleRemovedFromMeeting = ({ reason }) => {
+    console.log("Removed from meeting:", reason);
+    cleanup();
+    setAdmissionStatus(AdmissionStatus.DENIED);
+    setDenyReason(reason);
+  };
 
-      peerConnection.onnegotiationneeded = async () => {
-        if (isInitiator && peerConnection.signalingState === "stable") {
-          await createAndSendOffer(peerConnection, socketId);
-        }
-      };
+  const handleMeetingLockChanged = ({ locked }) => {
+    setIsMeetingLocked(locked);
+  };
 
-      peerConnection.onsignalingstatechange = () => {
-        console.log(`Signaling state for ${userName}:`, peerConnection.signalingState);
-      };
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Roles
+  // =========================================================================
+  const handleRolesUpdated = ({ hostUserId, coHostUserIds }) => {
+    rolesRef.current = { hostUserId, coHostUserIds };
+
+    const nowHost = hostUserId === user.id;
+    const nowCoHost = coHostUserIds.includes(user.id);
+    setIsHost(nowHost);
+    isHostRef.current = nowHost;
+    setIsCoHost(nowCoHost);
+
+    // The waiting room belongs to the host and co-hosts only
+    if (!nowHost && !nowCoHost) {
+      setPendingRequests([]);
+      setShowWaitingRoom(false);
+    }
 
-      if (isInitiator) {
-        await createAndSendOffer(peerConnection, socketId);
-      }
+    setParticipants((prev) =>
+      prev.map((p) => ({
+        ...p,
+        isHost: p.oduserId === hostUserId,
+        isCoHost: coHostUserIds.includes(p.oduserId),
+      }))
+    );
+  };
 
-      setTimeout(() => {
-        if (
-          peerConnection.iceConnectionState === "new" ||
-          peerConnection.iceConnectionState === "checking"
-        ) {
-          console.warn("Peer connection timeout for:", userName);
-          setError(`Failed to connect to ${userName}. Please check your network.`);
-        }
-      }, PEER_CONNECTION_TIMEOUT);
-    } catch (err) {
-      console.error("Error creating peer connection:", err);
-      setError(`Failed to establish connection with ${userName}`);
-      setConnectionStates((prev) => ({ ...prev, [socketId]: "failed" }));
+  const handleHostChanged = ({ hostUserId, hostName, previousHostName, reason }) => {
+    const isSelf = hostUserId === user.id;
+    if (reason === "transferred") {
+      setError(`${previousHostName} made ${isSelf ? "you" : hostName} the host.`);
+    } else {
+      setError(isSelf ? "You are now the host." : `${hostName} is now the host.`);
     }
   };
 
-  const createAndSendOffer = async (peerConnection, socketId, retryCount = 0) => {
-    try {
-      if (peerConnection.signalingState !== "stable") {
-        console.log("Cannot create offer, signaling state:", peerConnection.signalingState);
-        return;
-      }
-
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Raised Hands & Reactions
+  // =========================================================================
+  const handleHandQueueUpdated = ({ queue }) => {
+    setHandQueue(queue);
+  };
+
+  const handleHandCalled = ({ oduserId, userName, calledBy }) => {
+    setError(oduserId === user.id ? `${calledBy} called on you - go ahead!` : `${calledBy} called on ${userName}.`);
+  };
+
+  const handleRoomReaction = ({ id, oduserId, emoji }) => {
+    setFloatingReactions((prev) => [...prev, { id, oduserId, emoji }]);
+    setTimeout(() => {
+      setFloatingReactions((prev) => prev.filter((reaction) => reaction.id !== id));
+    }, REACTION_DURATION);
+  };
+
+  const toggleHand = () => {
+    socketRef.current?.emit("raise-hand", {
+      roomId: meetingId,
+      raised: !handQueue.some((hand) => hand.oduserId === user.id),
+    });
+  };
+
+  const sendReaction = (emoji) => {
+    socketRef.current?.emit("send-reaction", { roomId: meetingId, emoji });
+    setShowReactionPicker(false);
+  };
+
+  // Host and co-hosts
+  const lowerParticipantHand = (oduserId) => {
+    socketRef.current?.emit("lower-hand", { roomId: meetingId, oduserId });
+  };
+
+  const callNextHand = () => {
+    socketRef.current?.emit("call-next-hand", { roomId: meetingId });
+  };
+
+  // =========================================================================
+  // SOCKET EVENT HANDLERS - Breakout Rooms
+  // =========================================================================
+  const handleBreakoutsUpdated = (payload) => {
+    setBreakouts(payload);
+    setNow(Date.now());
+    if (!payload.isOpen) {
+      setCurrentBreakout(null);
+    }
+  };
+
+  // We were moved to another mesh: drop every connection to the old one. The
+  // server follows up with the new mesh's media mode, participants, screen
+  // share and transcript, exactly as on joining.
+  const handleBreakoutMoved = ({ breakout }) => {
+    closeMediaConnections();
+    stopScreenShare(false);
+    remotePeerInfoRef.current = {};
+    presenterRef.current = null;
+    setPresenter(null);
+
+    transcriptionEntriesRef.current = [];
+    interimTranscriptionsRef.current.clear();
+    setTranscriptionEntries([]);
+
+    setCurrentBreakout(breakout);
+    setError(breakout ? `You are now in ${breakout.name}.` : "You are back in the main room.");
+  };
+
+  const handleBreakoutBroadcast = ({ message, from }) => {
+    setError(`${from} to all rooms: ${message}`);
+  };
+
+  const handleBreakoutsClosed = ({ closedBy }) => {
+    setError(closedBy ? `${closedBy} closed the breakout rooms.` : "Breakout time is up.");
+  };
+
+  // =========================================================================
+  // BREAKOUT ROOM ACTIONS (host and co-hosts)
+  // =========================================================================
+  // rooms: [{ name, participantIds }]
+  const openBreakouts = ({ rooms, random, durationMinutes }) => {
+    socketRef.current?.emit("open-breakouts", {
+      roomId: meetingId,
+      rooms,
+      random,
+      durationMinutes: durationMinutes || null,
+    });
+  };
+
+  // breakoutId null moves them back to the main room
+  const moveToBreakout = (oduserId, breakoutId) => {
+    socketRef.current?.emit("move-to-breakout", { roomId: meetingId, oduserId, breakoutId });
+  };
+
+  const visitBreakout = (breakoutId) => {
+    socketRef.current?.emit("visit-breakout", { roomId: meetingId, breakoutId });
+  };
+
+  const broadcastToBreakouts = (message) => {
+    socketRef.current?.emit("broadcast-to-breakouts", { roomId: meetingId, message });
+  };
+
+  const closeAllBreakouts = () => {
+    socketRef.current?.emit("close-breakouts", { roomId: meetingId });
+  };
+
+  // =========================================================================
+  // MODERATION ACTIONS (host and co-hosts)
+  // =========================================================================
+  const muteParticipant = (oduserId) => {
+    socketRef.current?.emit("mute-participant", { roomId: meetingId, oduserId });
+  };
+
+  const stopParticipantVideo = (oduserId) => {
+    socketRef.current?.emit("stop-participant-video", { roomId: meetingId, oduserId });
+  };
+
+  const removeParticipantFromMeeting = (participant) => {
+    if (!window.confirm(`Remove ${participant.userName} from the meeting? They won't be able to rejoin.`)) {
+      return;
+    }
+    socketRef.current?.emit("remove-participant", {
+      roomId: meetingId,
+      oduserId: participant.oduserId,
+    });
+  };
+
+  const muteAll = () => {
+    socketRef.current?.emit("mute-all", { roomId: meetingId });
+  };
+
+  const toggleMeetingLock = () => {
+    socketRef.current?.emit("lock-meeting", {
+      roomId: meetingId,
+      locked: !isMeetingLocked,
+    });
+  };
+
+  // Host only
+  const toggleCoHost = (participant) => {
+    socketRef.current?.emit(participant.isCoHost ? "demote-cohost" : "promote-cohost", {
+      roomId: meetingId,
+      oduserId: participant.oduserId,
+    });
+  };
+
+  const makeHost = (participant) => {
+    if (!window.confirm(`Make ${participant.userName} the host? You will no longer be able to change room settings.`)) {
+      return;
+    }
+    socketRef.current?.emit("transfer-host", {
+      roomId: meetingId,
+      oduserId: participant.oduserId,
+    });
+  };
+
+  // =========================================================================
+  // WEBRTC - Peer Connection Management
+  // =========================================================================
+  const createPeerConnection = async (socketId, userName, oduserId, isInitiator) => {
+    if (oduserId === user.id) {
+      console.log("Skipping self-connection");
+      return;
+    }
+
+    // Through the SFU there are no peer connections - tracks arrive from the server
+    if (mediaModeRef.current === "sfu") return;
+
+    try {
+      if (peerConnectionsRef.current[socketId]) {
+        console.log("Closing existing peer connection for:", userName);
+        peerConnectionsRef.current[socketId].close();
+        delete peerConnectionsRef.current[socketId];
+      }
+
+      const peerConnection = new RTCPeerConnection(iceConfigRef.current);
+      peerConnectionsRef.current[socketId] = peerConnection;
+
+      pendingCandidatesRef.current[socketId] = [];
+
+      setConnectionStates((prev) => ({ ...prev, [socketId]: "connecting" }));
+
+      if (localStreamRef.current) {
+        localStreamRef.current.getTracks().forEach((track) => {
+          peerConnection.addTrack(track, localStreamRef.current);
+        });
+      }
+
+      // Late joiners get the display track too while we are presenting
+      const screenTrack = screenStreamRef.current?.getVideoTracks()[0];
+      if (screenTrack) {
+        screenSendersRef.current[socketId] = peerConnection.addTrack(
+          screenTrack,
+          screenStreamRef.current
+        );
+      }
+
+      peerConnection.ontrack = (event) => {
+        console.log("Received remote track from:", userName);
+        handleRemoteTrack(event, socketId, userName, oduserId);
+      };
+
+      peerConnection.onicecandidate = (event) => {
+        if (event.candidate) {
+          socketRef.current.emit("ice-candidate", {
+            candidate: event.candidate,
+            to: socketId,
+          });
+        }
+      };
+
+      peerConnection.oniceconnectionstatechange = () => {
+        handleIceConnectionStateChange(peerConnection, socketId, userName);
+      };
+
+      peerConnection.onconnectionstatechange = () => {
+        handleConnectionStateChange(peerConnection, socketId, userName);
+      };
+
+      peerConnection.onnegotiationneeded = async () => {
+        // The initiator owns the first offer; once the connection has been
+        // negotiated either side may renegotiate (e.g. adding a screen track)
+        const canOffer = isInitiator || peerConnection.currentRemoteDescription;
+        if (canOffer && peerConnection.signalingState === "stable") {
+          await createAndSendOffer(peerConnection, socketId);
+        }
+      };
+
+      peerConnection.onsignalingstatechange = () => {
+        console.log(`Signaling state for ${userName}:`, peerConnection.signalingState);
+      };
+
+      if (isInitiator) {
+        await createAndSendOffer(peerConnection, socketId);
+      }
+
+      setTimeout(() => {
+        if (
+          peerConnection.iceConnectionState === "new" ||
+          peerConnection.iceConnectionState === "checking"
+        ) {
+          console.warn("Peer connection timeout for:", userName);
+          setError(`Failed to connect to ${userName}. Please check your network.`);
+        }
+      }, PEER_CONNECTION_TIMEOUT);
+    } catch (err) {
+      console.error("Error creating peer connection:", err);
+      setError(`Failed to establish connection with ${userName}`);
+      setConnectionStates((prev) => ({ ...prev, [socketId]: "failed" }));
+    }
+  };
+
+  const createAndSendOffer = async (peerConnection, socketId, retryCount = 0) => {
+    try {
+      if (peerConnection.signalingState !== "stable") {
+        console.log("Cannot create offer, signaling state:", peerConnection.signalingState);
+        return;
+      }
+
       const offer = await peerConnection.createOffer({
         offerToReceiveAudio: true,
         offerToReceiveVideo: true,
@@ -1272,9 +2010,6 @@ const MeetingRoom = () => {
       socketRef.current.emit("offer", {
         offer,
         to: socketId,
-        from: socketRef.current.id,
-        userName: user.fullName,
-        oduserId: user.id,
       });
 
       console.log("Offer sent to:", socketId);
@@ -1293,6 +2028,18 @@ const MeetingRoom = () => {
   const handleRemoteTrack = (event, socketId, userName, oduserId) => {
     const [remoteStream] = event.streams;
 
+    // The presenter's display stream goes to the stage, not their camera tile
+    if (remoteStream && presenterRef.current?.streamId === remoteStream.id) {
+      setPresenter((prev) =>
+        prev && prev.streamId === remoteStream.id ? { ...prev, stream: remoteStream } : prev
+      );
+      return;
+    }
+
+    // Fires once per track - keep the latest known mute state rather than resetting it
+    const info = remotePeerInfoRef.current[socketId] || {};
+    const roles = rolesRef.current;
+
     setParticipants((prev) => {
       const withoutUser = prev.filter((p) => p.oduserId !== oduserId);
 
@@ -1303,8 +2050,11 @@ const MeetingRoom = () => {
           userName,
           oduserId,
           stream: remoteStream,
-          isAudioEnabled: true,
-          isVideoEnabled: true,
+          isHost: roles.hostUserId === oduserId,
+          isCoHost: roles.coHostUserIds.includes(oduserId),
+          isGuest: info.isGuest === true,
+          isAudioEnabled: info.mediaState?.audio ?? true,
+          isVideoEnabled: info.mediaState?.video ?? true,
         },
       ];
     });
@@ -1357,7 +2107,6 @@ const MeetingRoom = () => {
       console.log("Connection failed, attempting to reconnect:", userName);
       socketRef.current.emit("request-renegotiation", {
         to: socketId,
-        from: socketRef.current.id,
       });
     }
   };
@@ -1400,8 +2149,6 @@ const MeetingRoom = () => {
       socketRef.current.emit("answer", {
         answer,
         to: from,
-        from: socketRef.current.id,
-        oduserId: user.id,
       });
 
       console.log("Answer sent to:", from);
@@ -1478,6 +2225,8 @@ const MeetingRoom = () => {
     }
 
     delete pendingCandidatesRef.current[socketId];
+    delete screenSendersRef.current[socketId];
+    delete remotePeerInfoRef.current[socketId];
 
     setConnectionStates((prev) => {
       const newStates = { ...prev };
@@ -1491,6 +2240,32 @@ const MeetingRoom = () => {
   // =========================================================================
   // MEDIA CONTROLS
   // =========================================================================
+  // Turn a local track off on the host's behalf (mute / camera off on entry).
+  // Peer connections send the same track objects, so this covers them too.
+  const disableLocalTrack = (kind) => {
+    const track =
+      kind === "audio"
+        ? localStreamRef.current?.getAudioTracks()[0]
+        : localStreamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+
+    track.enabled = false;
+    if (kind === "audio") {
+      setIsAudioEnabled(false);
+
+      // Same as muting by hand - stop transcribing a muted mic
+      if (recognitionRef.current) {
+        try {
+          recognitionRef.current.stop();
+        } catch (err) {
+          console.warn("Error stopping speech recognition:", err);
+        }
+      }
+    } else {
+      setIsVideoEnabled(false);
+    }
+  };
+
   const toggleAudio = async () => {
     if (!localStreamRef.current) return;
 
@@ -1576,6 +2351,109 @@ const MeetingRoom = () => {
     });
   };
 
+  // =========================================================================
+  // SCREEN SHARING
+  // =========================================================================
+  const startScreenShare = async () => {
+    if (presenterRef.current) {
+      setError(`${presenterRef.current.userName} is already sharing their screen.`);
+      return;
+    }
+
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      setError("Screen sharing is not supported in this browser.");
+      return;
+    }
+
+    try {
+      const screenStream = await navigator.mediaDevices.getDisplayMedia({
+        video: { frameRate: { ideal: 15, max: 30 } },
+        audio: false,
+      });
+      const [screenTrack] = screenStream.getVideoTracks();
+
+      screenStreamRef.current = screenStream;
+
+      // Browser's own "Stop sharing" button
+      screenTrack.onended = () => stopScreenShare();
+
+      // Announce before adding tracks so peers can tell the display
+      // stream apart from the camera when it arrives
+      presenterRef.current = {
+        socketId: socketRef.current.id,
+        oduserId: user.id,
+        userName: user.fullName,
+        streamId: screenStream.id,
+      };
+      setPresenter({ ...presenterRef.current, stream: screenStream, isLocal: true });
+      setIsScreenSharing(true);
+
+      socketRef.current.emit("start-screen-share", {
+        roomId: meetingId,
+        streamId: screenStream.id,
+      });
+
+      // Each addTrack fires onnegotiationneeded, which renegotiates the connection
+      Object.entries(peerConnectionsRef.current).forEach(([socketId, pc]) => {
+        screenSendersRef.current[socketId] = pc.addTrack(screenTrack, screenStream);
+      });
+      await sfuSessionRef.current?.publish(screenTrack, "screen");
+
+      console.log("Screen sharing started");
+    } catch (err) {
+      console.error("Error starting screen share:", err);
+      if (err.name !== "NotAllowedError") {
+        setError("Failed to start screen sharing. Please try again.");
+      }
+    }
+  };
+
+  const stopScreenShare = (notifyServer = true) => {
+    const screenStream = screenStreamRef.current;
+    if (!screenStream) return;
+
+    screenStream.getTracks().forEach((track) => {
+      track.onended = null;
+      track.stop();
+    });
+    screenStreamRef.current = null;
+
+    Object.entries(screenSendersRef.current).forEach(([socketId, sender]) => {
+      const pc = peerConnectionsRef.current[socketId];
+      if (pc && pc.signalingState !== "closed") {
+        pc.removeTrack(sender);
+      }
+    });
+    screenSendersRef.current = {};
+    sfuSessionRef.current?.unpublish("screen");
+
+    // Only clear the stage if it still shows our share
+    if (presenterRef.current?.streamId === screenStream.id) {
+      presenterRef.current = null;
+      setPresenter(null);
+    }
+    setIsScreenSharing(false);
+
+    if (notifyServer) {
+      socketRef.current?.emit("stop-screen-share", { roomId: meetingId });
+    }
+
+    console.log("Screen sharing stopped");
+  };
+
+  const toggleScreenShare = () => {
+    if (isScreenSharing) {
+      stopScreenShare();
+    } else {
+      startScreenShare();
+    }
+  };
+
+  // Host ends someone else's screen share
+  const stopPresenterShare = () => {
+    socketRef.current?.emit("stop-screen-share", { roomId: meetingId });
+  };
+
   // =========================================================================
   // RECORDING
   // =========================================================================
@@ -1589,6 +2467,27 @@ const MeetingRoom = () => {
 
   const startRecording = async () => {
     try {
+      const options = { mimeType: "video/webm;codecs=vp9,opus" };
+      if (!MediaRecorder.isTypeSupported(options.mimeType)) {
+        options.mimeType = "video/webm;codecs=vp8,opus";
+      }
+      if (!MediaRecorder.isTypeSupported(options.mimeType)) {
+        options.mimeType = "video/webm";
+      }
+
+      const uniqueParticipants = Array.from(
+        new Set([user.fullName, ...participants.map((p) => p.userName)])
+      );
+
+      // Open the upload session first - chunks go to the server as they're recorded
+      const uploadResponse = await api.post("/api/recordings/uploads", {
+        meetingId,
+        mimeType: options.mimeType,
+        participants: uniqueParticipants,
+      });
+      const uploader = createRecordingUploader(uploadResponse.data.data.upload.uploadId);
+      recordingUploaderRef.current = uploader;
+
       const canvas = document.createElement("canvas");
       canvas.width = 1280;
       canvas.height = 720;
@@ -1675,73 +2574,40 @@ const MeetingRoom = () => {
       const mixedStream = new MediaStream([videoTrack, audioTrack]);
       mixedStreamRef.current = mixedStream;
 
-      const options = { mimeType: "video/webm;codecs=vp9,opus" };
-      if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-        options.mimeType = "video/webm;codecs=vp8,opus";
-      }
-      if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-        options.mimeType = "video/webm";
-      }
-
       mediaRecorderRef.current = new MediaRecorder(mixedStream, options);
-      recordedChunksRef.current = [];
+
+      const recordingStartTime = Date.now();
 
       mediaRecorderRef.current.ondataavailable = (event) => {
         if (event.data.size > 0) {
-          recordedChunksRef.current.push(event.data);
+          uploader.addChunk(event.data, Date.now() - recordingStartTime);
         }
       };
 
-      const recordingStartTime = Date.now();
-
+      // The last chunk is delivered before `stop` fires
       mediaRecorderRef.current.onstop = async () => {
-        const recordingEndTime = Date.now();
-        const duration = Math.floor((recordingEndTime - recordingStartTime) / 1000);
-
-        const blob = new Blob(recordedChunksRef.current, {
-          type: "video/webm",
-        });
-
-        const uniqueParticipants = Array.from(
-          new Set([user.fullName, ...participants.map((p) => p.userName)])
-        );
-
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `meeting-${meetingId}-${Date.now()}.webm`;
-        a.click();
+        if (canvasRef.current) {
+          canvasRef.current = null;
+        }
 
         try {
-          const formData = new FormData();
-          formData.append("recording", blob, a.download);
-          formData.append("duration", duration);
-          formData.append("participants", JSON.stringify(uniqueParticipants));
-          formData.append("meetingId", meetingId);
-
-          await api.post(`/api/meetings/${meetingId}/recording`, formData, {
-            headers: {
-              "Content-Type": "multipart/form-data",
-            },
-          });
+          await uploader.finish();
         } catch (err) {
           console.error("Error saving recording:", err);
-          setError("Recording saved locally but failed to upload to server");
-        }
-
-        URL.revokeObjectURL(url);
-        if (canvasRef.current) {
-          canvasRef.current = null;
+          setError("Recording failed to finish uploading. It will be recovered the next time you join this meeting.");
+        } finally {
+          if (recordingUploaderRef.current === uploader) {
+            recordingUploaderRef.current = null;
+          }
         }
       };
 
-      mediaRecorderRef.current.start(1000);
+      mediaRecorderRef.current.start(RECORDING_TIMESLICE);
       setIsRecording(true);
 
       socketRef.current?.emit("recording-status", {
         roomId: meetingId,
         isRecording: true,
-        userName: user.fullName,
       });
     } catch (err) {
       console.error("Error starting recording:", err);
@@ -1767,7 +2633,6 @@ const MeetingRoom = () => {
       socketRef.current?.emit("recording-status", {
         roomId: meetingId,
         isRecording: false,
-        userName: user.fullName,
       });
     }
   };
@@ -1781,7 +2646,6 @@ const MeetingRoom = () => {
     if (socketRef.current) {
       socketRef.current.emit("leave-room", {
         roomId: meetingId,
-        oduserId: user.id,
       });
     }
 
@@ -1869,6 +2733,22 @@ const MeetingRoom = () => {
     );
   }
 
+  // =========================================================================
+  // RENDER - Passcode Screen
+  // =========================================================================
+  if (admissionStatus === AdmissionStatus.PASSCODE) {
+    return (
+      <PasscodeScreen
+        prompt={passcodePrompt}
+        onSubmit={submitPasscode}
+        onGoBack={() => {
+          cleanup();
+          navigate("/");
+        }}
+      />
+    );
+  }
+
   // =========================================================================
   // RENDER - Denied Screen
   // =========================================================================
@@ -1889,9 +2769,8 @@ const MeetingRoom = () => {
           if (socketRef.current?.connected) {
             socketRef.current.emit("request-join-room", {
               roomId: meetingId,
-              oduserId: user.id,
-              userName: user.fullName,
               isRejoin: false,
+              passcode: passcodeRef.current,
             });
           }
         }}
@@ -1916,6 +2795,22 @@ const MeetingRoom = () => {
   // =========================================================================
   // RENDER - Main Meeting Room
   // =========================================================================
+  const canModerate = isHost || isCoHost;
+  // Recordings belong to an account, so guests can't make them
+  const canRecord = !user.isGuest && (canModerate || roomSettings?.recordingPermission === "everyone");
+  const isChatEnabled = canModerate || roomSettings?.chatEnabled !== false;
+  const isPrivateChatEnabled = canModerate || roomSettings?.privateChatEnabled !== false;
+  const isHandRaised = handQueue.some((hand) => hand.oduserId === user.id);
+
+  // 1-based place in the hand queue, or null
+  const getHandPosition = (oduserId) => {
+    const index = handQueue.findIndex((hand) => hand.oduserId === oduserId);
+    return index === -1 ? null : index + 1;
+  };
+
+  const getReactions = (oduserId) =>
+    floatingReactions.filter((reaction) => reaction.oduserId === oduserId);
+
   return (
     <div className="meeting-room">
       {error && (
@@ -1933,11 +2828,26 @@ const MeetingRoom = () => {
             <h2 className="meeting-title">Meeting Room</h2>
             <button onClick={copyMeetingId} className="meeting-id-btn">
               {copied ? <Check size={16} /> : <Copy size={16} />}
-              <span>{copied ? "Link copied!" : `ID: ${meetingId.substring(0, 8)}...`}</span>
+              <span>
+                {copied ? "Link copied!" : meetingCode || `ID: ${meetingId.substring(0, 8)}...`}
+              </span>
             </button>
+            {isMeetingLocked && (
+              <span className="meeting-locked-badge" title="No one new can join">
+                <Lock size={14} />
+                Locked
+              </span>
+            )}
+            {(currentBreakout || (canModerate && breakouts.isOpen)) && (
+              <span className="breakout-badge" title="Breakout rooms are open">
+                <LayoutGrid size={14} />
+                {currentBreakout ? currentBreakout.name : "Main room"}
+                {breakouts.endsAt && ` · ${formatCountdown(breakouts.endsAt - now)} left`}
+              </span>
+            )}
           </div>
 
-          {isHost && (
+          {canModerate && (
             <div className="host-controls">
               <button
                 onClick={() => setShowWaitingRoom(!showWaitingRoom)}
@@ -1949,12 +2859,22 @@ const MeetingRoom = () => {
                 )}
                 <span>Waiting Room</span>
               </button>
+              {isHost && (
+                <button
+                  onClick={() => setShowSettings(!showSettings)}
+                  className={`waiting-room-toggle ${showSettings ? "active" : ""}`}
+                  disabled={!roomSettings}
+                >
+                  <Settings size={20} />
+                  <span>Settings</span>
+                </button>
+              )}
             </div>
           )}
         </div>
       </div>
 
-      {isHost && showWaitingRoom && (
+      {canModerate && showWaitingRoom && (
         <WaitingRoomPanel
           pendingRequests={pendingRequests}
           onApprove={approveJoinRequest}
@@ -1964,10 +2884,74 @@ const MeetingRoom = () => {
         />
       )}
 
-      <div className="meeting-content">
-        <div className="participants-grid">
+      {showParticipants && (
+        <ParticipantsPanel
+          participants={participants}
+          self={{ userName: user.fullName, isHost, isCoHost, isGuest: user.isGuest, isAudioEnabled, isVideoEnabled }}
+          isHost={isHost}
+          canModerate={canModerate}
+          isLocked={isMeetingLocked}
+          onMute={muteParticipant}
+          onStopVideo={stopParticipantVideo}
+          onRemove={removeParticipantFromMeeting}
+          onMuteAll={muteAll}
+          onToggleLock={toggleMeetingLock}
+          onToggleCoHost={toggleCoHost}
+          onMakeHost={makeHost}
+          onClose={() => setShowParticipants(false)}
+        />
+      )}
+
+      {showHandQueue && (
+        <HandQueuePanel
+          queue={handQueue}
+          selfId={user.id}
+          canModerate={canModerate}
+          onLower={lowerParticipantHand}
+          onCallNext={callNextHand}
+          onClose={() => setShowHandQueue(false)}
+        />
+      )}
+
+      {canModerate && showBreakouts && (
+        <BreakoutPanel
+          breakouts={breakouts}
+          participants={participants}
+          selfId={user.id}
+          currentBreakoutId={currentBreakout?.id || null}
+          onOpen={openBreakouts}
+          onMove={moveToBreakout}
+          onVisit={visitBreakout}
+          onBroadcast={broadcastToBreakouts}
+          onCloseAll={closeAllBreakouts}
+          onClose={() => setShowBreakouts(false)}
+        />
+      )}
+
+      {isHost && showSettings && roomSettings && (
+        <RoomSettingsPanel
+          meetingId={meetingId}
+          settings={roomSettings}
+          canManageInvites={!user.isGuest}
+          onSave={updateRoomSettings}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      <div className={`meeting-content ${presenter ? "presenter-mode" : ""}`}>
+        {presenter && (
+          <ScreenShareStage
+            presenter={presenter}
+            canStop={presenter.isLocal || canModerate}
+            onStop={presenter.isLocal ? () => stopScreenShare() : stopPresenterShare}
+          />
+        )}
+
+        <div className={`participants-grid ${presenter ? "participants-strip" : ""}`}>
           <div className="participant-card local">
             {isLocalUserSpeaking && <SpeakingIndicator />}
+            <HandBadge position={getHandPosition(user.id)} />
+            <FloatingReactions reactions={getReactions(user.id)} />
             <video
               ref={localVideoRef}
               autoPlay
@@ -1984,7 +2968,8 @@ const MeetingRoom = () => {
             )}
             <div className="participant-info">
               <span className="participant-name">
-                You {isHost && <Shield size={12} className="host-badge" />}
+                You <RoleBadge isHost={isHost} isCoHost={isCoHost} />
+                {user.isGuest && <GuestBadge />}
               </span>
               {!isAudioEnabled && <MicOff size={14} className="muted-icon" />}
             </div>
@@ -1998,6 +2983,8 @@ const MeetingRoom = () => {
                 participant={participant}
                 connectionState={connectionStates[participant.socketId]}
                 isSpeaking={speakingParticipants.has(participant.socketId)}
+                handPosition={getHandPosition(participant.oduserId)}
+                reactions={getReactions(participant.oduserId)}
               />
             ))}
         </div>
@@ -2023,17 +3010,94 @@ const MeetingRoom = () => {
             {isVideoEnabled ? <VideoIcon size={24} /> : <VideoOff size={24} />}
           </button>
 
+          {canRecord && (
+            <button
+              onClick={toggleRecording}
+              className={`control-btn ${isRecording ? "recording" : ""}`}
+              aria-label={isRecording ? "Stop recording" : "Start recording"}
+              title={
+                isRecording
+                  ? "Stop recording (includes all participants)"
+                  : "Start recording (includes all participants)"
+              }
+            >
+              <Circle size={24} fill={isRecording ? "currentColor" : "none"} />
+            </button>
+          )}
+
           <button
-            onClick={toggleRecording}
-            className={`control-btn ${isRecording ? "recording" : ""}`}
-            aria-label={isRecording ? "Stop recording" : "Start recording"}
+            onClick={toggleScreenShare}
+            className={`control-btn ${isScreenSharing ? "active" : ""}`}
+            disabled={!isScreenSharing && !!presenter}
+            aria-label={isScreenSharing ? "Stop sharing screen" : "Share screen"}
             title={
-              isRecording
-                ? "Stop recording (includes all participants)"
-                : "Start recording (includes all participants)"
+              isScreenSharing
+                ? "Stop sharing screen"
+                : presenter
+                ? `${presenter.userName} is presenting`
+                : "Share screen"
             }
           >
-            <Circle size={24} fill={isRecording ? "currentColor" : "none"} />
+            {isScreenSharing ? <ScreenShareOff size={24} /> : <ScreenShare size={24} />}
+          </button>
+
+          <button
+            onClick={toggleHand}
+            className={`control-btn ${isHandRaised ? "hand-raised" : ""}`}
+            aria-label={isHandRaised ? "Lower hand" : "Raise hand"}
+            title={isHandRaised ? "Lower hand" : "Raise hand"}
+          >
+            <Hand size={24} />
+          </button>
+
+          <div className="reaction-control">
+            <button
+              onClick={() => setShowReactionPicker(!showReactionPicker)}
+              className={`control-btn ${showReactionPicker ? "active" : ""}`}
+              aria-label="Send a reaction"
+              title="Send a reaction"
+            >
+              <SmilePlus size={24} />
+            </button>
+            {showReactionPicker && (
+              <div className="reaction-picker">
+                {ROOM_REACTIONS.map((emoji) => (
+                  <button key={emoji} onClick={() => sendReaction(emoji)} className="reaction-picker-btn">
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <button
+            onClick={() => setShowHandQueue(!showHandQueue)}
+            className={`control-btn ${showHandQueue ? "active" : ""}`}
+            aria-label={showHandQueue ? "Close raised hands" : "Show raised hands"}
+            title={`Raised hands (${handQueue.length})`}
+          >
+            <ListOrdered size={24} />
+            {handQueue.length > 0 && <span className="control-badge">{handQueue.length}</span>}
+          </button>
+
+          {canModerate && (
+            <button
+              onClick={() => setShowBreakouts(!showBreakouts)}
+              className={`control-btn ${showBreakouts ? "active" : ""}`}
+              aria-label={showBreakouts ? "Close breakout rooms" : "Breakout rooms"}
+              title="Breakout rooms"
+            >
+              <LayoutGrid size={24} />
+            </button>
+          )}
+
+          <button
+            onClick={() => setShowParticipants(!showParticipants)}
+            className={`control-btn ${showParticipants ? "active" : ""}`}
+            aria-label={showParticipants ? "Close participants" : "Show participants"}
+            title={`Participants (${participants.length + 1})`}
+          >
+            <Users size={24} />
           </button>
 
           <button
@@ -2048,6 +3112,18 @@ const MeetingRoom = () => {
             )}
           </button>
 
+          <button
+            onClick={() => setIsPollsOpen(!isPollsOpen)}
+            className={`control-btn ${isPollsOpen ? "active" : ""}`}
+            aria-label={isPollsOpen ? "Close polls" : "Open polls"}
+            title={isPollsOpen ? "Close polls" : "Polls"}
+          >
+            <BarChart3 size={24} />
+            {!isPollsOpen && pendingPollCount > 0 && (
+              <span className="control-badge">{pendingPollCount}</span>
+            )}
+          </button>
+
           <button
             onClick={() => setIsTranscriptionOpen(!isTranscriptionOpen)}
             className={`control-btn ${isTranscriptionOpen ? "active" : ""}`}
@@ -2072,11 +3148,25 @@ const MeetingRoom = () => {
       <RoomMessaging
         meetingId={meetingId}
         userId={user.id}
-        userName={user.fullName}
         socketRef={socketRef}
         isOpen={isChatOpen}
         setIsOpen={setIsChatOpen}
+        isChatEnabled={isChatEnabled}
+        isPrivateChatEnabled={isPrivateChatEnabled}
         onUnreadCountChange={setChatUnreadCount}
+        participants={participants}
+        breakoutId={currentBreakout?.id || null}
+      />
+
+      {/* Polls panel and vote modal */}
+      <RoomPolls
+        meetingId={meetingId}
+        userId={user.id}
+        socketRef={socketRef}
+        isOpen={isPollsOpen}
+        setIsOpen={setIsPollsOpen}
+        canCreatePolls={canModerate}
+        onPendingCountChange={setPendingPollCount}
       />
 
       {/* Transcription Widget Component - PASS BOTH FINAL + INTERIM */}
@@ -2087,6 +3177,7 @@ const MeetingRoom = () => {
         interimTranscriptions={interimTranscriptionsRef.current} // Map of interim transcriptions
         meetingId={meetingId}
         userId={user.id}
+        isTranscriptionEnabled={isTranscriptionEnabled}
       />
     </div>
   );
@@ -2169,6 +3260,52 @@ const WaitingScreen = ({
   );
 };
 
+// ============================================================================
+// PASSCODE SCREEN COMPONENT
+// ============================================================================
+const PasscodeScreen = ({ prompt, onSubmit, onGoBack }) => {
+  const [passcode, setPasscode] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (passcode) onSubmit(passcode);
+  };
+
+  return (
+    <div className="passcode-screen">
+      <form className="passcode-container" onSubmit={handleSubmit}>
+        <div className="passcode-icon">
+          <KeyRound size={64} />
+        </div>
+        <h2 className="passcode-title">Enter meeting passcode</h2>
+        <p className={`passcode-message ${prompt?.invalid ? "invalid" : ""}`}>
+          {prompt?.message || "This meeting needs a passcode."}
+        </p>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={passcode}
+          onChange={(e) => setPasscode(e.target.value.replace(/\D/g, ""))}
+          placeholder="Passcode"
+          maxLength={10}
+          className="passcode-input"
+          disabled={prompt?.locked}
+          autoFocus
+        />
+        <div className="expired-actions">
+          <button type="submit" className="retry-btn" disabled={!passcode || prompt?.locked}>
+            Join
+          </button>
+          <button type="button" onClick={onGoBack} className="back-btn">
+            Go to Homepage
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 // ============================================================================
 // DENIED SCREEN COMPONENT
 // ============================================================================
@@ -2283,7 +3420,9 @@ const WaitingRoomPanel = ({ pendingRequests, onApprove, onDeny, onAdmitAll, onCl
                   {request.userName.charAt(0).toUpperCase()}
                 </div>
                 <div className="waiting-user-info">
-                  <span className="waiting-user-name">{request.userName}</span>
+                  <span className="waiting-user-name">
+                    {request.userName} {request.isGuest && <GuestBadge />}
+                  </span>
                   <span className="waiting-user-time">
                     Waiting {formatWaitTime(request.requestedAt)}
                   </span>
@@ -2313,6 +3452,685 @@ const WaitingRoomPanel = ({ pendingRequests, onApprove, onDeny, onAdmitAll, onCl
   );
 };
 
+// ============================================================================
+// PARTICIPANTS PANEL COMPONENT (moderation actions for the host and co-hosts)
+// ============================================================================
+const RoleBadge = ({ isHost, isCoHost }) => {
+  if (isHost) return <Shield size={12} className="host-badge" />;
+  if (isCoHost) return <Shield size={12} className="cohost-badge" />;
+  return null;
+};
+
+// Joined through an invite link, without an account
+const GuestBadge = () => <span className="guest-badge">Guest</span>;
+
+const ParticipantsPanel = ({
+  participants,
+  self,
+  isHost,
+  canModerate,
+  isLocked,
+  onMute,
+  onStopVideo,
+  onRemove,
+  onMuteAll,
+  onToggleLock,
+  onToggleCoHost,
+  onMakeHost,
+  onClose,
+}) => {
+  return (
+    <div className="waiting-room-panel participants-panel">
+      <div className="waiting-room-header">
+        <h3>
+          <Users size={20} />
+          Participants ({participants.length + 1})
+        </h3>
+        <button onClick={onClose} className="close-panel-btn">
+          <X size={20} />
+        </button>
+      </div>
+
+      {canModerate && (
+        <div className="waiting-room-actions participants-host-actions">
+          <button onClick={onMuteAll} className="moderation-btn" disabled={participants.length === 0}>
+            <MicOff size={16} />
+            Mute all
+          </button>
+          <button
+            onClick={onToggleLock}
+            className={`moderation-btn ${isLocked ? "active" : ""}`}
+          >
+            {isLocked ? <Unlock size={16} /> : <Lock size={16} />}
+            {isLocked ? "Unlock meeting" : "Lock meeting"}
+          </button>
+        </div>
+      )}
+
+      <div className="waiting-room-list">
+        <div className="waiting-user">
+          <div className="waiting-user-avatar">{self.userName.charAt(0).toUpperCase()}</div>
+          <div className="waiting-user-info">
+            <span className="waiting-user-name">
+              {self.userName} (You) <RoleBadge isHost={self.isHost} isCoHost={self.isCoHost} />
+              {self.isGuest && <GuestBadge />}
+            </span>
+          </div>
+          <div className="participant-row-status">
+            {self.isAudioEnabled ? <Mic size={16} /> : <MicOff size={16} className="muted-icon" />}
+            {self.isVideoEnabled ? <VideoIcon size={16} /> : <VideoOff size={16} className="muted-icon" />}
+          </div>
+        </div>
+
+        {participants.map((participant) => (
+          <div key={participant.socketId} className="waiting-user">
+            <div className="waiting-user-avatar">
+              {participant.userName.charAt(0).toUpperCase()}
+            </div>
+            <div className="waiting-user-info">
+              <span className="waiting-user-name">
+                {participant.userName}{" "}
+                <RoleBadge isHost={participant.isHost} isCoHost={participant.isCoHost} />
+                {participant.isGuest && <GuestBadge />}
+              </span>
+            </div>
+            {/* Co-hosts can moderate participants; only the host can moderate co-hosts */}
+            {canModerate && !participant.isHost && (isHost || !participant.isCoHost) ? (
+              <div className="waiting-user-actions">
+                {isHost && (
+                  <>
+                    <button
+                      onClick={() => onToggleCoHost(participant)}
+                      className="moderation-icon-btn"
+                      title={participant.isCoHost ? "Remove co-host" : "Make co-host"}
+                    >
+                      {participant.isCoHost ? <ShieldMinus size={16} /> : <ShieldPlus size={16} />}
+                    </button>
+                    {!participant.isGuest && (
+                      <button
+                        onClick={() => onMakeHost(participant)}
+                        className="moderation-icon-btn"
+                        title="Make host"
+                      >
+                        <Crown size={16} />
+                      </button>
+                    )}
+                  </>
+                )}
+                <button
+                  onClick={() => onMute(participant.oduserId)}
+                  className="moderation-icon-btn"
+                  disabled={!participant.isAudioEnabled}
+                  title={participant.isAudioEnabled ? "Mute" : "Muted"}
+                >
+                  {participant.isAudioEnabled ? <Mic size={16} /> : <MicOff size={16} />}
+                </button>
+                <button
+                  onClick={() => onStopVideo(participant.oduserId)}
+                  className="moderation-icon-btn"
+                  disabled={!participant.isVideoEnabled}
+                  title={participant.isVideoEnabled ? "Turn off camera" : "Camera off"}
+                >
+                  {participant.isVideoEnabled ? <VideoIcon size={16} /> : <VideoOff size={16} />}
+                </button>
+                <button
+                  onClick={() => onRemove(participant)}
+                  className="deny-btn"
+                  title="Remove from meeting"
+                >
+                  <UserMinus size={18} />
+                </button>
+              </div>
+            ) : (
+              <div className="participant-row-status">
+                {participant.isAudioEnabled ? <Mic size={16} /> : <MicOff size={16} className="muted-icon" />}
+                {participant.isVideoEnabled ? <VideoIcon size={16} /> : <VideoOff size={16} className="muted-icon" />}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// RAISED HANDS PANEL COMPONENT (lowering and calling on hands is for moderators)
+// ============================================================================
+const HandQueuePanel = ({ queue, selfId, canModerate, onLower, onCallNext, onClose }) => {
+  return (
+    <div className="waiting-room-panel hand-queue-panel">
+      <div className="waiting-room-header">
+        <h3>
+          <Hand size={20} />
+          Raised Hands ({queue.length})
+        </h3>
+        <button onClick={onClose} className="close-panel-btn">
+          <X size={20} />
+        </button>
+      </div>
+
+      {canModerate && (
+        <div className="waiting-room-actions">
+          <button onClick={onCallNext} className="admit-all-btn" disabled={queue.length === 0}>
+            <Mic size={16} />
+            Call on next
+          </button>
+        </div>
+      )}
+
+      {queue.length === 0 ? (
+        <div className="waiting-room-empty">
+          <Hand size={32} />
+          <p>No hands raised</p>
+        </div>
+      ) : (
+        <div className="waiting-room-list">
+          {queue.map((hand, index) => (
+            <div key={hand.oduserId} className="waiting-user">
+              <div className="waiting-user-avatar hand-queue-position">{index + 1}</div>
+              <div className="waiting-user-info">
+                <span className="waiting-user-name">
+                  {hand.userName}
+                  {hand.oduserId === selfId && " (You)"}
+                </span>
+              </div>
+              {canModerate && (
+                <div className="waiting-user-actions">
+                  <button
+                    onClick={() => onLower(hand.oduserId)}
+                    className="moderation-icon-btn"
+                    title="Lower hand"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// BREAKOUT ROOMS PANEL COMPONENT (host and co-hosts)
+// ============================================================================
+const BreakoutPanel = ({
+  breakouts,
+  participants,
+  selfId,
+  currentBreakoutId,
+  onOpen,
+  onMove,
+  onVisit,
+  onBroadcast,
+  onCloseAll,
+  onClose,
+}) => {
+  const [roomCount, setRoomCount] = useState(2);
+  const [roomNames, setRoomNames] = useState({}); // index -> custom name
+  const [isRandom, setIsRandom] = useState(true);
+  const [manualRooms, setManualRooms] = useState({}); // oduserId -> room index
+  const [durationMinutes, setDurationMinutes] = useState(0);
+  const [broadcastText, setBroadcastText] = useState("");
+
+  // Someone connected twice is still one person to place
+  const people = participants.filter(
+    (p, index, list) =>
+      p.oduserId !== selfId && list.findIndex((other) => other.oduserId === p.oduserId) === index
+  );
+
+  const getRoomName = (index) => roomNames[index] ?? `Room ${index + 1}`;
+
+  const handleOpen = () => {
+    onOpen({
+      rooms: Array.from({ length: roomCount }, (_, index) => ({
+        name: getRoomName(index).trim(),
+        participantIds: people
+          .filter((p) => manualRooms[p.oduserId] === index)
+          .map((p) => p.oduserId),
+      })),
+      random: isRandom,
+      durationMinutes,
+    });
+  };
+
+  const handleBroadcast = (e) => {
+    e.preventDefault();
+    if (!broadcastText.trim()) return;
+    onBroadcast(broadcastText.trim());
+    setBroadcastText("");
+  };
+
+  const renderPerson = (person, breakoutId) => (
+    <div key={person.oduserId} className="waiting-user">
+      <div className="waiting-user-avatar">{person.userName.charAt(0).toUpperCase()}</div>
+      <div className="waiting-user-info">
+        <span className="waiting-user-name">
+          {person.userName}
+          {person.oduserId === selfId && " (You)"}
+        </span>
+      </div>
+      {person.oduserId !== selfId && (
+        <select
+          className="breakout-move-select"
+          value={breakoutId || ""}
+          onChange={(e) => onMove(person.oduserId, e.target.value || null)}
+          aria-label={`Move ${person.userName}`}
+        >
+          <option value="">Main room</option>
+          {breakouts.rooms.map((room) => (
+            <option key={room.id} value={room.id}>
+              {room.name}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="waiting-room-panel breakout-panel">
+      <div className="waiting-room-header">
+        <h3>
+          <LayoutGrid size={20} />
+          Breakout Rooms
+        </h3>
+        <button onClick={onClose} className="close-panel-btn">
+          <X size={20} />
+        </button>
+      </div>
+
+      {!breakouts.isOpen ? (
+        <>
+          <div className="room-settings-body">
+            <label className="room-setting-field breakout-setup-first">
+              <span className="room-setting-label">Number of rooms</span>
+              <input
+                type="number"
+                min={1}
+                max={MAX_BREAKOUT_ROOMS}
+                value={roomCount}
+                onChange={(e) =>
+                  setRoomCount(Math.min(MAX_BREAKOUT_ROOMS, Math.max(1, Number(e.target.value) || 1)))
+                }
+              />
+            </label>
+
+            {Array.from({ length: roomCount }, (_, index) => (
+              <input
+                key={index}
+                type="text"
+                className="breakout-name-input"
+                value={getRoomName(index)}
+                maxLength={50}
+                onChange={(e) => setRoomNames((prev) => ({ ...prev, [index]: e.target.value }))}
+                aria-label={`Name of room ${index + 1}`}
+              />
+            ))}
+
+            <label className="room-setting-field">
+              <span className="room-setting-label">Time limit</span>
+              <select
+                value={durationMinutes}
+                onChange={(e) => setDurationMinutes(Number(e.target.value))}
+              >
+                {BREAKOUT_DURATIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes === 0 ? "None - close by hand" : `${minutes} minutes`}
+                  </option>
+                ))}
+              </select>
+              <span className="room-setting-hint">Everyone comes back to the main room when time is up</span>
+            </label>
+
+            <label className="room-setting-toggle">
+              <div className="room-setting-text">
+                <span className="room-setting-label">Assign randomly</span>
+                <span className="room-setting-hint">Hosts and co-hosts stay in the main room</span>
+              </div>
+              <input type="checkbox" checked={isRandom} onChange={(e) => setIsRandom(e.target.checked)} />
+            </label>
+
+            {!isRandom &&
+              (people.length === 0 ? (
+                <p className="room-setting-hint">No one else is here yet.</p>
+              ) : (
+                people.map((person) => (
+                  <div key={person.oduserId} className="breakout-assign-row">
+                    <span>{person.userName}</span>
+                    <select
+                      className="breakout-move-select"
+                      value={manualRooms[person.oduserId] ?? ""}
+                      onChange={(e) =>
+                        setManualRooms((prev) => ({
+                          ...prev,
+                          [person.oduserId]: e.target.value === "" ? undefined : Number(e.target.value),
+                        }))
+                      }
+                    >
+                      <option value="">Main room</option>
+                      {Array.from({ length: roomCount }, (_, index) => (
+                        <option key={index} value={index}>
+                          {getRoomName(index) || `Room ${index + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))
+              ))}
+          </div>
+
+          <div className="waiting-room-actions">
+            <button onClick={handleOpen} className="admit-all-btn">
+              {isRandom ? <Shuffle size={16} /> : <LayoutGrid size={16} />}
+              Open {roomCount} {roomCount === 1 ? "room" : "rooms"}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {breakouts.endsAt && (
+            <div className="breakout-timer">
+              <Timer size={16} />
+              Rooms close automatically when the time is up
+            </div>
+          )}
+
+          <form className="breakout-broadcast" onSubmit={handleBroadcast}>
+            <input
+              type="text"
+              value={broadcastText}
+              maxLength={MAX_BREAKOUT_BROADCAST_LENGTH}
+              onChange={(e) => setBroadcastText(e.target.value)}
+              placeholder="Message every room..."
+            />
+            <button type="submit" className="moderation-icon-btn" disabled={!broadcastText.trim()} title="Broadcast">
+              <Megaphone size={16} />
+            </button>
+          </form>
+
+          <div className="waiting-room-list">
+            {[{ id: null, name: "Main room", participants: breakouts.mainParticipants }, ...breakouts.rooms].map(
+              (room) => (
+                <div key={room.id || "main"} className="breakout-room">
+                  <div className="breakout-room-header">
+                    <span className="room-setting-label">
+                      {room.name} ({room.participants.length})
+                    </span>
+                    {room.id !== currentBreakoutId && (
+                      <button onClick={() => onVisit(room.id)} className="breakout-visit-btn">
+                        <LogIn size={14} />
+                        {room.id ? "Join" : "Return"}
+                      </button>
+                    )}
+                  </div>
+                  {room.participants.map((person) => renderPerson(person, room.id))}
+                </div>
+              )
+            )}
+          </div>
+
+          <div className="waiting-room-actions">
+            <button onClick={onCloseAll} className="admit-all-btn breakout-close-btn">
+              <XCircle size={16} />
+              Close all rooms
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// ROOM SETTINGS PANEL COMPONENT (host only)
+// ============================================================================
+const RoomSettingsPanel = ({ meetingId, settings, canManageInvites, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...settings,
+    autoAdmitDomains: settings.autoAdmitDomains.join(", "),
+  }));
+
+  const setField = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    onSave({
+      ...draft,
+      maxParticipants: Number(draft.maxParticipants) || 0,
+      autoAdmitDomains: draft.autoAdmitDomains
+        .split(/[,\s]+/)
+        .map((domain) => domain.trim())
+        .filter(Boolean),
+    });
+  };
+
+  const toggles = [
+    { field: "waitingRoomEnabled", label: "Waiting room", hint: "Guests wait until you admit them" },
+    { field: "muteOnEntry", label: "Mute on entry", hint: "Participants join with their mic off" },
+    { field: "cameraOffOnEntry", label: "Camera off on entry", hint: "Participants join with their camera off" },
+    { field: "chatEnabled", label: "Chat", hint: "Participants can send messages" },
+    { field: "privateChatEnabled", label: "Private chat", hint: "Participants can message each other or the hosts privately" },
+    { field: "transcriptionEnabled", label: "Live transcription", hint: "Speech is transcribed for everyone" },
+    { field: "relayOnly", label: "Relay-only connections", hint: "Media goes through the relay server, so participants can't see each other's IP addresses" },
+  ];
+
+  return (
+    <div className="waiting-room-panel room-settings-panel">
+      <div className="waiting-room-header">
+        <h3>
+          <Settings size={20} />
+          Room Settings
+        </h3>
+        <button onClick={onClose} className="close-panel-btn">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="room-settings-body">
+        {toggles.map(({ field, label, hint }) => (
+          <label key={field} className="room-setting-toggle">
+            <div className="room-setting-text">
+              <span className="room-setting-label">{label}</span>
+              <span className="room-setting-hint">{hint}</span>
+            </div>
+            <input
+              type="checkbox"
+              checked={draft[field]}
+              onChange={(e) => setField(field, e.target.checked)}
+            />
+          </label>
+        ))}
+
+        <label className="room-setting-field">
+          <span className="room-setting-label">Auto-admit email domains</span>
+          <input
+            type="text"
+            value={draft.autoAdmitDomains}
+            onChange={(e) => setField("autoAdmitDomains", e.target.value)}
+            placeholder="example.com, partner.org"
+          />
+          <span className="room-setting-hint">Signed-in users from these domains skip the waiting room</span>
+        </label>
+
+        <label className="room-setting-field">
+          <span className="room-setting-label">Participant limit</span>
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={draft.maxParticipants}
+            onChange={(e) => setField("maxParticipants", e.target.value)}
+          />
+          <span className="room-setting-hint">0 means no limit</span>
+        </label>
+
+        <label className="room-setting-field">
+          <span className="room-setting-label">Passcode</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={10}
+            value={draft.passcode ?? ""}
+            onChange={(e) => setField("passcode", e.target.value.replace(/\D/g, ""))}
+            placeholder={settings.hasPasscode ? "Passcode set" : "No passcode"}
+          />
+          <span className="room-setting-hint">4 to 10 digits asked for before anyone can knock. Leave empty for none.</span>
+        </label>
+
+        <label className="room-setting-field">
+          <span className="room-setting-label">Who can record</span>
+          <select
+            value={draft.recordingPermission}
+            onChange={(e) => setField("recordingPermission", e.target.value)}
+          >
+            <option value="host">Host only</option>
+            <option value="everyone">Everyone</option>
+          </select>
+        </label>
+
+        {canManageInvites && <InviteLinks meetingId={meetingId} />}
+      </div>
+
+      <div className="waiting-room-actions">
+        <button onClick={handleSave} className="admit-all-btn">
+          <CheckCircle size={16} />
+          Save Settings
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Links that let guests without an account join. They take effect right away,
+// apart from the rest of the settings.
+const InviteLinks = ({ meetingId }) => {
+  const [invites, setInvites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [draft, setDraft] = useState({ expiresInHours: 24, role: "participant", singleUse: false });
+  const [isCreating, setIsCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    api.get(`/api/meetings/${meetingId}/invites`)
+      .then((response) => setInvites(response.data.data.invites))
+      .catch((err) => setError(err.response?.data?.message || "Failed to load invite links"))
+      .finally(() => setIsLoading(false));
+  }, [meetingId]);
+
+  const createInvite = async () => {
+    setIsCreating(true);
+    setError("");
+    try {
+      const response = await api.post(`/api/meetings/${meetingId}/invites`, draft);
+      setInvites((prev) => [response.data.data.invite, ...prev]);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to create invite link");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const revokeInvite = async (inviteId) => {
+    setError("");
+    try {
+      await api.delete(`/api/meetings/${meetingId}/invites/${inviteId}`);
+      setInvites((prev) => prev.filter((invite) => invite.id !== inviteId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to revoke invite link");
+    }
+  };
+
+  const copyInvite = (invite) => {
+    navigator.clipboard.writeText(`${window.location.origin}/join/${invite.token}`);
+    setCopiedId(invite.id);
+    setTimeout(() => setCopiedId((current) => (current === invite.id ? null : current)), 2000);
+  };
+
+  return (
+    <div className="room-setting-field invite-links">
+      <span className="room-setting-label">Guest invite links</span>
+      <span className="room-setting-hint">
+        Anyone with a link can ask to join without an account, until it expires or is revoked
+      </span>
+
+      <div className="invite-link-form">
+        <select
+          value={draft.expiresInHours}
+          onChange={(e) => setDraft((prev) => ({ ...prev, expiresInHours: Number(e.target.value) }))}
+          aria-label="Link expires after"
+        >
+          {INVITE_EXPIRY_OPTIONS.map(({ hours, label }) => (
+            <option key={hours} value={hours}>
+              Expires in {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.role}
+          onChange={(e) => setDraft((prev) => ({ ...prev, role: e.target.value }))}
+          aria-label="Guests join as"
+        >
+          <option value="participant">As participant</option>
+          <option value="co-host">As co-host</option>
+        </select>
+        <label className="invite-link-check">
+          <input
+            type="checkbox"
+            checked={draft.singleUse}
+            onChange={(e) => setDraft((prev) => ({ ...prev, singleUse: e.target.checked }))}
+          />
+          Single use
+        </label>
+        <button onClick={createInvite} className="moderation-btn" disabled={isCreating}>
+          {isCreating ? <Loader2 size={16} className="spin" /> : <Link2 size={16} />}
+          Create link
+        </button>
+      </div>
+
+      {error && <span className="invite-link-error">{error}</span>}
+
+      {isLoading ? (
+        <span className="room-setting-hint">Loading invite links...</span>
+      ) : (
+        invites.map((invite) => (
+          <div key={invite.id} className="invite-link">
+            <div className="invite-link-info">
+              <span>
+                {invite.role === "co-host" ? "Co-host" : "Participant"}
+                {invite.singleUse ? " · single use" : ` · used ${invite.uses}×`}
+              </span>
+              <span className="room-setting-hint">
+                Expires {new Date(invite.expiresAt).toLocaleString()}
+              </span>
+            </div>
+            <button
+              onClick={() => copyInvite(invite)}
+              className="moderation-icon-btn"
+              title="Copy link"
+            >
+              {copiedId === invite.id ? <Check size={16} /> : <Copy size={16} />}
+            </button>
+            <button
+              onClick={() => revokeInvite(invite.id)}
+              className="moderation-icon-btn"
+              title="Revoke link"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
 // ============================================================================
 // SPEAKING INDICATOR COMPONENT
 // ============================================================================
@@ -2326,10 +4144,78 @@ const SpeakingIndicator = () => {
   );
 };
 
+// ============================================================================
+// HAND BADGE & FLOATING REACTIONS (video tile overlays)
+// ============================================================================
+const HandBadge = ({ position }) => {
+  if (!position) return null;
+  return (
+    <div className="hand-badge" title={`Hand raised (#${position} in line)`}>
+      <Hand size={14} />
+      {position}
+    </div>
+  );
+};
+
+const FloatingReactions = ({ reactions }) => {
+  if (reactions.length === 0) return null;
+  return (
+    <div className="floating-reactions">
+      {reactions.map((reaction) => (
+        <span key={reaction.id} className="floating-reaction">
+          {reaction.emoji}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// ============================================================================
+// SCREEN SHARE STAGE COMPONENT (presenter layout)
+// ============================================================================
+const ScreenShareStage = ({ presenter, canStop, onStop }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = presenter.stream || null;
+    }
+  }, [presenter.stream]);
+
+  return (
+    <div className="screen-share-stage">
+      <video
+        ref={videoRef}
+        autoPlay
+        muted
+        playsInline
+        className={`screen-share-video ${!presenter.stream ? "hidden" : ""}`}
+      />
+      {!presenter.stream && (
+        <div className="screen-share-loading">
+          <Loader2 size={32} className="spin" />
+          <p>Connecting to {presenter.userName}'s screen...</p>
+        </div>
+      )}
+      <div className="screen-share-banner">
+        <ScreenShare size={16} />
+        <span>
+          {presenter.isLocal ? "You are presenting" : `${presenter.userName} is presenting`}
+        </span>
+        {canStop && (
+          <button onClick={onStop} className="screen-share-stop-btn">
+            Stop sharing
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // ============================================================================
 // PARTICIPANT CARD COMPONENT
 // ============================================================================
-const ParticipantCard = ({ participant, connectionState, isSpeaking }) => {
+const ParticipantCard = ({ participant, connectionState, isSpeaking, handPosition, reactions }) => {
   const videoRef = useRef(null);
 
   useEffect(() => {
@@ -2341,6 +4227,8 @@ const ParticipantCard = ({ participant, connectionState, isSpeaking }) => {
   return (
     <div className="participant-card">
       {isSpeaking && <SpeakingIndicator />}
+      <HandBadge position={handPosition} />
+      <FloatingReactions reactions={reactions} />
       <video
         ref={videoRef}
         autoPlay
@@ -2355,7 +4243,9 @@ const ParticipantCard = ({ participant, connectionState, isSpeaking }) => {
         </div>
       )}
       <div className="participant-info">
-        <span className="participant-name">{participant.userName}</span>
+        <span className="participant-name">
+          {participant.userName} {participant.isGuest && <GuestBadge />}
+        </span>
         {!participant.isAudioEnabled && <MicOff size={14} className="muted-icon" />}
       </div>
       {connectionState && connectionState !== "connected" && (
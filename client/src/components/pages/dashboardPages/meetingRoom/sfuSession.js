@@ -0,0 +1,190 @@
+import { Device } from "mediasoup-client";
+
+// ms to wait for the server to answer an SFU request
+const SFU_REQUEST_TIMEOUT = 10000;
+
+// Ask the server and wait for its acknowledgement
+const request = (socket, event, payload) =>
+  new Promise((resolve, reject) => {
+    socket.timeout(SFU_REQUEST_TIMEOUT).emit(event, payload, (err, response) => {
+      if (err) {
+        reject(err);
+      } else if (response?.error) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+
+// ============================================================================
+// SFU SESSION
+// ============================================================================
+// Media through the server instead of a peer connection per participant: our
+// tracks go up once on a send transport, everyone else's come down on a
+// receive transport. Remote tracks are handed to `onTrack` grouped the way a
+// peer connection would deliver them - one stream per participant for camera
+// and mic, and one for a screen share. `iceConfig` holds the same ICE servers
+// and transport policy as peer connections use.
+export const createSfuSession = ({ socket, roomId, iceConfig, onTrack }) => {
+  let device = null;
+  let sendTransport = null;
+  let recvTransport = null;
+  let isClosed = false;
+  const producers = new Map(); // Producer id -> Producer
+  const consumers = new Map(); // Consumer id -> { consumer, streamKey }
+  const consumedProducerIds = new Set();
+  const streams = new Map(); // `${socketId}:${source}` -> MediaStream
+
+  const createTransport = async (direction) => {
+    const params = {
+      ...(await request(socket, "sfu-create-transport", { roomId })),
+      iceServers: iceConfig?.iceServers,
+      iceTransportPolicy: iceConfig?.iceTransportPolicy,
+    };
+    const transport =
+      direction === "send" ? device.createSendTransport(params) : device.createRecvTransport(params);
+
+    transport.on("connect", ({ dtlsParameters }, callback, errback) => {
+      request(socket, "sfu-connect-transport", { roomId, transportId: transport.id, dtlsParameters })
+        .then(callback)
+        .catch(errback);
+    });
+
+    transport.on("produce", ({ kind, rtpParameters, appData }, callback, errback) => {
+      request(socket, "sfu-produce", {
+        roomId,
+        transportId: transport.id,
+        kind,
+        rtpParameters,
+        source: appData.source,
+      })
+        .then(({ producerId }) => callback({ id: producerId }))
+        .catch(errback);
+    });
+
+    return transport;
+  };
+
+  // Send one of our tracks. The track stays ours: muting still works through
+  // track.enabled, and closing the producer doesn't stop it.
+  const publish = async (track, source) => {
+    if (isClosed || !sendTransport) return;
+    const producer = await sendTransport.produce({ track, stopTracks: false, appData: { source } });
+    producers.set(producer.id, producer);
+  };
+
+  const unpublish = (source) => {
+    producers.forEach((producer, producerId) => {
+      if (producer.appData.source !== source) return;
+      producer.close();
+      producers.delete(producerId);
+      request(socket, "sfu-close-producer", { roomId, producerId }).catch((err) =>
+        console.warn("Error closing producer:", err)
+      );
+    });
+  };
+
+  const consume = async ({ producerId, socketId, oduserId, userName, source }) => {
+    if (isClosed || consumedProducerIds.has(producerId)) return;
+    consumedProducerIds.add(producerId);
+
+    const params = await request(socket, "sfu-consume", {
+      roomId,
+      transportId: recvTransport.id,
+      producerId,
+      rtpCapabilities: device.rtpCapabilities,
+    });
+    if (isClosed) return;
+
+    const consumer = await recvTransport.consume(params);
+    const streamKey = `${socketId}:${source}`;
+    consumers.set(consumer.id, { consumer, streamKey });
+
+    if (!streams.has(streamKey)) streams.set(streamKey, new MediaStream());
+    const stream = streams.get(streamKey);
+    stream.addTrack(consumer.track);
+
+    await request(socket, "sfu-resume-consumer", { roomId, consumerId: consumer.id });
+    onTrack({ socketId, oduserId, userName, source, stream });
+  };
+
+  // The producer behind it went away (its owner left or stopped sharing)
+  const handleConsumerClosed = ({ consumerId }) => {
+    const entry = consumers.get(consumerId);
+    if (!entry) return;
+
+    entry.consumer.close();
+    consumers.delete(consumerId);
+    const stream = streams.get(entry.streamKey);
+    stream?.removeTrack(entry.consumer.track);
+    if (stream?.getTracks().length === 0) {
+      streams.delete(entry.streamKey);
+    }
+  };
+
+  // Producers announced while we are still connecting wait for the transports
+  let connected = null;
+  const handleNewProducer = (producer) => {
+    connected
+      .then(() => consume(producer))
+      .catch((err) => console.error("Error receiving track from the media server:", err));
+  };
+
+  /**
+   * Connect to the SFU, send our camera/mic (and screen, if presenting), then
+   * receive everyone already there
+   */
+  const start = ({ localStream, screenStream }) => {
+    socket.on("sfu-new-producer", handleNewProducer);
+    socket.on("sfu-consumer-closed", handleConsumerClosed);
+
+    connected = (async () => {
+      const { rtpCapabilities } = await request(socket, "sfu-capabilities", { roomId });
+      device = await Device.factory();
+      await device.load({ routerRtpCapabilities: rtpCapabilities });
+
+      sendTransport = await createTransport("send");
+      recvTransport = await createTransport("recv");
+      // Closed while we were connecting
+      if (isClosed) {
+        sendTransport.close();
+        recvTransport.close();
+        return;
+      }
+
+      for (const track of localStream?.getTracks() || []) {
+        await publish(track, "camera");
+      }
+      const screenTrack = screenStream?.getVideoTracks()[0];
+      if (screenTrack) {
+        await publish(screenTrack, "screen");
+      }
+    })();
+
+    return connected.then(async () => {
+      if (isClosed) return;
+      const { producers: existing } = await request(socket, "sfu-producers", { roomId });
+      for (const producer of existing) {
+        await consume(producer).catch((err) =>
+          console.error("Error receiving track from the media server:", err)
+        );
+      }
+    });
+  };
+
+  const close = () => {
+    isClosed = true;
+    socket.off("sfu-new-producer", handleNewProducer);
+    socket.off("sfu-consumer-closed", handleConsumerClosed);
+
+    // Closing the transports closes every producer and consumer on them
+    sendTransport?.close();
+    recvTransport?.close();
+    producers.clear();
+    consumers.clear();
+    streams.clear();
+  };
+
+  return { start, publish, unpublish, close };
+};
@@ -0,0 +1,141 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Calendar, Clock, FileText } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+
+// Seconds -> M:SS or H:MM:SS
+const formatOffset = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const MeetingTranscript = () => {
+  const { meetingId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [meeting, setMeeting] = useState(null);
+  const [transcription, setTranscription] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const targetLineRef = useRef(null);
+
+  // ?t= is seconds into the meeting, e.g. from a search result
+  const target = searchParams.has("t") ? Number(searchParams.get("t")) : null;
+
+  const fetchTranscript = useCallback(async () => {
+    try {
+      const [meetingResult, transcriptResult] = await Promise.allSettled([
+        api.get(`/api/meetings/${meetingId}`),
+        api.get(`/api/transcriptions/${meetingId}`),
+      ]);
+
+      if (meetingResult.status === "fulfilled") {
+        setMeeting(meetingResult.value.data.data.meeting);
+      }
+      if (transcriptResult.status === "fulfilled") {
+        setTranscription(transcriptResult.value.data.data.transcription);
+      } else if (transcriptResult.reason.response?.status !== 404) {
+        setError(transcriptResult.reason.response?.data?.message || "Failed to load transcript");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [meetingId]);
+
+  useEffect(() => {
+    fetchTranscript();
+  }, [fetchTranscript]);
+
+  const entries = transcription?.entries || [];
+
+  // The line being linked to: the last one that started by the target time
+  let targetIndex = -1;
+  if (target != null) {
+    for (let i = 0; i < entries.length && entries[i].secondsIntoMeeting <= target; i++) {
+      targetIndex = i;
+    }
+  }
+
+  useEffect(() => {
+    targetLineRef.current?.scrollIntoView({ block: "center" });
+  }, [targetIndex]);
+
+  if (isLoading) {
+    return (
+      <div className="transcript-page-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading transcript...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="transcript-page">
+      <div className="transcript-page-container">
+        <Link to={`/meetings/${meetingId}`} className="transcript-page-back">
+          <ArrowLeft size={18} />
+          Back to meeting
+        </Link>
+
+        <div className="transcript-page-header">
+          <h1 className="transcript-page-title">{meeting?.title || "Meeting transcript"}</h1>
+          <div className="transcript-page-meta">
+            {meeting?.startedAt && (
+              <span>
+                <Calendar size={14} />
+                {formatDate(meeting.startedAt)}
+              </span>
+            )}
+            {transcription?.totalDuration > 0 && (
+              <span>
+                <Clock size={14} />
+                {formatOffset(transcription.totalDuration)}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {error ? (
+          <div className="transcript-page-error">{error}</div>
+        ) : entries.length === 0 ? (
+          <div className="transcript-page-empty">
+            <FileText size={64} strokeWidth={1} />
+            <p>No transcript was saved for this meeting</p>
+          </div>
+        ) : (
+          <ol className="transcript-page-lines">
+            {entries.map((entry, index) => (
+              <li
+                key={entry._id || index}
+                ref={index === targetIndex ? targetLineRef : null}
+                className={`transcript-page-line ${index === targetIndex ? "target" : ""}`}
+              >
+                <span className="transcript-page-time">{formatOffset(entry.secondsIntoMeeting)}</span>
+                <span>
+                  <strong>{entry.userName}</strong> {entry.text}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MeetingTranscript;
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { History, Calendar, Users, Clock, Crown } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+
+const PAGE_SIZE = 20;
+
+// Seconds -> "1h 5m" / "12m" / "45s"
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${Math.floor(seconds)}s`;
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const PastMeetings = () => {
+  const [meetings, setMeetings] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  const fetchMeetings = useCallback(async () => {
+    try {
+      const response = await api.get("/api/meetings/history", { params: { limit: PAGE_SIZE } });
+      setMeetings(response.data.data.meetings);
+      setHasMore(response.data.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to fetch meetings");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMeetings();
+  }, [fetchMeetings]);
+
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    try {
+      const response = await api.get("/api/meetings/history", {
+        params: { limit: PAGE_SIZE, before: meetings[meetings.length - 1].startedAt },
+      });
+      setMeetings((prev) => [...prev, ...response.data.data.meetings]);
+      setHasMore(response.data.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to fetch meetings");
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="past-meetings-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading meetings...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="past-meetings-page">
+      <div className="past-meetings-container">
+        <div className="past-meetings-header">
+          <div className="past-meetings-header-content">
+            <History size={32} />
+            <div>
+              <h1 className="past-meetings-title">Past meetings</h1>
+              <p className="past-meetings-subtitle">Meetings you hosted or joined</p>
+            </div>
+          </div>
+        </div>
+
+        {error && <div className="past-meetings-error">{error}</div>}
+
+        {meetings.length === 0 ? (
+          <div className="past-meetings-empty">
+            <History size={64} strokeWidth={1} />
+            <h3>No meetings yet</h3>
+            <p>Meetings you host or join will appear here</p>
+          </div>
+        ) : (
+          <>
+            <ul className="past-meetings-list">
+              {meetings.map((meeting) => (
+                <li key={meeting.id}>
+                  <Link to={`/meetings/${meeting.meetingId}`} className="past-meeting-item">
+                    <div className="past-meeting-main">
+                      <h3 className="past-meeting-title">
+                        {meeting.title}
+                        {meeting.status === "active" && <span className="past-meeting-live">Live</span>}
+                      </h3>
+                      <div className="past-meeting-meta">
+                        <span>
+                          <Calendar size={14} />
+                          {formatDate(meeting.startedAt)}
+                        </span>
+                        <span>
+                          {meeting.isHost ? <Crown size={14} /> : <Users size={14} />}
+                          {meeting.isHost ? "You hosted" : `Hosted by ${meeting.hostName}`}
+                        </span>
+                        <span>
+                          <Users size={14} />
+                          {meeting.participantCount} participants
+                        </span>
+                      </div>
+                    </div>
+                    <div className="past-meeting-time" title="Your time in the meeting">
+                      <Clock size={14} />
+                      {formatDuration(meeting.myTotalSeconds)}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+
+            {hasMore && (
+              <button onClick={loadMore} className="btn btn-secondary past-meetings-more" disabled={isLoadingMore}>
+                {isLoadingMore ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PastMeetings;
@@ -0,0 +1,337 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { ArrowLeft, BarChart3, Calendar, FileText, MessageCircle, Clock } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+import PollResults from "../../../dashboardComponents/pollResults/pollResults";
+
+// Messages and transcript lines are fetched for the whole meeting
+const MESSAGE_LIMIT = 1000;
+
+// Stream URLs are API paths carrying their own access token
+const toMediaUrl = (streamUrl) => `${api.defaults.baseURL}${streamUrl}`;
+
+// Seconds -> M:SS or H:MM:SS
+const formatOffset = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+// Place timestamped items on the recording's timeline, dropping anything
+// from before the recording started or after it ended
+const alignToRecording = (items, recording) => {
+  const startedAt = new Date(recording.recordedAt).getTime();
+  return items
+    .map((item) => ({ ...item, offset: (new Date(item.timestamp).getTime() - startedAt) / 1000 }))
+    .filter((item) => item.offset >= 0 && (!recording.duration || item.offset <= recording.duration + 1))
+    .sort((a, b) => a.offset - b.offset);
+};
+
+const RecordingPlayback = () => {
+  const { recordingId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [recording, setRecording] = useState(null);
+  const [transcript, setTranscript] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [polls, setPolls] = useState([]);
+  const [captionsUrl, setCaptionsUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const videoRef = useRef(null);
+  const transcriptListRef = useRef(null);
+  const activeLineRef = useRef(null);
+  const chatListRef = useRef(null);
+
+  // ?t= starts playback at that many seconds in, e.g. from a search result
+  const startAt = Number(searchParams.get("t")) || 0;
+
+  const fetchPlayback = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/recordings/${recordingId}`);
+      const loaded = response.data.data.recording;
+      setRecording(loaded);
+
+      // A meeting may have no transcript or chat - show what there is
+      const [transcriptResult, messagesResult, captionsResult, pollsResult] = await Promise.allSettled([
+        api.get(`/api/transcriptions/${loaded.meetingId}`),
+        api.get(`/api/messages/${loaded.meetingId}`, { params: { limit: MESSAGE_LIMIT } }),
+        // Captions re-timed by the server to start when the recording did
+        api.get(`/api/transcriptions/${loaded.meetingId}/export`, {
+          params: { format: "vtt", from: loaded.recordedAt },
+        }),
+        api.get(`/api/polls/${loaded.meetingId}`),
+      ]);
+
+      if (transcriptResult.status === "fulfilled") {
+        setTranscript(alignToRecording(transcriptResult.value.data.data.transcription.entries, loaded));
+      }
+      if (messagesResult.status === "fulfilled") {
+        setMessages(alignToRecording(messagesResult.value.data.data.messages, loaded));
+      }
+      if (pollsResult.status === "fulfilled") {
+        // A poll sits on the timeline where it was started
+        const startedPolls = pollsResult.value.data.data.polls.map((poll) => ({
+          ...poll,
+          timestamp: poll.createdAt,
+        }));
+        setPolls(alignToRecording(startedPolls, loaded));
+      }
+      if (captionsResult.status === "fulfilled") {
+        const { text, mimeType } = captionsResult.value.data.data;
+        setCaptionsUrl(URL.createObjectURL(new Blob([text], { type: mimeType })));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load recording");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [recordingId]);
+
+  useEffect(() => {
+    fetchPlayback();
+  }, [fetchPlayback]);
+
+  useEffect(() => {
+    return () => {
+      if (captionsUrl) URL.revokeObjectURL(captionsUrl);
+    };
+  }, [captionsUrl]);
+
+  // Current transcript line: the last one that has started
+  let activeIndex = -1;
+  for (let i = 0; i < transcript.length && transcript[i].offset <= currentTime; i++) {
+    activeIndex = i;
+  }
+
+  // Chat replays as it happened: only messages sent by this point are shown
+  const visibleMessages = messages.filter((message) => message.offset <= currentTime);
+  const startedPolls = polls.filter((poll) => poll.offset <= currentTime);
+
+  // Keep the current line in the middle of the transcript panel
+  useEffect(() => {
+    const list = transcriptListRef.current;
+    const line = activeLineRef.current;
+    if (!list || !line) return;
+    list.scrollTo({
+      top: line.offsetTop - list.clientHeight / 2 + line.clientHeight / 2,
+      behavior: "smooth",
+    });
+  }, [activeIndex]);
+
+  useEffect(() => {
+    const list = chatListRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [visibleMessages.length]);
+
+  const seekTo = (offset) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = offset;
+    setCurrentTime(offset);
+    video.play().catch(() => {});
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  if (isLoading) {
+    return (
+      <div className="playback-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading recording...</p>
+      </div>
+    );
+  }
+
+  if (!recording) {
+    return (
+      <div className="playback-page">
+        <div className="playback-container">
+          <Link to="/recordings" className="playback-back">
+            <ArrowLeft size={18} />
+            Back to recordings
+          </Link>
+          <div className="playback-error">{error || "Recording not found"}</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="playback-page">
+      <div className="playback-container">
+        <Link to="/recordings" className="playback-back">
+          <ArrowLeft size={18} />
+          Back to recordings
+        </Link>
+
+        <div className="playback-header">
+          <h1 className="playback-title">{recording.meetingTitle}</h1>
+          <div className="playback-meta">
+            <span>
+              <Calendar size={14} />
+              {formatDate(recording.recordedAt)}
+            </span>
+            {recording.duration > 0 && (
+              <span>
+                <Clock size={14} />
+                {formatOffset(recording.duration)}
+              </span>
+            )}
+            {!recording.isOwner && <span>Shared by {recording.recordedByName}</span>}
+          </div>
+        </div>
+
+        <div className="playback-layout">
+          <div className="playback-main">
+            <div className="playback-video-wrapper">
+              <video
+                ref={videoRef}
+                className="playback-video"
+                src={toMediaUrl(recording.streamUrl)}
+                controls
+                onLoadedMetadata={(e) => {
+                  if (startAt > 0) e.currentTarget.currentTime = startAt;
+                }}
+                onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                onSeeked={(e) => setCurrentTime(e.currentTarget.currentTime)}
+              >
+                {captionsUrl && (
+                  <track kind="captions" src={captionsUrl} srcLang="en" label="Transcript" />
+                )}
+              </video>
+            </div>
+
+            {polls.length > 0 && recording.duration > 0 && (
+              <div className="playback-markers" aria-label="Polls on the timeline">
+                {polls.map((poll) => (
+                  <button
+                    key={poll._id}
+                    className="playback-marker"
+                    style={{ left: `${Math.min((poll.offset / recording.duration) * 100, 100)}%` }}
+                    onClick={() => seekTo(poll.offset)}
+                    title={`Poll at ${formatOffset(poll.offset)}: ${poll.question}`}
+                  >
+                    <BarChart3 size={12} />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="playback-side">
+            <section className="playback-panel">
+              <h2 className="playback-panel-title">
+                <FileText size={16} />
+                Transcript
+              </h2>
+              <div className="playback-panel-list" ref={transcriptListRef}>
+                {transcript.length === 0 ? (
+                  <p className="playback-empty">No transcript for this recording.</p>
+                ) : (
+                  transcript.map((entry, index) => (
+                    <button
+                      key={entry._id || index}
+                      ref={index === activeIndex ? activeLineRef : null}
+                      className={`playback-line ${index === activeIndex ? "active" : ""}`}
+                      onClick={() => seekTo(entry.offset)}
+                    >
+                      <span className="playback-line-time">{formatOffset(entry.offset)}</span>
+                      <span className="playback-line-body">
+                        <strong>{entry.userName}</strong> {entry.text}
+                      </span>
+                    </button>
+                  ))
+                )}
+              </div>
+            </section>
+
+            <section className="playback-panel">
+              <h2 className="playback-panel-title">
+                <MessageCircle size={16} />
+                Chat
+                {messages.length > 0 && (
+                  <span className="playback-panel-count">
+                    {visibleMessages.length}/{messages.length}
+                  </span>
+                )}
+              </h2>
+              <div className="playback-panel-list" ref={chatListRef}>
+                {messages.length === 0 ? (
+                  <p className="playback-empty">No chat messages during this recording.</p>
+                ) : visibleMessages.length === 0 ? (
+                  <p className="playback-empty">Messages will appear as they were sent.</p>
+                ) : (
+                  visibleMessages.map((message) => (
+                    <div key={message._id} className="playback-message">
+                      <div className="playback-message-header">
+                        <strong>{message.userName}</strong>
+                        <button
+                          className="playback-line-time"
+                          onClick={() => seekTo(message.offset)}
+                          title="Jump to this moment"
+                        >
+                          {formatOffset(message.offset)}
+                        </button>
+                      </div>
+                      <p className="playback-message-content">{message.content}</p>
+                    </div>
+                  ))
+                )}
+              </div>
+            </section>
+
+            {polls.length > 0 && (
+              <section className="playback-panel">
+                <h2 className="playback-panel-title">
+                  <BarChart3 size={16} />
+                  Polls
+                  <span className="playback-panel-count">
+                    {startedPolls.length}/{polls.length}
+                  </span>
+                </h2>
+                <div className="playback-panel-list">
+                  {startedPolls.length === 0 ? (
+                    <p className="playback-empty">Polls will appear when they were started.</p>
+                  ) : (
+                    startedPolls.map((poll) => (
+                      <div key={poll._id} className="playback-poll">
+                        <div className="playback-message-header">
+                          <strong>{poll.createdByName}</strong>
+                          <button
+                            className="playback-line-time"
+                            onClick={() => seekTo(poll.offset)}
+                            title="Jump to this moment"
+                          >
+                            {formatOffset(poll.offset)}
+                          </button>
+                        </div>
+                        {/* Final results, not the count at this point in the video */}
+                        <PollResults poll={poll} />
+                      </div>
+                    ))
+                  )}
+                </div>
+              </section>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingPlayback;
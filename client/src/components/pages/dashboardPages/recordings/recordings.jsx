@@ -1,13 +1,24 @@
 import { useState, useEffect } from "react";
-import { Video, Calendar, Users, Trash2, Download } from "lucide-react";
+import { Link } from "react-router-dom";
+import { Video, Calendar, Users, Trash2, Download, Play, Share2, Lock, User } from "lucide-react";
 
 import "./style.css";
 import api from "../../../request";
 
+const VISIBILITY_LABELS = {
+  private: "Only me",
+  participants: "All participants",
+  specific: "Specific people",
+};
+
+// Stream URLs are API paths carrying their own access token
+const toMediaUrl = (streamUrl) => `${api.defaults.baseURL}${streamUrl}`;
+
 const Recordings = () => {
   const [recordings, setRecordings] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState("");
+  const [sharingId, setSharingId] = useState(null);
 
   useEffect(() => {
     fetchRecordings();
@@ -15,7 +26,7 @@ const Recordings = () => {
 
   const fetchRecordings = async () => {
     try {
-      const response = await api.get("/api/meetings/recordings");
+      const response = await api.get("/api/recordings");
       if (response.data.success) {
         setRecordings(response.data.data.recordings);
       }
@@ -32,17 +43,20 @@ const Recordings = () => {
     }
 
     try {
-      const response = await api.delete(
-        `/api/meetings/recordings/${recordingId}`
-      );
+      const response = await api.delete(`/api/recordings/${recordingId}`);
       if (response.data.success) {
-        setRecordings(recordings.filter((r) => r._id !== recordingId));
+        setRecordings(recordings.filter((r) => r.id !== recordingId));
       }
     } catch (err) {
       setError(err.response?.data?.message || "Failed to delete recording");
     }
   };
 
+  const handleShared = (updated) => {
+    setRecordings((prev) => prev.map((r) => (r.id === updated.id ? updated : r)));
+    setSharingId(null);
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString("en-US", {
@@ -92,9 +106,9 @@ const Recordings = () => {
           <div className="recordings-header-content">
             <Video size={32} />
             <div>
-              <h1 className="recordings-title">My Recordings</h1>
+              <h1 className="recordings-title">Recordings</h1>
               <p className="recordings-subtitle">
-                View and manage your meeting recordings
+                Your meeting recordings and the ones shared with you
               </p>
             </div>
           </div>
@@ -107,21 +121,36 @@ const Recordings = () => {
             <Video size={64} strokeWidth={1} />
             <h3>No recordings yet</h3>
             <p>
-              Your meeting recordings will appear here once you start recording
+              Recordings you make or that others share with you will appear here
             </p>
           </div>
         ) : (
           <div className="recordings-grid">
             {recordings.map((recording) => (
-              <div key={recording._id} className="recording-card">
-                <div className="recording-thumbnail">
-                  <Video size={48} />
-                </div>
+              <div key={recording.id} className="recording-card">
+                <Link
+                  to={`/recordings/${recording.id}`}
+                  className="recording-thumbnail"
+                  title="Play"
+                >
+                  <Play size={48} />
+                </Link>
 
                 <div className="recording-content">
-                  <h3 className="recording-title">{recording.meetingTitle}</h3>
+                  <h3 className="recording-title">
+                    <Link to={`/recordings/${recording.id}`}>{recording.meetingTitle}</Link>
+                  </h3>
 
                   <div className="recording-meta">
+                    <div className="recording-meta-item">
+                      {recording.isOwner ? <Lock size={14} /> : <User size={14} />}
+                      <span>
+                        {recording.isOwner
+                          ? `Visible to: ${VISIBILITY_LABELS[recording.visibility]}`
+                          : `Shared by ${recording.recordedByName}`}
+                      </span>
+                    </div>
+
                     <div className="recording-meta-item">
                       <Calendar size={14} />
                       <span>{formatDate(recording.recordedAt)}</span>
@@ -153,21 +182,39 @@ const Recordings = () => {
 
                   <div className="recording-actions">
                     <a
-                      href={recording.recordingUrl}
-                      download
+                      href={`${toMediaUrl(recording.streamUrl)}&download=1`}
                       className="btn-icon-secondary"
                       title="Download"
                     >
                       <Download size={18} />
                     </a>
-                    <button
-                      onClick={() => deleteRecording(recording._id)}
-                      className="btn-icon-danger"
-                      title="Delete"
-                    >
-                      <Trash2 size={18} />
-                    </button>
+                    {recording.isOwner && (
+                      <>
+                        <button
+                          onClick={() => setSharingId(sharingId === recording.id ? null : recording.id)}
+                          className="btn-icon-secondary"
+                          title="Sharing"
+                        >
+                          <Share2 size={18} />
+                        </button>
+                        <button
+                          onClick={() => deleteRecording(recording.id)}
+                          className="btn-icon-danger"
+                          title="Delete"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      </>
+                    )}
                   </div>
+
+                  {sharingId === recording.id && (
+                    <ShareForm
+                      recording={recording}
+                      onSaved={handleShared}
+                      onCancel={() => setSharingId(null)}
+                    />
+                  )}
                 </div>
               </div>
             ))}
@@ -178,4 +225,72 @@ const Recordings = () => {
   );
 };
 
+// ============================================================================
+// SHARE FORM COMPONENT (recorder only)
+// ============================================================================
+const ShareForm = ({ recording, onSaved, onCancel }) => {
+  const [visibility, setVisibility] = useState(recording.visibility);
+  const [emails, setEmails] = useState(
+    () => recording.allowedUsers.map((user) => user.email).join(", ")
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+
+    try {
+      const response = await api.put(`/api/recordings/${recording.id}/visibility`, {
+        visibility,
+        emails: emails.split(/[\s,;]+/).filter(Boolean),
+      });
+      onSaved(response.data.data.recording);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update sharing");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="recording-share-form" onSubmit={handleSubmit}>
+      {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+        <label key={value} className="recording-share-option">
+          <input
+            type="radio"
+            name={`visibility-${recording.id}`}
+            value={value}
+            checked={visibility === value}
+            onChange={() => setVisibility(value)}
+          />
+          {label}
+        </label>
+      ))}
+
+      {visibility === "specific" && (
+        <textarea
+          className="recording-share-emails"
+          value={emails}
+          onChange={(e) => setEmails(e.target.value)}
+          placeholder="Emails, separated by commas"
+          rows={2}
+        />
+      )}
+
+      {error && <div className="recordings-error">{error}</div>}
+
+      <div className="recording-share-actions">
+        <button type="button" className="recording-share-cancel" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="recording-share-save" disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
 export default Recordings;
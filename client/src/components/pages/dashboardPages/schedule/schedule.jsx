@@ -0,0 +1,604 @@
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  CalendarDays,
+  Clock,
+  Users,
+  Repeat,
+  Hash,
+  Play,
+  LogIn,
+  Download,
+  Pencil,
+  XCircle,
+  Plus,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGENDA_DAYS = 30;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const EMPTY_FORM = {
+  title: "",
+  scheduledStart: "",
+  duration: 60,
+  agenda: "",
+  invitees: "",
+  frequency: "none",
+  until: "",
+  passcode: "",
+};
+
+// Date -> value for <input type="datetime-local"> / <input type="date"> (local time)
+const toLocalInput = (value, withTime = true) => {
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+};
+
+const dayKey = (value) => toLocalInput(value, false);
+
+// First and last day shown in a month grid (full weeks)
+const getMonthRange = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(first.getDate() - first.getDay());
+  const last = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const end = new Date(last);
+  end.setDate(last.getDate() + (6 - last.getDay()));
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+const Schedule = () => {
+  const navigate = useNavigate();
+  const [view, setView] = useState("agenda");
+  const [month, setMonth] = useState(() => new Date());
+  const [occurrences, setOccurrences] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [selected, setSelected] = useState(null);
+
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchOccurrences = useCallback(async () => {
+    let from;
+    let to;
+    if (view === "month") {
+      const range = getMonthRange(month);
+      from = range.start;
+      to = range.end;
+    } else {
+      from = new Date();
+      to = new Date(from.getTime() + AGENDA_DAYS * DAY_MS);
+    }
+
+    try {
+      const response = await api.get("/api/meetings/scheduled", {
+        params: { from: from.toISOString(), to: to.toISOString() },
+      });
+      if (response.data.success) {
+        setOccurrences(response.data.data.occurrences);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to fetch scheduled meetings");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [view, month]);
+
+  useEffect(() => {
+    fetchOccurrences();
+  }, [fetchOccurrences]);
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const openEditForm = (meeting) => {
+    setEditingId(meeting.meetingId);
+    setForm({
+      title: meeting.title,
+      scheduledStart: toLocalInput(meeting.scheduledStart),
+      duration: meeting.duration,
+      agenda: meeting.agenda || "",
+      invitees: (meeting.invitees || []).join(", "),
+      frequency: meeting.recurrence?.frequency || "none",
+      until: meeting.recurrence?.until ? toLocalInput(meeting.recurrence.until, false) : "",
+      passcode: meeting.passcode || "",
+    });
+    setShowForm(true);
+  };
+
+  const handleFormChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!form.scheduledStart) {
+      setError("Please pick a start time");
+      return;
+    }
+
+    const payload = {
+      title: form.title.trim(),
+      scheduledStart: new Date(form.scheduledStart).toISOString(),
+      duration: Number(form.duration),
+      agenda: form.agenda,
+      invitees: form.invitees
+        .split(/[,\s]+/)
+        .map((email) => email.trim())
+        .filter(Boolean),
+      recurrence: {
+        frequency: form.frequency,
+        // Series run through the end of the chosen day
+        until:
+          form.frequency !== "none" && form.until
+            ? new Date(`${form.until}T23:59:59`).toISOString()
+            : undefined,
+      },
+      passcode: form.passcode,
+    };
+
+    setIsSaving(true);
+    try {
+      const response = editingId
+        ? await api.put(`/api/meetings/${editingId}/schedule`, payload)
+        : await api.post("/api/meetings/schedule", payload);
+      if (response.data.success) {
+        setShowForm(false);
+        setEditingId(null);
+        setSelected(null);
+        setForm(EMPTY_FORM);
+        fetchOccurrences();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save meeting");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStartNow = async (meetingId) => {
+    try {
+      const response = await api.put(`/api/meetings/${meetingId}/start`);
+      if (response.data.success) {
+        navigate(`/room/${meetingId}`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to start meeting");
+    }
+  };
+
+  const handleCancel = async (meeting) => {
+    const label = meeting.recurrence?.frequency !== "none" ? "this meeting series" : "this meeting";
+    if (!window.confirm(`Are you sure you want to cancel ${label}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.put(`/api/meetings/${meeting.meetingId}/cancel`);
+      if (response.data.success) {
+        setOccurrences(occurrences.filter((o) => o.meetingId !== meeting.meetingId));
+        setSelected(null);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to cancel meeting");
+    }
+  };
+
+  const handleDownloadIcs = async (meetingId) => {
+    try {
+      const response = await api.get(`/api/meetings/${meetingId}/ics`, {
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `meeting-${meetingId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError("Failed to download calendar invite");
+    }
+  };
+
+  const formatTime = (dateString) =>
+    new Date(dateString).toLocaleTimeString("en-US", {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const formatDay = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      weekday: "long",
+      month: "short",
+      day: "numeric",
+    });
+
+  const changeMonth = (delta) => {
+    setSelected(null);
+    setMonth(new Date(month.getFullYear(), month.getMonth() + delta, 1));
+  };
+
+  // Group occurrences by local day for both views
+  const occurrencesByDay = occurrences.reduce((groups, occurrence) => {
+    const key = dayKey(occurrence.occurrenceStart);
+    (groups[key] = groups[key] || []).push(occurrence);
+    return groups;
+  }, {});
+
+  const renderActions = (occurrence) => (
+    <div className="schedule-item-actions">
+      {occurrence.isHost ? (
+        <button
+          onClick={() => handleStartNow(occurrence.meetingId)}
+          className="btn btn-primary schedule-start-btn"
+        >
+          <Play size={16} />
+          {occurrence.status === "active" ? "Rejoin" : "Start now"}
+        </button>
+      ) : (
+        <button
+          onClick={() => navigate(`/room/${occurrence.meetingId}`)}
+          className="btn btn-primary schedule-start-btn"
+          disabled={occurrence.status !== "active"}
+          title={occurrence.status !== "active" ? "Waiting for the host to start" : "Join"}
+        >
+          <LogIn size={16} />
+          Join
+        </button>
+      )}
+      <button
+        onClick={() => handleDownloadIcs(occurrence.meetingId)}
+        className="btn-icon-secondary"
+        title="Add to calendar (.ics)"
+      >
+        <Download size={18} />
+      </button>
+      {occurrence.isHost && occurrence.status === "scheduled" && (
+        <>
+          <button
+            onClick={() => openEditForm(occurrence)}
+            className="btn-icon-secondary"
+            title="Edit"
+          >
+            <Pencil size={18} />
+          </button>
+          <button
+            onClick={() => handleCancel(occurrence)}
+            className="btn-icon-danger"
+            title="Cancel meeting"
+          >
+            <XCircle size={18} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+
+  const renderAgenda = () => {
+    const days = Object.keys(occurrencesByDay).sort();
+
+    if (days.length === 0) {
+      return (
+        <div className="schedule-empty">
+          <CalendarDays size={64} strokeWidth={1} />
+          <h3>Nothing scheduled</h3>
+          <p>Meetings you schedule or get invited to in the next {AGENDA_DAYS} days will appear here</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="schedule-agenda">
+        {days.map((day) => (
+          <div key={day} className="schedule-day">
+            <h3 className="schedule-day-title">{formatDay(occurrencesByDay[day][0].occurrenceStart)}</h3>
+            {occurrencesByDay[day].map((occurrence) => (
+              <div
+                key={`${occurrence.meetingId}-${occurrence.occurrenceIndex}`}
+                className="schedule-item"
+              >
+                <div className="schedule-item-time">
+                  <span>{formatTime(occurrence.occurrenceStart)}</span>
+                  <span className="schedule-item-end">{formatTime(occurrence.occurrenceEnd)}</span>
+                </div>
+
+                <div className="schedule-item-content">
+                  <h4 className="schedule-item-title">
+                    {occurrence.title}
+                    {occurrence.status === "active" && (
+                      <span className="schedule-badge live">Live</span>
+                    )}
+                  </h4>
+                  <div className="schedule-item-meta">
+                    <span>
+                      <Clock size={14} />
+                      {occurrence.duration} min
+                    </span>
+                    <span>
+                      <Users size={14} />
+                      {occurrence.isHost ? "You're hosting" : `Hosted by ${occurrence.hostName}`}
+                      {occurrence.invitees.length > 0 && ` · ${occurrence.invitees.length} invited`}
+                    </span>
+                    {occurrence.recurrence?.frequency !== "none" && (
+                      <span>
+                        <Repeat size={14} />
+                        Repeats {occurrence.recurrence.frequency}
+                      </span>
+                    )}
+                    {occurrence.code && (
+                      <span>
+                        <Hash size={14} />
+                        {occurrence.code}
+                        {occurrence.passcode
+                          ? ` · Passcode ${occurrence.passcode}`
+                          : occurrence.requiresPasscode && " · Passcode required"}
+                      </span>
+                    )}
+                  </div>
+                  {occurrence.agenda && (
+                    <p className="schedule-item-agenda">{occurrence.agenda}</p>
+                  )}
+                </div>
+
+                {renderActions(occurrence)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderMonth = () => {
+    const { start, end } = getMonthRange(month);
+    const today = dayKey(new Date());
+    const cells = [];
+    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+      cells.push(new Date(date));
+    }
+
+    return (
+      <div className="schedule-month">
+        <div className="schedule-month-nav">
+          <button onClick={() => changeMonth(-1)} className="btn-icon-secondary" title="Previous month">
+            <ChevronLeft size={18} />
+          </button>
+          <h3>
+            {month.toLocaleDateString("en-US", { month: "long", year: "numeric" })}
+          </h3>
+          <button onClick={() => changeMonth(1)} className="btn-icon-secondary" title="Next month">
+            <ChevronRight size={18} />
+          </button>
+        </div>
+
+        <div className="schedule-month-grid">
+          {WEEKDAYS.map((weekday) => (
+            <div key={weekday} className="schedule-month-weekday">{weekday}</div>
+          ))}
+          {cells.map((date) => {
+            const key = dayKey(date);
+            const dayOccurrences = occurrencesByDay[key] || [];
+            return (
+              <div
+                key={key}
+                className={`schedule-month-cell ${date.getMonth() !== month.getMonth() ? "outside" : ""} ${key === today ? "today" : ""}`}
+              >
+                <span className="schedule-month-date">{date.getDate()}</span>
+                {dayOccurrences.map((occurrence) => (
+                  <button
+                    key={`${occurrence.meetingId}-${occurrence.occurrenceIndex}`}
+                    className="schedule-month-event"
+                    title={occurrence.title}
+                    onClick={() => setSelected(occurrence)}
+                  >
+                    {formatTime(occurrence.occurrenceStart)} {occurrence.title}
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+
+        {selected && (
+          <div className="schedule-item schedule-selected">
+            <div className="schedule-item-time">
+              <span>{formatTime(selected.occurrenceStart)}</span>
+              <span className="schedule-item-end">{formatTime(selected.occurrenceEnd)}</span>
+            </div>
+            <div className="schedule-item-content">
+              <h4 className="schedule-item-title">{selected.title}</h4>
+              <div className="schedule-item-meta">
+                <span>
+                  <CalendarDays size={14} />
+                  {formatDay(selected.occurrenceStart)}
+                </span>
+              </div>
+            </div>
+            {renderActions(selected)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div className="recordings-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading schedule...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="schedule-page">
+      <div className="schedule-container">
+        <div className="schedule-header">
+          <div className="schedule-header-content">
+            <CalendarDays size={32} />
+            <div>
+              <h1 className="schedule-title">Schedule</h1>
+              <p className="schedule-subtitle">Plan meetings ahead and share calendar invites</p>
+            </div>
+          </div>
+
+          <div className="schedule-header-actions">
+            <div className="schedule-view-toggle">
+              <button
+                className={view === "agenda" ? "active" : ""}
+                onClick={() => setView("agenda")}
+              >
+                Agenda
+              </button>
+              <button
+                className={view === "month" ? "active" : ""}
+                onClick={() => setView("month")}
+              >
+                Month
+              </button>
+            </div>
+            <button onClick={openCreateForm} className="btn btn-primary">
+              <Plus size={18} />
+              Schedule meeting
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="recordings-error">{error}</div>}
+
+        {showForm && (
+          <form className="schedule-form" onSubmit={handleSubmit}>
+            <h3 className="schedule-form-title">
+              {editingId ? "Edit meeting" : "Schedule a meeting"}
+            </h3>
+
+            <div className="schedule-form-grid">
+              <label className="schedule-field wide">
+                <span>Title</span>
+                <input
+                  name="title"
+                  value={form.title}
+                  onChange={handleFormChange}
+                  placeholder="Weekly sync"
+                />
+              </label>
+
+              <label className="schedule-field">
+                <span>Starts</span>
+                <input
+                  type="datetime-local"
+                  name="scheduledStart"
+                  value={form.scheduledStart}
+                  onChange={handleFormChange}
+                  required
+                />
+              </label>
+
+              <label className="schedule-field">
+                <span>Duration</span>
+                <select name="duration" value={form.duration} onChange={handleFormChange}>
+                  {[15, 30, 45, 60, 90, 120, 180].map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="schedule-field">
+                <span>Repeats</span>
+                <select name="frequency" value={form.frequency} onChange={handleFormChange}>
+                  <option value="none">Does not repeat</option>
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </label>
+
+              {form.frequency !== "none" && (
+                <label className="schedule-field">
+                  <span>Until</span>
+                  <input
+                    type="date"
+                    name="until"
+                    value={form.until}
+                    onChange={handleFormChange}
+                    required
+                  />
+                </label>
+              )}
+
+              <label className="schedule-field">
+                <span>Passcode</span>
+                <input
+                  name="passcode"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  maxLength={10}
+                  value={form.passcode}
+                  onChange={(e) => setForm({ ...form, passcode: e.target.value.replace(/\D/g, "") })}
+                  placeholder="Optional, 4 to 10 digits"
+                />
+              </label>
+
+              <label className="schedule-field wide">
+                <span>Invitees</span>
+                <input
+                  name="invitees"
+                  value={form.invitees}
+                  onChange={handleFormChange}
+                  placeholder="alex@example.com, sam@example.com"
+                />
+              </label>
+
+              <label className="schedule-field wide">
+                <span>Agenda</span>
+                <textarea
+                  name="agenda"
+                  rows={3}
+                  value={form.agenda}
+                  onChange={handleFormChange}
+                  placeholder="What will you cover?"
+                />
+              </label>
+            </div>
+
+            <div className="schedule-form-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setShowForm(false)}
+              >
+                Close
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isSaving}>
+                {isSaving ? "Saving..." : editingId ? "Save changes" : "Schedule"}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {view === "agenda" ? renderAgenda() : renderMonth()}
+      </div>
+    </div>
+  );
+};
+
+export default Schedule;
@@ -0,0 +1,234 @@
+import { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Search as SearchIcon, FileText, MessageCircle, Video, Calendar, Play } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+
+const MIN_QUERY_LENGTH = 2;
+const RESULT_LIMIT = 50;
+
+const SEARCH_TABS = [
+  { value: "all", label: "All" },
+  { value: "transcript", label: "Transcripts" },
+  { value: "chat", label: "Chat" },
+  { value: "title", label: "Meeting titles" },
+];
+
+const RESULT_ICONS = {
+  transcript: FileText,
+  chat: MessageCircle,
+  title: Video,
+};
+
+// Seconds -> M:SS or H:MM:SS
+const formatOffset = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+// Where a result opens: the recording at the matching moment when one
+// covers it, otherwise the meeting's transcript
+const getResultLink = (result) => {
+  if (result.recording) {
+    return `/recordings/${result.recording.id}?t=${result.recording.offset}`;
+  }
+  const transcriptUrl = `/meetings/${result.meetingId}/transcript`;
+  return result.secondsIntoMeeting != null
+    ? `${transcriptUrl}?t=${result.secondsIntoMeeting}`
+    : transcriptUrl;
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+  const type = searchParams.get("type") || "all";
+  const requestKey = `${type}:${query}`;
+  const hasQuery = query.trim().length >= MIN_QUERY_LENGTH;
+
+  const [input, setInput] = useState(query);
+  // Results remember which search they belong to, so loading is derived
+  const [response, setResponse] = useState({ key: "", results: [], total: 0, error: "" });
+  const isLoading = hasQuery && response.key !== requestKey;
+
+  useEffect(() => {
+    if (!hasQuery) return;
+    let cancelled = false;
+
+    api
+      .get("/api/search", { params: { q: query, type, limit: RESULT_LIMIT } })
+      .then((res) => {
+        if (!cancelled) setResponse({ key: requestKey, ...res.data.data, error: "" });
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setResponse({
+            key: requestKey,
+            results: [],
+            total: 0,
+            error: err.response?.data?.message || "Search failed",
+          });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hasQuery, query, type, requestKey]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearchParams({ q: input.trim(), type });
+  };
+
+  const selectTab = (value) => {
+    setSearchParams(query ? { q: query, type: value } : { type: value });
+  };
+
+  return (
+    <div className="search-page">
+      <div className="search-container">
+        <div className="search-header">
+          <div className="search-header-content">
+            <SearchIcon size={32} />
+            <div>
+              <h1 className="search-title">Search</h1>
+              <p className="search-subtitle">
+                Find what was said or written in your meetings
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <form className="search-form" onSubmit={handleSubmit}>
+          <input
+            type="search"
+            className="search-input"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Search transcripts, chat and meeting titles"
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={input.trim().length < MIN_QUERY_LENGTH}
+          >
+            Search
+          </button>
+        </form>
+
+        <div className="search-tabs">
+          {SEARCH_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              className={`search-tab ${type === tab.value ? "active" : ""}`}
+              onClick={() => selectTab(tab.value)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {!hasQuery ? (
+          <div className="search-empty">
+            <SearchIcon size={64} strokeWidth={1} />
+            <p>Search only covers meetings you hosted or joined</p>
+          </div>
+        ) : isLoading ? (
+          <div className="search-loading">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : response.error ? (
+          <div className="search-error">{response.error}</div>
+        ) : response.results.length === 0 ? (
+          <div className="search-empty">
+            <SearchIcon size={64} strokeWidth={1} />
+            <h3>No results</h3>
+            <p>Nothing in your meetings matches "{query}"</p>
+          </div>
+        ) : (
+          <>
+            <p className="search-count">
+              {response.total > response.results.length
+                ? `Top ${response.results.length} of ${response.total} results`
+                : `${response.total} result${response.total === 1 ? "" : "s"}`}
+            </p>
+            <ul className="search-results">
+              {response.results.map((result, index) => (
+                <SearchResult key={`${result.type}-${result.meetingId}-${index}`} result={result} />
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// SEARCH RESULT
+// ============================================================================
+const SearchResult = ({ result }) => {
+  const Icon = RESULT_ICONS[result.type];
+
+  return (
+    <li>
+      <Link to={getResultLink(result)} className="search-result">
+        <Icon size={18} className="search-result-icon" />
+        <div className="search-result-body">
+          <div className="search-result-meta">
+            <strong>{result.meetingTitle}</strong>
+            {result.timestamp && (
+              <span>
+                <Calendar size={12} />
+                {formatDate(result.timestamp)}
+              </span>
+            )}
+            {result.secondsIntoMeeting != null && <span>at {formatOffset(result.secondsIntoMeeting)}</span>}
+          </div>
+          <p className="search-result-snippet">
+            {result.speaker && <span className="search-result-speaker">{result.speaker}: </span>}
+            <HighlightedText snippet={result.snippet} />
+          </p>
+          {result.recording && (
+            <span className="search-result-recording">
+              <Play size={12} />
+              Play recording at {formatOffset(result.recording.offset)}
+            </span>
+          )}
+        </div>
+      </Link>
+    </li>
+  );
+};
+
+// ============================================================================
+// HIGHLIGHTED TEXT
+// ============================================================================
+const HighlightedText = ({ snippet }) => {
+  const parts = [];
+  let position = 0;
+
+  snippet.highlights.forEach((range) => {
+    if (range.start > position) parts.push(snippet.text.slice(position, range.start));
+    parts.push(<mark key={range.start}>{snippet.text.slice(range.start, range.end)}</mark>);
+    position = range.end;
+  });
+  parts.push(snippet.text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Search;
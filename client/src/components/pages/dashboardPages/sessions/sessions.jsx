@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback } from "react";
+import { MonitorSmartphone, Monitor, Smartphone, Globe, Clock, LogOut } from "lucide-react";
+
+import "./style.css";
+import api from "../../../request";
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\//, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const PLATFORMS = [
+  [/iPhone|iPad/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+// User agent -> "Chrome on macOS"
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || "Unknown device";
+};
+
+const isMobile = (userAgent = "") => /Mobi|Android|iPhone|iPad/.test(userAgent);
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [revokingId, setRevokingId] = useState(null); // session id, or "others"
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await api.get("/api/auth/sessions");
+      setSessions(response.data.data.sessions);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to fetch sessions");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revokeSession = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError("");
+    setNotice("");
+    try {
+      const response = await api.delete(`/api/auth/sessions/${sessionId}`);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to sign out device");
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    if (!window.confirm("Sign out every other device?")) return;
+
+    setRevokingId("others");
+    setError("");
+    setNotice("");
+    try {
+      const response = await api.delete("/api/auth/sessions");
+      setSessions((prev) => prev.filter((session) => session.isCurrent));
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to sign out other devices");
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="sessions-loading">
+        <div className="loading-spinner"></div>
+        <p>Loading sessions...</p>
+      </div>
+    );
+  }
+
+  const hasOtherSessions = sessions.some((session) => !session.isCurrent);
+
+  return (
+    <div className="sessions-page">
+      <div className="sessions-container">
+        <div className="sessions-header">
+          <div className="sessions-header-content">
+            <MonitorSmartphone size={32} />
+            <div>
+              <h1 className="sessions-title">Sessions</h1>
+              <p className="sessions-subtitle">Devices signed in to your account</p>
+            </div>
+          </div>
+          {hasOtherSessions && (
+            <button
+              onClick={revokeOtherSessions}
+              className="btn btn-secondary"
+              disabled={revokingId !== null}
+            >
+              <LogOut size={16} />
+              {revokingId === "others" ? "Signing out..." : "Sign out all other devices"}
+            </button>
+          )}
+        </div>
+
+        {error && <div className="sessions-error">{error}</div>}
+        {notice && <div className="sessions-notice">{notice}</div>}
+
+        <ul className="sessions-list">
+          {sessions.map((session) => (
+            <li key={session.id} className="session-item">
+              <div className="session-icon">
+                {isMobile(session.userAgent) ? <Smartphone size={24} /> : <Monitor size={24} />}
+              </div>
+              <div className="session-main">
+                <h3 className="session-device">
+                  {describeDevice(session.userAgent)}
+                  {session.isCurrent && <span className="session-current">This device</span>}
+                </h3>
+                <div className="session-meta">
+                  <span>
+                    <Globe size={14} />
+                    {session.ip || "Unknown IP"}
+                  </span>
+                  <span>
+                    <Clock size={14} />
+                    Last seen {formatDate(session.lastSeenAt)}
+                  </span>
+                  <span>Signed in {formatDate(session.createdAt)}</span>
+                </div>
+              </div>
+              {!session.isCurrent && (
+                <button
+                  onClick={() => revokeSession(session.id)}
+                  className="btn btn-secondary session-revoke"
+                  disabled={revokingId !== null}
+                >
+                  {revokingId === session.id ? "Signing out..." : "Sign out"}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
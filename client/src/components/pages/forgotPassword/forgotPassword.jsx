@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../request';
+import logo from "../../../static/logo.png";
+import './style.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post('/api/auth/forgot-password', { email });
+
+      if (response.data.success) {
+        setSentMessage(response.data.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send the reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <div className="auth-header">
+            <div className="auth-logo">
+              <img src={logo} alt="MyMeet Logo" />
+            </div>
+            <h2 className="auth-title">Forgot your password?</h2>
+            <p className="auth-subtitle">We'll email you a link to choose a new one</p>
+          </div>
+
+          {sentMessage ? (
+            <div className="auth-success">
+              {sentMessage}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              {error && (
+                <div className="auth-error">
+                  {error}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">
+                  Email address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setError('');
+                  }}
+                  placeholder="you@example.com"
+                  required
+                />
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary w-full"
+                disabled={isLoading}
+              >
+                {isLoading ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <div className="auth-footer">
+            <p className="auth-footer-text">
+              Remembered it?{' '}
+              <Link to="/signin" className="auth-link">
+                Sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
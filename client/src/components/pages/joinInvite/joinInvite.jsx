@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useParams, useLocation, Link } from 'react-router-dom';
+import { useApp } from '../../../context/context';
+import api from '../../request';
+import logo from "../../../static/logo.png";
+import './style.css';
+
+const MAX_GUEST_NAME_LENGTH = 50;
+
+// Where an invite link lands: guests pick a display name and go on to the
+// meeting's waiting room; people who are signed in go straight there
+const JoinInvite = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, login, logout } = useApp();
+  const [invite, setInvite] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+
+  // A guest's session ends with the meeting they left
+  const hasLeft = location.state?.hasLeft === true;
+  const isGuestSession = user?.isGuest === true;
+  useEffect(() => {
+    if (isGuestSession) {
+      logout();
+    }
+  }, [isGuestSession, logout]);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    api.get(`/api/invites/${token}`)
+      .then((response) => {
+        if (!isCancelled) setInvite(response.data.data);
+      })
+      .catch((err) => {
+        if (!isCancelled) {
+          setLoadError(err.response?.data?.message || 'Could not open this invite link.');
+        }
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsJoining(true);
+    setError('');
+
+    try {
+      const response = await api.post(`/api/invites/${token}/join`, { name: name.trim() });
+
+      if (response.data.success) {
+        // The link comes along, so the guest can find their way back after leaving
+        login({ ...response.data.data.user, inviteToken: token }, response.data.data.token);
+        navigate(`/room/${response.data.data.user.meetingId}`, { replace: true });
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not join the meeting. Please try again.');
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (loadError) {
+      return <div className="auth-error">{loadError}</div>;
+    }
+
+    if (!invite) {
+      return <p className="join-invite-loading">Loading invite...</p>;
+    }
+
+    // Signed-in users join with their own account
+    if (user && !user.isGuest) {
+      return (
+        <button
+          type="button"
+          className="btn btn-primary w-full"
+          onClick={() => navigate(`/room/${invite.meeting.meetingId}`)}
+        >
+          Join as {user.fullName}
+        </button>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="auth-form">
+        {error && (
+          <div className="auth-error">
+            {error}
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="guest-name" className="form-label">
+            Your name
+          </label>
+          <input
+            type="text"
+            id="guest-name"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError('');
+            }}
+            placeholder="How others will see you"
+            maxLength={MAX_GUEST_NAME_LENGTH}
+            required
+          />
+          <span className="join-invite-hint">
+            You'll join as a guest. The host admits you from the waiting room.
+          </span>
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary w-full"
+          disabled={isJoining || !name.trim()}
+        >
+          {isJoining ? 'Joining...' : hasLeft ? 'Rejoin as guest' : 'Join as guest'}
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <div className="auth-header">
+            <div className="auth-logo">
+              <img src={logo} alt="MyMeet Logo" />
+            </div>
+            <h2 className="auth-title">
+              {hasLeft ? 'You left the meeting' : invite?.meeting.title || 'Join meeting'}
+            </h2>
+            {invite && (
+              <p className="auth-subtitle">
+                {hasLeft ? invite.meeting.title : `Hosted by ${invite.meeting.hostName}`}
+              </p>
+            )}
+          </div>
+
+          {renderBody()}
+
+          {!user && (
+            <div className="auth-footer">
+              <p className="auth-footer-text">
+                Have an account?{' '}
+                <Link to="/signin" className="auth-link">
+                  Sign in
+                </Link>
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JoinInvite;
@@ -1,12 +1,14 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { useApp } from '../../../context/context';
-import api from '../../request';
+import api, { API_BASE_URL } from '../../request';
 import './style.css';
 import logo from "../../../static/logo.png";
 
 const Signin = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { login } = useApp();
   const [formData, setFormData] = useState({
     email: '',
@@ -14,6 +16,23 @@ const Signin = () => {
   });
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [ssoProviders, setSsoProviders] = useState([]);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    api.get('/api/auth/oidc/providers')
+      .then((response) => {
+        if (!isCancelled) setSsoProviders(response.data.data.providers);
+      })
+      .catch(() => {
+        // Password sign-in still works without SSO
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -32,7 +51,8 @@ const Signin = () => {
       const response = await api.post('/api/auth/login', formData);
       
       if (response.data.success) {
-        login(response.data.data.user, response.data.data.token);
+        const { user, token, refreshToken } = response.data.data;
+        login(user, token, refreshToken);
         navigate('/');
       }
     } catch (err) {
@@ -55,6 +75,25 @@ const Signin = () => {
           </div>
 
           <form onSubmit={handleSubmit} className="auth-form">
+            {/* e.g. after a password reset */}
+            {location.state?.message && !error && (
+              <div className="auth-success">
+                {location.state.message}
+              </div>
+            )}
+
+            {searchParams.get('expired') && !location.state?.message && !error && (
+              <div className="auth-error">
+                Your session has ended. Please sign in again.
+              </div>
+            )}
+
+            {searchParams.get('ssoError') && !error && (
+              <div className="auth-error">
+                {searchParams.get('ssoError')}
+              </div>
+            )}
+
             {error && (
               <div className="auth-error">
                 {error}
@@ -91,6 +130,12 @@ const Signin = () => {
               />
             </div>
 
+            <div className="auth-form-links">
+              <Link to="/forgot-password" className="auth-link">
+                Forgot password?
+              </Link>
+            </div>
+
             <button
               type="submit"
               className="btn btn-primary w-full"
@@ -100,6 +145,24 @@ const Signin = () => {
             </button>
           </form>
 
+          {ssoProviders.length > 0 && (
+            <div className="auth-sso">
+              <div className="auth-divider">
+                <span>or</span>
+              </div>
+              {/* A full page load: the provider's sign-in page takes over from here */}
+              {ssoProviders.map((provider) => (
+                <a
+                  key={provider.id}
+                  href={`${API_BASE_URL}/api/auth/oidc/${encodeURIComponent(provider.id)}/start`}
+                  className="btn btn-secondary w-full"
+                >
+                  Sign in with {provider.name}
+                </a>
+              ))}
+            </div>
+          )}
+
           <div className="auth-footer">
             <p className="auth-footer-text">
               Don't have an account?{' '}
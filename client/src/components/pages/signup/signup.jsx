@@ -51,7 +51,8 @@ const Signup = () => {
       });
       
       if (response.data.success) {
-        login(response.data.data.user, response.data.data.token);
+        const { user, token, refreshToken } = response.data.data;
+        login(user, token, refreshToken);
         navigate('/');
       }
     } catch (err) {
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useApp } from '../../../context/context';
+import api from '../../request';
+import logo from "../../../static/logo.png";
+import './style.css';
+
+// Where single sign-on lands: trades the one-time code from the server for
+// the user's tokens
+const SsoCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { login } = useApp();
+  const code = searchParams.get('code');
+  const [exchangeError, setExchangeError] = useState('');
+  const error = code ? exchangeError : 'This sign-in link is incomplete. Please try again.';
+  // The code only works once, so it mustn't be sent twice (e.g. by StrictMode)
+  const requestSentRef = useRef(false);
+
+  useEffect(() => {
+    if (!code || requestSentRef.current) return;
+    requestSentRef.current = true;
+
+    api.post('/api/auth/oidc/exchange', { code })
+      .then((response) => {
+        const { user, token, refreshToken } = response.data.data;
+        login(user, token, refreshToken);
+        navigate('/', { replace: true });
+      })
+      .catch((err) => {
+        setExchangeError(err.response?.data?.message || 'Could not finish signing in. Please try again.');
+      });
+  }, [code, login, navigate]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <div className="auth-header">
+            <div className="auth-logo">
+              <img src={logo} alt="MyMeet Logo" />
+            </div>
+            <h2 className="auth-title">
+              {error ? 'Sign-in failed' : 'Signing you in...'}
+            </h2>
+          </div>
+
+          {error && (
+            <>
+              <div className="auth-error">
+                {error}
+              </div>
+              <div className="auth-footer">
+                <p className="auth-footer-text">
+                  <Link to="/signin" className="auth-link">
+                    Back to sign in
+                  </Link>
+                </p>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useApp } from '../../../context/context';
+import api from '../../request';
+import logo from "../../../static/logo.png";
+import './style.css';
+
+// Where the link in the verification email lands
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, isAuthenticated, updateUser } = useApp();
+  const [status, setStatus] = useState('verifying'); // verifying | verified | failed
+  const [message, setMessage] = useState('');
+  const [verifiedUserId, setVerifiedUserId] = useState(null);
+  // The link only works once, so it mustn't be sent twice (e.g. by StrictMode)
+  const requestSentRef = useRef(false);
+
+  useEffect(() => {
+    if (requestSentRef.current) return;
+    requestSentRef.current = true;
+
+    api.post(`/api/auth/verify-email/${token}`)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+        setVerifiedUserId(response.data.data.user.id);
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setMessage(err.response?.data?.message || 'Could not confirm your email address.');
+      });
+  }, [token]);
+
+  // Opened in the browser they're signed in with: lift the limits right away
+  useEffect(() => {
+    if (verifiedUserId && user?.id === verifiedUserId && user.emailVerified === false) {
+      updateUser({ emailVerified: true });
+    }
+  }, [verifiedUserId, user, updateUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-wrapper">
+        <div className="auth-card">
+          <div className="auth-header">
+            <div className="auth-logo">
+              <img src={logo} alt="MyMeet Logo" />
+            </div>
+            <h2 className="auth-title">
+              {status === 'verifying' ? 'Confirming your email...' : 'Email confirmation'}
+            </h2>
+          </div>
+
+          {status === 'verified' && (
+            <div className="auth-success">
+              {message}. You can now host meetings.
+            </div>
+          )}
+          {status === 'failed' && (
+            <div className="auth-error">
+              {message}
+              {isAuthenticated && ' You can send a new link from your dashboard.'}
+            </div>
+          )}
+
+          {status !== 'verifying' && (
+            <div className="auth-footer">
+              <p className="auth-footer-text">
+                <Link to={isAuthenticated ? '/' : '/signin'} className="auth-link">
+                  {isAuthenticated ? 'Go to your dashboard' : 'Sign in'}
+                </Link>
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
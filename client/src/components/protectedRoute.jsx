@@ -1,8 +1,8 @@
 import { Navigate } from "react-router-dom";
 import { useApp } from "../context/context";
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useApp();
+const ProtectedRoute = ({ children, allowGuests = false }) => {
+  const { user, isAuthenticated, isLoading } = useApp();
 
   if (isLoading) {
     return (
@@ -31,6 +31,11 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/signin" replace />;
   }
 
+  // Guests only have their meeting; anywhere else means they left it
+  if (user?.isGuest && !allowGuests) {
+    return <Navigate to={`/join/${user.inviteToken}`} replace state={{ hasLeft: true }} />;
+  }
+
   return children;
 };
 
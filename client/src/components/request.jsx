@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -23,17 +23,67 @@ api.interceptors.request.use(
   }
 );
 
+// One refresh at a time; requests that fail meanwhile wait for it
+let refreshPromise = null;
+
+/**
+ * Swap the stored refresh token for a new access token (and a new refresh
+ * token). Resolves with the access token; rejects once the session is over.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('mymeet-refresh-token');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('mymeet-token', token);
+        localStorage.setItem('mymeet-refresh-token', nextRefreshToken);
+        return token;
+      })
+      .catch((error) => {
+        // Another tab got there first with the same refresh token
+        const storedRefreshToken = localStorage.getItem('mymeet-refresh-token');
+        if (refreshToken && storedRefreshToken && storedRefreshToken !== refreshToken) {
+          return localStorage.getItem('mymeet-token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const request = error.config;
+
+    // Only signed-in requests can have expired (not e.g. a wrong password at sign-in)
+    if (error.response?.status === 401 && request?.headers?.Authorization) {
+      if (!request.isRetry) {
+        try {
+          const token = await refreshAccessToken();
+          request.isRetry = true;
+          request.headers.Authorization = `Bearer ${token}`;
+          return api(request);
+        } catch {
+          // The session is over; sign out below
+        }
+      }
+
       localStorage.removeItem('mymeet-token');
+      localStorage.removeItem('mymeet-refresh-token');
       localStorage.removeItem('mymeet-user');
-      window.location.href = '/signin';
+      window.location.href = '/signin?expired=1';
     }
     return Promise.reject(error);
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
@@ -5,12 +5,24 @@ import ProtectedRoute from './protectedRoute';
 // Auth pages
 import Signin from './pages/signin/signin';
 import Signup from './pages/signup/signup';
+import JoinInvite from './pages/joinInvite/joinInvite';
+import ForgotPassword from './pages/forgotPassword/forgotPassword';
+import ResetPassword from './pages/resetPassword/resetPassword';
+import VerifyEmail from './pages/verifyEmail/verifyEmail';
+import SsoCallback from './pages/ssoCallback/ssoCallback';
 
 // Dashboard pages
 import DashboardLayout from './dashboardComponents/dashboardLayout/dashboardLayout';
 import Homepage from './pages/dashboardPages/homepage/homepage';
 import MeetingRoom from './pages/dashboardPages/meetingRoom/meetingRoom';
 import Recordings from './pages/dashboardPages/recordings/recordings';
+import RecordingPlayback from './pages/dashboardPages/recordingPlayback/recordingPlayback';
+import Schedule from './pages/dashboardPages/schedule/schedule';
+import Search from './pages/dashboardPages/search/search';
+import MeetingTranscript from './pages/dashboardPages/meetingTranscript/meetingTranscript';
+import PastMeetings from './pages/dashboardPages/pastMeetings/pastMeetings';
+import MeetingAttendance from './pages/dashboardPages/meetingAttendance/meetingAttendance';
+import Sessions from './pages/dashboardPages/sessions/sessions';
 
 const Router = () => {
   const { isAuthenticated } = useApp();
@@ -52,6 +64,27 @@ const Router = () => {
           }
         />
 
+        <Route
+          path="/forgot-password"
+          element={
+            isAuthenticated ? (
+              <Navigate to="/create-room" replace />
+            ) : (
+              <ForgotPassword />
+            )
+          }
+        />
+
+        {/* Links from account emails - work whether or not someone is signed in */}
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
+
+        {/* Where single sign-on lands after the provider */}
+        <Route path="/sso/callback" element={<SsoCallback />} />
+
+        {/* Invite links - open to guests without an account */}
+        <Route path="/join/:token" element={<JoinInvite />} />
+
         {/* Protected dashboard routes */}
         <Route
           path="/"
@@ -62,14 +95,21 @@ const Router = () => {
           }
         >
           <Route path="create-room" element={<Homepage />} />
+          <Route path="schedule" element={<Schedule />} />
           <Route path="recordings" element={<Recordings />} />
+          <Route path="recordings/:recordingId" element={<RecordingPlayback />} />
+          <Route path="search" element={<Search />} />
+          <Route path="meetings" element={<PastMeetings />} />
+          <Route path="meetings/:meetingId" element={<MeetingAttendance />} />
+          <Route path="meetings/:meetingId/transcript" element={<MeetingTranscript />} />
+          <Route path="settings/sessions" element={<Sessions />} />
         </Route>
 
-        {/* Meeting room - protected but outside layout */}
+        {/* Meeting room - protected but outside layout, and open to invited guests */}
         <Route
           path="/room/:meetingId"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute allowGuests>
               <MeetingRoom />
             </ProtectedRoute>
           }
@@ -1,4 +1,5 @@
-import { createContext, useContext, useState, useEffect } from "react";
+import { createContext, useContext, useState, useEffect, useCallback } from "react";
+import api from "../components/request";
 
 const AppContext = createContext();
 
@@ -38,23 +39,48 @@ export const AppProvider = ({ children }) => {
       } catch (error) {
         console.error("Error parsing user data:", error);
         localStorage.removeItem("mymeet-token");
+        localStorage.removeItem("mymeet-refresh-token");
         localStorage.removeItem("mymeet-user");
       }
     }
     setIsLoading(false);
   }, []);
 
-  const login = (userData, token) => {
+  // Guests get no refresh token; their sign-in ends with the meeting
+  const login = (userData, token, refreshToken) => {
     setUser(userData);
     setIsAuthenticated(true);
     localStorage.setItem("mymeet-token", token);
     localStorage.setItem("mymeet-user", JSON.stringify(userData));
+    if (refreshToken) {
+      localStorage.setItem("mymeet-refresh-token", refreshToken);
+    } else {
+      localStorage.removeItem("mymeet-refresh-token");
+    }
   };
 
+  // Merge changes into the signed-in user, e.g. once their email is confirmed
+  const updateUser = useCallback((changes) => {
+    setUser((prevUser) => {
+      const updatedUser = { ...prevUser, ...changes };
+      localStorage.setItem("mymeet-user", JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  }, []);
+
   const logout = () => {
+    // End the session on the server too, so the refresh token can't be reused
+    const refreshToken = localStorage.getItem("mymeet-refresh-token");
+    if (refreshToken) {
+      api.post("/api/auth/logout", { refreshToken }).catch((error) => {
+        console.error("Error ending session:", error);
+      });
+    }
+
     setUser(null);
     setIsAuthenticated(false);
     localStorage.removeItem("mymeet-token");
+    localStorage.removeItem("mymeet-refresh-token");
     localStorage.removeItem("mymeet-user");
   };
 
@@ -68,6 +94,7 @@ export const AppProvider = ({ children }) => {
     isAuthenticated,
     isLoading,
     login,
+    updateUser,
     logout,
     theme,
     toggleTheme,
@@ -1,11 +1,58 @@
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import {
+  issueAccountToken,
+  accountTokenIssuedAt,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from '../utils/accountTokens.js';
+import { startSession, rotateSession, endSession, revokeSessions } from '../utils/sessions.js';
+import {
+  getOidcProviders,
+  getOidcProvider,
+  isPasswordLoginDisabled,
+  createAuthorizationRequest,
+  completeAuthorization,
+} from '../utils/oidc.js';
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
-  });
+// Wait this long before sending another verification email
+const RESEND_VERIFICATION_COOLDOWN = 60 * 1000;
+
+// Ties a single sign-on attempt to the browser that started it
+const SSO_STATE_COOKIE = 'mymeet_oidc_state';
+
+// The frontend has this long to trade a single sign-on result for its tokens
+const SSO_RESULT_TIMEOUT = 60 * 1000;
+
+// Single sign-ons waiting for the frontend to pick up their tokens
+// Structure: Map<code, { user, token, refreshToken, expiresAt }>
+const ssoResults = new Map();
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Helper: Shape a user for auth responses
+const toUserResponse = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  emailVerified: user.emailVerified !== false,
+});
+
+// Helper: Email a fresh verification link. A mail failure is logged rather
+// than failing the request; the user can ask for another link.
+const sendNewVerificationLink = async (user) => {
+  const token = issueAccountToken(user, 'verifyEmail');
+  await user.save();
+  try {
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    return false;
+  }
 };
 
 // @desc    Register a new user
@@ -23,6 +70,14 @@ export const register = async (req, res) => {
       });
     }
 
+    if (isPasswordLoginDisabled(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires single sign-on. Please sign in with your SSO provider.',
+        code: 'SSO_REQUIRED',
+      });
+    }
+
     // Check if user already exists
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -37,21 +92,21 @@ export const register = async (req, res) => {
       fullName,
       email,
       password,
+      emailVerified: false,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sendNewVerificationLink(user);
+
+    // Sign in on this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to confirm your address.',
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-        },
+        user: toUserResponse(user),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -79,6 +134,14 @@ export const login = async (req, res) => {
       });
     }
 
+    if (isPasswordLoginDisabled(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires single sign-on. Please sign in with your SSO provider.',
+        code: 'SSO_REQUIRED',
+      });
+    }
+
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
@@ -97,19 +160,16 @@ export const login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Sign in on this device
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-        },
+        user: toUserResponse(user),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -133,10 +193,7 @@ export const getProfile = async (req, res) => {
       success: true,
       data: {
         user: {
-          id: user._id,
-          fullName: user.fullName,
-          email: user.email,
-          recordings: user.recordings,
+          ...toUserResponse(user),
           createdAt: user.createdAt,
         },
       },
@@ -159,11 +216,7 @@ export const verifyToken = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        user: {
-          id: req.user._id,
-          fullName: req.user.fullName,
-          email: req.user.email,
-        },
+        user: toUserResponse(req.user),
       },
     });
   } catch (error) {
@@ -174,4 +227,527 @@ export const verifyToken = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Confirm an email address with the emailed link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await consumeAccountToken('verifyEmail', req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired',
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address confirmed',
+      data: {
+        user: toUserResponse(user),
+      },
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send another email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationExpires');
+
+    if (user.isEmailVerified()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already confirmed',
+      });
+    }
+
+    const sentAt = accountTokenIssuedAt(user, 'verifyEmail');
+    if (sentAt && Date.now() - sentAt.getTime() < RESEND_VERIFICATION_COOLDOWN) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was just sent. Please wait a minute before asking again.',
+      });
+    }
+
+    const sent = await sendNewVerificationLink(user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address',
+      });
+    }
+
+    // Same answer whether or not the account exists, so this can't be used to
+    // find out who has one
+    // Nothing to reset for domains that sign in with SSO only
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user && !isPasswordLoginDisabled(user.email)) {
+      const token = issueAccountToken(user, 'resetPassword');
+      await user.save();
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link is on its way.',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Set a new password with the emailed link
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const user = await consumeAccountToken('resetPassword', req.params.token);
+    if (!user || isPasswordLoginDisabled(user.email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // The link reached their inbox, which confirms the address too
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password shouldn't stay signed in
+    await revokeSessions(req.app.get('io'), { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. You can now sign in with your new password.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a new access token with a refresh token (which is replaced too)
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshSession = async (req, res) => {
+  try {
+    const { session, token, refreshToken, status, message } = await rotateSession(
+      req.body.refreshToken,
+      req,
+      req.app.get('io')
+    );
+    if (!session) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Sign out this device. Takes the refresh token, so it works after
+//          the access token has expired.
+// @route   POST /api/auth/logout
+// @access  Public
+export const logout = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing out',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          isCurrent: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sessions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const revoked = mongoose.isValidObjectId(sessionId)
+      ? await revokeSessions(req.app.get('io'), { _id: sessionId, userId: req.user._id })
+      : 0;
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing out device',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Sign out every device except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), {
+      userId: req.user._id,
+      _id: { $ne: req.sessionId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: revoked === 1 ? 'Signed out 1 other device' : `Signed out ${revoked} other devices`,
+      data: {
+        revoked,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error signing out other devices',
+      error: error.message,
+    });
+  }
+};
+
+// Helper: Where the provider sends people back to after signing in
+const ssoRedirectUri = (req, providerId) => {
+  const base = process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/auth/oidc/${encodeURIComponent(providerId)}/callback`;
+};
+
+// Helper: Back to the sign-in page with a message
+const redirectWithSsoError = (res, message) => {
+  res.clearCookie(SSO_STATE_COOKIE, { path: '/api/auth/oidc' });
+  res.redirect(`${frontendUrl()}/signin?ssoError=${encodeURIComponent(message)}`);
+};
+
+// Helper: Read one cookie off the request
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+// Helper: The account for a provider's user: already linked, linked now by a
+// verified email address, or created on first sign-in
+const findOrCreateSsoUser = async (provider, claims, io) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linkedUser) return { user: linkedUser };
+
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : '';
+  if (!email) {
+    return { error: `${provider.name} did not share an email address for your account.` };
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    // Otherwise anyone could claim an account by typing its address in at the provider
+    if (!emailVerified) {
+      return {
+        error: `An account with this email already exists. Sign in with your password to link ${provider.name}.`,
+      };
+    }
+    existingUser.identities = [...(existingUser.identities || []), identity];
+
+    // Nobody proved they own an unverified account's address, so whoever set
+    // it up (perhaps in advance, with someone else's email) loses access
+    const wasUnverified = !existingUser.isEmailVerified();
+    if (wasUnverified) {
+      existingUser.password = undefined;
+      existingUser.passwordChangedAt = new Date();
+      existingUser.emailVerified = true;
+    }
+    await existingUser.save();
+    if (wasUnverified) {
+      await revokeSessions(io, { userId: existingUser._id });
+    }
+    return { user: existingUser };
+  }
+
+  const fullName =
+    claims.name ||
+    [claims.given_name, claims.family_name].filter(Boolean).join(' ') ||
+    claims.preferred_username ||
+    email.split('@')[0];
+
+  const user = await User.create({
+    fullName: String(fullName).trim(),
+    email,
+    emailVerified,
+    identities: [identity],
+  });
+  if (!emailVerified) {
+    await sendNewVerificationLink(user);
+  }
+  return { user };
+};
+
+// @desc    List the single sign-on providers people can sign in with
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+export const getSsoProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      providers: getOidcProviders().map(({ id, name }) => ({ id, name })),
+    },
+  });
+};
+
+// @desc    Send the browser to a provider to sign in
+// @route   GET /api/auth/oidc/:providerId/start
+// @access  Public
+export const startSsoLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.providerId);
+    if (!provider) {
+      return redirectWithSsoError(res, 'That sign-in provider is not available.');
+    }
+
+    const { url, state, expiresIn } = await createAuthorizationRequest(
+      provider,
+      ssoRedirectUri(req, provider.id)
+    );
+
+    res.cookie(SSO_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/api/auth/oidc',
+      maxAge: expiresIn,
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('Start SSO login error:', error);
+    redirectWithSsoError(res, 'Could not reach the sign-in provider. Please try again.');
+  }
+};
+
+// @desc    Finish signing in when the provider sends the browser back
+// @route   GET /api/auth/oidc/:providerId/callback
+// @access  Public
+export const handleSsoCallback = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.providerId);
+    if (!provider) {
+      return redirectWithSsoError(res, 'That sign-in provider is not available.');
+    }
+
+    const { code, state, error, error_description: errorDescription } = req.query;
+    if (error) {
+      return redirectWithSsoError(res, errorDescription || `${provider.name} sign-in was cancelled.`);
+    }
+
+    // The state must come back to the same browser that set off
+    if (!state || readCookie(req, SSO_STATE_COOKIE) !== state) {
+      return redirectWithSsoError(res, 'This sign-in link has expired. Please try again.');
+    }
+
+    let claims;
+    try {
+      claims = await completeAuthorization(provider, { code, state });
+    } catch (authError) {
+      console.error('SSO callback error:', authError);
+      return redirectWithSsoError(res, `Could not sign you in with ${provider.name}. Please try again.`);
+    }
+
+    const { user, error: accountError } = await findOrCreateSsoUser(
+      provider,
+      claims,
+      req.app.get('io')
+    );
+    if (accountError) {
+      return redirectWithSsoError(res, accountError);
+    }
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    // Tokens never go in the URL; the frontend trades this code for them
+    const now = Date.now();
+    for (const [pendingCode, result] of ssoResults) {
+      if (result.expiresAt <= now) ssoResults.delete(pendingCode);
+    }
+    const resultCode = crypto.randomBytes(32).toString('base64url');
+    ssoResults.set(resultCode, {
+      user: toUserResponse(user),
+      token,
+      refreshToken,
+      expiresAt: now + SSO_RESULT_TIMEOUT,
+    });
+
+    res.clearCookie(SSO_STATE_COOKIE, { path: '/api/auth/oidc' });
+    res.redirect(`${frontendUrl()}/sso/callback?code=${resultCode}`);
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectWithSsoError(res, 'Something went wrong signing you in. Please try again.');
+  }
+};
+
+// @desc    Trade a single sign-on result code for the user and their tokens
+// @route   POST /api/auth/oidc/exchange
+// @access  Public
+export const exchangeSsoCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const result = typeof code === 'string' ? ssoResults.get(code) : null;
+    if (result) ssoResults.delete(code);
+
+    if (!result || result.expiresAt <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sign-in has expired. Please try again.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Exchange SSO code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during sign-in',
+      error: error.message,
+    });
+  }
+};
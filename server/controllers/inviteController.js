@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import Invite, { INVITE_ROLES } from '../models/Invite.js';
+import { isMeetingModerator } from '../utils/roomSettings.js';
+import {
+  signInviteToken,
+  findInviteByToken,
+  signGuestToken,
+  MAX_GUEST_NAME_LENGTH,
+} from '../utils/invites.js';
+
+const DEFAULT_INVITE_HOURS = 24;
+const MAX_INVITE_HOURS = 30 * 24;
+
+// Helper: Shape an invite for the host's list of links
+const toInviteResponse = (invite) => ({
+  id: invite._id,
+  token: signInviteToken(invite),
+  role: invite.role,
+  singleUse: invite.singleUse,
+  uses: invite.uses,
+  expiresAt: invite.expiresAt,
+  createdByName: invite.createdByName,
+  createdAt: invite.createdAt,
+});
+
+// Helper: Load a meeting and check the current user moderates it.
+// Returns { meeting } or { status, message }.
+const loadModeratedMeeting = async (meetingId, user) => {
+  const meeting = await Meeting.findOne({ meetingId }).select('meetingId hostId roles status');
+  if (!meeting) {
+    return { status: 404, message: 'Meeting not found' };
+  }
+  if (!isMeetingModerator(meeting, user._id)) {
+    return { status: 403, message: 'Only the host and co-hosts can manage invite links' };
+  }
+  return { meeting };
+};
+
+// @desc    Create an invite link for guests without an account
+// @route   POST /api/meetings/:meetingId/invites
+// @access  Private (host and co-hosts)
+export const createInvite = async (req, res) => {
+  try {
+    const { meeting, status, message } = await loadModeratedMeeting(req.params.meetingId, req.user);
+    if (!meeting) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { role = 'participant', singleUse = false, expiresInHours = DEFAULT_INVITE_HOURS } = req.body;
+
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${INVITE_ROLES.join(', ')}`,
+      });
+    }
+
+    if (typeof singleUse !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'singleUse must be true or false',
+      });
+    }
+
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invite links can last up to ${MAX_INVITE_HOURS / 24} days`,
+      });
+    }
+
+    const invite = await Invite.create({
+      meetingId: meeting.meetingId,
+      createdBy: req.user._id,
+      createdByName: req.user.fullName,
+      role,
+      singleUse,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created',
+      data: {
+        invite: toInviteResponse(invite),
+      },
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invite link',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a meeting's outstanding invite links
+// @route   GET /api/meetings/:meetingId/invites
+// @access  Private (host and co-hosts)
+export const getInvites = async (req, res) => {
+  try {
+    const { meeting, status, message } = await loadModeratedMeeting(req.params.meetingId, req.user);
+    if (!meeting) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const invites = await Invite.find({
+      meetingId: meeting.meetingId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites: invites.filter((invite) => invite.isUsable()).map(toInviteResponse),
+      },
+    });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invite links',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke an invite link. Guests who joined with it can't reconnect.
+// @route   DELETE /api/meetings/:meetingId/invites/:inviteId
+// @access  Private (host and co-hosts)
+export const revokeInvite = async (req, res) => {
+  try {
+    const { meeting, status, message } = await loadModeratedMeeting(req.params.meetingId, req.user);
+    if (!meeting) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { inviteId } = req.params;
+    const invite = mongoose.isValidObjectId(inviteId)
+      ? await Invite.findOneAndUpdate(
+          { _id: inviteId, meetingId: meeting.meetingId, revokedAt: null },
+          { $set: { revokedAt: new Date() } },
+          { new: true }
+        )
+      : null;
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link revoked',
+    });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking invite link',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the meeting an invite link is for
+// @route   GET /api/invites/:token
+// @access  Public
+export const getInvite = async (req, res) => {
+  try {
+    const { invite, status, message } = await findInviteByToken(req.params.token);
+    if (!invite) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const meeting = await Meeting.findOne({ meetingId: invite.meetingId }).select(
+      'meetingId title hostName status scheduledStart'
+    );
+    if (!meeting || ['ended', 'cancelled'].includes(meeting.status)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This meeting is over',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        meeting: {
+          meetingId: meeting.meetingId,
+          title: meeting.title,
+          hostName: meeting.hostName,
+          status: meeting.status,
+          scheduledStart: meeting.scheduledStart,
+        },
+        invite: {
+          role: invite.role,
+          expiresAt: invite.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invite',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Join a meeting as a guest with an invite link
+// @route   POST /api/invites/:token/join
+// @access  Public
+export const joinAsGuest = async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_GUEST_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Please enter a name of up to ${MAX_GUEST_NAME_LENGTH} characters`,
+      });
+    }
+
+    const { invite, status, message } = await findInviteByToken(req.params.token);
+    if (!invite) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const meeting = await Meeting.findOne({ meetingId: invite.meetingId }).select('status');
+    if (!meeting || ['ended', 'cancelled'].includes(meeting.status)) {
+      return res.status(410).json({
+        success: false,
+        message: 'This meeting is over',
+      });
+    }
+
+    // Count the use; a single-use link only matches while it is still unused,
+    // so two guests racing for it can't both get in
+    const used = await Invite.findOneAndUpdate(
+      { _id: invite._id, revokedAt: null, ...(invite.singleUse && { uses: 0 }) },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!used) {
+      return res.status(410).json({
+        success: false,
+        message: 'This invite link is no longer valid',
+      });
+    }
+
+    const { id, token } = signGuestToken(invite, name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined as a guest',
+      data: {
+        user: {
+          id,
+          fullName: name,
+          email: null,
+          isGuest: true,
+          meetingId: invite.meetingId,
+        },
+        token,
+      },
+    });
+  } catch (error) {
+    console.error('Join as guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining meeting',
+      error: error.message,
+    });
+  }
+};
@@ -1,8 +1,145 @@
 import { v4 as uuidv4 } from 'uuid';
 import Meeting from '../models/Meeting.js';
-import User from '../models/User.js';
-import path from 'path';
-import fs from 'fs';
+import Transcription from '../models/Transcription.js';
+import Poll from '../models/Poll.js';
+import { expandOccurrences, getNextOccurrence } from '../utils/schedule.js';
+import { buildMeetingIcs } from '../utils/ics.js';
+import { isMeetingModerator, sanitizeRoomSettings, withoutPasscode } from '../utils/roomSettings.js';
+import { createMeetingWithCode, findMeetingByReference } from '../utils/meetingCodes.js';
+import { attendedMeetingsQuery } from '../utils/meetingAccess.js';
+import { summarizeAttendance, buildAttendanceCsv } from '../utils/attendance.js';
+import { transcriptionHistory } from '../utils/liveTranscripts.js';
+import { buildIceConfiguration } from '../utils/iceServers.js';
+
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const RECURRENCE_FREQUENCIES = ['none', 'daily', 'weekly', 'monthly'];
+
+// Default agenda window when the client doesn't pass one
+const DEFAULT_AGENDA_DAYS = 30;
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// Helper: Validate schedule fields from a request body. Fields missing from the
+// body fall back to `current` so the same check works for create and update.
+const parseScheduleInput = (body, current = {}) => {
+  const scheduledStart = body.scheduledStart !== undefined
+    ? new Date(body.scheduledStart)
+    : current.scheduledStart;
+  const duration = body.duration !== undefined ? Number(body.duration) : current.duration ?? 60;
+  const invitees = body.invitees !== undefined ? body.invitees : current.invitees || [];
+  const recurrence = body.recurrence !== undefined
+    ? body.recurrence || {}
+    : current.recurrence || {};
+
+  if (!scheduledStart || Number.isNaN(new Date(scheduledStart).getTime())) {
+    return { error: 'Please provide a valid scheduled start time' };
+  }
+
+  if (!Number.isFinite(duration) || duration < 5 || duration > 24 * 60) {
+    return { error: 'Duration must be between 5 minutes and 24 hours' };
+  }
+
+  if (!Array.isArray(invitees)) {
+    return { error: 'Invitees must be a list of email addresses' };
+  }
+
+  const normalizedInvitees = [...new Set(invitees.map((email) => String(email).trim().toLowerCase()))]
+    .filter(Boolean);
+  const invalidEmail = normalizedInvitees.find((email) => !EMAIL_REGEX.test(email));
+  if (invalidEmail) {
+    return { error: `Invalid invitee email: ${invalidEmail}` };
+  }
+
+  const frequency = recurrence.frequency || 'none';
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: 'Recurrence must be daily, weekly or monthly' };
+  }
+
+  let until;
+  if (frequency !== 'none') {
+    if (!recurrence.until) {
+      return { error: 'Recurring meetings need an end date' };
+    }
+    until = new Date(recurrence.until);
+    if (Number.isNaN(until.getTime()) || until <= new Date(scheduledStart)) {
+      return { error: 'Recurrence end date must be after the first meeting' };
+    }
+  }
+
+  return {
+    values: {
+      scheduledStart: new Date(scheduledStart),
+      duration,
+      invitees: normalizedInvitees,
+      recurrence: { frequency, until },
+    },
+  };
+};
+
+// Helper: Can this user see a scheduled meeting (host, invitee or participant)
+const canViewMeeting = (meeting, user) => {
+  const userId = user._id.toString();
+  const hostId = (meeting.hostId?._id || meeting.hostId).toString();
+  return (
+    hostId === userId ||
+    (meeting.invitees || []).includes(user.email.toLowerCase()) ||
+    meeting.participants.some((p) => p.userId && p.userId.toString() === userId)
+  );
+};
+
+// Helper: Did this user host or join the meeting
+const hasAttended = (meeting, userId) => {
+  const id = userId.toString();
+  return (
+    (meeting.hostId?._id || meeting.hostId).toString() === id ||
+    meeting.participants.some((p) => p.userId && (p.userId._id || p.userId).toString() === id)
+  );
+};
+
+// Helper: Transcript lines for attendance - the saved transcript, or the live
+// one while the meeting is still running
+const getSpokenEntries = async (meetingId) => {
+  const transcription = await Transcription.findOne({ meetingId }).select('entries.userId').lean();
+  return transcription?.entries || transcriptionHistory.get(meetingId) || [];
+};
+
+// Helper: Load a meeting with its attendance summary, checking the user attended
+const loadAttendance = async (meetingId, user) => {
+  const meeting = await Meeting.findOne({ meetingId }).populate('participants.userId', 'fullName email');
+  if (!meeting) return { status: 404, message: 'Meeting not found' };
+  if (!hasAttended(meeting, user._id)) {
+    return { status: 403, message: 'You did not attend this meeting' };
+  }
+  const attendees = summarizeAttendance(meeting, await getSpokenEntries(meetingId));
+  return { meeting, attendees };
+};
+
+// Helper: Validate the optional passcode in a request body. Returns
+// { settings } to store on the meeting, or { error }.
+const parsePasscodeInput = (body, currentSettings) => {
+  if (body.passcode === undefined) return { settings: currentSettings };
+  return sanitizeRoomSettings({ passcode: body.passcode }, currentSettings);
+};
+
+// Helper: Shape a scheduled meeting for API responses. Only the host sees the passcode.
+const formatScheduledMeeting = (meeting, userId) => ({
+  id: meeting._id,
+  meetingId: meeting.meetingId,
+  code: meeting.code,
+  passcode: meeting.hostId.toString() === userId.toString() ? meeting.settings?.passcode || '' : undefined,
+  requiresPasscode: Boolean(meeting.settings?.passcode),
+  title: meeting.title,
+  hostName: meeting.hostName,
+  isHost: meeting.hostId.toString() === userId.toString(),
+  status: meeting.status,
+  scheduledStart: meeting.scheduledStart,
+  duration: meeting.duration,
+  agenda: meeting.agenda,
+  invitees: meeting.invitees,
+  recurrence: meeting.recurrence,
+  startedAt: meeting.startedAt,
+});
 
 // @desc    Create a new meeting
 // @route   POST /api/meetings/create
@@ -12,8 +149,17 @@ export const createMeeting = async (req, res) => {
     const { title } = req.body;
     const meetingId = uuidv4();
 
-    const meeting = await Meeting.create({
+    const { error, settings } = parsePasscodeInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const meeting = await createMeetingWithCode({
       meetingId,
+      settings,
       hostId: req.user._id,
       hostName: req.user.fullName,
       title: title || 'Untitled Meeting',
@@ -32,6 +178,8 @@ export const createMeeting = async (req, res) => {
         meeting: {
           id: meeting._id,
           meetingId: meeting.meetingId,
+          code: meeting.code,
+          passcode: meeting.settings.passcode,
           title: meeting.title,
           hostName: meeting.hostName,
           startedAt: meeting.startedAt,
@@ -48,6 +196,53 @@ export const createMeeting = async (req, res) => {
   }
 };
 
+// @desc    Look up a meeting from its code or ID, e.g. typed into "Join meeting"
+// @route   GET /api/meetings/resolve/:reference
+// @access  Private
+export const resolveMeeting = async (req, res) => {
+  try {
+    const meeting = await findMeetingByReference(
+      req.params.reference,
+      'meetingId code title hostName status settings.passcode'
+    );
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'No meeting found with that code',
+      });
+    }
+
+    if (['ended', 'cancelled'].includes(meeting.status)) {
+      return res.status(410).json({
+        success: false,
+        message: `This meeting has ${meeting.status === 'ended' ? 'ended' : 'been cancelled'}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        meeting: {
+          meetingId: meeting.meetingId,
+          code: meeting.code,
+          title: meeting.title,
+          hostName: meeting.hostName,
+          status: meeting.status,
+          requiresPasscode: Boolean(meeting.settings?.passcode),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Resolve meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error looking up meeting',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Get meeting details
 // @route   GET /api/meetings/:meetingId
 // @access  Private
@@ -72,6 +267,7 @@ export const getMeeting = async (req, res) => {
         meeting: {
           id: meeting._id,
           meetingId: meeting.meetingId,
+          code: meeting.code,
           title: meeting.title,
           hostName: meeting.hostName,
           hostId: meeting.hostId,
@@ -79,6 +275,17 @@ export const getMeeting = async (req, res) => {
           status: meeting.status,
           startedAt: meeting.startedAt,
           endedAt: meeting.endedAt,
+          scheduledStart: meeting.scheduledStart,
+          duration: meeting.duration,
+          agenda: meeting.agenda,
+          recurrence: meeting.recurrence,
+          // The passcode only goes to the host and co-hosts (hostId is populated here)
+          settings: isMeetingModerator(
+            { hostId: meeting.populated('hostId') || meeting.hostId, roles: meeting.roles },
+            req.user._id
+          )
+            ? meeting.settings
+            : withoutPasscode(meeting.settings?.toObject()),
           isRecording: meeting.isRecording,
           recording: meeting.recording,
         },
@@ -110,18 +317,30 @@ export const endMeeting = async (req, res) => {
       });
     }
 
-    // Only host can end the meeting
-    if (meeting.hostId.toString() !== req.user._id.toString()) {
+    // Only the host (the owner, or whoever the role was handed to) can end the meeting
+    const currentHostId = meeting.roles?.host || meeting.hostId;
+    if (currentHostId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Only the host can end the meeting',
       });
     }
 
-    meeting.status = 'ended';
     meeting.endedAt = new Date();
+    // A recurring series stays scheduled until its last occurrence is over
+    const isRecurring = meeting.recurrence?.frequency && meeting.recurrence.frequency !== 'none';
+    meeting.status = isRecurring && getNextOccurrence(meeting, meeting.endedAt) ? 'scheduled' : 'ended';
+    // A handed-over host role lasts for one session; co-hosts carry over
+    meeting.roles.host = undefined;
     await meeting.save();
 
+    // Polls still running end with the meeting (ones whose time ran out keep their close time)
+    const now = new Date();
+    await Poll.updateMany(
+      { meetingId, status: 'open', $or: [{ closesAt: null }, { closesAt: { $gt: now } }] },
+      { status: 'closed', closedAt: now }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Meeting ended successfully',
@@ -143,13 +362,13 @@ export const endMeeting = async (req, res) => {
   }
 };
 
-// @desc    Save recording metadata (file already uploaded)
-// @route   POST /api/meetings/:meetingId/recording
+// @desc    Update recording status
+// @route   PUT /api/meetings/:meetingId/recording-status
 // @access  Private
-export const saveRecording = async (req, res) => {
+export const updateRecordingStatus = async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { recordingUrl, duration, fileSize, participants } = req.body;
+    const { isRecording } = req.body;
 
     const meeting = await Meeting.findOne({ meetingId });
 
@@ -160,136 +379,215 @@ export const saveRecording = async (req, res) => {
       });
     }
 
-    // Only participants can save recordings
-    const isParticipant = meeting.participants.some(
-      p => p.userId.toString() === req.user._id.toString()
-    );
-    
-    if (!isParticipant && meeting.hostId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    meeting.isRecording = isRecording;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recording status updated',
+      data: {
+        isRecording: meeting.isRecording,
+      },
+    });
+  } catch (error) {
+    console.error('Update recording status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating recording status',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Schedule a meeting for later (optionally recurring)
+// @route   POST /api/meetings/schedule
+// @access  Private
+export const scheduleMeeting = async (req, res) => {
+  try {
+    const { title, agenda } = req.body;
+
+    const { error, values } = parseScheduleInput(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'Only participants can save recordings',
+        message: error,
       });
     }
 
-    // Update meeting with recording info
-    meeting.recording = {
-      recordingUrl,
-      duration: duration || 0,
-      fileSize: fileSize || 0,
-      recordedBy: req.user._id,
-      recordedByName: req.user.fullName,
-      participants: participants || [],
-      recordedAt: new Date(),
-    };
-    meeting.isRecording = false;
-    await meeting.save();
+    if (values.scheduledStart < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled start time must be in the future',
+      });
+    }
 
-    // Add recording to user's profile
-    const user = await User.findById(req.user._id);
-    user.recordings.push({
-      meetingId,
-      meetingTitle: meeting.title,
-      recordingUrl,
-      duration: duration || 0,
-      fileSize: fileSize || 0,
-      participants: participants || [],
-      recordedAt: new Date(),
+    const passcode = parsePasscodeInput(req.body);
+    if (passcode.error) {
+      return res.status(400).json({
+        success: false,
+        message: passcode.error,
+      });
+    }
+
+    const meeting = await createMeetingWithCode({
+      meetingId: uuidv4(),
+      settings: passcode.settings,
+      hostId: req.user._id,
+      hostName: req.user.fullName,
+      title: title || 'Untitled Meeting',
+      agenda: agenda || '',
+      status: 'scheduled',
+      ...values,
     });
-    await user.save();
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Recording saved successfully',
+      message: 'Meeting scheduled successfully',
       data: {
-        recording: meeting.recording,
+        meeting: formatScheduledMeeting(meeting, req.user._id),
       },
     });
   } catch (error) {
-    console.error('Save recording error:', error);
+    console.error('Schedule meeting error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error saving recording',
+      message: 'Server error scheduling meeting',
       error: error.message,
     });
   }
 };
 
-// @desc    Get user's recordings
-// @route   GET /api/meetings/recordings
+// @desc    List upcoming scheduled meetings the user hosts or is invited to,
+//          expanded into occurrences between `from` and `to`
+// @route   GET /api/meetings/scheduled
 // @access  Private
-export const getRecordings = async (req, res) => {
+export const getScheduledMeetings = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('recordings');
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_AGENDA_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range',
+      });
+    }
+
+    const meetings = await Meeting.find({
+      status: { $in: ['scheduled', 'active'] },
+      scheduledStart: { $exists: true, $lte: to },
+      $or: [
+        { hostId: req.user._id },
+        { invitees: req.user.email.toLowerCase() },
+      ],
+    });
+
+    const occurrences = meetings
+      .flatMap((meeting) =>
+        expandOccurrences(meeting, from, to).map((occurrence) => ({
+          ...formatScheduledMeeting(meeting, req.user._id),
+          occurrenceStart: occurrence.start,
+          occurrenceEnd: occurrence.end,
+          occurrenceIndex: occurrence.index,
+        }))
+      )
+      .sort((a, b) => new Date(a.occurrenceStart) - new Date(b.occurrenceStart));
 
     res.status(200).json({
       success: true,
       data: {
-        recordings: user.recordings.sort((a, b) => 
-          new Date(b.recordedAt) - new Date(a.recordedAt)
-        ),
+        occurrences,
+        from,
+        to,
       },
     });
   } catch (error) {
-    console.error('Get recordings error:', error);
+    console.error('Get scheduled meetings error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching recordings',
+      message: 'Server error fetching scheduled meetings',
       error: error.message,
     });
   }
 };
 
-// @desc    Delete a recording
-// @route   DELETE /api/meetings/recordings/:recordingId
+// @desc    Update a scheduled meeting or series
+// @route   PUT /api/meetings/:meetingId/schedule
 // @access  Private
-export const deleteRecording = async (req, res) => {
+export const updateScheduledMeeting = async (req, res) => {
   try {
-    const { recordingId } = req.params;
+    const { meetingId } = req.params;
+    const { title, agenda } = req.body;
 
-    const user = await User.findById(req.user._id);
-    const recordingIndex = user.recordings.findIndex(
-      (rec) => rec._id.toString() === recordingId
-    );
+    const meeting = await Meeting.findOne({ meetingId });
 
-    if (recordingIndex === -1) {
+    if (!meeting) {
       return res.status(404).json({
         success: false,
-        message: 'Recording not found',
+        message: 'Meeting not found',
       });
     }
 
-    const recording = user.recordings[recordingIndex];
-    
-    // Delete file from filesystem if it exists
-    if (recording.recordingUrl && recording.recordingUrl.startsWith('/uploads')) {
-      const filePath = path.join(process.cwd(), recording.recordingUrl);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+    if (meeting.hostId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can update the meeting',
+      });
+    }
+
+    if (meeting.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled meetings can be updated',
+      });
+    }
+
+    const { error, values } = parseScheduleInput(req.body, meeting);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const passcode = parsePasscodeInput(req.body, meeting.settings.toObject());
+    if (passcode.error) {
+      return res.status(400).json({
+        success: false,
+        message: passcode.error,
+      });
     }
 
-    user.recordings.splice(recordingIndex, 1);
-    await user.save();
+    if (title !== undefined) meeting.title = title || 'Untitled Meeting';
+    meeting.settings.passcode = passcode.settings.passcode;
+    if (agenda !== undefined) meeting.agenda = agenda;
+    meeting.set(values);
+    meeting.sequence += 1;
+    await meeting.save();
 
     res.status(200).json({
       success: true,
-      message: 'Recording deleted successfully',
+      message: 'Meeting updated successfully',
+      data: {
+        meeting: formatScheduledMeeting(meeting, req.user._id),
+      },
     });
   } catch (error) {
-    console.error('Delete recording error:', error);
+    console.error('Update scheduled meeting error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error deleting recording',
+      message: 'Server error updating meeting',
       error: error.message,
     });
   }
 };
 
-// @desc    Get meeting recording
-// @route   GET /api/meetings/:meetingId/recording
+// @desc    Cancel a scheduled meeting or series
+// @route   PUT /api/meetings/:meetingId/cancel
 // @access  Private
-export const getMeetingRecording = async (req, res) => {
+export const cancelScheduledMeeting = async (req, res) => {
   try {
     const { meetingId } = req.params;
 
@@ -302,36 +600,47 @@ export const getMeetingRecording = async (req, res) => {
       });
     }
 
-    if (!meeting.recording) {
-      return res.status(404).json({
+    if (meeting.hostId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
         success: false,
-        message: 'No recording found for this meeting',
+        message: 'Only the host can cancel the meeting',
       });
     }
 
+    if (meeting.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled meetings can be cancelled',
+      });
+    }
+
+    meeting.status = 'cancelled';
+    meeting.sequence += 1;
+    await meeting.save();
+
     res.status(200).json({
       success: true,
+      message: 'Meeting cancelled successfully',
       data: {
-        recording: meeting.recording,
+        meeting: formatScheduledMeeting(meeting, req.user._id),
       },
     });
   } catch (error) {
-    console.error('Get meeting recording error:', error);
+    console.error('Cancel scheduled meeting error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching recording',
+      message: 'Server error cancelling meeting',
       error: error.message,
     });
   }
 };
 
-// @desc    Update recording status
-// @route   PUT /api/meetings/:meetingId/recording-status
+// @desc    Start a scheduled meeting now
+// @route   PUT /api/meetings/:meetingId/start
 // @access  Private
-export const updateRecordingStatus = async (req, res) => {
+export const startScheduledMeeting = async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { isRecording } = req.body;
 
     const meeting = await Meeting.findOne({ meetingId });
 
@@ -342,22 +651,276 @@ export const updateRecordingStatus = async (req, res) => {
       });
     }
 
-    meeting.isRecording = isRecording;
-    await meeting.save();
+    if (meeting.hostId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can start the meeting',
+      });
+    }
+
+    if (meeting.status === 'cancelled' || meeting.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: `This meeting has been ${meeting.status}`,
+      });
+    }
+
+    if (meeting.status === 'scheduled') {
+      meeting.status = 'active';
+      meeting.startedAt = new Date();
+      meeting.endedAt = undefined;
+
+      const isHostListed = meeting.participants.some(
+        (p) => p.userId && p.userId.toString() === req.user._id.toString()
+      );
+      if (!isHostListed) {
+        meeting.participants.push({
+          userId: req.user._id,
+          name: req.user.fullName,
+        });
+      }
+
+      await meeting.save();
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Recording status updated',
+      message: 'Meeting started successfully',
       data: {
-        isRecording: meeting.isRecording,
+        meeting: {
+          id: meeting._id,
+          meetingId: meeting.meetingId,
+          code: meeting.code,
+          passcode: meeting.settings.passcode,
+          title: meeting.title,
+          hostName: meeting.hostName,
+          startedAt: meeting.startedAt,
+        },
       },
     });
   } catch (error) {
-    console.error('Update recording status error:', error);
+    console.error('Start scheduled meeting error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error updating recording status',
+      message: 'Server error starting meeting',
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Download an .ics invite for a meeting or recurring series
+// @route   GET /api/meetings/:meetingId/ics
+// @access  Private
+export const downloadMeetingIcs = async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+
+    const meeting = await Meeting.findOne({ meetingId }).populate('hostId', 'email');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found',
+      });
+    }
+
+    if (!meeting.scheduledStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'This meeting was not scheduled',
+      });
+    }
+
+    if (!canViewMeeting(meeting, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not invited to this meeting',
+      });
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const ics = buildMeetingIcs(meeting, {
+      joinUrl: `${frontendUrl}/room/${meeting.meetingId}`,
+      organizerEmail: meeting.hostId?.email,
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="meeting-${meeting.meetingId}.ics"`
+    );
+    res.status(200).send(ics);
+  } catch (error) {
+    console.error('Download meeting ics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating calendar invite',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get meetings the current user hosted or attended, newest first
+// @route   GET /api/meetings/history?before=&limit=
+// @access  Private
+export const getMeetingHistory = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+
+    const query = {
+      ...attendedMeetingsQuery(userId),
+      startedAt: { $ne: null },
+    };
+    // Pagination support - get meetings started before a certain time
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid before date',
+        });
+      }
+      query.startedAt = { $lt: before };
+    }
+
+    // One extra tells us whether there is another page
+    const meetings = await Meeting.find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit + 1);
+    const hasMore = meetings.length > limit;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        meetings: meetings.slice(0, limit).map((meeting) => {
+          const own = summarizeAttendance(meeting).find(
+            (attendee) => attendee.userId === userId.toString()
+          );
+          return {
+            id: meeting._id,
+            meetingId: meeting.meetingId,
+            title: meeting.title,
+            hostName: meeting.hostName,
+            isHost: meeting.hostId.toString() === userId.toString(),
+            status: meeting.status,
+            startedAt: meeting.startedAt,
+            endedAt: meeting.endedAt,
+            participantCount: meeting.participants.length,
+            myTotalSeconds: own?.totalSeconds || 0,
+          };
+        }),
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Get meeting history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching meeting history',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a meeting's attendance: time in the meeting, sessions and who spoke
+// @route   GET /api/meetings/:meetingId/attendance
+// @access  Private (attendees)
+export const getMeetingAttendance = async (req, res) => {
+  try {
+    const { meeting, attendees, status, message } = await loadAttendance(
+      req.params.meetingId,
+      req.user
+    );
+    if (!meeting) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        meeting: {
+          meetingId: meeting.meetingId,
+          title: meeting.title,
+          hostName: meeting.hostName,
+          status: meeting.status,
+          startedAt: meeting.startedAt,
+          endedAt: meeting.endedAt,
+          canDownloadReport: isMeetingModerator(meeting, req.user._id),
+        },
+        attendees,
+      },
+    });
+  } catch (error) {
+    console.error('Get meeting attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching attendance',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download the attendance report as CSV
+// @route   GET /api/meetings/:meetingId/attendance/csv
+// @access  Private (host and co-hosts)
+export const downloadAttendanceCsv = async (req, res) => {
+  try {
+    const { meeting, attendees, status, message } = await loadAttendance(
+      req.params.meetingId,
+      req.user
+    );
+    if (!meeting) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (!isMeetingModerator(meeting, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can download the attendance report',
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="attendance-${meeting.meetingId}.csv"`
+    );
+    res.status(200).send(buildAttendanceCsv(attendees));
+  } catch (error) {
+    console.error('Download attendance csv error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating attendance report',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the ICE servers (STUN, and TURN with short-lived credentials) for joining a meeting
+// @route   GET /api/meetings/:meetingId/ice-servers
+// @access  Private
+export const getIceServers = async (req, res) => {
+  try {
+    const meeting = await Meeting.findOne({ meetingId: req.params.meetingId }).select('settings');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildIceConfiguration(req.user._id, { relayOnly: meeting.settings?.relayOnly }),
+    });
+  } catch (error) {
+    console.error('Get ICE servers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching connection settings',
+      error: error.message,
+    });
+  }
+};
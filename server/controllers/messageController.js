@@ -1,4 +1,119 @@
-import Message from "../models/Message.js";
+import mongoose from "mongoose";
+import Message, { MESSAGE_REACTIONS, MESSAGE_AUDIENCES } from "../models/Message.js";
+import Meeting from "../models/Meeting.js";
+import User from "../models/User.js";
+import { isMeetingModerator } from "../utils/roomSettings.js";
+import { attendedMeetingsQuery, readableMessagesQuery } from "../utils/meetingAccess.js";
+import {
+  getAttachmentRules,
+  getAttachmentPath,
+  removeAttachmentFiles,
+} from "../utils/attachmentStorage.js";
+import { breakoutSessions, getMediaChannel, getUserBreakout } from "../utils/breakouts.js";
+
+// More than this many mentions in one message is treated as spam
+const MAX_MENTIONS = 20;
+
+// Helper: Send a chat event to everyone who can read the message - the whole
+// meeting room (or the breakout room it was sent in, while that is open),
+// or for private messages just the sender and recipients
+const broadcast = (req, message, event, payload) => {
+  const io = req.app.get("io");
+  if (!io) return;
+
+  if (message.recipients.length === 0) {
+    const breakoutIsOpen = breakoutSessions.get(message.meetingId)?.rooms.has(message.breakoutId);
+    io.to(breakoutIsOpen ? getMediaChannel(message.meetingId, message.breakoutId) : message.meetingId)
+      .emit(event, payload);
+    return;
+  }
+  const userIds = [message.userId, ...message.recipients.map((recipient) => recipient.userId)];
+  io.to(userIds.map((id) => `user:${id}`)).emit(event, payload);
+};
+
+// Helper: Keep the requested mentions whose "@Full Name" appears in the text
+const resolveMentions = async (content, userIds, author) => {
+  const ids = [...new Set((Array.isArray(userIds) ? userIds : []).map(String))]
+    .filter((id) => mongoose.isValidObjectId(id) && id !== author._id.toString())
+    .slice(0, MAX_MENTIONS);
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } }).select("fullName");
+  const text = content.toLowerCase();
+  return users
+    .filter((user) => text.includes(`@${user.fullName.toLowerCase()}`))
+    .map((user) => ({ userId: user._id, userName: user.fullName }));
+};
+
+// Helper: While breakout rooms are open, each one only sees its own messages
+// (and private ones). Afterwards the whole meeting's chat is readable again.
+const breakoutScopeQuery = (meetingId, userId) => {
+  if (!breakoutSessions.has(meetingId)) return {};
+  return {
+    $and: [
+      {
+        $or: [
+          { breakoutId: getUserBreakout(meetingId, userId)?.id || null },
+          { "recipients.0": { $exists: true } },
+        ],
+      },
+    ],
+  };
+};
+
+// Helper: Only people who hosted or joined a meeting can share and open its files
+const isMeetingParticipant = async (meetingId, userId) =>
+  !!(await Meeting.exists({ meetingId, ...attendedMeetingsQuery(userId) }));
+
+// Helper: For routes without the meeting in their path - guests only ever get
+// the meeting they were invited to, everyone else the meetings they attended
+const canAccessMeetingChat = async (meetingId, user) =>
+  user.isGuest ? meetingId === user.meetingId : isMeetingParticipant(meetingId, user._id);
+
+// Helper: Work out who a new private message goes to: one participant of the
+// meeting, or its host and co-hosts. Returns { recipients } or { status, error }.
+const resolveRecipients = async (audience, recipientId, meeting, meetingId, author) => {
+  const authorId = author._id.toString();
+
+  if (audience === "participant") {
+    if (!mongoose.isValidObjectId(recipientId) || String(recipientId) === authorId) {
+      return { status: 400, error: "Choose who to send the private message to" };
+    }
+    // Looked up among the meeting's participants, since guests have no account
+    const found = await Meeting.findOne(
+      { meetingId, "participants.userId": recipientId },
+      { "participants.$": 1 }
+    );
+    if (!found) {
+      return { status: 404, error: "That person isn't part of this meeting" };
+    }
+    const [recipient] = found.participants;
+    return { recipients: [{ userId: recipient.userId, userName: recipient.name }] };
+  }
+
+  if (!meeting) {
+    return { status: 404, error: "Meeting not found" };
+  }
+  const hostIds = [
+    ...new Set(
+      [meeting.roles?.host || meeting.hostId, ...(meeting.roles?.coHosts || [])].map(String)
+    ),
+  ].filter((id) => id !== authorId);
+  if (hostIds.length === 0) {
+    return { status: 400, error: "There are no other hosts in this meeting" };
+  }
+  const hosts = await User.find({ _id: { $in: hostIds } }).select("fullName");
+  return { recipients: hosts.map((host) => ({ userId: host._id, userName: host.fullName })) };
+};
+
+// Helper: Shape an uploaded file as a message attachment. Multer reads
+// multipart file names as latin1, so decode them back to UTF-8.
+const toAttachment = (file) => ({
+  _id: file.filename,
+  fileName: Buffer.from(file.originalname, "latin1").toString("utf8").slice(0, 255),
+  mimeType: file.mimetype,
+  size: file.size,
+});
 
 // @desc    Get all messages for a meeting
 // @route   GET /api/messages/:meetingId
@@ -8,9 +123,12 @@ export const getMessages = async (req, res) => {
     const { meetingId } = req.params;
     const { limit = 100, before } = req.query;
 
+    // Private messages are only returned to the people they were for
     const query = {
       meetingId,
       isDeleted: false,
+      ...readableMessagesQuery(req.user._id),
+      ...breakoutScopeQuery(meetingId, req.user._id),
     };
 
     // Pagination support - get messages before a certain timestamp
@@ -31,6 +149,7 @@ export const getMessages = async (req, res) => {
       data: {
         messages,
         count: messages.length,
+        attachmentRules: getAttachmentRules(),
       },
     });
   } catch (error) {
@@ -43,28 +162,143 @@ export const getMessages = async (req, res) => {
   }
 };
 
-// @desc    Create a new message
+// @desc    Create a new message (JSON, or multipart with "attachments" files)
 // @route   POST /api/messages/:meetingId
 // @access  Private
 export const createMessage = async (req, res) => {
+  const files = req.files || [];
+  let isSaved = false;
+
   try {
     const { meetingId } = req.params;
-    const { content } = req.body;
+    const { content = "", parentId, audience = "everyone", recipientId } = req.body;
+    // Multipart forms send a single mention as a plain string
+    const mentions = [].concat(req.body.mentions ?? []);
 
-    if (!content || !content.trim()) {
+    if (!content.trim() && files.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Message content is required",
+        message: "Message content or an attachment is required",
+      });
+    }
+
+    if (!MESSAGE_AUDIENCES.includes(audience)) {
+      return res.status(400).json({
+        success: false,
+        message: `Audience must be one of: ${MESSAGE_AUDIENCES.join(", ")}`,
       });
     }
 
+    // Respect the host's chat setting (the host and co-hosts can always post)
+    const meeting = await Meeting.findOne({ meetingId }).select("hostId roles settings");
+    if (
+      meeting &&
+      meeting.settings?.chatEnabled === false &&
+      !isMeetingModerator(meeting, req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Chat has been disabled by the host",
+      });
+    }
+
+    if (files.length > 0 && !(await isMeetingParticipant(meetingId, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only participants of this meeting can share files",
+      });
+    }
+
+    // Replies to a reply join the thread of its top-level message, and stay
+    // as private as the thread: everyone in it except the person replying
+    let threadId = null;
+    let messageAudience = audience;
+    let recipients = [];
+    if (parentId) {
+      const parent = mongoose.isValidObjectId(parentId)
+        ? await Message.findOne({
+            _id: parentId,
+            meetingId,
+            isDeleted: false,
+            ...readableMessagesQuery(req.user._id),
+            ...breakoutScopeQuery(meetingId, req.user._id),
+          })
+        : null;
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: "The message you replied to no longer exists",
+        });
+      }
+      threadId = parent.parentId || parent._id;
+      if (parent.recipients.length > 0) {
+        messageAudience = parent.audience;
+        recipients = [{ userId: parent.userId, userName: parent.userName }, ...parent.recipients]
+          .filter((recipient) => recipient.userId.toString() !== req.user._id.toString());
+      }
+    } else if (audience !== "everyone") {
+      const result = await resolveRecipients(audience, recipientId, meeting, meetingId, req.user);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error,
+        });
+      }
+      recipients = result.recipients;
+    }
+
+    // The host and co-hosts can always send private messages
+    if (
+      recipients.length > 0 &&
+      meeting &&
+      meeting.settings?.privateChatEnabled === false &&
+      !isMeetingModerator(meeting, req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Private messages have been turned off by the host",
+      });
+    }
+
+    // Mentions in a private message can only notify people who can read it
+    let messageMentions = await resolveMentions(content, mentions, req.user);
+    if (recipients.length > 0) {
+      const recipientIds = recipients.map((recipient) => recipient.userId.toString());
+      messageMentions = messageMentions.filter((mention) =>
+        recipientIds.includes(mention.userId.toString())
+      );
+    }
+
+    // Tagged with the breakout room it was sent from, if any
+    const breakout = getUserBreakout(meetingId, req.user._id);
+
     const message = await Message.create({
       meetingId,
+      breakoutId: breakout?.id || null,
+      breakoutName: breakout?.name || null,
       userId: req.user._id,
       userName: req.user.fullName,
+      isGuest: req.user.isGuest === true,
       content: content.trim(),
+      parentId: threadId,
+      audience: recipients.length > 0 ? messageAudience : "everyone",
+      recipients,
+      mentions: messageMentions,
+      attachments: files.map(toAttachment),
       timestamp: new Date(),
     });
+    isSaved = true;
+
+    broadcast(req, message, "receive-message", { message });
+
+    // Mentions reach the person even when their chat panel is closed
+    const io = req.app.get("io");
+    for (const mention of message.mentions) {
+      io?.to(`user:${mention.userId}`).emit("mentioned", {
+        meetingId,
+        message,
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -80,6 +314,13 @@ export const createMessage = async (req, res) => {
       message: "Server error creating message",
       error: error.message,
     });
+  } finally {
+    // Don't keep files from a message that was rejected
+    if (!isSaved && files.length > 0) {
+      removeAttachmentFiles(files.map((file) => file.filename)).catch((error) =>
+        console.error("Remove attachments error:", error)
+      );
+    }
   }
 };
 
@@ -98,7 +339,7 @@ export const editMessage = async (req, res) => {
       });
     }
 
-    const message = await Message.findById(messageId);
+    const message = await Message.findOne({ _id: messageId, isDeleted: false });
 
     if (!message) {
       return res.status(404).json({
@@ -115,11 +356,31 @@ export const editMessage = async (req, res) => {
       });
     }
 
+    // Respect the host's chat setting, as for new messages
+    const meeting = await Meeting.findOne({ meetingId: message.meetingId }).select("hostId roles settings");
+    if (
+      meeting &&
+      meeting.settings?.chatEnabled === false &&
+      !isMeetingModerator(meeting, req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Chat has been disabled by the host",
+      });
+    }
+
     message.content = content.trim();
     message.isEdited = true;
     message.editedAt = new Date();
+    // Drop mentions whose name was edited out
+    const text = message.content.toLowerCase();
+    message.mentions = message.mentions.filter((mention) =>
+      text.includes(`@${mention.userName.toLowerCase()}`)
+    );
     await message.save();
 
+    broadcast(req, message, "message-updated", { message });
+
     res.status(200).json({
       success: true,
       message: "Message updated successfully",
@@ -161,9 +422,17 @@ export const deleteMessage = async (req, res) => {
       });
     }
 
+    // Attachments go with the message
+    const attachmentIds = message.attachments.map((attachment) => attachment._id.toString());
     message.isDeleted = true;
     message.deletedAt = new Date();
+    message.attachments = [];
     await message.save();
+    await removeAttachmentFiles(attachmentIds);
+
+    broadcast(req, message, "message-deleted", {
+      messageId: message._id,
+    });
 
     res.status(200).json({
       success: true,
@@ -178,3 +447,135 @@ export const deleteMessage = async (req, res) => {
     });
   }
 };
+
+// @desc    Add or remove the current user's reaction on a message
+// @route   POST /api/messages/:messageId/reactions
+// @access  Private
+export const toggleReaction = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    if (!MESSAGE_REACTIONS.includes(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reaction must be one of: ${MESSAGE_REACTIONS.join(" ")}`,
+      });
+    }
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    const userId = req.user._id;
+    const reaction = { emoji, userId };
+
+    // Only people in the message's meeting (and, while breakout rooms are
+    // open, in its breakout room) can react to it
+    const target = await Message.findOne({
+      _id: messageId,
+      isDeleted: false,
+      ...readableMessagesQuery(userId),
+    }).select("meetingId");
+    if (!target || !(await canAccessMeetingChat(target.meetingId, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+    const scope = {
+      _id: messageId,
+      meetingId: target.meetingId,
+      isDeleted: false,
+      ...readableMessagesQuery(userId),
+      ...breakoutScopeQuery(target.meetingId, userId),
+    };
+
+    // Remove the reaction if it's there, otherwise add it. Each update only
+    // matches in one of the two states, so concurrent toggles can't double up.
+    const message =
+      (await Message.findOneAndUpdate(
+        { ...scope, reactions: { $elemMatch: reaction } },
+        { $pull: { reactions: reaction } },
+        { new: true }
+      )) ||
+      (await Message.findOneAndUpdate(
+        { ...scope, reactions: { $not: { $elemMatch: reaction } } },
+        { $push: { reactions: { ...reaction, userName: req.user.fullName } } },
+        { new: true }
+      ));
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "Message not found",
+      });
+    }
+
+    broadcast(req, message, "message-updated", { message });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message,
+      },
+    });
+  } catch (error) {
+    console.error("Toggle reaction error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error updating reaction",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download a chat attachment
+// @route   GET /api/messages/attachments/:attachmentId
+// @access  Private (participants of the message's meeting)
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const message = mongoose.isValidObjectId(attachmentId)
+      ? await Message.findOne({
+          "attachments._id": attachmentId,
+          isDeleted: false,
+          ...readableMessagesQuery(req.user._id),
+        })
+      : null;
+    if (!message || !(await isMeetingParticipant(message.meetingId, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    const attachment = message.attachments.id(attachmentId);
+
+    res.attachment(attachment.fileName);
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Cache-Control": "private, no-store",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.sendFile(getAttachmentPath(attachmentId), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: "Attachment file is missing",
+        });
+      }
+    });
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error downloading attachment",
+      error: error.message,
+    });
+  }
+};
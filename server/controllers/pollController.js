@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import Poll, { MAX_QUESTION_LENGTH, MAX_OPTION_LENGTH } from '../models/Poll.js';
+import Meeting from '../models/Meeting.js';
+import { isMeetingModerator } from '../utils/roomSettings.js';
+import { attendedMeetingsQuery } from '../utils/meetingAccess.js';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+// Longest a poll can be set to run before it closes by itself
+const MAX_DURATION_SECONDS = 60 * 60;
+
+// Helper: Voting is over once the poll is closed or its time is up
+const isPollOpen = (poll, now = new Date()) =>
+  poll.status === 'open' && (!poll.closesAt || poll.closesAt > now);
+
+// Helper: Shape a poll for API responses and broadcasts. Counts are always
+// included; voter names only for polls that aren't anonymous. `userId` adds
+// that user's own choices as `myVote`.
+const formatPoll = (poll, userId = null) => {
+  const isOpen = isPollOpen(poll);
+  const ownVote = userId && poll.votes.find((vote) => vote.userId.toString() === userId.toString());
+
+  return {
+    _id: poll._id,
+    meetingId: poll.meetingId,
+    question: poll.question,
+    allowMultiple: poll.allowMultiple,
+    isAnonymous: poll.isAnonymous,
+    createdBy: poll.createdBy,
+    createdByName: poll.createdByName,
+    createdAt: poll.createdAt,
+    status: isOpen ? 'open' : 'closed',
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt || (isOpen ? null : poll.closesAt),
+    totalVoters: poll.votes.length,
+    options: poll.options.map((option) => {
+      const voters = poll.votes.filter((vote) =>
+        vote.optionIds.some((id) => id.toString() === option._id.toString())
+      );
+      return {
+        _id: option._id,
+        text: option.text,
+        count: voters.length,
+        ...(poll.isAnonymous ? {} : { voters: voters.map((vote) => vote.userName) }),
+      };
+    }),
+    myVote: ownVote ? ownVote.optionIds : null,
+  };
+};
+
+// Helper: Tell everyone in the meeting room about a poll change
+const broadcast = (io, poll, event) => {
+  io?.to(poll.meetingId).emit(event, { poll: formatPoll(poll) });
+};
+
+// Helper: Close a poll that is still open and announce the final results
+const closeOpenPoll = async (io, pollId) => {
+  const poll = await Poll.findOneAndUpdate(
+    { _id: pollId, status: 'open' },
+    { status: 'closed', closedAt: new Date() },
+    { new: true }
+  );
+  if (poll) broadcast(io, poll, 'poll-updated');
+  return poll;
+};
+
+// Helper: Only people who hosted or joined a meeting can see and answer its polls
+const isMeetingParticipant = async (meetingId, userId) =>
+  !!(await Meeting.exists({ meetingId, ...attendedMeetingsQuery(userId) }));
+
+// @desc    Get the polls of a meeting, oldest first
+// @route   GET /api/polls/:meetingId
+// @access  Private (participants)
+export const getPolls = async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+
+    if (!(await isMeetingParticipant(meetingId, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found',
+      });
+    }
+
+    const polls = await Poll.find({ meetingId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        polls: polls.map((poll) => formatPoll(poll, req.user._id)),
+      },
+    });
+  } catch (error) {
+    console.error('Get polls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching polls',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start a poll in a meeting
+// @route   POST /api/polls/:meetingId
+// @access  Private (host and co-hosts)
+export const createPoll = async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const { question, options, allowMultiple = false, isAnonymous = false, durationSeconds } = req.body;
+
+    const meeting = await Meeting.findOne({ meetingId }).select('hostId roles');
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found',
+      });
+    }
+
+    if (!isMeetingModerator(meeting, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host and co-hosts can start polls',
+      });
+    }
+
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Poll question is required',
+      });
+    }
+    if (question.trim().length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Poll question must be at most ${MAX_QUESTION_LENGTH} characters`,
+      });
+    }
+
+    const optionTexts = (Array.isArray(options) ? options : [])
+      .map((option) => String(option ?? '').trim())
+      .filter(Boolean);
+    if (optionTexts.length < MIN_OPTIONS || optionTexts.length > MAX_OPTIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`,
+      });
+    }
+    if (optionTexts.some((text) => text.length > MAX_OPTION_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Poll options must be at most ${MAX_OPTION_LENGTH} characters`,
+      });
+    }
+    if (new Set(optionTexts.map((text) => text.toLowerCase())).size !== optionTexts.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Poll options must be different from each other',
+      });
+    }
+
+    if (typeof allowMultiple !== 'boolean' || typeof isAnonymous !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'allowMultiple and isAnonymous must be true or false',
+      });
+    }
+
+    // No duration means the poll stays open until it is closed by hand
+    let closesAt = null;
+    if (durationSeconds !== undefined && durationSeconds !== null) {
+      const seconds = Number(durationSeconds);
+      if (!Number.isInteger(seconds) || seconds < 10 || seconds > MAX_DURATION_SECONDS) {
+        return res.status(400).json({
+          success: false,
+          message: `Poll duration must be between 10 seconds and ${MAX_DURATION_SECONDS / 60} minutes`,
+        });
+      }
+      closesAt = new Date(Date.now() + seconds * 1000);
+    }
+
+    const poll = await Poll.create({
+      meetingId,
+      createdBy: req.user._id,
+      createdByName: req.user.fullName,
+      question: question.trim(),
+      options: optionTexts.map((text) => ({ text })),
+      allowMultiple,
+      isAnonymous,
+      closesAt,
+    });
+
+    const io = req.app.get('io');
+    broadcast(io, poll, 'poll-created');
+
+    // Mark the poll closed when time is up so everyone sees the final results.
+    // If the server restarts first, closesAt alone still ends voting.
+    if (closesAt) {
+      setTimeout(() => {
+        closeOpenPoll(io, poll._id).catch((error) => console.error('Close poll error:', error));
+      }, closesAt.getTime() - Date.now());
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Poll started',
+      data: {
+        poll: formatPoll(poll, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Create poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating poll',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Vote in a poll
+// @route   POST /api/polls/:pollId/votes
+// @access  Private (participants)
+export const votePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const optionIds = [...new Set([].concat(req.body.optionIds ?? []).map(String))];
+
+    const poll = mongoose.isValidObjectId(pollId) ? await Poll.findById(pollId) : null;
+    if (!poll || !(await isMeetingParticipant(poll.meetingId, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found',
+      });
+    }
+
+    if (!isPollOpen(poll)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This poll is closed',
+      });
+    }
+
+    const validIds = poll.options.map((option) => option._id.toString());
+    if (
+      optionIds.length === 0 ||
+      (!poll.allowMultiple && optionIds.length > 1) ||
+      optionIds.some((id) => !validIds.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: poll.allowMultiple ? 'Choose at least one option' : 'Choose one option',
+      });
+    }
+
+    // The filter only matches while the poll is open and this user hasn't
+    // voted, so a second vote - even a concurrent one - changes nothing
+    const now = new Date();
+    const updated = await Poll.findOneAndUpdate(
+      {
+        _id: poll._id,
+        status: 'open',
+        $or: [{ closesAt: null }, { closesAt: { $gt: now } }],
+        'votes.userId': { $ne: req.user._id },
+      },
+      {
+        $push: {
+          votes: { userId: req.user._id, userName: req.user.fullName, optionIds, votedAt: now },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Poll.findById(poll._id);
+      const hasVoted = current?.votes.some((vote) => vote.userId.toString() === req.user._id.toString());
+      return res.status(409).json({
+        success: false,
+        message: hasVoted ? 'You have already voted in this poll' : 'This poll is closed',
+      });
+    }
+
+    broadcast(req.app.get('io'), updated, 'poll-updated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Vote recorded',
+      data: {
+        poll: formatPoll(updated, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Vote poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording vote',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Close a poll and publish its final results
+// @route   POST /api/polls/:pollId/close
+// @access  Private (host and co-hosts)
+export const closePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const poll = mongoose.isValidObjectId(pollId) ? await Poll.findById(pollId) : null;
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found',
+      });
+    }
+
+    const meeting = await Meeting.findOne({ meetingId: poll.meetingId }).select('hostId roles');
+    if (!meeting || !isMeetingModerator(meeting, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host and co-hosts can close polls',
+      });
+    }
+
+    const closed = (await closeOpenPoll(req.app.get('io'), poll._id)) || poll;
+
+    res.status(200).json({
+      success: true,
+      message: 'Poll closed',
+      data: {
+        poll: formatPoll(closed, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing poll',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,731 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import jwt from 'jsonwebtoken';
+import Meeting from '../models/Meeting.js';
+import User from '../models/User.js';
+import Recording, { RECORDING_VISIBILITIES } from '../models/Recording.js';
+import RecordingUpload from '../models/RecordingUpload.js';
+import { canRecord, isMeetingModerator } from '../utils/roomSettings.js';
+import {
+  attendedMeetingsQuery,
+  getAttendedMeetingIds,
+  viewableRecordingsQuery,
+} from '../utils/meetingAccess.js';
+import {
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+  getRecordingPath,
+  removeRecordingFile,
+  parseRange,
+} from '../utils/recordingStorage.js';
+
+const ALLOWED_MIME_TYPES = ['video/webm', 'video/mp4'];
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// <video> elements can't send an Authorization header, so playback URLs carry
+// a short-lived token scoped to one recording and one user
+const STREAM_TOKEN_PURPOSE = 'recording-stream';
+const STREAM_TOKEN_EXPIRE = '6h';
+
+// Clients send a chunk every few seconds, so this covers a full day's recording
+const MAX_RECORDING_CHUNKS = 20000;
+
+// How many missing chunk numbers to list when an upload can't be completed yet
+const MAX_MISSING_CHUNKS_LISTED = 100;
+
+// An upload stuck assembling this long (e.g. the server restarted part way)
+// can be finalized again
+const ASSEMBLY_TIMEOUT = 10 * 60 * 1000;
+
+// Helper: Shape an upload session for API responses. `receivedChunks` lets a
+// client that lost track (reload, network drop) resend only what is missing.
+const formatUpload = (upload) => ({
+  uploadId: upload._id,
+  meetingId: upload.meetingId,
+  status: upload.status,
+  receivedChunks: upload.chunks.map((chunk) => chunk.index).sort((a, b) => a - b),
+  bytesReceived: upload.chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+  updatedAt: upload.updatedAt,
+});
+
+// Helper: Load an upload session owned by the current user
+const findOwnUpload = (uploadId, userId) =>
+  RecordingUpload.findOne({ _id: uploadId, userId }).catch(() => null);
+
+// Helper: Can this user watch a recording under its visibility setting
+const canViewRecording = async (recording, userId) => {
+  const id = userId.toString();
+  const allowedIds = recording.allowedUsers.map((user) => (user._id || user).toString());
+
+  if (recording.recordedBy.toString() === id) return true;
+  if (recording.visibility === 'specific') return allowedIds.includes(id);
+  if (recording.visibility === 'participants') {
+    const attended = await Meeting.exists({
+      meetingId: recording.meetingId,
+      ...attendedMeetingsQuery(userId),
+    });
+    return !!attended;
+  }
+  return false;
+};
+
+// Helper: Build a playback URL for one viewer
+const getStreamUrl = (recording, userId) => {
+  const token = jwt.sign(
+    { recordingId: recording._id.toString(), userId: userId.toString(), purpose: STREAM_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRE }
+  );
+  return `/api/recordings/${recording._id}/stream?token=${token}`;
+};
+
+// Helper: Pipe a file to the response. Players drop connections mid-file all
+// the time when seeking, so a closed response isn't an error.
+const sendFileStream = (fileStream, res) =>
+  pipeline(fileStream, res).catch((error) => {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Recording stream error:', error);
+    }
+  });
+
+// Helper: Shape a recording for API responses. Sharing details are only
+// shown to the recorder.
+const formatRecording = (recording, userId) => {
+  const isOwner = recording.recordedBy.toString() === userId.toString();
+  return {
+    id: recording._id,
+    meetingId: recording.meetingId,
+    meetingTitle: recording.meetingTitle,
+    recordedByName: recording.recordedByName,
+    isOwner,
+    duration: recording.duration,
+    fileSize: recording.fileSize,
+    mimeType: recording.mimeType,
+    participants: recording.participants,
+    recordedAt: recording.recordedAt,
+    streamUrl: getStreamUrl(recording, userId),
+    ...(isOwner && {
+      visibility: recording.visibility,
+      allowedUsers: recording.allowedUsers.map((user) => ({
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+      })),
+    }),
+  };
+};
+
+// @desc    Start a chunked recording upload
+// @route   POST /api/recordings/uploads
+// @access  Private
+export const startRecordingUpload = async (req, res) => {
+  try {
+    const { meetingId, mimeType, participants } = req.body;
+
+    const meeting = await Meeting.findOne({ meetingId });
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found',
+      });
+    }
+
+    if (!canRecord(meeting.settings, isMeetingModerator(meeting, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host or a co-host can record this meeting',
+      });
+    }
+
+    const baseMimeType = String(mimeType || 'video/webm').split(';')[0].trim();
+    if (!ALLOWED_MIME_TYPES.includes(baseMimeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only video files are allowed',
+      });
+    }
+
+    const upload = await RecordingUpload.create({
+      userId: req.user._id,
+      meetingId,
+      mimeType: baseMimeType,
+      participants: Array.isArray(participants) ? participants.map(String) : [],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        upload: formatUpload(upload),
+      },
+    });
+  } catch (error) {
+    console.error('Start recording upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting recording upload',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the current user's unfinished uploads (optionally for one meeting)
+// @route   GET /api/recordings/uploads
+// @access  Private
+export const getRecordingUploads = async (req, res) => {
+  try {
+    const query = { userId: req.user._id, status: 'uploading' };
+    if (req.query.meetingId) {
+      query.meetingId = String(req.query.meetingId);
+    }
+
+    const uploads = await RecordingUpload.find(query).sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        uploads: uploads.map(formatUpload),
+      },
+    });
+  } catch (error) {
+    console.error('Get recording uploads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching recording uploads',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get an upload session's progress
+// @route   GET /api/recordings/uploads/:uploadId
+// @access  Private
+export const getRecordingUpload = async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req.params.uploadId, req.user._id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        upload: formatUpload(upload),
+      },
+    });
+  } catch (error) {
+    console.error('Get recording upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching recording upload',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Store one numbered chunk (raw body). Safe to retry and to send out of order.
+// @route   PUT /api/recordings/uploads/:uploadId/chunks/:index
+// @access  Private
+export const appendRecordingChunk = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const index = Number(req.params.index);
+    const endsAt = Number(req.get('X-Chunk-Ends-At')) || 0;
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk index must be a non-negative integer',
+      });
+    }
+
+    if (index >= MAX_RECORDING_CHUNKS) {
+      return res.status(400).json({
+        success: false,
+        message: `A recording can have at most ${MAX_RECORDING_CHUNKS} chunks`,
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk is empty',
+      });
+    }
+
+    const upload = await findOwnUpload(uploadId, req.user._id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found',
+      });
+    }
+
+    if (upload.status !== 'uploading') {
+      return res.status(409).json({
+        success: false,
+        message: 'This recording has already been finalized',
+      });
+    }
+
+    await writeChunk(upload._id, index, req.body);
+
+    const chunk = { index, size: req.body.length, endsAt };
+
+    // Record the chunk once; a resent chunk replaces the earlier copy
+    const added = await RecordingUpload.updateOne(
+      { _id: upload._id, 'chunks.index': { $ne: index } },
+      { $push: { chunks: chunk } }
+    );
+    const duplicate = added.modifiedCount === 0;
+    if (duplicate) {
+      await RecordingUpload.updateOne(
+        { _id: upload._id, 'chunks.index': index },
+        { $set: { 'chunks.$': chunk } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        index,
+        duplicate,
+      },
+    });
+  } catch (error) {
+    console.error('Append recording chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error storing recording chunk',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Put the chunks together into one file and save it as a recording
+// @route   POST /api/recordings/uploads/:uploadId/complete
+// @access  Private
+export const completeRecordingUpload = async (req, res) => {
+  try {
+    const upload = await findOwnUpload(req.params.uploadId, req.user._id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found',
+      });
+    }
+
+    // Finalizing twice (e.g. a retried request) returns the same result
+    if (upload.status === 'complete') {
+      const recording = await Recording.findOne({ uploadId: upload._id }).populate('allowedUsers', 'fullName email');
+      return res.status(200).json({
+        success: true,
+        message: 'Recording saved successfully',
+        data: {
+          recording: recording && formatRecording(recording, req.user._id),
+        },
+      });
+    }
+
+    const received = new Set(upload.chunks.map((chunk) => chunk.index));
+    const lastIndex = Math.max(-1, ...received);
+    const totalChunks = req.body.totalChunks !== undefined
+      ? Number(req.body.totalChunks)
+      : lastIndex + 1;
+
+    if (!Number.isInteger(totalChunks) || totalChunks < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'No recording data was uploaded',
+      });
+    }
+
+    if (totalChunks > MAX_RECORDING_CHUNKS) {
+      return res.status(400).json({
+        success: false,
+        message: `A recording can have at most ${MAX_RECORDING_CHUNKS} chunks`,
+      });
+    }
+
+    if (totalChunks < lastIndex + 1) {
+      return res.status(400).json({
+        success: false,
+        message: `Chunk ${lastIndex} was uploaded, so the recording has at least ${lastIndex + 1} chunks`,
+      });
+    }
+
+    // Only the first few are listed; the client resends those and tries again
+    const missingCount = totalChunks - received.size;
+    if (missingCount > 0) {
+      const missingChunks = [];
+      for (let index = 0; index < totalChunks && missingChunks.length < MAX_MISSING_CHUNKS_LISTED; index++) {
+        if (!received.has(index)) missingChunks.push(index);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'Some chunks have not been uploaded yet',
+        data: {
+          missingChunks,
+          missingCount,
+        },
+      });
+    }
+
+    // Only one request may put the file together; a retry that arrives
+    // meanwhile is told to come back for the result
+    const claimed = await RecordingUpload.findOneAndUpdate(
+      {
+        _id: upload._id,
+        $or: [
+          { status: 'uploading' },
+          { status: 'assembling', updatedAt: { $lt: new Date(Date.now() - ASSEMBLY_TIMEOUT) } },
+        ],
+      },
+      { $set: { status: 'assembling' } }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This recording is already being saved',
+        code: 'UPLOAD_IN_PROGRESS',
+      });
+    }
+
+    const extension = upload.mimeType === 'video/mp4' ? 'mp4' : 'webm';
+    const fileName = `recording-${upload._id}.${extension}`;
+    let fileSize;
+    try {
+      fileSize = await assembleChunks(upload._id, totalChunks, fileName);
+    } catch (error) {
+      // Let the client try again
+      await RecordingUpload.updateOne(
+        { _id: upload._id, status: 'assembling' },
+        { $set: { status: 'uploading' } }
+      );
+      throw error;
+    }
+
+    // Chunks report how far into the recording they end; the last one is the length
+    const durationMs = Math.max(
+      0,
+      ...upload.chunks.filter((chunk) => chunk.index < totalChunks).map((chunk) => chunk.endsAt)
+    );
+    const duration = Math.round(durationMs / 1000);
+
+    await RecordingUpload.updateOne(
+      { _id: upload._id },
+      {
+        $set: {
+          status: 'complete',
+          fileName,
+          fileSize,
+          duration,
+          completedAt: new Date(),
+        },
+      }
+    );
+
+    const meeting = await Meeting.findOne({ meetingId: upload.meetingId }).select('title');
+
+    const recording = await Recording.create({
+      meetingId: upload.meetingId,
+      meetingTitle: meeting?.title,
+      recordedBy: req.user._id,
+      recordedByName: req.user.fullName,
+      uploadId: upload._id,
+      fileName,
+      mimeType: upload.mimeType,
+      fileSize,
+      duration,
+      participants: upload.participants,
+      recordedAt: upload.createdAt,
+    });
+
+    await removeChunks(upload._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recording saved successfully',
+      data: {
+        recording: recording && formatRecording(recording, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Complete recording upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving recording',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get recordings the current user can watch (optionally for one meeting)
+// @route   GET /api/recordings
+// @access  Private
+export const getRecordings = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const attendedMeetingIds = await getAttendedMeetingIds(userId);
+
+    const query = viewableRecordingsQuery(userId, attendedMeetingIds);
+    if (req.query.meetingId) {
+      query.meetingId = String(req.query.meetingId);
+    }
+
+    const recordings = await Recording.find(query)
+      .sort({ recordedAt: -1 })
+      .populate('allowedUsers', 'fullName email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recordings: recordings.map((recording) => formatRecording(recording, userId)),
+      },
+    });
+  } catch (error) {
+    console.error('Get recordings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching recordings',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a single recording
+// @route   GET /api/recordings/:recordingId
+// @access  Private
+export const getRecording = async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.recordingId)
+      .populate('allowedUsers', 'fullName email')
+      .catch(() => null);
+
+    // Recordings the user can't see are reported as missing
+    if (!recording || !(await canViewRecording(recording, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        recording: formatRecording(recording, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching recording',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Choose who can watch a recording
+// @route   PUT /api/recordings/:recordingId/visibility
+// @access  Private (recorder only)
+export const updateRecordingVisibility = async (req, res) => {
+  try {
+    const { visibility, emails } = req.body;
+
+    const recording = await Recording.findOne({
+      _id: req.params.recordingId,
+      recordedBy: req.user._id,
+    }).catch(() => null);
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found',
+      });
+    }
+
+    if (!RECORDING_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Visibility must be "private", "participants" or "specific"',
+      });
+    }
+
+    let allowedUsers = [];
+    if (visibility === 'specific') {
+      const normalizedEmails = [...new Set(
+        (Array.isArray(emails) ? emails : []).map((email) => String(email).trim().toLowerCase())
+      )].filter(Boolean);
+
+      const invalidEmail = normalizedEmails.find((email) => !EMAIL_REGEX.test(email));
+      if (invalidEmail) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid email: ${invalidEmail}`,
+        });
+      }
+
+      if (normalizedEmails.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add at least one person to share with',
+        });
+      }
+
+      const users = await User.find({ email: { $in: normalizedEmails } }).select('_id email');
+      const unknownEmails = normalizedEmails.filter(
+        (email) => !users.some((user) => user.email === email)
+      );
+      if (unknownEmails.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No MyMeet account for: ${unknownEmails.join(', ')}`,
+        });
+      }
+
+      allowedUsers = users.map((user) => user._id);
+    }
+
+    recording.visibility = visibility;
+    recording.allowedUsers = allowedUsers;
+    await recording.save();
+    await recording.populate('allowedUsers', 'fullName email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Sharing updated',
+      data: {
+        recording: formatRecording(recording, req.user._id),
+      },
+    });
+  } catch (error) {
+    console.error('Update recording visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating recording',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a recording and its file
+// @route   DELETE /api/recordings/:recordingId
+// @access  Private (recorder only)
+export const deleteRecording = async (req, res) => {
+  try {
+    const recording = await Recording.findOneAndDelete({
+      _id: req.params.recordingId,
+      recordedBy: req.user._id,
+    }).catch(() => null);
+
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found',
+      });
+    }
+
+    await removeRecordingFile(recording.fileName);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recording deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting recording',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Stream a recording's file, with HTTP Range support for seeking
+// @route   GET /api/recordings/:recordingId/stream?token=
+// @access  Private (stream token from the recordings API)
+export const streamRecording = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(req.query.token || ''), process.env.JWT_SECRET);
+    } catch {
+      decoded = null;
+    }
+
+    if (
+      !decoded ||
+      decoded.purpose !== STREAM_TOKEN_PURPOSE ||
+      decoded.recordingId !== req.params.recordingId
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or expired link',
+      });
+    }
+
+    // Re-checked on every request so un-sharing takes effect straight away
+    const recording = await Recording.findById(req.params.recordingId).catch(() => null);
+    if (!recording || !(await canViewRecording(recording, decoded.userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording not found',
+      });
+    }
+
+    const filePath = getRecordingPath(recording.fileName);
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (!stat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recording file is missing',
+      });
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': recording.mimeType,
+      'Cache-Control': 'private, no-store',
+    });
+
+    if (req.query.download) {
+      const extension = recording.fileName.split('.').pop();
+      res.attachment(`${recording.meetingTitle || 'recording'}-${recording.recordedAt.toISOString().slice(0, 10)}.${extension}`);
+    }
+
+    const rangeHeader = req.get('Range');
+    if (!rangeHeader) {
+      res.set('Content-Length', stat.size);
+      return sendFileStream(fs.createReadStream(filePath), res);
+    }
+
+    const range = parseRange(rangeHeader, stat.size);
+    if (!range) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      return res.status(416).end();
+    }
+
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${stat.size}`,
+      'Content-Length': range.end - range.start + 1,
+    });
+    return sendFileStream(fs.createReadStream(filePath, { start: range.start, end: range.end }), res);
+  } catch (error) {
+    console.error('Stream recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error streaming recording',
+      error: error.message,
+    });
+  }
+};
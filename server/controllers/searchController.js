@@ -0,0 +1,179 @@
+import Meeting from '../models/Meeting.js';
+import Message from '../models/Message.js';
+import Transcription from '../models/Transcription.js';
+import Recording from '../models/Recording.js';
+import {
+  attendedMeetingsQuery,
+  readableMessagesQuery,
+  viewableRecordingsQuery,
+} from '../utils/meetingAccess.js';
+import { parseSearchQuery, buildTermsRegex, scoreText, buildSnippet } from '../utils/search.js';
+
+const SEARCH_TYPES = ['all', 'transcript', 'chat', 'title'];
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+// Matches fetched per source before ranking
+const CANDIDATE_LIMIT = 300;
+
+// A hit in the meeting title says more about the meeting than one line of it
+const TITLE_WEIGHT = 1.5;
+
+// Helper: Transcript lines matching the query
+const searchTranscripts = async (meetingIds, regex) => {
+  const matches = await Transcription.aggregate([
+    { $match: { meetingId: { $in: meetingIds }, 'entries.text': regex } },
+    { $unwind: '$entries' },
+    { $match: { 'entries.text': regex } },
+    { $sort: { 'entries.timestamp': -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: { meetingId: 1, entry: '$entries' } },
+  ]);
+
+  return matches.map(({ meetingId, entry }) => ({
+    type: 'transcript',
+    meetingId,
+    text: entry.text,
+    speaker: entry.userName,
+    timestamp: entry.timestamp,
+    secondsIntoMeeting: entry.secondsIntoMeeting,
+  }));
+};
+
+// Helper: Chat messages matching the query
+const searchMessages = async (meetingIds, regex, meetingsById, userId) => {
+  const messages = await Message.find({
+    meetingId: { $in: meetingIds },
+    isDeleted: false,
+    content: regex,
+    ...readableMessagesQuery(userId),
+  })
+    .sort({ timestamp: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return messages.map((message) => {
+    const startedAt = meetingsById.get(message.meetingId)?.startedAt;
+    return {
+      type: 'chat',
+      meetingId: message.meetingId,
+      messageId: message._id,
+      text: message.content,
+      speaker: message.userName,
+      timestamp: message.timestamp,
+      secondsIntoMeeting: startedAt
+        ? Math.max(0, Math.floor((new Date(message.timestamp) - new Date(startedAt)) / 1000))
+        : null,
+    };
+  });
+};
+
+// Helper: Meetings whose title matches the query
+const searchTitles = (meetings, regex) =>
+  meetings
+    .filter((meeting) => regex.test(meeting.title))
+    .map((meeting) => ({
+      type: 'title',
+      meetingId: meeting.meetingId,
+      text: meeting.title,
+      timestamp: meeting.startedAt || meeting.scheduledStart || meeting.createdAt,
+      secondsIntoMeeting: null,
+    }));
+
+// Helper: Point timed hits at a recording the user can watch that covers them
+const attachRecordings = async (hits, userId, attendedMeetingIds) => {
+  const timedHits = hits.filter((hit) => hit.type !== 'title');
+  if (timedHits.length === 0) return;
+
+  const recordings = await Recording.find({
+    ...viewableRecordingsQuery(userId, attendedMeetingIds),
+    meetingId: { $in: [...new Set(timedHits.map((hit) => hit.meetingId))] },
+    duration: { $gt: 0 },
+  })
+    .select('meetingId recordedAt duration')
+    .lean();
+
+  for (const hit of timedHits) {
+    const at = new Date(hit.timestamp).getTime();
+    const recording = recordings.find((candidate) => {
+      const offset = (at - new Date(candidate.recordedAt).getTime()) / 1000;
+      return candidate.meetingId === hit.meetingId && offset >= 0 && offset <= candidate.duration;
+    });
+    if (recording) {
+      hit.recording = {
+        id: recording._id,
+        offset: Math.floor((at - new Date(recording.recordedAt).getTime()) / 1000),
+      };
+    }
+  }
+};
+
+// @desc    Search transcripts, chat and meeting titles of the user's meetings
+// @route   GET /api/search?q=&type=all|transcript|chat|title&limit=
+// @access  Private
+export const search = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const query = parseSearchQuery(req.query.q);
+    const type = req.query.type || 'all';
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    if (query.phrase.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Search query must be at least ${MIN_QUERY_LENGTH} characters`,
+      });
+    }
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Search type must be one of: ${SEARCH_TYPES.join(', ')}`,
+      });
+    }
+
+    const meetings = await Meeting.find(attendedMeetingsQuery(userId))
+      .select('meetingId title startedAt scheduledStart createdAt')
+      .lean();
+    const meetingsById = new Map(meetings.map((meeting) => [meeting.meetingId, meeting]));
+    const meetingIds = [...meetingsById.keys()];
+    const regex = buildTermsRegex(query);
+
+    const [transcriptHits, chatHits] = await Promise.all([
+      type === 'all' || type === 'transcript' ? searchTranscripts(meetingIds, regex) : [],
+      type === 'all' || type === 'chat' ? searchMessages(meetingIds, regex, meetingsById, userId) : [],
+    ]);
+    const titleHits = type === 'all' || type === 'title' ? searchTitles(meetings, regex) : [];
+
+    const ranked = [...transcriptHits, ...chatHits, ...titleHits]
+      .map((hit) => ({
+        ...hit,
+        score: scoreText(hit.text, query) * (hit.type === 'title' ? TITLE_WEIGHT : 1),
+      }))
+      .filter((hit) => hit.score > 0)
+      .sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+
+    const results = ranked.slice(0, limit);
+    await attachRecordings(results, userId, meetingIds);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results: results.map(({ text, ...hit }) => ({
+          ...hit,
+          meetingTitle: meetingsById.get(hit.meetingId)?.title,
+          snippet: buildSnippet(text, query),
+        })),
+        total: ranked.length,
+      },
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching meetings',
+      error: error.message,
+    });
+  }
+};
@@ -1,23 +1,36 @@
+import Meeting from '../models/Meeting.js';
 import Transcription from '../models/Transcription.js';
-
-// Helper: Format meeting time (seconds to MM:SS or H:MM:SS)
-const formatMeetingTime = (seconds) => {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = seconds % 60;
-
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-  }
-
-  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+import {
+  TRANSCRIPT_FORMATS,
+  formatTranscript,
+  generateFullText,
+} from '../utils/transcriptFormats.js';
+import { transcriptionHistory } from '../utils/liveTranscripts.js';
+import { attendedMeetingsQuery } from '../utils/meetingAccess.js';
+
+// Helper: Build an exportable transcript from a meeting still in progress
+const getLiveTranscript = (meetingId) => {
+  const entries = transcriptionHistory.get(meetingId);
+  if (!entries || entries.length === 0) return null;
+
+  const sorted = [...entries].sort((a, b) => a.secondsIntoMeeting - b.secondsIntoMeeting);
+  const first = sorted[0];
+  return {
+    meetingId,
+    startedAt: new Date(new Date(first.timestamp).getTime() - first.secondsIntoMeeting * 1000),
+    totalDuration: sorted[sorted.length - 1].secondsIntoMeeting,
+    participantCount: new Set(sorted.map((e) => String(e.userId))).size,
+    entries: sorted,
+  };
 };
 
-// Helper: Generate formatted full text
-const generateFullText = (entries) => {
-  return entries
-    .map((e) => `[${formatMeetingTime(e.secondsIntoMeeting)}] ${e.userName}: ${e.text}`)
-    .join('\n');
+// Helper: The host's client only holds the transcript of the room it was in
+// last, so add whatever the server heard in other breakout rooms
+const mergeLiveEntries = (meetingId, entries) => {
+  const keyOf = (e) => `${e.userId}|${new Date(e.timestamp).getTime()}|${e.text}`;
+  const known = new Set(entries.map(keyOf));
+  const missing = (transcriptionHistory.get(meetingId) || []).filter((e) => !known.has(keyOf(e)));
+  return [...entries, ...missing].sort((a, b) => a.secondsIntoMeeting - b.secondsIntoMeeting);
 };
 
 // @desc    Save complete transcription at meeting end
@@ -26,9 +39,10 @@ const generateFullText = (entries) => {
 export const saveTranscription = async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { entries, startedAt } = req.body;
+    const { startedAt } = req.body;
+    const entries = mergeLiveEntries(meetingId, req.body.entries || []);
 
-    if (!entries || entries.length === 0) {
+    if (entries.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No transcription entries provided',
@@ -156,39 +170,73 @@ export const deleteTranscription = async (req, res) => {
   }
 };
 
-// @desc    Export transcription as formatted text
-// @route   GET /api/transcriptions/:meetingId/export
+// @desc    Export transcription as txt, srt, vtt, json or md
+// @route   GET /api/transcriptions/:meetingId/export?format=txt&from=
 // @access  Private
 export const exportTranscription = async (req, res) => {
   try {
     const { meetingId } = req.params;
+    const format = String(req.query.format || 'txt').toLowerCase();
 
-    const transcription = await Transcription.findOne({ meetingId }).lean();
+    if (!TRANSCRIPT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`,
+      });
+    }
 
-    if (!transcription) {
+    // Only people who hosted or joined the meeting can export what was said in it
+    const attended = await Meeting.exists({ meetingId, ...attendedMeetingsQuery(req.user._id) });
+    if (!attended) {
       return res.status(404).json({
         success: false,
         message: 'Transcription not found',
       });
     }
 
-    const exportText = `Meeting Transcript
-Meeting ID: ${transcription.meetingId}
-Duration: ${formatMeetingTime(transcription.totalDuration)}
-Date: ${new Date(transcription.startedAt).toLocaleDateString()}
-Participants: ${transcription.participantCount}
+    // Saved transcript, or the live one while the meeting is still going
+    const transcription =
+      (await Transcription.findOne({ meetingId }).lean()) || getLiveTranscript(meetingId);
 
-${transcription.fullText}
+    if (!transcription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcription not found',
+      });
+    }
+
+    // `from` (a date) re-times the transcript to start at that moment - used to
+    // line captions up with a recording that began partway through the meeting
+    let transcript = transcription;
+    if (req.query.from) {
+      const from = new Date(req.query.from);
+      if (Number.isNaN(from.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid from date',
+        });
+      }
+
+      const shift = (from - new Date(transcription.startedAt)) / 1000;
+      transcript = {
+        ...transcription,
+        startedAt: from,
+        totalDuration: Math.max(0, transcription.totalDuration - shift),
+        entries: transcription.entries
+          .map((e) => ({ ...e, secondsIntoMeeting: e.secondsIntoMeeting - shift }))
+          .filter((e) => e.secondsIntoMeeting >= 0),
+      };
+    }
 
----
-Generated by MyMeet
-`;
+    const { extension, mimeType } = TRANSCRIPT_FORMATS[format];
 
     res.status(200).json({
       success: true,
       data: {
-        text: exportText,
-        fileName: `transcript-${transcription.meetingId}-${Date.now()}.txt`,
+        text: formatTranscript(transcript, format),
+        format,
+        mimeType,
+        fileName: `transcript-${transcription.meetingId}-${Date.now()}.${extension}`,
       },
     });
   } catch (error) {
@@ -0,0 +1,60 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import multer from "multer";
+import {
+  ATTACHMENTS_DIR,
+  getAttachmentRules,
+  isAllowedAttachmentType,
+} from "../utils/attachmentStorage.js";
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.promises
+      .mkdir(ATTACHMENTS_DIR, { recursive: true })
+      .then(() => cb(null, ATTACHMENTS_DIR), cb);
+  },
+  // The stored name doubles as the attachment's id on the message
+  filename: (req, file, cb) => {
+    cb(null, new mongoose.Types.ObjectId().toString());
+  },
+});
+
+// Accept files sent as multipart "attachments" fields. JSON requests pass
+// straight through, so text-only messages are unaffected.
+export const uploadAttachments = (req, res, next) => {
+  const rules = getAttachmentRules();
+  const upload = multer({
+    storage,
+    limits: { fileSize: rules.maxFileSize, files: rules.maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!isAllowedAttachmentType(file.mimetype)) {
+        const error = new Error(`Files of type ${file.mimetype || "unknown"} are not allowed`);
+        error.status = 415;
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).array("attachments");
+
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    // Multer removes files it already wrote when a later one is rejected
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        success: false,
+        message: `Files can be at most ${Math.round(rules.maxFileSize / (1024 * 1024))} MB`,
+      });
+    }
+    if (error.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({
+        success: false,
+        message: `You can attach up to ${rules.maxFiles} files per message`,
+      });
+    }
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || "Invalid attachment upload",
+    });
+  });
+};
@@ -1,7 +1,28 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { resolveGuest } from "../utils/invites.js";
+import { findActiveSession } from "../utils/sessions.js";
 
-export const protect = async (req, res, next) => {
+// Helper: Find who a verified token belongs to - a user, or a guest who came
+// in through an invite link. Other signed tokens (e.g. invite links) are no
+// one, and neither are access tokens whose session has been revoked (or that
+// predate sessions) or sign-ins from before the user's last password reset.
+const resolveTokenOwner = async (decoded, ip) => {
+  if (decoded.type === "guest") return resolveGuest(decoded);
+  if (decoded.type || !decoded.sid) return null;
+
+  const session = await findActiveSession(decoded.sid, decoded.id, ip);
+  if (!session) return null;
+
+  const user = await User.findById(decoded.id).select("-password");
+  if (user?.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return null;
+  }
+  return user;
+};
+
+// Helper: Shared by `protect` and `protectWithGuests`
+const authenticate = async (req, res, next, allowGuests) => {
   let token;
 
   if (
@@ -16,7 +37,8 @@ export const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from token
-      req.user = await User.findById(decoded.id).select("-password");
+      req.user = await resolveTokenOwner(decoded, req.ip);
+      req.sessionId = decoded.sid || null;
 
       if (!req.user) {
         return res.status(401).json({
@@ -25,6 +47,17 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Guests only ever see the meeting they were invited to
+      if (
+        req.user.isGuest &&
+        (!allowGuests || (req.params.meetingId && req.params.meetingId !== req.user.meetingId))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Guests can only access the meeting they were invited to",
+        });
+      }
+
       next();
     } catch (error) {
       console.error("Auth middleware error:", error);
@@ -42,3 +75,68 @@ export const protect = async (req, res, next) => {
     });
   }
 };
+
+export const protect = (req, res, next) => authenticate(req, res, next, false);
+
+// Like `protect`, but also lets in guests, for what they need inside the
+// meeting room (chat, polls, connection settings)
+export const protectWithGuests = (req, res, next) => authenticate(req, res, next, true);
+
+// Use after `protect`: keeps accounts that haven't confirmed their email
+// address from hosting meetings
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      message: "Please confirm your email address before hosting meetings",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
+// Build a Socket.IO handshake error the client can tell apart from network errors
+const socketAuthError = (message) => {
+  const error = new Error(message);
+  error.data = { code: "AUTH_FAILED" };
+  return error;
+};
+
+// Socket.IO counterpart of `protect`: verifies the JWT sent in the handshake
+// (`auth.token`) and attaches the user to `socket.data.user`. Guests connect
+// too; the socket server keeps them to their own meeting.
+export const protectSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(socketAuthError("Not authorized, no token provided"));
+  }
+
+  try {
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Get user from token
+    const user = await resolveTokenOwner(decoded, socket.handshake.address);
+
+    if (!user) {
+      return next(socketAuthError("User not found"));
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      fullName: user.fullName,
+      email: user.email,
+      isGuest: user.isGuest === true,
+      emailVerified: user.isGuest !== true && user.emailVerified !== false,
+      meetingId: user.meetingId || null,
+      inviteRole: user.inviteRole || null,
+      sessionId: decoded.sid || null,
+    };
+
+    next();
+  } catch (error) {
+    console.error("Socket auth middleware error:", error);
+    next(socketAuthError("Not authorized, token failed"));
+  }
+};
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// What a guest who joins through the link becomes once admitted
+export const INVITE_ROLES = ['participant', 'co-host'];
+
+// A shareable link that lets someone without an account join a meeting as a
+// guest. The link itself carries a token signed over this record's id (see
+// utils/invites.js); the record is what lets hosts revoke it.
+const inviteSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdByName: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: INVITE_ROLES,
+      default: 'participant',
+    },
+    // Single-use links stop working once one guest has joined with them
+    singleUse: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Whether guests can still join with this link
+ */
+inviteSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date() && !(this.singleUse && this.uses > 0);
+};
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+export default Invite;
@@ -16,6 +16,13 @@ const meetingSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Short code like "abc-defg-hij" that resolves to meetingId (see utils/meetingCodes.js).
+    // Meetings created before codes existed don't have one.
+    code: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     title: {
       type: String,
       default: 'Untitled Meeting',
@@ -37,16 +44,69 @@ const meetingSchema = new mongoose.Schema(
         leftAt: {
           type: Date,
         },
+        // One entry per stay in the room; a reconnect starts a new session
+        sessions: [
+          {
+            _id: false,
+            joinedAt: {
+              type: Date,
+              required: true,
+            },
+            leftAt: {
+              type: Date,
+            },
+          },
+        ],
       },
     ],
     status: {
       type: String,
-      enum: ['active', 'ended'],
+      enum: ['scheduled', 'active', 'ended', 'cancelled'],
       default: 'active',
     },
     startedAt: {
       type: Date,
-      default: Date.now,
+      // Scheduled meetings only get a start time once someone starts them
+      default: function () {
+        return this.status === 'scheduled' ? undefined : Date.now();
+      },
+    },
+    scheduledStart: {
+      type: Date,
+      index: true,
+    },
+    duration: {
+      type: Number, // in minutes
+      min: 5,
+      max: 24 * 60,
+      default: 60,
+    },
+    agenda: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+      default: '',
+    },
+    invitees: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ['none', 'daily', 'weekly', 'monthly'],
+        default: 'none',
+      },
+      until: {
+        type: Date,
+      },
+    },
+    sequence: {
+      type: Number, // iCalendar SEQUENCE, bumped on every schedule change
+      default: 0,
     },
     endedAt: {
       type: Date,
@@ -55,12 +115,84 @@ const meetingSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // In-meeting roles. `hostId` stays the owner; the host role can be handed
+    // to someone else during the meeting.
+    roles: {
+      host: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      coHosts: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+    },
+    // Host-configurable room settings, enforced by the socket server
+    settings: {
+      waitingRoomEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      autoAdmitDomains: [
+        {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+      ],
+      maxParticipants: {
+        type: Number, // 0 = no limit
+        min: 0,
+        max: 100,
+        default: 0,
+      },
+      muteOnEntry: {
+        type: Boolean,
+        default: false,
+      },
+      cameraOffOnEntry: {
+        type: Boolean,
+        default: false,
+      },
+      chatEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      privateChatEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      transcriptionEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      recordingPermission: {
+        type: String,
+        enum: ['host', 'everyone'],
+        default: 'host',
+      },
+      // Media only through TURN, so participants never see each other's IPs
+      relayOnly: {
+        type: Boolean,
+        default: false,
+      },
+      passcode: {
+        type: String, // '' = no passcode
+        match: /^(\d{4,10})?$/,
+        default: '',
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Index for listing upcoming meetings by invitee
+meetingSchema.index({ invitees: 1, status: 1 });
+
 const Meeting = mongoose.model('Meeting', meetingSchema);
 
 export default Meeting;
\ No newline at end of file
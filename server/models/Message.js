@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 
+export const MESSAGE_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👏'];
+
+// Who a message is for: the whole room, one participant, or the hosts
+export const MESSAGE_AUDIENCES = ['everyone', 'participant', 'hosts'];
+
 const messageSchema = new mongoose.Schema(
   {
     meetingId: {
@@ -16,12 +21,107 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Sent by a guest who joined through an invite link
+    isGuest: {
+      type: Boolean,
+      default: false,
+    },
+    // Optional when the message carries attachments
     content: {
       type: String,
-      required: true,
+      required: function () {
+        return this.attachments.length === 0;
+      },
       trim: true,
       maxlength: 5000,
+      default: '',
+    },
+    // Files live in uploads/attachments, named by the attachment's _id
+    attachments: [
+      {
+        fileName: {
+          type: String,
+          required: true,
+        },
+        mimeType: {
+          type: String,
+          required: true,
+        },
+        size: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    // Replies always point at the top-level message of their thread
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+      index: true,
+    },
+    // Sent inside a breakout room of the meeting (null for the main room)
+    breakoutId: {
+      type: String,
+      default: null,
+    },
+    breakoutName: {
+      type: String,
+      default: null,
+    },
+    audience: {
+      type: String,
+      enum: MESSAGE_AUDIENCES,
+      default: 'everyone',
     },
+    // Private messages only: everyone besides the sender who can read it
+    recipients: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        userName: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    mentions: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        userName: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          enum: MESSAGE_REACTIONS,
+          required: true,
+        },
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        userName: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
     timestamp: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const POLL_STATUSES = ['open', 'closed'];
+export const MAX_QUESTION_LENGTH = 300;
+export const MAX_OPTION_LENGTH = 150;
+
+const pollSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    createdByName: {
+      type: String,
+      required: true,
+    },
+    question: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: MAX_QUESTION_LENGTH,
+    },
+    options: [
+      {
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: MAX_OPTION_LENGTH,
+        },
+      },
+    ],
+    allowMultiple: {
+      type: Boolean,
+      default: false,
+    },
+    // Anonymous polls never reveal who voted for what, not even to the host
+    isAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: POLL_STATUSES,
+      default: 'open',
+    },
+    // Voting stops at this time even if nobody closes the poll
+    closesAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+    },
+    // One entry per voter - see votePoll
+    votes: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        userName: {
+          type: String,
+          required: true,
+        },
+        optionIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+          },
+        ],
+        votedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pollSchema.index({ meetingId: 1, createdAt: 1 });
+
+const Poll = mongoose.model('Poll', pollSchema);
+
+export default Poll;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+export const RECORDING_VISIBILITIES = ['private', 'participants', 'specific'];
+
+// A finished meeting recording. Who can watch it is chosen by the recorder:
+// only them, everyone who took part in the meeting, or a list of users.
+const recordingSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    meetingTitle: {
+      type: String,
+      default: 'Untitled Meeting',
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    recordedByName: {
+      type: String,
+      required: true,
+    },
+    uploadId: {
+      // RecordingUpload the file was assembled from (not set on recordings
+      // moved over from the old per-user list)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecordingUpload',
+      unique: true,
+      sparse: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'video/webm',
+    },
+    fileSize: {
+      type: Number, // in bytes
+      default: 0,
+    },
+    duration: {
+      type: Number, // in seconds
+      default: 0,
+    },
+    participants: [{
+      type: String,
+    }],
+    visibility: {
+      type: String,
+      enum: RECORDING_VISIBILITIES,
+      default: 'private',
+    },
+    allowedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recordingSchema.index({ allowedUsers: 1 });
+
+const Recording = mongoose.model('Recording', recordingSchema);
+
+export default Recording;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A recording being streamed to the server in MediaRecorder timeslice chunks.
+// Chunks are kept on disk until the upload is finalized into one file, or
+// until an upload left unfinished expires (see utils/recordingUploads.js).
+const recordingUploadSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    meetingId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mimeType: {
+      type: String,
+      default: 'video/webm',
+    },
+    status: {
+      type: String,
+      // 'assembling' while one request puts the file together
+      enum: ['uploading', 'assembling', 'complete'],
+      default: 'uploading',
+    },
+    chunks: [
+      {
+        _id: false,
+        index: {
+          type: Number,
+          required: true,
+        },
+        size: {
+          type: Number, // in bytes
+          required: true,
+        },
+        endsAt: {
+          type: Number, // ms of recording covered once this chunk has played
+          default: 0,
+        },
+      },
+    ],
+    participants: [{
+      type: String,
+    }],
+    fileName: {
+      type: String,
+    },
+    fileSize: {
+      type: Number, // in bytes, set on finalize
+      default: 0,
+    },
+    duration: {
+      type: Number, // in seconds, set on finalize
+      default: 0,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recordingUploadSchema.index({ status: 1, updatedAt: 1 });
+
+const RecordingUpload = mongoose.model('RecordingUpload', recordingUploadSchema);
+
+export default RecordingUpload;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Its refresh token is swapped for a new one every time
+// it's used (see utils/sessions.js); only hashes of the tokens are kept.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The token this one replaced, so a stolen copy being replayed can be spotted
+    previousRefreshTokenHash: {
+      type: String,
+      index: true,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back each time the token is refreshed; MongoDB deletes the session after it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -39,6 +39,13 @@ const transcriptionSchema = new mongoose.Schema(
           max: 1,
           default: 1,
         },
+        // Spoken inside a breakout room (unset for the main room)
+        breakoutId: {
+          type: String,
+        },
+        breakoutName: {
+          type: String,
+        },
       },
     ],
     startedAt: {
@@ -19,53 +19,73 @@ const userSchema = new mongoose.Schema(
         'Please provide a valid email',
       ],
     },
+    // Accounts created through single sign-on may not have one
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      required: [
+        function () {
+          return !this.identities?.length;
+        },
+        'Password is required',
+      ],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false,
     },
-    recordings: [
-      {
-        meetingId: {
-          type: String,
-          required: true,
-        },
-        meetingTitle: {
-          type: String,
-          default: 'Untitled Meeting',
-        },
-        recordingId: {
-          // GridFS file ID
-          type: mongoose.Schema.Types.ObjectId,
-          required: true,
-        },
-        duration: {
-          type: Number, // in seconds
-          default: 0,
-        },
-        participants: [{
-          type: String,
-        }],
-        recordedAt: {
-          type: Date,
-          default: Date.now,
-        },
-        fileSize: {
-          type: Number, // in bytes
-          default: 0,
+    // false until the address is confirmed through the emailed link. Accounts
+    // from before verification existed don't have it and count as verified.
+    emailVerified: {
+      type: Boolean,
+    },
+    // Single-use links (see utils/accountTokens.js): only a hash of the token is kept
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Sign-in tokens issued before this stop working
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Single sign-on accounts linked to this user (see utils/oidc.js)
+    identities: {
+      type: [
+        {
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          linkedAt: { type: Date, default: Date.now },
+          _id: false,
         },
-      },
-    ],
+      ],
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) {
+  // Also skipped when the password is removed (see the single sign-on linking)
+  if (!this.isModified('password') || !this.password) {
     return next();
   }
   
@@ -76,9 +96,17 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Whether the user has confirmed their email address
+ */
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
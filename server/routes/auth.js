@@ -1,12 +1,43 @@
 import express from 'express';
-import { register, login, getProfile, verifyToken} from '../controllers/authController.js';
+import {
+  register,
+  login,
+  getProfile,
+  verifyToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getSsoProviders,
+  startSsoLogin,
+  handleSsoCallback,
+  exchangeSsoCode,
+} from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
 router.get('/profile', protect, getProfile);
 router.get('/verify', protect, verifyToken);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, revokeSession);
+router.get('/oidc/providers', getSsoProviders);
+router.post('/oidc/exchange', exchangeSsoCode);
+router.get('/oidc/:providerId/start', startSsoLogin);
+router.get('/oidc/:providerId/callback', handleSsoCallback);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getInvite, joinAsGuest } from '../controllers/inviteController.js';
+
+const router = express.Router();
+
+router.get('/:token', getInvite);
+router.post('/:token/join', joinAsGuest);
+
+export default router;
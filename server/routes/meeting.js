@@ -1,25 +1,43 @@
 import express from 'express';
 import {
   createMeeting,
+  resolveMeeting,
   getMeeting,
   endMeeting,
-  saveRecording,
-  getRecordings,
-  deleteRecording,
-  getMeetingRecording,
   updateRecordingStatus,
+  scheduleMeeting,
+  getScheduledMeetings,
+  updateScheduledMeeting,
+  cancelScheduledMeeting,
+  startScheduledMeeting,
+  downloadMeetingIcs,
+  getMeetingHistory,
+  getMeetingAttendance,
+  downloadAttendanceCsv,
+  getIceServers,
 } from '../controllers/meetingController.js';
-import { protect } from '../middleware/auth.js';
+import { createInvite, getInvites, revokeInvite } from '../controllers/inviteController.js';
+import { protect, protectWithGuests, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.post('/create', protect, createMeeting);
-router.get('/recordings', protect, getRecordings);
+router.post('/create', protect, requireVerifiedEmail, createMeeting);
+router.post('/schedule', protect, requireVerifiedEmail, scheduleMeeting);
+router.get('/scheduled', protect, getScheduledMeetings);
+router.get('/history', protect, getMeetingHistory);
+router.get('/resolve/:reference', protect, resolveMeeting);
 router.get('/:meetingId', protect, getMeeting);
-router.get('/:meetingId/recording', protect, getMeetingRecording);
+router.get('/:meetingId/ics', protect, downloadMeetingIcs);
+router.get('/:meetingId/attendance', protect, getMeetingAttendance);
+router.get('/:meetingId/attendance/csv', protect, downloadAttendanceCsv);
+router.get('/:meetingId/ice-servers', protectWithGuests, getIceServers);
+router.get('/:meetingId/invites', protect, getInvites);
+router.post('/:meetingId/invites', protect, createInvite);
+router.delete('/:meetingId/invites/:inviteId', protect, revokeInvite);
+router.put('/:meetingId/schedule', protect, updateScheduledMeeting);
+router.put('/:meetingId/cancel', protect, cancelScheduledMeeting);
+router.put('/:meetingId/start', protect, requireVerifiedEmail, startScheduledMeeting);
 router.put('/:meetingId/end', protect, endMeeting);
 router.put('/:meetingId/recording-status', protect, updateRecordingStatus);
-router.post('/:meetingId/recording', protect, saveRecording);
-router.delete('/recordings/:recordingId', protect, deleteRecording);
 
 export default router;
\ No newline at end of file
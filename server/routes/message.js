@@ -4,14 +4,19 @@ import {
   createMessage,
   editMessage,
   deleteMessage,
+  toggleReaction,
+  downloadAttachment,
 } from "../controllers/messageController.js";
-import { protect } from "../middleware/auth.js";
+import { protectWithGuests } from "../middleware/auth.js";
+import { uploadAttachments } from "../middleware/attachmentUpload.js";
 
 const router = express.Router();
 
-router.get("/:meetingId", protect, getMessages);
-router.post("/:meetingId", protect, createMessage);
-router.put("/:messageId", protect, editMessage);
-router.delete("/:messageId", protect, deleteMessage);
+router.get("/attachments/:attachmentId", protectWithGuests, downloadAttachment);
+router.get("/:meetingId", protectWithGuests, getMessages);
+router.post("/:meetingId", protectWithGuests, uploadAttachments, createMessage);
+router.put("/:messageId", protectWithGuests, editMessage);
+router.delete("/:messageId", protectWithGuests, deleteMessage);
+router.post("/:messageId/reactions", protectWithGuests, toggleReaction);
 
 export default router;
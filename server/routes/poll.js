@@ -0,0 +1,12 @@
+import express from 'express';
+import { getPolls, createPoll, votePoll, closePoll } from '../controllers/pollController.js';
+import { protectWithGuests } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/:meetingId', protectWithGuests, getPolls);
+router.post('/:meetingId', protectWithGuests, createPoll);
+router.post('/:pollId/votes', protectWithGuests, votePoll);
+router.post('/:pollId/close', protectWithGuests, closePoll);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  startRecordingUpload,
+  getRecordingUploads,
+  getRecordingUpload,
+  appendRecordingChunk,
+  completeRecordingUpload,
+  getRecordings,
+  getRecording,
+  updateRecordingVisibility,
+  deleteRecording,
+  streamRecording,
+} from '../controllers/recordingController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Chunks arrive as raw bytes, one MediaRecorder timeslice per request
+const chunkBody = express.raw({ type: () => true, limit: '10mb' });
+
+router.post('/uploads', protect, startRecordingUpload);
+router.get('/uploads', protect, getRecordingUploads);
+router.get('/uploads/:uploadId', protect, getRecordingUpload);
+router.put('/uploads/:uploadId/chunks/:index', protect, chunkBody, appendRecordingChunk);
+router.post('/uploads/:uploadId/complete', protect, completeRecordingUpload);
+
+router.get('/', protect, getRecordings);
+router.get('/:recordingId', protect, getRecording);
+router.put('/:recordingId/visibility', protect, updateRecordingVisibility);
+router.delete('/:recordingId', protect, deleteRecording);
+// Authenticated by the token in the URL - see streamRecording
+router.get('/:recordingId/stream', streamRecording);
+
+export default router;
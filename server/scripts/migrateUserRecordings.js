@@ -0,0 +1,91 @@
+// One-off migration: recordings used to be kept in a list on each user
+// (`users.recordings`); they now live in the recordings collection. This copies
+// every old entry across as a private recording of the user who made it, then
+// removes the old list. Safe to run more than once.
+//
+// Run from the server directory, with the same .env as the server:
+//   npm run migrate:recordings
+
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Recording from '../models/Recording.js';
+import RecordingUpload from '../models/RecordingUpload.js';
+import { getRecordingPath } from '../utils/recordingStorage.js';
+
+dotenv.config();
+
+// Helper: Turn one old list entry into a recording, unless it was moved already
+const migrateEntry = async (user, entry) => {
+  // Old entries point at the file as "/uploads/recordings/<file>"
+  const fileName = entry.recordingUrl ? path.basename(entry.recordingUrl) : null;
+  if (!fileName) {
+    console.warn(`  Skipped a recording of meeting ${entry.meetingId}: no file recorded`);
+    return false;
+  }
+
+  if (await Recording.exists({ recordedBy: user._id, fileName })) {
+    return false;
+  }
+
+  if (!fs.existsSync(getRecordingPath(fileName))) {
+    console.warn(`  ${fileName} is missing from disk; moving its details anyway`);
+  }
+
+  // Only recordings from chunked uploads point at an upload session
+  const uploadId =
+    entry.recordingId && (await RecordingUpload.exists({ _id: entry.recordingId }))
+      ? entry.recordingId
+      : undefined;
+
+  await Recording.create({
+    meetingId: entry.meetingId,
+    meetingTitle: entry.meetingTitle || undefined,
+    recordedBy: user._id,
+    recordedByName: user.fullName,
+    uploadId,
+    fileName,
+    mimeType: fileName.endsWith('.mp4') ? 'video/mp4' : 'video/webm',
+    fileSize: entry.fileSize || 0,
+    duration: entry.duration || 0,
+    participants: entry.participants || [],
+    visibility: 'private',
+    recordedAt: entry.recordedAt || user.createdAt,
+  });
+  return true;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // uploadId became sparse so several recordings can be without one
+  await Recording.syncIndexes();
+
+  // The field is gone from the User schema, so read the raw documents
+  const users = mongoose.connection.collection('users');
+  const cursor = users.find(
+    { 'recordings.0': { $exists: true } },
+    { projection: { fullName: 1, recordings: 1, createdAt: 1 } }
+  );
+
+  let userCount = 0;
+  let recordingCount = 0;
+  for await (const user of cursor) {
+    console.log(`${user.fullName} (${user._id}): ${user.recordings.length} recording(s)`);
+    for (const entry of user.recordings) {
+      if (await migrateEntry(user, entry)) recordingCount++;
+    }
+    await users.updateOne({ _id: user._id }, { $unset: { recordings: '' } });
+    userCount++;
+  }
+
+  console.log(`Moved ${recordingCount} recording(s) from ${userCount} user(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Recording migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
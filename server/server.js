@@ -4,13 +4,53 @@ import { Server } from 'socket.io';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
 import authRoutes from './routes/auth.js';
 import meetingRoutes from './routes/meeting.js';
 import messageRoutes from './routes/message.js';
 import transcriptionRoutes from './routes/transcription.js';
+import recordingRoutes from './routes/recording.js';
+import searchRoutes from './routes/search.js';
+import pollRoutes from './routes/poll.js';
+import inviteRoutes from './routes/invite.js';
+import { protectSocket } from './middleware/auth.js';
+import Meeting from './models/Meeting.js';
+import { RECORDINGS_DIR } from './utils/recordingStorage.js';
+import { removeExpiredUploads } from './utils/recordingUploads.js';
+import { transcriptionHistory } from './utils/liveTranscripts.js';
+import {
+  breakoutSessions,
+  getMediaChannel,
+  assignRandomly,
+  MAX_BREAKOUT_ROOMS,
+  MAX_BREAKOUT_NAME_LENGTH,
+  MAX_BREAKOUT_MINUTES,
+} from './utils/breakouts.js';
+import {
+  startSfu,
+  chooseMediaMode,
+  getRouterCapabilities,
+  createTransport,
+  connectTransport,
+  produce,
+  closeProducer,
+  describeProducer,
+  getProducers,
+  consume,
+  resumeConsumer,
+  leaveSfu,
+  closeSfuRoom,
+  closeMeetingSfuRooms,
+  SFU_SOURCES,
+} from './utils/sfu.js';
+import {
+  DEFAULT_ROOM_SETTINGS,
+  withDefaultSettings,
+  sanitizeRoomSettings,
+  isDomainAutoAdmitted,
+  canRecord,
+  withoutPasscode,
+} from './utils/roomSettings.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,6 +68,9 @@ const io = new Server(httpServer, {
   maxHttpBufferSize: 100 * 1024 * 1024, // 100MB for large recordings
 });
 
+// Controllers broadcast chat changes to meeting rooms
+app.set('io', io);
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -37,75 +80,19 @@ app.use(express.json({ limit: '100mb' }));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = path.join(process.cwd(), 'uploads', 'recordings');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+if (!fs.existsSync(RECORDINGS_DIR)) {
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
 }
 
-// Serve static files for recordings
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
-
-// Multer configuration for recording uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `recording-${uniqueSuffix}.webm`);
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'video/webm' || file.mimetype === 'video/mp4') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only video files are allowed'));
-    }
-  }
-});
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/transcriptions', transcriptionRoutes);
-
-// Recording upload endpoint
-app.post('/api/meetings/:meetingId/upload-recording', 
-  upload.single('recording'), 
-  async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'No recording file uploaded'
-        });
-      }
-
-      const recordingUrl = `/uploads/recordings/${req.file.filename}`;
-      
-      res.status(200).json({
-        success: true,
-        message: 'Recording uploaded successfully',
-        data: {
-          recordingUrl,
-          fileSize: req.file.size,
-          filename: req.file.filename
-        }
-      });
-    } catch (error) {
-      console.error('Upload recording error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error uploading recording',
-        error: error.message
-      });
-    }
-});
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/polls', pollRoutes);
+app.use('/api/invites', inviteRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -118,10 +105,22 @@ app.get('/health', (req, res) => {
 
 // Store active rooms and their participants
 // Structure: Map<roomId, Map<socketId, participantData>>
+// participantData.breakoutId: the breakout the connection is in (null = main room).
+// Each breakout is its own WebRTC mesh, signaled in its own Socket.IO room
+// (see getMediaChannel); events for the whole meeting still go to roomId.
 const rooms = new Map();
 
 // Store room metadata including host information
-// Structure: Map<roomId, { hostUserId, hostSocketId, createdAt, settings }>
+// Structure: Map<roomId, { hostUserId, hostSocketId, coHostUserIds, savedHostUserId, createdAt,
+//                          settings, loaded, screenShare, locked }>
+// coHostUserIds: Set<oduserId> - co-hosts can admit people and moderate
+// savedHostUserId: host saved on the Meeting; takes the role back from whoever opened the room
+// settings: persisted on the Meeting document (see utils/roomSettings.js)
+// loaded: Promise that resolves once settings and roles have been read from the database
+// screenShare: { socketId, oduserId, userName, streamId, startedAt } | null (one presenter at a time
+//              in the main room; breakouts keep their own - see getMeshScope)
+// mediaMode: 'mesh' | 'sfu' - how the main room's media travels (see utils/sfu.js)
+// locked: when true, new join requests are rejected outright (admitted users can still reconnect)
 const roomMetadata = new Map();
 
 // Store approved users per room (persists across reconnections)
@@ -129,27 +128,47 @@ const roomMetadata = new Map();
 const approvedUsers = new Map();
 
 // Store pending join requests with deduplication
-// Structure: Map<roomId, Map<oduserId, { oduserId, userName, socketId, requestedAt, status }>>
+// Structure: Map<roomId, Map<oduserId, { oduserId, userName, email, socketId, requestedAt, status }>>
 const pendingJoinRequests = new Map();
 
 // Store denied users (temporary ban until meeting ends)
 // Structure: Map<roomId, Map<userId, { deniedAt, reason }>>
 const deniedUsers = new Map();
 
+// Wrong passcode entries, so a meeting's passcode can't be guessed by trying them all
+// Structure: Map<roomId, Map<oduserId, { failures, lockedUntil }>>
+const passcodeAttempts = new Map();
+const MAX_PASSCODE_FAILURES = 5;
+const PASSCODE_LOCKOUT = 5 * 60 * 1000; // 5 minutes
+
+// Raised hands per room, in the order they went up (keyed by user, so a
+// reconnect keeps its place)
+// Structure: Map<roomId, Map<oduserId, { oduserId, userName, raisedAt }>>
+const raisedHands = new Map();
+
 // NEW: Store socket-to-user mapping (tracks which userId owns which socket)
 // Structure: Map<socketId, { oduserId, oduserId, roomId }>
 const socketUserMap = new Map();
 
-// NEW: Store transcription history per room (for late joiners & reconnections)
-// Structure: Map<roomId, Array<{id, userId, userName, text, timestamp, secondsIntoMeeting, confidence}>>
-const transcriptionHistory = new Map();
-
 // Request timeout duration (5 minutes)
 const REQUEST_TIMEOUT = 5 * 60 * 1000;
 
 // Deduplication window (prevent spam requests)
 const DEDUP_WINDOW = 5000; // 5 seconds
 
+// How long a disconnected host has to come back before the role passes on
+const HOST_RECONNECT_GRACE = 15000; // 15 seconds
+
+// How long a dropped user's raised hand is kept for them to reconnect
+const HAND_RECONNECT_GRACE = 30000; // 30 seconds
+
+// Longest message a host can broadcast to every breakout room
+const MAX_BREAKOUT_BROADCAST_LENGTH = 500;
+
+// Emoji reactions that float over a participant's tile
+const ROOM_REACTIONS = ['👍', '👏', '❤️', '😂', '🎉', '😮'];
+const REACTION_COOLDOWN = 500; // ms between reactions from one participant
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -213,11 +232,48 @@ const hasPendingRequest = (roomId, oduserId) => {
 };
 
 /**
- * Get the current host socket ID for a room
+ * Check if a user is a co-host of a room
+ */
+const isCoHost = (roomId, oduserId) => {
+  const metadata = roomMetadata.get(roomId);
+  if (!metadata) return false;
+  return metadata.coHostUserIds.has(normalizeId(oduserId));
+};
+
+/**
+ * Check if a user can admit people and moderate (host or co-host)
+ */
+const canModerate = (roomId, oduserId) => isHost(roomId, oduserId) || isCoHost(roomId, oduserId);
+
+/**
+ * Get a user's role in a room
+ */
+const getRole = (roomId, oduserId) => {
+  if (isHost(roomId, oduserId)) return 'host';
+  if (isCoHost(roomId, oduserId)) return 'cohost';
+  return 'participant';
+};
+
+/**
+ * Get the socket IDs of everyone who handles join requests (host and co-hosts)
  */
-const getHostSocketId = (roomId) => {
+const getModeratorSocketIds = (roomId) => {
   const metadata = roomMetadata.get(roomId);
-  return metadata ? metadata.hostSocketId : null;
+  if (!metadata) return [];
+  
+  const socketIds = new Set();
+  if (metadata.hostSocketId) socketIds.add(metadata.hostSocketId);
+  for (const data of rooms.get(roomId)?.values() || []) {
+    if (isCoHost(roomId, data.oduserId)) socketIds.add(data.socketId);
+  }
+  return Array.from(socketIds);
+};
+
+/**
+ * Send an event to the host and every co-host
+ */
+const notifyModerators = (roomId, event, payload) => {
+  getModeratorSocketIds(roomId).forEach((socketId) => io.to(socketId).emit(event, payload));
 };
 
 /**
@@ -231,6 +287,426 @@ const updateHostSocketId = (roomId, newSocketId) => {
   }
 };
 
+/**
+ * Get what holds a mesh's state (screen share, media mode): the room metadata
+ * for the main room, or the breakout room itself
+ */
+const getMeshScope = (roomId, breakoutId = null) =>
+  breakoutId ? breakoutSessions.get(roomId)?.rooms.get(breakoutId) : roomMetadata.get(roomId);
+
+/**
+ * Clear the active screen share of the main room or a breakout and tell its mesh it stopped
+ */
+const clearScreenShare = (roomId, stoppedByHost = false, breakoutId = null) => {
+  const scope = getMeshScope(roomId, breakoutId);
+  if (!scope || !scope.screenShare) return;
+  
+  const { socketId, oduserId, userName } = scope.screenShare;
+  scope.screenShare = null;
+  
+  io.to(getMediaChannel(roomId, breakoutId)).emit('screen-share-stopped', {
+    socketId,
+    oduserId,
+    userName,
+    stoppedByHost
+  });
+  console.log(`Screen share by ${userName} stopped in room ${roomId}`);
+};
+
+/**
+ * Get a room's raised hands, first raised first
+ */
+const getHandQueue = (roomId) =>
+  Array.from(raisedHands.get(roomId)?.values() || []).sort((a, b) => a.raisedAt - b.raisedAt);
+
+/**
+ * Send the room its current hand queue
+ */
+const announceHandQueue = (roomId) => {
+  io.to(roomId).emit('hand-queue-updated', { queue: getHandQueue(roomId) });
+};
+
+/**
+ * Lower a user's hand. Returns whether it was raised.
+ */
+const lowerHand = (roomId, oduserId) => {
+  const hands = raisedHands.get(roomId);
+  if (!hands?.delete(normalizeId(oduserId))) return false;
+  if (hands.size === 0) raisedHands.delete(roomId);
+  announceHandQueue(roomId);
+  return true;
+};
+
+/**
+ * Describe a connection to the other members of its mesh
+ */
+const toParticipantInfo = (roomId, data) => ({
+  oduserId: data.oduserId,
+  userName: data.userName,
+  socketId: data.socketId,
+  isHost: data.isHost,
+  isGuest: data.isGuest,
+  role: data.role,
+  mediaState: data.mediaState,
+  handRaisedAt: raisedHands.get(roomId)?.get(normalizeId(data.oduserId))?.raisedAt || null
+});
+
+/**
+ * Get everyone else in the same mesh (main room or breakout) as a connection
+ */
+const getMeshPeers = (roomId, userData) =>
+  Array.from(rooms.get(roomId)?.values() || [])
+    .filter((p) => p.socketId !== userData.socketId && p.breakoutId === userData.breakoutId)
+    .map((p) => toParticipantInfo(roomId, p));
+
+/**
+ * Get the live transcript of one mesh
+ */
+const getMeshTranscript = (roomId, breakoutId = null) =>
+  (transcriptionHistory.get(roomId) || []).filter((entry) => (entry.breakoutId || null) === breakoutId);
+
+/**
+ * Switch a mesh between peer-to-peer and the SFU when its size calls for it.
+ * Clients rebuild their media on 'media-mode'; `newcomerSocketId` is told the
+ * mode even when it doesn't change, before it hears about its peers.
+ */
+const syncMediaMode = (roomId, breakoutId = null, newcomerSocketId = null) => {
+  const scope = getMeshScope(roomId, breakoutId);
+  if (!scope) return;
+  
+  // In join order, which decides who calls whom when the mesh is rebuilt
+  const members = Array.from(rooms.get(roomId)?.values() || []).filter((p) => p.breakoutId === breakoutId);
+  const currentMode = scope.mediaMode || 'mesh';
+  const mode = chooseMediaMode(currentMode, members.length);
+  const channel = getMediaChannel(roomId, breakoutId);
+  
+  if (mode === currentMode) {
+    if (newcomerSocketId) io.to(newcomerSocketId).emit('media-mode', { mode });
+    return;
+  }
+  
+  scope.mediaMode = mode;
+  io.to(channel).emit('media-mode', { mode });
+  
+  // Back to peer-to-peer: everyone calls the peers who joined before them,
+  // just like joining one by one
+  if (mode === 'mesh') {
+    closeSfuRoom(channel);
+    members.forEach((data, index) => {
+      io.to(data.socketId).emit('existing-participants',
+        members.slice(0, index).map((p) => toParticipantInfo(roomId, p)));
+    });
+  }
+  console.log(`Room ${channel} switched to ${mode} with ${members.length} connections`);
+};
+
+/**
+ * The media worker died and took its routers with it: every mesh that was on
+ * the SFU goes back to peer-to-peer, and its clients rebuild their connections
+ */
+const fallBackToMesh = () => {
+  for (const [roomId, metadata] of roomMetadata) {
+    if (metadata.mediaMode === 'sfu') syncMediaMode(roomId);
+    for (const [breakoutId, breakout] of breakoutSessions.get(roomId)?.rooms || []) {
+      if (breakout.mediaMode === 'sfu') syncMediaMode(roomId, breakoutId);
+    }
+  }
+};
+
+/**
+ * Load a room's settings and saved roles from its Meeting document
+ * (defaults if there is none)
+ */
+const loadRoomState = async (roomId) => {
+  try {
+    const meeting = await Meeting.findOne({ meetingId: roomId })
+      .select('hostId code settings roles')
+      .lean();
+    return {
+      code: meeting?.code || null,
+      settings: withDefaultSettings(meeting?.settings),
+      savedHostUserId: normalizeId(meeting?.roles?.host || meeting?.hostId) || null,
+      coHostUserIds: (meeting?.roles?.coHosts || []).map(normalizeId),
+    };
+  } catch (error) {
+    console.error(`Failed to load state for room ${roomId}:`, error.message);
+    return { code: null, settings: withDefaultSettings(), savedHostUserId: null, coHostUserIds: [] };
+  }
+};
+
+/**
+ * Room settings as sent to one user: only the host and co-hosts see the passcode
+ */
+const settingsForUser = (roomId, oduserId, settings) =>
+  canModerate(roomId, oduserId) ? settings : withoutPasscode(settings);
+
+/**
+ * Check a join request against the meeting's passcode. Moderators, people
+ * already admitted and invited guests don't need it. Returns null when the
+ * request may go ahead, or the reason it can't.
+ */
+const checkPasscode = async (roomId, authUser, passcode) => {
+  const oduserId = normalizeId(authUser.id);
+  if (authUser.isGuest) return null;
+
+  const metadata = roomMetadata.get(roomId);
+  let settings;
+  if (metadata) {
+    await metadata.loaded;
+    if (canModerate(roomId, oduserId) || metadata.savedHostUserId === oduserId || isApproved(roomId, oduserId)) {
+      return null;
+    }
+    settings = metadata.settings;
+  } else {
+    const state = await loadRoomState(roomId);
+    if (state.savedHostUserId === oduserId || state.coHostUserIds.includes(oduserId)) {
+      return null;
+    }
+    settings = state.settings;
+  }
+
+  if (!settings.passcode) return null;
+
+  if (!passcodeAttempts.has(roomId)) {
+    passcodeAttempts.set(roomId, new Map());
+  }
+  const attempts = passcodeAttempts.get(roomId);
+  const attempt = attempts.get(oduserId);
+  if (attempt?.lockedUntil > Date.now()) {
+    return { message: 'Too many wrong passcodes. Please try again in a few minutes.', locked: true };
+  }
+
+  if (!passcode) {
+    return { message: 'This meeting needs a passcode.' };
+  }
+
+  if (String(passcode).trim() === settings.passcode) {
+    attempts.delete(oduserId);
+    return null;
+  }
+
+  const failures = (attempt?.lockedUntil ? 0 : attempt?.failures || 0) + 1;
+  if (failures >= MAX_PASSCODE_FAILURES) {
+    attempts.set(oduserId, { failures, lockedUntil: Date.now() + PASSCODE_LOCKOUT });
+    return { message: 'Too many wrong passcodes. Please try again in a few minutes.', invalid: true, locked: true };
+  }
+  attempts.set(oduserId, { failures, lockedUntil: null });
+  return { message: 'That passcode is not right.', invalid: true };
+};
+
+/**
+ * Get a room's settings, waiting for the initial database load if needed
+ */
+const getRoomSettings = async (roomId) => {
+  const metadata = roomMetadata.get(roomId);
+  if (!metadata) return withDefaultSettings();
+  await metadata.loaded;
+  return metadata.settings;
+};
+
+// Attendance writes for one user in one room run one after another, so a
+// quick leave and rejoin can't reach the database out of order
+const attendanceQueues = new Map();
+
+const queueAttendanceUpdate = (roomId, oduserId, update) => {
+  const key = `${roomId}:${normalizeId(oduserId)}`;
+  const next = (attendanceQueues.get(key) || Promise.resolve())
+    .then(update)
+    .catch((error) => {
+      console.error(`Failed to record attendance for room ${roomId}:`, error.message);
+    });
+  attendanceQueues.set(key, next);
+  next.then(() => {
+    if (attendanceQueues.get(key) === next) attendanceQueues.delete(key);
+  });
+};
+
+/**
+ * Close a user's open attendance session, if they have one
+ */
+const closeAttendanceSession = (roomId, oduserId, at) => {
+  const userId = new mongoose.Types.ObjectId(normalizeId(oduserId));
+  return Meeting.updateOne(
+    {
+      meetingId: roomId,
+      participants: { $elemMatch: { userId, sessions: { $elemMatch: { leftAt: null } } } },
+    },
+    {
+      $set: {
+        'participants.$[p].sessions.$[s].leftAt': at,
+        'participants.$[p].leftAt': at,
+      },
+    },
+    { arrayFilters: [{ 'p.userId': userId }, { 's.leftAt': null }] }
+  );
+};
+
+/**
+ * Start an attendance session. The first join also adds the user to the
+ * Meeting's participants (recordings shared with "all participants" are
+ * checked against this list).
+ */
+const recordAttendanceJoin = (roomId, oduserId, userName) => {
+  queueAttendanceUpdate(roomId, oduserId, async () => {
+    const now = new Date();
+    const userId = new mongoose.Types.ObjectId(normalizeId(oduserId));
+
+    // A socket replaced by a reconnect never left, so its session is still open
+    await closeAttendanceSession(roomId, oduserId, now);
+
+    const added = await Meeting.updateOne(
+      { meetingId: roomId, 'participants.userId': { $ne: userId } },
+      {
+        $push: {
+          participants: { userId, name: userName, joinedAt: now, sessions: [{ joinedAt: now }] },
+        },
+      }
+    );
+    if (added.matchedCount === 0) {
+      await Meeting.updateOne(
+        { meetingId: roomId, 'participants.userId': userId },
+        {
+          $push: { 'participants.$.sessions': { joinedAt: now } },
+          $unset: { 'participants.$.leftAt': '' },
+        }
+      );
+    }
+  });
+};
+
+/**
+ * End a user's attendance session
+ */
+const recordAttendanceLeave = (roomId, oduserId) => {
+  if (!oduserId) return;
+  queueAttendanceUpdate(roomId, oduserId, () => closeAttendanceSession(roomId, oduserId, new Date()));
+};
+
+/**
+ * Save the in-meeting roles on the Meeting document
+ */
+const saveRoomRoles = async (roomId) => {
+  const metadata = roomMetadata.get(roomId);
+  if (!metadata) return;
+  
+  try {
+    await Meeting.updateOne(
+      { meetingId: roomId },
+      {
+        $set: {
+          'roles.host': metadata.hostUserId,
+          'roles.coHosts': Array.from(metadata.coHostUserIds),
+        },
+      }
+    );
+  } catch (error) {
+    console.error(`Failed to save roles for room ${roomId}:`, error.message);
+  }
+};
+
+/**
+ * Get the roles payload sent to clients
+ */
+const getRolesPayload = (roomId) => {
+  const metadata = roomMetadata.get(roomId);
+  return {
+    hostUserId: metadata?.hostUserId || null,
+    coHostUserIds: Array.from(metadata?.coHostUserIds || []),
+  };
+};
+
+/**
+ * Tell the room about a role change and save it
+ */
+const announceRoles = (roomId) => {
+  const room = rooms.get(roomId);
+  if (room) {
+    for (const data of room.values()) {
+      data.isHost = isHost(roomId, data.oduserId);
+      data.role = getRole(roomId, data.oduserId);
+    }
+  }
+  
+  io.to(roomId).emit('roles-updated', getRolesPayload(roomId));
+  saveRoomRoles(roomId);
+};
+
+/**
+ * Make a user the host. The previous host keeps co-host rights only if they had them.
+ */
+const setRoomHost = (roomId, oduserId) => {
+  const metadata = roomMetadata.get(roomId);
+  if (!metadata) return;
+  
+  const normalizedId = normalizeId(oduserId);
+  metadata.hostUserId = normalizedId;
+  metadata.hostSocketId = getUserSocketIds(roomId, normalizedId)[0] || null;
+  metadata.coHostUserIds.delete(normalizedId);
+  approveUser(roomId, normalizedId);
+  
+  // The new host picks up anyone already waiting
+  const pendingRequests = getPendingRequests(roomId);
+  if (metadata.hostSocketId && pendingRequests.length > 0) {
+    io.to(metadata.hostSocketId).emit('pending-join-requests', pendingRequests);
+  }
+};
+
+/**
+ * Pass the host role on after the host leaves: the longest-present co-host,
+ * otherwise the longest-present participant. Guests and unconfirmed accounts
+ * never become host, as they can't host meetings of their own.
+ */
+const passHostRole = (roomId, previousHostName) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  
+  const candidates = Array.from(room.values())
+    .filter((data) => !isHost(roomId, data.oduserId) && !data.isGuest && data.emailVerified)
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+  const nextHost = candidates.find((data) => isCoHost(roomId, data.oduserId)) || candidates[0];
+  if (!nextHost) return;
+  
+  setRoomHost(roomId, nextHost.oduserId);
+  roomMetadata.get(roomId).savedHostUserId = null;
+  announceRoles(roomId);
+  
+  io.to(roomId).emit('host-changed', {
+    hostUserId: nextHost.oduserId,
+    hostName: nextHost.userName,
+    previousHostName,
+    reason: 'host-left'
+  });
+  console.log(`Host role in room ${roomId} passed to ${nextHost.userName}`);
+};
+
+/**
+ * Check if a room has reached its participant limit.
+ * `oduserId` is excluded so a user reconnecting doesn't count against themselves.
+ */
+const isRoomFull = (roomId, oduserId) => {
+  const maxParticipants = roomMetadata.get(roomId)?.settings?.maxParticipants;
+  if (!maxParticipants) return false;
+  
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  
+  const others = new Set();
+  for (const data of room.values()) {
+    if (normalizeId(data.oduserId) !== normalizeId(oduserId)) {
+      others.add(normalizeId(data.oduserId));
+    }
+  }
+  return others.size >= maxParticipants;
+};
+
+/**
+ * Check if a join request can skip the waiting room under the room's settings.
+ * The domain allow-list only counts addresses the user has confirmed, since
+ * anyone can sign up with any address.
+ */
+const shouldAutoAdmit = (settings, { email, emailVerified }) =>
+  !settings.waitingRoomEnabled || (emailVerified === true && isDomainAutoAdmitted(settings, email));
+
 /**
  * Add user to approved list
  */
@@ -264,6 +740,47 @@ const approveUser = (roomId, oduserId) => {
   }
 };
 
+/**
+ * Remove user from approved list (so a removed participant can't reconnect)
+ */
+const revokeApproval = (roomId, oduserId) => {
+  const approved = approvedUsers.get(roomId);
+  if (approved) {
+    approved.delete(normalizeId(oduserId));
+  }
+};
+
+/**
+ * Get the socket IDs a user is connected to a room with
+ */
+const getUserSocketIds = (roomId, oduserId) => {
+  const room = rooms.get(roomId);
+  if (!room) return [];
+  
+  const normalizedId = normalizeId(oduserId);
+  return Array.from(room.values())
+    .filter((data) => normalizeId(data.oduserId) === normalizedId)
+    .map((data) => data.socketId);
+};
+
+/**
+ * Turn a participant's mic or camera off on the host's behalf.
+ * The target client disables its track; everyone else updates their tiles now.
+ */
+const forceMediaOff = (roomId, socketId, type, byName) => {
+  const userData = rooms.get(roomId)?.get(socketId);
+  if (!userData) return;
+  
+  userData.mediaState[type] = false;
+  
+  io.to(socketId).emit(type === 'audio' ? 'force-mute' : 'force-stop-video', { by: byName });
+  io.to(getMediaChannel(roomId, userData.breakoutId)).except(socketId).emit('user-media-toggle', {
+    socketId,
+    type,
+    enabled: false,
+  });
+};
+
 /**
  * Add user to denied list
  */
@@ -289,7 +806,12 @@ const cleanupRoom = (roomId) => {
   approvedUsers.delete(roomId);
   pendingJoinRequests.delete(roomId);
   deniedUsers.delete(roomId);
+  passcodeAttempts.delete(roomId);
+  raisedHands.delete(roomId);
+  clearTimeout(breakoutSessions.get(roomId)?.timer);
+  breakoutSessions.delete(roomId);
   transcriptionHistory.delete(roomId);
+  closeMeetingSfuRooms(roomId);
   console.log(`Room ${roomId} cleaned up completely`);
 };
 
@@ -336,60 +858,262 @@ setInterval(() => {
 }, 60000);
 
 // ============================================================================
-// SOCKET.IO CONNECTION HANDLING
+// BREAKOUT ROOMS
 // ============================================================================
 
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-
-  // -------------------------------------------------------------------------
-  // ADMISSION CONTROL: Request to join a meeting room
-  // -------------------------------------------------------------------------
-  socket.on('request-join-room', ({ roomId, oduserId, userName, isRejoin = false }) => {
-    console.log(`User ${userName} (${oduserId}) requesting to join room ${roomId}`);
-    
-    // IMPORTANT: Register this socket -> user mapping
-    // This allows us to identify the user even if their socket changes
-    socketUserMap.set(socket.id, { oduserId, userName, roomId });
-    console.log(`Registered socket mapping: ${socket.id} -> ${oduserId}`);
-    
-    // Check if user is denied (temporary ban)
-    if (isDenied(roomId, oduserId)) {
-      const denied = deniedUsers.get(roomId).get(oduserId);
-      socket.emit('join-denied', { 
-        reason: denied.reason || 'You have been denied access to this meeting.',
-        permanent: false
-      });
-      return;
+/**
+ * Get the breakout rooms payload sent to clients: each room and who is in it,
+ * plus who is still in the main room
+ */
+const getBreakoutsPayload = (roomId) => {
+  const session = breakoutSessions.get(roomId);
+  if (!session) return { isOpen: false, endsAt: null, rooms: [], mainParticipants: [] };
+  
+  // One entry per user, however many connections they have
+  const connected = Array.from(rooms.get(roomId)?.values() || []);
+  const getParticipants = (breakoutId) => {
+    const participants = new Map();
+    for (const data of connected) {
+      if (data.breakoutId === breakoutId) {
+        participants.set(normalizeId(data.oduserId), { oduserId: data.oduserId, userName: data.userName });
+      }
     }
-    
-    // Check if room exists and has metadata
-    const metadata = roomMetadata.get(roomId);
-    
-    // CASE 1: Room doesn't exist - this user becomes the host
-    if (!metadata) {
-      console.log(`Room ${roomId} doesn't exist. ${userName} will be the host.`);
-      
-      // Create room metadata with this user as host
-      roomMetadata.set(roomId, {
-        hostUserId: oduserId,
-        hostSocketId: socket.id,
-        createdAt: Date.now(),
-        settings: { waitingRoomEnabled: true }
+    return Array.from(participants.values());
+  };
+  
+  return {
+    isOpen: true,
+    endsAt: session.endsAt,
+    rooms: Array.from(session.rooms.values()).map(({ id, name }) => ({ id, name, participants: getParticipants(id) })),
+    mainParticipants: getParticipants(null)
+  };
+};
+
+/**
+ * Tell the whole meeting how its breakout rooms look now
+ */
+const announceBreakouts = (roomId) => {
+  io.to(roomId).emit('breakouts-updated', getBreakoutsPayload(roomId));
+};
+
+/**
+ * Move one connection to another mesh of its meeting: a breakout room, or the
+ * main room for null. Peers on both sides drop and rebuild their connections
+ * to it exactly as if it had left one room and joined the other.
+ */
+const moveToMesh = (roomId, socketId, breakoutId) => {
+  const userData = rooms.get(roomId)?.get(socketId);
+  const target = io.sockets.sockets.get(socketId);
+  if (!userData || !target || userData.breakoutId === breakoutId) return;
+  
+  // Leave the old mesh - a share there ends, since its viewers stay behind
+  const fromId = userData.breakoutId;
+  if (getMeshScope(roomId, fromId)?.screenShare?.socketId === socketId) {
+    clearScreenShare(roomId, false, fromId);
+  }
+  target.to(getMediaChannel(roomId, fromId)).emit('user-left', {
+    socketId,
+    userName: userData.userName,
+    oduserId: userData.oduserId
+  });
+  target.leave(getMediaChannel(roomId, fromId));
+  leaveSfu(getMediaChannel(roomId, fromId), socketId);
+  
+  // Join the new one. The client tears down its peer connections on
+  // breakout-moved, then connects to the peers listed after it.
+  userData.breakoutId = breakoutId;
+  target.join(getMediaChannel(roomId, breakoutId));
+  syncMediaMode(roomId, fromId);
+  
+  const breakout = breakoutId ? breakoutSessions.get(roomId)?.rooms.get(breakoutId) : null;
+  target.emit('breakout-moved', { breakout: breakout ? { id: breakout.id, name: breakout.name } : null });
+  syncMediaMode(roomId, breakoutId, socketId);
+  target.emit('existing-participants', getMeshPeers(roomId, userData));
+  
+  const activeShare = getMeshScope(roomId, breakoutId)?.screenShare;
+  if (activeShare) {
+    target.emit('screen-share-started', activeShare);
+  }
+  
+  const history = getMeshTranscript(roomId, breakoutId);
+  target.emit('transcription-history', { entries: history, count: history.length });
+  
+  target.to(getMediaChannel(roomId, breakoutId)).emit('user-joined', toParticipantInfo(roomId, userData));
+};
+
+/**
+ * Put a user (every connection they have) in a breakout room, or back in the main room
+ */
+const moveUserToBreakout = (roomId, oduserId, breakoutId) => {
+  const session = breakoutSessions.get(roomId);
+  if (!session) return;
+  
+  // Remembered so a reconnect lands back in the same room
+  if (breakoutId) {
+    session.assignments.set(normalizeId(oduserId), breakoutId);
+  } else {
+    session.assignments.delete(normalizeId(oduserId));
+  }
+  getUserSocketIds(roomId, oduserId).forEach((socketId) => moveToMesh(roomId, socketId, breakoutId));
+};
+
+/**
+ * Close every breakout room and bring everyone back to the main room.
+ * `closedBy` is the moderator's name, or null when the timer ran out.
+ */
+const closeBreakouts = (roomId, closedBy = null) => {
+  const session = breakoutSessions.get(roomId);
+  if (!session) return;
+  
+  clearTimeout(session.timer);
+  for (const data of rooms.get(roomId)?.values() || []) {
+    if (data.breakoutId) moveToMesh(roomId, data.socketId, null);
+  }
+  breakoutSessions.delete(roomId);
+  
+  io.to(roomId).emit('breakouts-closed', { closedBy });
+  announceBreakouts(roomId);
+  console.log(`Breakout rooms in room ${roomId} closed${closedBy ? ` by ${closedBy}` : ' (time up)'}`);
+};
+
+// ============================================================================
+// SOCKET.IO CONNECTION HANDLING
+// ============================================================================
+
+// Every socket must present the same JWT the REST API uses
+io.use(protectSocket);
+
+io.on('connection', (socket) => {
+  // Verified identity from the handshake - never trust IDs sent in payloads
+  const authUser = socket.data.user;
+  console.log(`User connected: ${socket.id} (${authUser.fullName})`);
+  
+  // Personal room for notifications aimed at this user (e.g. chat mentions)
+  socket.join(`user:${authUser.id}`);
+
+  // Lets revoking a session sign this socket out (see utils/sessions.js)
+  if (authUser.sessionId) {
+    socket.join(`session:${authUser.sessionId}`);
+  }
+
+  // -------------------------------------------------------------------------
+  // ADMISSION CONTROL: Request to join a meeting room
+  // -------------------------------------------------------------------------
+  socket.on('request-join-room', async ({ roomId, isRejoin = false, passcode }) => {
+    const oduserId = authUser.id;
+    const userName = authUser.fullName;
+    console.log(`User ${userName} (${oduserId}) requesting to join room ${roomId}`);
+    
+    // An invite link only gets a guest into the meeting it was made for
+    if (authUser.isGuest && authUser.meetingId !== roomId) {
+      socket.emit('join-denied', {
+        reason: 'Your invite link is for a different meeting.',
+        permanent: true
       });
+      return;
+    }
+    
+    // IMPORTANT: Register this socket -> user mapping
+    // This allows us to identify the user even if their socket changes
+    socketUserMap.set(socket.id, { oduserId, userName, roomId });
+    console.log(`Registered socket mapping: ${socket.id} -> ${oduserId}`);
+    
+    // Check if user is denied (temporary ban)
+    if (isDenied(roomId, oduserId)) {
+      const denied = deniedUsers.get(roomId).get(oduserId);
+      socket.emit('join-denied', { 
+        reason: denied.reason || 'You have been denied access to this meeting.',
+        permanent: false
+      });
+      return;
+    }
+    
+    // A passcode is asked for before the request goes any further
+    const passcodeProblem = await checkPasscode(roomId, authUser, passcode);
+    if (passcodeProblem) {
+      socket.emit('passcode-required', passcodeProblem);
+      return;
+    }
+    
+    // Check if room exists and has metadata. This must stay after the passcode
+    // check: another request may have opened the room while it waited on the
+    // database, and reading the metadata any earlier would miss that.
+    const metadata = roomMetadata.get(roomId);
+    
+    // Guests and unconfirmed accounts can't open a room, or they would become its host
+    if (!metadata && (authUser.isGuest || !authUser.emailVerified)) {
+      socket.emit('join-denied', {
+        reason: 'The meeting hasn\'t started yet. Please try again once the host has joined.',
+        permanent: false
+      });
+      return;
+    }
+    
+    // CASE 1: Room doesn't exist - this user becomes the host
+    if (!metadata) {
+      console.log(`Room ${roomId} doesn't exist. ${userName} will be the host.`);
+      
+      // Create room metadata with this user as host. There is no await between
+      // the lookup above and setting it here, and the settings load afterwards,
+      // so any other request finds this room and doesn't become host too.
+      const newMetadata = {
+        hostUserId: normalizeId(oduserId),
+        hostSocketId: socket.id,
+        coHostUserIds: new Set(),
+        savedHostUserId: null,
+        createdAt: Date.now(),
+        settings: withDefaultSettings(),
+        screenShare: null,
+        locked: false
+      };
+      newMetadata.loaded = loadRoomState(roomId).then((state) => {
+        newMetadata.code = state.code;
+        newMetadata.settings = state.settings;
+        state.coHostUserIds.forEach((id) => newMetadata.coHostUserIds.add(id));
+        // Whoever opens the room holds the host role until the saved host arrives
+        if (state.savedHostUserId !== newMetadata.hostUserId) {
+          newMetadata.savedHostUserId = state.savedHostUserId;
+        }
+      });
+      roomMetadata.set(roomId, newMetadata);
       
       // Auto-approve the host
       approveUser(roomId, oduserId);
       
+      await newMetadata.loaded;
+      
       // Send approval to join
       socket.emit('join-approved', { 
         roomId, 
         isHost: true,
+        settings: newMetadata.settings,
+        meetingCode: newMetadata.code,
         message: 'You are the host of this meeting.'
       });
       return;
     }
     
+    const settings = await getRoomSettings(roomId);
+    
+    // The meeting's saved host takes the role back from whoever opened the room
+    if (metadata.savedHostUserId && metadata.savedHostUserId === normalizeId(oduserId)) {
+      const previousHost = Array.from(rooms.get(roomId)?.values() || [])
+        .find((data) => isHost(roomId, data.oduserId));
+      
+      setRoomHost(roomId, oduserId);
+      metadata.hostSocketId = socket.id;
+      metadata.savedHostUserId = null;
+      announceRoles(roomId);
+      
+      io.to(roomId).emit('host-changed', {
+        hostUserId: normalizeId(oduserId),
+        hostName: userName,
+        previousHostName: previousHost?.userName,
+        reason: 'reclaimed'
+      });
+      console.log(`${userName} reclaimed the host role in room ${roomId}`);
+    }
+    
     // CASE 2: User IS the host (by userId from database)
     if (isHost(roomId, oduserId)) {
       console.log(`Host ${userName} rejoining room ${roomId}`);
@@ -407,11 +1131,33 @@ io.on('connection', (socket) => {
         roomId, 
         isHost: true,
         pendingRequests,
+        settings,
+        meetingCode: metadata.code,
         message: 'Welcome back! You are the host.'
       });
       return;
     }
     
+    // A locked meeting only lets back in people who were already admitted
+    if (metadata.locked && !isApproved(roomId, oduserId)) {
+      console.log(`Room ${roomId} is locked, rejecting ${userName}`);
+      socket.emit('join-denied', {
+        reason: 'This meeting has been locked by the host.',
+        permanent: false
+      });
+      return;
+    }
+    
+    // Participant limit applies to everyone but the host
+    if (isRoomFull(roomId, oduserId)) {
+      console.log(`Room ${roomId} is full, turning away ${userName}`);
+      socket.emit('join-denied', {
+        reason: 'This meeting is full. Please try again later.',
+        permanent: false
+      });
+      return;
+    }
+    
     // CASE 3: User is already approved (handles page refresh)
     if (isApproved(roomId, oduserId)) {
       console.log(`Already approved user ${userName} rejoining room ${roomId}`);
@@ -419,11 +1165,28 @@ io.on('connection', (socket) => {
       socket.emit('join-approved', { 
         roomId, 
         isHost: false,
+        settings: settingsForUser(roomId, oduserId, settings),
+        meetingCode: metadata.code,
         message: isRejoin ? 'Reconnected successfully.' : 'You have been approved to join.'
       });
       return;
     }
     
+    // Waiting room off, or the user's email domain is on the allow-list
+    if (shouldAutoAdmit(settings, authUser)) {
+      console.log(`Auto-admitting ${userName} to room ${roomId}`);
+      approveUser(roomId, oduserId);
+      
+      socket.emit('join-approved', {
+        roomId,
+        isHost: false,
+        settings: settingsForUser(roomId, oduserId, settings),
+        meetingCode: metadata.code,
+        message: 'You have joined the meeting.'
+      });
+      return;
+    }
+    
     // CASE 4: Check for duplicate pending request (deduplication)
     if (hasPendingRequest(roomId, oduserId)) {
       console.log(`Duplicate request from ${userName}, ignoring`);
@@ -446,6 +1209,9 @@ io.on('connection', (socket) => {
     const request = {
       oduserId,
       userName,
+      email: authUser.email,
+      emailVerified: authUser.emailVerified,
+      isGuest: authUser.isGuest,
       socketId: socket.id,
       requestedAt: Date.now(),
       status: 'pending'
@@ -458,14 +1224,17 @@ io.on('connection', (socket) => {
       position: pendingJoinRequests.get(roomId).size
     });
     
-    // Notify the host about the join request
-    const hostSocketId = getHostSocketId(roomId);
-    if (hostSocketId) {
-      io.to(hostSocketId).emit('join-request', {
-        oduserId,
-        userName,
-        requesterId: socket.id,
-        requestedAt: request.requestedAt
+    // Notify the host and co-hosts about the join request
+    const moderatorSocketIds = getModeratorSocketIds(roomId);
+    if (moderatorSocketIds.length > 0) {
+      moderatorSocketIds.forEach((moderatorSocketId) => {
+        io.to(moderatorSocketId).emit('join-request', {
+          oduserId,
+          userName,
+          isGuest: authUser.isGuest,
+          requesterId: socket.id,
+          requestedAt: request.requestedAt
+        });
       });
     } else {
       console.log(`Host not connected for room ${roomId}, request queued`);
@@ -475,11 +1244,12 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // ADMISSION CONTROL: Host approves a join request
   // -------------------------------------------------------------------------
-  socket.on('approve-join-request', ({ roomId, oduserId, approverUserId }) => {
+  socket.on('approve-join-request', ({ roomId, oduserId }) => {
+    const approverUserId = authUser.id;
     console.log(`\n=== APPROVE JOIN REQUEST ===`);
     console.log(`Room: ${roomId}, User to approve: ${oduserId}`);
     console.log(`Approver socket.id: ${socket.id}`);
-    console.log(`Approver userId (from frontend): ${approverUserId}`);
+    console.log(`Approver userId (from token): ${approverUserId}`);
     
     // Get room metadata
     const metadata = roomMetadata.get(roomId);
@@ -491,30 +1261,28 @@ io.on('connection', (socket) => {
     
     console.log(`Host userId from metadata: ${metadata.hostUserId}`);
     
-    // VERIFY: The approverUserId from frontend must match the host's userId
-    // We trust the frontend userId because:
-    // 1. It comes from the authenticated user session
-    // 2. We verify it matches the host stored in room metadata
-    const isApproverHost = approverUserId && 
-      normalizeId(approverUserId) === normalizeId(metadata.hostUserId);
+    // VERIFY: The approver's token identity must be the host or a co-host
+    const isApproverModerator = canModerate(roomId, approverUserId);
     
     console.log(`Normalized approverUserId: "${normalizeId(approverUserId)}"`);
     console.log(`Normalized hostUserId: "${normalizeId(metadata.hostUserId)}"`);
-    console.log(`Is approver the host: ${isApproverHost}`);
+    console.log(`Is approver a moderator: ${isApproverModerator}`);
     
-    if (!isApproverHost) {
-      console.log(`ERROR: Approver is NOT the host`);
-      socket.emit('error', { message: 'Only the host can approve join requests.' });
+    if (!isApproverModerator) {
+      console.log(`ERROR: Approver is NOT the host or a co-host`);
+      socket.emit('error', { message: 'Only the host or a co-host can approve join requests.' });
       return;
     }
     
-    console.log(`SUCCESS: Approver IS the host`);
+    console.log(`SUCCESS: Approver can moderate`);
     
     // Update host socket ID to current socket
-    updateHostSocketId(roomId, socket.id);
+    if (isHost(roomId, approverUserId)) {
+      updateHostSocketId(roomId, socket.id);
+    }
     
     // Register this socket in socketUserMap (in case it wasn't registered)
-    socketUserMap.set(socket.id, { oduserId: approverUserId, roomId });
+    socketUserMap.set(socket.id, { oduserId: approverUserId, userName: authUser.fullName, roomId });
     
     // Make sure socket joins the Socket.io room
     socket.join(roomId);
@@ -556,11 +1324,13 @@ io.on('connection', (socket) => {
     io.to(request.socketId).emit('join-approved', { 
       roomId, 
       isHost: false,
+      settings: settingsForUser(roomId, oduserId, metadata.settings),
+      meetingCode: metadata.code,
       message: 'The host has admitted you to the meeting.'
     });
     
-    // Confirm to host
-    socket.emit('join-request-processed', {
+    // Confirm to the host and co-hosts
+    notifyModerators(roomId, 'join-request-processed', {
       oduserId,
       userName: request.userName,
       action: 'approved'
@@ -572,7 +1342,8 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // ADMISSION CONTROL: Host denies a join request
   // -------------------------------------------------------------------------
-  socket.on('deny-join-request', ({ roomId, oduserId, reason, approverUserId }) => {
+  socket.on('deny-join-request', ({ roomId, oduserId, reason }) => {
+    const approverUserId = authUser.id;
     console.log(`Denying join request for user ${oduserId} in room ${roomId}`);
     
     // Get room metadata
@@ -582,20 +1353,19 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Verify the denier is the host using approverUserId from frontend
-    const isDenierHost = approverUserId && 
-      normalizeId(approverUserId) === normalizeId(metadata.hostUserId);
-    
-    if (!isDenierHost) {
-      socket.emit('error', { message: 'Only the host can deny join requests.' });
+    // Verify the denier is the host or a co-host using their token identity
+    if (!canModerate(roomId, approverUserId)) {
+      socket.emit('error', { message: 'Only the host or a co-host can deny join requests.' });
       return;
     }
     
     // Update host socket ID
-    updateHostSocketId(roomId, socket.id);
+    if (isHost(roomId, approverUserId)) {
+      updateHostSocketId(roomId, socket.id);
+    }
     
     // Register this socket in socketUserMap
-    socketUserMap.set(socket.id, { oduserId: approverUserId, roomId });
+    socketUserMap.set(socket.id, { oduserId: approverUserId, userName: authUser.fullName, roomId });
     
     // Get the pending request (with normalized ID lookup)
     const requests = pendingJoinRequests.get(roomId);
@@ -633,8 +1403,8 @@ io.on('connection', (socket) => {
       permanent: false
     });
     
-    // Confirm to host
-    socket.emit('join-request-processed', {
+    // Confirm to the host and co-hosts
+    notifyModerators(roomId, 'join-request-processed', {
       oduserId,
       userName: request.userName,
       action: 'denied'
@@ -646,7 +1416,8 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // ADMISSION CONTROL: Admit all waiting users
   // -------------------------------------------------------------------------
-  socket.on('admit-all-waiting', ({ roomId, approverUserId }) => {
+  socket.on('admit-all-waiting', ({ roomId }) => {
+    const approverUserId = authUser.id;
     console.log(`Admitting all waiting users for room ${roomId}`);
     
     // Get room metadata
@@ -656,20 +1427,19 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Verify the user is the host using approverUserId from frontend
-    const isUserHost = approverUserId && 
-      normalizeId(approverUserId) === normalizeId(metadata.hostUserId);
-    
-    if (!isUserHost) {
-      socket.emit('error', { message: 'Only the host can admit all users.' });
+    // Verify the user is the host or a co-host using their token identity
+    if (!canModerate(roomId, approverUserId)) {
+      socket.emit('error', { message: 'Only the host or a co-host can admit all users.' });
       return;
     }
     
     // Update host socket ID
-    updateHostSocketId(roomId, socket.id);
+    if (isHost(roomId, approverUserId)) {
+      updateHostSocketId(roomId, socket.id);
+    }
     
     // Register this socket in socketUserMap
-    socketUserMap.set(socket.id, { oduserId: approverUserId, roomId });
+    socketUserMap.set(socket.id, { oduserId: approverUserId, userName: authUser.fullName, roomId });
     
     const requests = pendingJoinRequests.get(roomId);
     if (!requests || requests.size === 0) {
@@ -686,6 +1456,8 @@ io.on('connection', (socket) => {
       io.to(request.socketId).emit('join-approved', { 
         roomId, 
         isHost: false,
+        settings: settingsForUser(roomId, oduserId, metadata.settings),
+        meetingCode: metadata.code,
         message: 'The host has admitted you to the meeting.'
       });
     }
@@ -693,13 +1465,15 @@ io.on('connection', (socket) => {
     // Clear pending requests
     requests.clear();
     
-    socket.emit('all-admitted', { count: admittedCount });
+    notifyModerators(roomId, 'all-admitted', { count: admittedCount });
   });
 
   // -------------------------------------------------------------------------
   // JOINING ROOM: After approval, user joins the actual WebRTC room
   // -------------------------------------------------------------------------
-  socket.on('join-room', ({ roomId, oduserId, userName, mediaState }) => {
+  socket.on('join-room', ({ roomId, mediaState }) => {
+    const oduserId = authUser.id;
+    const userName = authUser.fullName;
     console.log(`\n=== JOIN ROOM ===`);
     console.log(`User ${userName} (${oduserId}) joining room ${roomId}`);
     console.log(`Socket ID: ${socket.id}`);
@@ -715,6 +1489,15 @@ io.on('connection', (socket) => {
       return;
     }
     
+    // The room may have filled up between approval and joining
+    if (!userIsHostCheck && isRoomFull(roomId, oduserId)) {
+      socket.emit('join-denied', {
+        reason: 'This meeting is full. Please try again later.',
+        permanent: false
+      });
+      return;
+    }
+    
     // Check if user was in the room before (reconnection)
     const room = rooms.get(roomId);
     let oldSocketId = null;
@@ -741,55 +1524,102 @@ io.on('connection', (socket) => {
     
     // If old socket found, notify others to clean it up
     if (oldSocketId) {
-      socket.to(roomId).emit('user-disconnected', {
+      const oldBreakoutId = currentRoom.get(oldSocketId).breakoutId;
+      socket.to(getMediaChannel(roomId, oldBreakoutId)).emit('user-disconnected', {
         socketId: oldSocketId,
         oduserId: oduserId
       });
       currentRoom.delete(oldSocketId);
+      leaveSfu(getMediaChannel(roomId, oldBreakoutId), oldSocketId);
+      
+      // The old socket's screen share can't survive the reconnect
+      if (getMeshScope(roomId, oldBreakoutId)?.screenShare?.socketId === oldSocketId) {
+        clearScreenShare(roomId, false, oldBreakoutId);
+      }
     }
     
     // Determine if this user is the host
     const userIsHost = isHost(roomId, oduserId);
     console.log(`User is host: ${userIsHost}`);
     
+    // Guests invited as co-hosts get the role once they are in
+    if (authUser.isGuest && authUser.inviteRole === 'co-host' && !isCoHost(roomId, oduserId)) {
+      roomMetadata.get(roomId).coHostUserIds.add(normalizeId(oduserId));
+      announceRoles(roomId);
+    }
+    
+    // Apply mute/camera-off on entry (the host is exempt). The client applies
+    // the same rules locally; this keeps everyone else's view consistent.
+    const settings = roomMetadata.get(roomId)?.settings || DEFAULT_ROOM_SETTINGS;
+    const entryMediaState = { audio: true, video: true, ...mediaState };
+    if (!userIsHost && !oldSocketId) {
+      if (settings.muteOnEntry) entryMediaState.audio = false;
+      if (settings.cameraOffOnEntry) entryMediaState.video = false;
+    }
+    
     // If host is joining/rejoining, update their socket ID
     if (userIsHost) {
       updateHostSocketId(roomId, socket.id);
       console.log(`Updated hostSocketId to: ${socket.id}`);
     }
     
+    // Someone assigned to a breakout room goes back into it, e.g. after a refresh
+    const breakoutSession = breakoutSessions.get(roomId);
+    const breakoutId = breakoutSession?.assignments.get(normalizeId(oduserId)) || null;
+    socket.join(getMediaChannel(roomId, breakoutId));
+    
     // Add current user
-    currentRoom.set(socket.id, { 
+    const userData = {
       oduserId, 
       userName, 
       socketId: socket.id,
       isHost: userIsHost,
-      mediaState: mediaState || { audio: true, video: true },
+      isGuest: authUser.isGuest,
+      emailVerified: authUser.emailVerified,
+      role: getRole(roomId, oduserId),
+      mediaState: entryMediaState,
+      breakoutId,
       joinedAt: Date.now()
-    });
+    };
+    currentRoom.set(socket.id, userData);
     
     console.log(`Added user to room. Room now has ${currentRoom.size} participants`);
+    recordAttendanceJoin(roomId, oduserId, userName);
     console.log(`Room contents:`);
     for (const [sid, data] of currentRoom.entries()) {
       console.log(`  - ${sid}: ${data.userName} (${data.oduserId})`);
     }
     
-    // Get all other participants in the room
-    const otherParticipants = Array.from(currentRoom.values())
-      .filter((p) => p.socketId !== socket.id)
-      .map(p => ({
-        oduserId: p.oduserId,
-        userName: p.userName,
-        socketId: p.socketId,
-        isHost: p.isHost,
-        mediaState: p.mediaState
-      }));
+    // Roles first, so the client can label the participants that follow
+    socket.emit('roles-updated', getRolesPayload(roomId));
+    
+    // Then which breakout room we're in, before the peers in it
+    if (breakoutId) {
+      const { name } = breakoutSession.rooms.get(breakoutId);
+      socket.emit('breakout-moved', { breakout: { id: breakoutId, name } });
+    }
     
-    // Notify the new user about existing participants
-    socket.emit('existing-participants', otherParticipants);
+    // Then whether media goes peer-to-peer or through the SFU
+    syncMediaMode(roomId, breakoutId, socket.id);
+    
+    // Notify the new user about existing participants in their mesh
+    socket.emit('existing-participants', getMeshPeers(roomId, userData));
+    
+    // The whole queue, including our own hand if it stayed up over a reconnect
+    socket.emit('hand-queue-updated', { queue: getHandQueue(roomId) });
+    
+    if (roomMetadata.get(roomId)?.locked) {
+      socket.emit('meeting-lock-changed', { locked: true });
+    }
+    
+    // Let late joiners switch straight into presenter layout
+    const activeShare = getMeshScope(roomId, breakoutId)?.screenShare;
+    if (activeShare && activeShare.socketId !== socket.id) {
+      socket.emit('screen-share-started', activeShare);
+    }
     
     // Send transcription history to joining user
-    const history = transcriptionHistory.get(roomId) || [];
+    const history = getMeshTranscript(roomId, breakoutId);
     if (history.length > 0) {
       socket.emit('transcription-history', {
         entries: history,
@@ -798,38 +1628,37 @@ io.on('connection', (socket) => {
       console.log(`📜 Sent ${history.length} transcription entries to ${userName}`);
     }
     
-    // If this user is the host, send any pending requests
-    if (userIsHost) {
+    // If this user is the host or a co-host, send any pending requests
+    if (canModerate(roomId, oduserId)) {
       const pendingRequests = getPendingRequests(roomId);
       if (pendingRequests.length > 0) {
         socket.emit('pending-join-requests', pendingRequests);
       }
     }
     
-    // Notify other participants about the new user
-    socket.to(roomId).emit('user-joined', {
-      oduserId,
-      userName,
-      socketId: socket.id,
-      isHost: userIsHost,
-      mediaState: mediaState || { audio: true, video: true }
-    });
+    // Notify other participants in the mesh about the new user
+    socket.to(getMediaChannel(roomId, breakoutId)).emit('user-joined', toParticipantInfo(roomId, userData));
+    
+    if (breakoutSession) {
+      announceBreakouts(roomId);
+    }
   });
 
   // -------------------------------------------------------------------------
   // REJOIN ROOM: For reconnection scenarios
   // -------------------------------------------------------------------------
-  socket.on('rejoin-room', ({ roomId, oduserId, userName, mediaState }) => {
-    console.log(`User ${userName} rejoining room ${roomId}`);
+  socket.on('rejoin-room', ({ roomId }) => {
+    console.log(`User ${authUser.fullName} rejoining room ${roomId}`);
     
     // Reuse join-room logic (it handles reconnection)
-    socket.emit('request-join-room', { roomId, oduserId, userName, isRejoin: true });
+    socket.emit('request-join-room', { roomId, isRejoin: true });
   });
 
   // -------------------------------------------------------------------------
   // Update pending request socket ID (for reconnection while waiting)
   // -------------------------------------------------------------------------
-  socket.on('update-waiting-socket', ({ roomId, oduserId }) => {
+  socket.on('update-waiting-socket', ({ roomId }) => {
+    const oduserId = authUser.id;
     const requests = pendingJoinRequests.get(roomId);
     if (requests && requests.has(oduserId)) {
       const request = requests.get(oduserId);
@@ -842,13 +1671,13 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // WebRTC Signaling: Offer
   // -------------------------------------------------------------------------
-  socket.on('offer', ({ offer, to, from, userName, oduserId, mediaState }) => {
-    console.log(`Sending offer from ${from} to ${to}`);
+  socket.on('offer', ({ offer, to, mediaState }) => {
+    console.log(`Sending offer from ${socket.id} to ${to}`);
     io.to(to).emit('offer', { 
       offer, 
-      from, 
-      userName, 
-      oduserId,
+      from: socket.id, 
+      userName: authUser.fullName, 
+      oduserId: authUser.id,
       mediaState 
     });
   });
@@ -856,34 +1685,97 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // WebRTC Signaling: Answer
   // -------------------------------------------------------------------------
-  socket.on('answer', ({ answer, to, from, oduserId }) => {
-    console.log(`Sending answer from ${from} to ${to}`);
-    io.to(to).emit('answer', { answer, from, oduserId });
+  socket.on('answer', ({ answer, to }) => {
+    console.log(`Sending answer from ${socket.id} to ${to}`);
+    io.to(to).emit('answer', { answer, from: socket.id, oduserId: authUser.id });
   });
 
   // -------------------------------------------------------------------------
   // WebRTC Signaling: ICE Candidate
   // -------------------------------------------------------------------------
-  socket.on('ice-candidate', ({ candidate, to, from }) => {
-    console.log(`Sending ICE candidate from ${from} to ${to}`);
-    io.to(to).emit('ice-candidate', { candidate, from });
+  socket.on('ice-candidate', ({ candidate, to }) => {
+    console.log(`Sending ICE candidate from ${socket.id} to ${to}`);
+    io.to(to).emit('ice-candidate', { candidate, from: socket.id });
   });
 
   // -------------------------------------------------------------------------
   // Request renegotiation
   // -------------------------------------------------------------------------
-  socket.on('request-renegotiation', ({ to, from }) => {
-    console.log(`Renegotiation requested from ${from} to ${to}`);
-    io.to(to).emit('renegotiation-needed', { from });
+  socket.on('request-renegotiation', ({ to }) => {
+    console.log(`Renegotiation requested from ${socket.id} to ${to}`);
+    io.to(to).emit('renegotiation-needed', {
+      from: socket.id,
+      userName: authUser.fullName,
+      oduserId: authUser.id
+    });
   });
 
+  // -------------------------------------------------------------------------
+  // SFU signaling - used instead of offers/answers while the sender's mesh
+  // is in 'sfu' mode. Each request is answered through its acknowledgement.
+  // -------------------------------------------------------------------------
+  const onSfuRequest = (event, handler) => {
+    socket.on(event, async (payload, callback) => {
+      const respond = typeof callback === 'function' ? callback : () => {};
+      const userData = rooms.get(payload?.roomId)?.get(socket.id);
+      if (!userData || getMeshScope(payload.roomId, userData.breakoutId)?.mediaMode !== 'sfu') {
+        respond({ error: 'This meeting is not using the media server.' });
+        return;
+      }
+      
+      try {
+        respond((await handler(getMediaChannel(payload.roomId, userData.breakoutId), payload, userData)) || {});
+      } catch (error) {
+        console.error(`SFU ${event} error:`, error);
+        respond({ error: error.message });
+      }
+    });
+  };
+  
+  onSfuRequest('sfu-capabilities', async (channel) => ({
+    rtpCapabilities: await getRouterCapabilities(channel)
+  }));
+  
+  onSfuRequest('sfu-create-transport', (channel) => createTransport(channel, socket.id));
+  
+  onSfuRequest('sfu-connect-transport', (channel, { transportId, dtlsParameters }) =>
+    connectTransport(channel, socket.id, transportId, dtlsParameters));
+  
+  onSfuRequest('sfu-produce', async (channel, { roomId, transportId, kind, rtpParameters, source }, userData) => {
+    if (!SFU_SOURCES.includes(source)) {
+      throw new Error('Unknown media source.');
+    }
+    // Only the current presenter may send a screen
+    if (source === 'screen' && getMeshScope(roomId, userData.breakoutId)?.screenShare?.socketId !== socket.id) {
+      throw new Error('Start a screen share before sending one.');
+    }
+    
+    const producer = await produce(
+      channel,
+      { socketId: socket.id, oduserId: userData.oduserId, userName: userData.userName },
+      { transportId, kind, rtpParameters, source }
+    );
+    socket.to(channel).emit('sfu-new-producer', describeProducer(producer));
+    return { producerId: producer.id };
+  });
+  
+  onSfuRequest('sfu-close-producer', (channel, { producerId }) => closeProducer(channel, socket.id, producerId));
+  
+  onSfuRequest('sfu-producers', (channel) => ({ producers: getProducers(channel, socket.id) }));
+  
+  onSfuRequest('sfu-consume', (channel, { transportId, producerId, rtpCapabilities }) =>
+    consume(channel, socket.id, { transportId, producerId, rtpCapabilities }, (consumerId) => {
+      socket.emit('sfu-consumer-closed', { consumerId });
+    }));
+  
+  onSfuRequest('sfu-resume-consumer', (channel, { consumerId }) => resumeConsumer(channel, socket.id, consumerId));
+
   // -------------------------------------------------------------------------
   // Toggle mic/camera status
   // -------------------------------------------------------------------------
   socket.on('toggle-media', ({ roomId, type, enabled }) => {
-    const room = rooms.get(roomId);
-    if (room && room.has(socket.id)) {
-      const userData = room.get(socket.id);
+    const userData = rooms.get(roomId)?.get(socket.id);
+    if (userData) {
       if (type === 'audio') {
         userData.mediaState.audio = enabled;
       } else if (type === 'video') {
@@ -891,7 +1783,7 @@ io.on('connection', (socket) => {
       }
     }
     
-    socket.to(roomId).emit('user-media-toggle', {
+    socket.to(getMediaChannel(roomId, userData?.breakoutId)).emit('user-media-toggle', {
       socketId: socket.id,
       type,
       enabled,
@@ -899,29 +1791,72 @@ io.on('connection', (socket) => {
   });
 
   // -------------------------------------------------------------------------
-  // Recording status
+  // Screen sharing: only one presenter per room (each breakout has its own)
   // -------------------------------------------------------------------------
-  socket.on('recording-status', ({ roomId, isRecording, userName }) => {
-    console.log(`Recording status changed in room ${roomId}: ${isRecording}`);
-    socket.to(roomId).emit('recording-status-changed', {
-      isRecording,
-      userName,
+  socket.on('start-screen-share', ({ roomId, streamId }) => {
+    const userData = rooms.get(roomId)?.get(socket.id);
+    const scope = userData && getMeshScope(roomId, userData.breakoutId);
+    if (!scope) {
+      socket.emit('screen-share-denied', { message: 'You are not in this meeting.' });
+      return;
+    }
+    
+    const current = scope.screenShare;
+    if (current && current.socketId !== socket.id) {
+      socket.emit('screen-share-denied', {
+        message: `${current.userName} is already sharing their screen.`
+      });
+      return;
+    }
+    
+    scope.screenShare = {
       socketId: socket.id,
-    });
+      oduserId: authUser.id,
+      userName: authUser.fullName,
+      streamId,
+      startedAt: Date.now()
+    };
+    
+    console.log(`${authUser.fullName} started screen sharing in room ${roomId}`);
+    socket.to(getMediaChannel(roomId, userData.breakoutId)).emit('screen-share-started', scope.screenShare);
+  });
+
+  // Presenter stops their own share, or the host stops someone else's in the same room
+  socket.on('stop-screen-share', ({ roomId }) => {
+    const breakoutId = rooms.get(roomId)?.get(socket.id)?.breakoutId || null;
+    const scope = getMeshScope(roomId, breakoutId);
+    if (!scope || !scope.screenShare) return;
+    
+    const isPresenter = scope.screenShare.socketId === socket.id;
+    if (!isPresenter && !canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: "Only the host or a co-host can stop someone else's screen share." });
+      return;
+    }
+    
+    clearScreenShare(roomId, !isPresenter, breakoutId);
   });
 
   // -------------------------------------------------------------------------
-  // Chat messages
+  // Recording status
   // -------------------------------------------------------------------------
-  socket.on('send-message', ({ roomId, message, userName }) => {
-    io.to(roomId).emit('receive-message', {
-      message,
-      userName,
+  socket.on('recording-status', ({ roomId, isRecording }) => {
+    const settings = roomMetadata.get(roomId)?.settings;
+    if (isRecording && !canRecord(settings, canModerate(roomId, authUser.id))) {
+      socket.emit('error', { message: 'Only the host or a co-host can record this meeting.' });
+      return;
+    }
+    
+    console.log(`Recording status changed in room ${roomId}: ${isRecording}`);
+    socket.to(roomId).emit('recording-status-changed', {
+      isRecording,
+      userName: authUser.fullName,
       socketId: socket.id,
-      timestamp: new Date().toISOString(),
     });
   });
 
+  // Chat messages are saved through /api/messages, which broadcasts
+  // receive-message / message-updated / message-deleted to the room
+
   // -------------------------------------------------------------------------
   // Transcription events
   // -------------------------------------------------------------------------
@@ -930,22 +1865,37 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   
   // FINAL transcription entry (completed sentence)
-  socket.on('transcription-entry', ({ roomId, userId, userName, text, timestamp, secondsIntoMeeting, confidence, id }) => {
+  socket.on('transcription-entry', ({ roomId, text, timestamp, secondsIntoMeeting, confidence }) => {
+    const userId = authUser.id;
+    const userName = authUser.fullName;
+    
+    // Host turned transcription off - drop entries from clients that haven't caught up yet
+    if (roomMetadata.get(roomId)?.settings?.transcriptionEnabled === false) {
+      return;
+    }
+    
     console.log(`✅ FINAL transcription from ${userName}: "${text}" (socket: ${socket.id})`);
     
+    // Each breakout room keeps its own transcript, tagged so the saved
+    // meeting transcript can tell the rooms apart
+    const room = rooms.get(roomId);
+    const breakoutId = room?.get(socket.id)?.breakoutId || null;
+    const breakout = breakoutId ? breakoutSessions.get(roomId)?.rooms.get(breakoutId) : null;
+    
     // CRITICAL: Generate ID on backend to ensure uniqueness across all clients
     const uniqueId = `${Date.now()}-${socket.id.substring(0, 8)}-${Math.random().toString(36).substr(2, 9)}`;
     
     // Create the entry object with sender's original data
     const entry = {
       id: uniqueId,  // Backend-generated unique ID
-      userId,        // From SENDER, not socket.id
-      userName,      // From SENDER, not socket.id
+      userId,        // From SENDER's token, not socket.id
+      userName,      // From SENDER's token, not socket.id
       text,
       timestamp,
       secondsIntoMeeting,
       confidence,
       isFinal: true,
+      ...(breakout ? { breakoutId, breakoutName: breakout.name } : {}),
     };
     
     console.log('🔍 [BACKEND] Created entry with unique ID:', {
@@ -963,8 +1913,7 @@ io.on('connection', (socket) => {
     transcriptionHistory.get(roomId).push(entry);
     
     // BROADCAST TO OTHERS ONLY (exclude sender)
-    // Get all sockets in the room EXCEPT the sender
-    const room = rooms.get(roomId);
+    // Get all sockets in the sender's mesh EXCEPT the sender
     if (room) {
       for (const [socketId, userData] of room.entries()) {
         // Skip the sender
@@ -973,6 +1922,8 @@ io.on('connection', (socket) => {
           continue;
         }
         
+        if (userData.breakoutId !== breakoutId) continue;
+        
         // Send to this specific socket
         io.to(socketId).emit('transcription-update', entry);
         console.log(`📤 Sent transcription to ${userData.userName} (${socketId})`);
@@ -983,11 +1934,16 @@ io.on('connection', (socket) => {
   });
 
   // INTERIM transcription update (real-time typing)
-  socket.on('transcription-interim', ({ roomId, userId, userName, text, timestamp }) => {
-    // Broadcast to other participants (using SENDER's data)
-    socket.to(roomId).emit('transcription-interim', {
-      userId,      // From SENDER
-      userName,    // From SENDER
+  socket.on('transcription-interim', ({ roomId, text, timestamp }) => {
+    if (roomMetadata.get(roomId)?.settings?.transcriptionEnabled === false) {
+      return;
+    }
+    
+    // Broadcast to other participants in the mesh (using SENDER's data)
+    const breakoutId = rooms.get(roomId)?.get(socket.id)?.breakoutId;
+    socket.to(getMediaChannel(roomId, breakoutId)).emit('transcription-interim', {
+      userId: authUser.id,         // From SENDER's token
+      userName: authUser.fullName, // From SENDER's token
       text,
       timestamp,
       isInterim: true,
@@ -998,7 +1954,7 @@ io.on('connection', (socket) => {
   socket.on('request-transcription-history', ({ roomId }) => {
     console.log(`📜 Transcription history requested for room ${roomId}`);
     
-    const history = transcriptionHistory.get(roomId) || [];
+    const history = getMeshTranscript(roomId, rooms.get(roomId)?.get(socket.id)?.breakoutId || null);
     
     socket.emit('transcription-history', {
       entries: history,
@@ -1021,18 +1977,460 @@ io.on('connection', (socket) => {
   // Host sets meeting start time
   socket.on('set-meeting-start-time', ({ roomId, startTime }) => {
     const metadata = roomMetadata.get(roomId);
-    if (metadata && !metadata.meetingStartTime) {
+    if (metadata && !metadata.meetingStartTime && isHost(roomId, authUser.id)) {
       metadata.meetingStartTime = startTime;
       roomMetadata.set(roomId, metadata);
       console.log(`Meeting start time set for room ${roomId}: ${startTime}`);
     }
   });
 
+  // -------------------------------------------------------------------------
+  // MODERATION (host only): mute, stop video, remove, mute all, lock
+  // -------------------------------------------------------------------------
+  
+  // Verify the sender is the host or a co-host and the target is someone they outrank
+  const getModerationTarget = (roomId, oduserId) => {
+    if (!canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can moderate participants.' });
+      return null;
+    }
+    
+    if (isHost(roomId, oduserId)) {
+      socket.emit('error', { message: 'The host cannot be moderated.' });
+      return null;
+    }
+    
+    if (isCoHost(roomId, oduserId) && !isHost(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host can moderate co-hosts.' });
+      return null;
+    }
+    
+    const socketIds = getUserSocketIds(roomId, oduserId);
+    if (socketIds.length === 0) {
+      socket.emit('error', { message: 'Participant not found in this meeting.' });
+      return null;
+    }
+    return socketIds;
+  };
+  
+  socket.on('mute-participant', ({ roomId, oduserId }) => {
+    const socketIds = getModerationTarget(roomId, oduserId);
+    if (!socketIds) return;
+    
+    socketIds.forEach((socketId) => forceMediaOff(roomId, socketId, 'audio', authUser.fullName));
+    console.log(`Host muted ${oduserId} in room ${roomId}`);
+  });
+  
+  socket.on('stop-participant-video', ({ roomId, oduserId }) => {
+    const socketIds = getModerationTarget(roomId, oduserId);
+    if (!socketIds) return;
+    
+    socketIds.forEach((socketId) => forceMediaOff(roomId, socketId, 'video', authUser.fullName));
+    console.log(`Host stopped video of ${oduserId} in room ${roomId}`);
+  });
+  
+  socket.on('remove-participant', ({ roomId, oduserId, reason }) => {
+    const socketIds = getModerationTarget(roomId, oduserId);
+    if (!socketIds) return;
+    
+    // Reuse the denied list so they can't request to join again
+    const removeReason = reason || 'You have been removed from the meeting by the host.';
+    revokeApproval(roomId, oduserId);
+    denyUser(roomId, normalizeId(oduserId), removeReason);
+    lowerHand(roomId, oduserId);
+    
+    for (const socketId of socketIds) {
+      io.to(socketId).emit('removed-from-meeting', { reason: removeReason });
+      
+      const targetSocket = io.sockets.sockets.get(socketId);
+      if (targetSocket) {
+        handleUserLeave(targetSocket, roomId, oduserId);
+      }
+    }
+    
+    console.log(`Host removed ${oduserId} from room ${roomId}`);
+  });
+  
+  socket.on('mute-all', ({ roomId }) => {
+    if (!canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can mute everyone.' });
+      return;
+    }
+    
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    // Host and co-hosts keep their mics
+    for (const data of room.values()) {
+      if (canModerate(roomId, data.oduserId) || !data.mediaState.audio) continue;
+      forceMediaOff(roomId, data.socketId, 'audio', authUser.fullName);
+    }
+    console.log(`Host muted everyone in room ${roomId}`);
+  });
+  
+  socket.on('lock-meeting', ({ roomId, locked }) => {
+    const metadata = roomMetadata.get(roomId);
+    if (!metadata || !canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can lock the meeting.' });
+      return;
+    }
+    
+    metadata.locked = !!locked;
+    io.to(roomId).emit('meeting-lock-changed', {
+      locked: metadata.locked,
+      by: authUser.fullName
+    });
+    console.log(`Room ${roomId} ${metadata.locked ? 'locked' : 'unlocked'} by ${authUser.fullName}`);
+  });
+
+  // -------------------------------------------------------------------------
+  // ROLES (host only): promote/demote co-hosts, hand over the host role
+  // -------------------------------------------------------------------------
+  
+  // Verify the sender is the host and the target is someone else in the room
+  const getRoleTarget = (roomId, oduserId) => {
+    if (!isHost(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host can change roles.' });
+      return null;
+    }
+    
+    if (isHost(roomId, oduserId)) {
+      socket.emit('error', { message: 'You are already the host.' });
+      return null;
+    }
+    
+    const [targetSocketId] = getUserSocketIds(roomId, oduserId);
+    if (!targetSocketId) {
+      socket.emit('error', { message: 'Participant not found in this meeting.' });
+      return null;
+    }
+    return rooms.get(roomId).get(targetSocketId);
+  };
+  
+  socket.on('promote-cohost', ({ roomId, oduserId }) => {
+    const target = getRoleTarget(roomId, oduserId);
+    if (!target) return;
+    
+    roomMetadata.get(roomId).coHostUserIds.add(normalizeId(oduserId));
+    announceRoles(roomId);
+    
+    // New co-host handles the waiting room too
+    const pendingRequests = getPendingRequests(roomId);
+    if (pendingRequests.length > 0) {
+      io.to(target.socketId).emit('pending-join-requests', pendingRequests);
+    }
+    console.log(`${target.userName} promoted to co-host in room ${roomId}`);
+  });
+  
+  socket.on('demote-cohost', ({ roomId, oduserId }) => {
+    const target = getRoleTarget(roomId, oduserId);
+    if (!target) return;
+    
+    roomMetadata.get(roomId).coHostUserIds.delete(normalizeId(oduserId));
+    announceRoles(roomId);
+    console.log(`${target.userName} is no longer a co-host in room ${roomId}`);
+  });
+  
+  socket.on('transfer-host', ({ roomId, oduserId }) => {
+    const target = getRoleTarget(roomId, oduserId);
+    if (!target) return;
+    
+    if (target.isGuest) {
+      socket.emit('error', { message: 'Guests can\'t be made host. Ask them to sign in first.' });
+      return;
+    }
+    
+    if (!target.emailVerified) {
+      socket.emit('error', { message: 'Only people who have confirmed their email address can be made host.' });
+      return;
+    }
+    
+    setRoomHost(roomId, oduserId);
+    roomMetadata.get(roomId).savedHostUserId = null;
+    announceRoles(roomId);
+    
+    io.to(roomId).emit('host-changed', {
+      hostUserId: normalizeId(oduserId),
+      hostName: target.userName,
+      previousHostName: authUser.fullName,
+      reason: 'transferred'
+    });
+    console.log(`${authUser.fullName} handed the host role to ${target.userName} in room ${roomId}`);
+  });
+
+  // -------------------------------------------------------------------------
+  // Raise hand: a queue per room, in the order hands went up
+  // -------------------------------------------------------------------------
+  socket.on('raise-hand', ({ roomId, raised }) => {
+    const userData = rooms.get(roomId)?.get(socket.id);
+    if (!userData) return;
+    
+    const oduserId = normalizeId(authUser.id);
+    if (!raised) {
+      lowerHand(roomId, oduserId);
+      return;
+    }
+    
+    if (!raisedHands.has(roomId)) raisedHands.set(roomId, new Map());
+    const hands = raisedHands.get(roomId);
+    if (hands.has(oduserId)) return;
+    
+    hands.set(oduserId, { oduserId, userName: userData.userName, raisedAt: Date.now() });
+    announceHandQueue(roomId);
+    console.log(`${userData.userName} raised their hand in room ${roomId}`);
+  });
+
+  // Host and co-hosts: lower someone else's hand
+  socket.on('lower-hand', ({ roomId, oduserId }) => {
+    if (!canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can lower hands.' });
+      return;
+    }
+    lowerHand(roomId, oduserId);
+  });
+
+  // Host and co-hosts: give the floor to whoever has waited longest
+  socket.on('call-next-hand', ({ roomId }) => {
+    if (!canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can call on participants.' });
+      return;
+    }
+    
+    const [next] = getHandQueue(roomId);
+    if (!next) return;
+    
+    lowerHand(roomId, next.oduserId);
+    io.to(roomId).emit('hand-called', {
+      oduserId: next.oduserId,
+      userName: next.userName,
+      calledBy: authUser.fullName
+    });
+    console.log(`${authUser.fullName} called on ${next.userName} in room ${roomId}`);
+  });
+
+  // -------------------------------------------------------------------------
+  // Emoji reactions - shown briefly over the sender's tile, not stored
+  // -------------------------------------------------------------------------
+  socket.on('send-reaction', ({ roomId, emoji }) => {
+    const userData = rooms.get(roomId)?.get(socket.id);
+    if (!userData || !ROOM_REACTIONS.includes(emoji)) return;
+    
+    const now = Date.now();
+    if (now - (userData.lastReactionAt || 0) < REACTION_COOLDOWN) return;
+    userData.lastReactionAt = now;
+    
+    io.to(getMediaChannel(roomId, userData.breakoutId)).emit('room-reaction', {
+      id: `${socket.id}-${now}`,
+      oduserId: userData.oduserId,
+      userName: userData.userName,
+      emoji
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // BREAKOUT ROOMS (host and co-hosts): split the meeting into smaller meshes
+  // -------------------------------------------------------------------------
+  
+  // Verify the sender can manage breakouts, and that a session is running when one is needed
+  const getBreakoutSession = (roomId, { mustBeOpen = true } = {}) => {
+    if (!rooms.get(roomId)?.has(socket.id) || !canModerate(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host or a co-host can manage breakout rooms.' });
+      return null;
+    }
+    
+    const session = breakoutSessions.get(roomId);
+    if (mustBeOpen && !session) {
+      socket.emit('error', { message: 'Breakout rooms are not open.' });
+      return null;
+    }
+    return session || {};
+  };
+  
+  // rooms: [{ name, participantIds }] - participantIds are ignored when random is set
+  socket.on('open-breakouts', ({ roomId, rooms: requestedRooms, random = false, durationMinutes = null }) => {
+    if (!getBreakoutSession(roomId, { mustBeOpen: false })) return;
+    
+    if (breakoutSessions.has(roomId)) {
+      socket.emit('error', { message: 'Breakout rooms are already open.' });
+      return;
+    }
+    
+    if (!Array.isArray(requestedRooms) || requestedRooms.length === 0 || requestedRooms.length > MAX_BREAKOUT_ROOMS) {
+      socket.emit('error', { message: `Create between 1 and ${MAX_BREAKOUT_ROOMS} breakout rooms.` });
+      return;
+    }
+    
+    const minutes = durationMinutes === null ? null : Number(durationMinutes);
+    if (minutes !== null && !(Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_BREAKOUT_MINUTES)) {
+      socket.emit('error', { message: `Breakout duration must be between 1 and ${MAX_BREAKOUT_MINUTES} minutes.` });
+      return;
+    }
+    
+    const session = { rooms: new Map(), assignments: new Map(), endsAt: null, timer: null };
+    const assignments = new Map();
+    requestedRooms.forEach((requested, index) => {
+      const id = new mongoose.Types.ObjectId().toString();
+      const name = String(requested?.name || '').trim().slice(0, MAX_BREAKOUT_NAME_LENGTH) || `Room ${index + 1}`;
+      session.rooms.set(id, { id, name, screenShare: null });
+      
+      if (!random && Array.isArray(requested?.participantIds)) {
+        requested.participantIds.forEach((userId) => assignments.set(normalizeId(userId), id));
+      }
+    });
+    
+    // Random: deal out everyone except the host and co-hosts, who move around as they like
+    if (random) {
+      const participantIds = new Set();
+      for (const data of rooms.get(roomId).values()) {
+        if (!canModerate(roomId, data.oduserId)) participantIds.add(normalizeId(data.oduserId));
+      }
+      assignRandomly([...participantIds], [...session.rooms.keys()])
+        .forEach((breakoutId, userId) => assignments.set(userId, breakoutId));
+    }
+    
+    if (minutes) {
+      session.endsAt = Date.now() + minutes * 60 * 1000;
+      session.timer = setTimeout(() => closeBreakouts(roomId), minutes * 60 * 1000);
+    }
+    breakoutSessions.set(roomId, session);
+    
+    assignments.forEach((breakoutId, userId) => moveUserToBreakout(roomId, userId, breakoutId));
+    announceBreakouts(roomId);
+    console.log(`${authUser.fullName} opened ${session.rooms.size} breakout rooms in room ${roomId}`);
+  });
+  
+  // breakoutId null sends the participant back to the main room
+  socket.on('move-to-breakout', ({ roomId, oduserId, breakoutId = null }) => {
+    const session = getBreakoutSession(roomId);
+    if (!session) return;
+    
+    if (breakoutId && !session.rooms.has(breakoutId)) {
+      socket.emit('error', { message: 'Breakout room not found.' });
+      return;
+    }
+    
+    if (getUserSocketIds(roomId, oduserId).length === 0) {
+      socket.emit('error', { message: 'Participant not found in this meeting.' });
+      return;
+    }
+    
+    if (isHost(roomId, oduserId) && !isHost(roomId, authUser.id)) {
+      socket.emit('error', { message: 'A co-host cannot move the host.' });
+      return;
+    }
+    
+    moveUserToBreakout(roomId, oduserId, breakoutId);
+    announceBreakouts(roomId);
+  });
+  
+  // Drop in on a breakout room, or go back to the main room with null
+  socket.on('visit-breakout', ({ roomId, breakoutId = null }) => {
+    const session = getBreakoutSession(roomId);
+    if (!session) return;
+    
+    if (breakoutId && !session.rooms.has(breakoutId)) {
+      socket.emit('error', { message: 'Breakout room not found.' });
+      return;
+    }
+    
+    moveUserToBreakout(roomId, authUser.id, breakoutId);
+    announceBreakouts(roomId);
+  });
+  
+  // A short notice shown in every breakout room and the main room
+  socket.on('broadcast-to-breakouts', ({ roomId, message }) => {
+    if (!getBreakoutSession(roomId)) return;
+    
+    const text = String(message || '').trim();
+    if (!text || text.length > MAX_BREAKOUT_BROADCAST_LENGTH) {
+      socket.emit('error', { message: `Broadcast messages must be 1 to ${MAX_BREAKOUT_BROADCAST_LENGTH} characters.` });
+      return;
+    }
+    
+    io.to(roomId).emit('breakout-broadcast', { message: text, from: authUser.fullName });
+  });
+  
+  socket.on('close-breakouts', ({ roomId }) => {
+    if (!getBreakoutSession(roomId)) return;
+    closeBreakouts(roomId, authUser.fullName);
+  });
+
+  // -------------------------------------------------------------------------
+  // Room settings (host only) - persisted on the Meeting and pushed to everyone
+  // -------------------------------------------------------------------------
+  socket.on('update-room-settings', async ({ roomId, settings: changes }) => {
+    const metadata = roomMetadata.get(roomId);
+    if (!metadata) {
+      socket.emit('error', { message: 'Room not found.' });
+      return;
+    }
+    
+    if (!isHost(roomId, authUser.id)) {
+      socket.emit('error', { message: 'Only the host can change room settings.' });
+      return;
+    }
+    
+    await metadata.loaded;
+    const { error, settings } = sanitizeRoomSettings(changes, metadata.settings);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    
+    try {
+      await Meeting.updateOne({ meetingId: roomId }, { $set: { settings } });
+    } catch (err) {
+      console.error(`Failed to save settings for room ${roomId}:`, err.message);
+      socket.emit('error', { message: 'Failed to save room settings.' });
+      return;
+    }
+    
+    metadata.settings = settings;
+    console.log(`Room settings updated for ${roomId} by ${authUser.fullName}`);
+    
+    // Only the host and co-hosts get to see the passcode
+    const moderatorSocketIds = getModeratorSocketIds(roomId);
+    moderatorSocketIds.forEach((moderatorSocketId) => {
+      io.to(moderatorSocketId).emit('room-settings-updated', {
+        settings,
+        updatedBy: authUser.fullName
+      });
+    });
+    io.to(roomId).except(moderatorSocketIds).emit('room-settings-updated', {
+      settings: withoutPasscode(settings),
+      updatedBy: authUser.fullName
+    });
+    
+    // Let in anyone still waiting who no longer needs approval
+    const requests = pendingJoinRequests.get(roomId);
+    if (requests) {
+      for (const [oduserId, request] of [...requests.entries()]) {
+        if (!shouldAutoAdmit(settings, request) || isRoomFull(roomId, oduserId)) continue;
+        
+        approveUser(roomId, oduserId);
+        if (request.socketId) {
+          io.to(request.socketId).emit('join-approved', {
+            roomId,
+            isHost: false,
+            settings: settingsForUser(roomId, oduserId, settings),
+            meetingCode: metadata.code,
+            message: 'You have joined the meeting.'
+          });
+        }
+        notifyModerators(roomId, 'join-request-processed', {
+          oduserId,
+          userName: request.userName,
+          action: 'approved'
+        });
+      }
+    }
+  });
+
   // -------------------------------------------------------------------------
   // Leave room
   // -------------------------------------------------------------------------
-  socket.on('leave-room', ({ roomId, oduserId }) => {
-    handleUserLeave(socket, roomId, oduserId);
+  socket.on('leave-room', ({ roomId }) => {
+    handleUserLeave(socket, roomId, authUser.id, { immediate: true });
   });
 
   // -------------------------------------------------------------------------
@@ -1045,7 +2443,7 @@ io.on('connection', (socket) => {
     // Verify host
     const room = rooms.get(roomId);
     const userData = room?.get(socket.id);
-    if (!userData || userData.oduserId !== metadata.hostUserId) {
+    if (!userData || !isHost(roomId, authUser.id)) {
       socket.emit('error', { message: 'Only the host can end the meeting.' });
       return;
     }
@@ -1067,6 +2465,11 @@ io.on('connection', (socket) => {
       }
     }
     
+    // Everyone still in the room leaves with the meeting
+    for (const participant of room.values()) {
+      recordAttendanceLeave(roomId, participant.oduserId);
+    }
+    
     // Clean up room
     cleanupRoom(roomId);
   });
@@ -1106,31 +2509,67 @@ io.on('connection', (socket) => {
   // -------------------------------------------------------------------------
   // Helper: Handle user leaving
   // -------------------------------------------------------------------------
-  function handleUserLeave(socket, roomId, oduserId) {
+  // `immediate`: the user left on purpose, so the host role passes on right away
+  // instead of waiting to see whether a dropped host reconnects
+  function handleUserLeave(socket, roomId, oduserId, { immediate = false } = {}) {
     const room = rooms.get(roomId);
     if (!room) return;
     
     const userData = room.get(socket.id);
     room.delete(socket.id);
+    leaveSfu(getMediaChannel(roomId, userData?.breakoutId), socket.id);
+    
+    // Only sockets still in the room count - one replaced by a reconnect
+    // was already removed in join-room
+    if (userData) {
+      recordAttendanceLeave(roomId, userData.oduserId);
+    }
+    
+    // Leaving lowers your hand. A dropped connection keeps it for a while in
+    // case the user reconnects.
+    if (oduserId && getUserSocketIds(roomId, oduserId).length === 0) {
+      if (immediate) {
+        lowerHand(roomId, oduserId);
+      } else if (raisedHands.get(roomId)?.has(normalizeId(oduserId))) {
+        setTimeout(() => {
+          if (getUserSocketIds(roomId, oduserId).length === 0) lowerHand(roomId, oduserId);
+        }, HAND_RECONNECT_GRACE);
+      }
+    }
+    
+    // A presenter leaving ends their screen share
+    const breakoutId = userData?.breakoutId || null;
+    if (getMeshScope(roomId, breakoutId)?.screenShare?.socketId === socket.id) {
+      clearScreenShare(roomId, false, breakoutId);
+    }
     
     // Check if leaving user is the host
     const metadata = roomMetadata.get(roomId);
-    const wasHost = metadata && metadata.hostUserId === oduserId;
+    const wasHost = metadata && normalizeId(metadata.hostUserId) === normalizeId(oduserId);
     
     // Clean up empty rooms
     if (room.size === 0) {
       cleanupRoom(roomId);
-    } else if (wasHost) {
-      // Host left but room still has participants
-      // Optionally: transfer host to another participant or notify everyone
+    } else if (wasHost && getUserSocketIds(roomId, oduserId).length === 0) {
+      // Host left but room still has participants - hand the role on
       io.to(roomId).emit('host-left', {
         message: 'The host has left the meeting.',
         hostName: userData?.userName
       });
+      
+      if (immediate) {
+        passHostRole(roomId, userData?.userName);
+      } else {
+        setTimeout(() => {
+          // Room closed, role already moved, or the host came back in time
+          if (!isHost(roomId, oduserId) || getUserSocketIds(roomId, oduserId).length > 0) return;
+          passHostRole(roomId, userData?.userName);
+        }, HOST_RECONNECT_GRACE);
+      }
     }
     
-    // Notify other participants
-    socket.to(roomId).emit('user-left', {
+    // Notify other participants in the mesh
+    socket.to(getMediaChannel(roomId, breakoutId)).emit('user-left', {
       socketId: socket.id,
       userName: userData?.userName,
       oduserId: oduserId || userData?.oduserId,
@@ -1138,6 +2577,12 @@ io.on('connection', (socket) => {
     });
     
     socket.leave(roomId);
+    socket.leave(getMediaChannel(roomId, breakoutId));
+    syncMediaMode(roomId, breakoutId);
+    
+    if (breakoutSessions.has(roomId)) {
+      announceBreakouts(roomId);
+    }
   }
 });
 
@@ -1155,6 +2600,20 @@ const connectDB = async () => {
   }
 };
 
+// Unfinished recording uploads are checked for expiry this often
+const UPLOAD_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const sweepExpiredUploads = async () => {
+  try {
+    const removed = await removeExpiredUploads();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired recording upload(s)`);
+    }
+  } catch (error) {
+    console.error('Recording upload cleanup error:', error);
+  }
+};
+
 const PORT = process.env.PORT || 5000;
 
 connectDB().then(() => {
@@ -1162,6 +2621,9 @@ connectDB().then(() => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   });
+  startSfu({ onWorkerDied: fallBackToMesh });
+  sweepExpiredUploads();
+  setInterval(sweepExpiredUploads, UPLOAD_SWEEP_INTERVAL);
 });
 
 // Handle unhandled promise rejections
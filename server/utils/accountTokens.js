@@ -0,0 +1,88 @@
+// Single-use, expiring links for confirming an email address and resetting a
+// password. The link carries a random token; the user record only keeps its
+// SHA-256 hash, which is cleared as soon as the link is used.
+//
+// Settings come from the environment:
+//   EMAIL_VERIFICATION_EXPIRE_HOURS   how long a verification link works (default 24)
+//   PASSWORD_RESET_EXPIRE_MINUTES     how long a reset link works (default 60)
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { sendMail } from './mailer.js';
+
+const readPositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const ACCOUNT_TOKENS = {
+  verifyEmail: {
+    hashField: 'emailVerificationTokenHash',
+    expiresField: 'emailVerificationExpires',
+    lifetime: () => readPositiveNumber(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 24) * 60 * 60 * 1000,
+  },
+  resetPassword: {
+    hashField: 'passwordResetTokenHash',
+    expiresField: 'passwordResetExpires',
+    lifetime: () => readPositiveNumber(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 60) * 60 * 1000,
+  },
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Start a new link for `purpose` ("verifyEmail" or "resetPassword"), replacing
+ * any earlier one. Sets the hash on the user (save it afterwards) and returns
+ * the token to send.
+ */
+export const issueAccountToken = (user, purpose) => {
+  const { hashField, expiresField, lifetime } = ACCOUNT_TOKENS[purpose];
+  const token = crypto.randomBytes(32).toString('hex');
+  user[hashField] = hashToken(token);
+  user[expiresField] = new Date(Date.now() + lifetime());
+  return token;
+};
+
+/**
+ * When the user's current link for `purpose` was sent, or null if there is none
+ */
+export const accountTokenIssuedAt = (user, purpose) => {
+  const { expiresField, lifetime } = ACCOUNT_TOKENS[purpose];
+  return user[expiresField] ? new Date(user[expiresField].getTime() - lifetime()) : null;
+};
+
+/**
+ * Use up a link: finds the user it was sent to and clears it in the same
+ * update, so it can't be used twice. Returns null for unknown or expired links.
+ */
+export const consumeAccountToken = (purpose, token) => {
+  const { hashField, expiresField } = ACCOUNT_TOKENS[purpose];
+  if (typeof token !== 'string' || !token) return Promise.resolve(null);
+
+  return User.findOneAndUpdate(
+    { [hashField]: hashToken(token), [expiresField]: { $gt: new Date() } },
+    { $unset: { [hashField]: 1, [expiresField]: 1 } },
+    { new: true }
+  );
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const link = `${frontendUrl()}/verify-email/${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your MyMeet email address',
+    text: `Hi ${user.fullName},\n\nConfirm your email address to start hosting meetings:\n${link}\n\nIf you didn't create a MyMeet account, you can ignore this email.`,
+  });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${frontendUrl()}/reset-password/${token}`;
+  const minutes = Math.round(ACCOUNT_TOKENS.resetPassword.lifetime() / 60000);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your MyMeet password',
+    text: `Hi ${user.fullName},\n\nSomeone asked to reset the password for your MyMeet account. Choose a new one here within ${minutes} minutes:\n${link}\n\nIf it wasn't you, you can ignore this email; your password stays the same.`,
+  });
+};
@@ -0,0 +1,77 @@
+// On-disk storage for chat attachments, kept next to recordings. Each file is
+// stored under its attachment id so names from the client never touch the disk.
+//
+// Limits come from the environment:
+//   CHAT_ATTACHMENT_MAX_MB     largest single file, in megabytes (default 10)
+//   CHAT_ATTACHMENT_MAX_FILES  files per message (default 5)
+//   CHAT_ATTACHMENT_TYPES      comma-separated MIME types, "image/*" style
+//                              wildcards allowed (default: common images,
+//                              PDF, text and office documents, zip)
+
+import path from 'path';
+import fs from 'fs';
+import { RECORDINGS_DIR } from './recordingStorage.js';
+
+export const ATTACHMENTS_DIR = path.join(path.dirname(RECORDINGS_DIR), 'attachments');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const readPositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const readTypeList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Current limits. Read on each call because the environment is loaded after
+ * modules are imported.
+ */
+export const getAttachmentRules = () => {
+  const allowedTypes = readTypeList(process.env.CHAT_ATTACHMENT_TYPES);
+  return {
+    maxFileSize: Math.floor(readPositiveNumber(process.env.CHAT_ATTACHMENT_MAX_MB, 10) * 1024 * 1024),
+    maxFiles: Math.floor(readPositiveNumber(process.env.CHAT_ATTACHMENT_MAX_FILES, 5)),
+    allowedTypes: allowedTypes.length > 0 ? allowedTypes : DEFAULT_ALLOWED_TYPES,
+  };
+};
+
+/**
+ * Whether a MIME type is on the allow-list (exact match or "type/*")
+ */
+export const isAllowedAttachmentType = (mimeType) => {
+  const type = String(mimeType || '').toLowerCase();
+  return getAttachmentRules().allowedTypes.some((allowed) =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  );
+};
+
+export const getAttachmentPath = (attachmentId) =>
+  path.join(ATTACHMENTS_DIR, path.basename(String(attachmentId)));
+
+/**
+ * Delete stored attachment files (ignores files that are already gone)
+ */
+export const removeAttachmentFiles = (attachmentIds) =>
+  Promise.all(
+    attachmentIds.map((id) => fs.promises.rm(getAttachmentPath(id), { force: true }))
+  );
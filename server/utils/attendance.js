@@ -0,0 +1,98 @@
+// Attendance figures and the CSV report for past meetings. Each participant
+// has one session per stay in the room (see recordAttendanceJoin in server.js).
+
+// When an open session counts as over: now while the meeting is running,
+// otherwise when the meeting ended (the server may have restarted mid-meeting)
+const getSessionEnd = (session, meeting, now) => {
+  if (session.leftAt) return new Date(session.leftAt);
+  const end = meeting.status === 'active' ? now : meeting.endedAt;
+  return new Date(Math.max(new Date(session.joinedAt), new Date(end || session.joinedAt)));
+};
+
+/**
+ * Per-attendee totals, sessions and whether they spoke, longest stay first.
+ * `transcriptEntries` only needs `userId` on each entry.
+ */
+export const summarizeAttendance = (meeting, transcriptEntries = [], now = new Date()) => {
+  const hostId = String(meeting.hostId?._id || meeting.hostId);
+  const spokenCounts = new Map();
+  for (const entry of transcriptEntries) {
+    const id = String(entry.userId?._id || entry.userId);
+    spokenCounts.set(id, (spokenCounts.get(id) || 0) + 1);
+  }
+
+  return meeting.participants
+    .map((participant) => {
+      const userId = participant.userId ? String(participant.userId._id || participant.userId) : null;
+      const sessions = (participant.sessions || []).map((session) => {
+        const end = getSessionEnd(session, meeting, now);
+        return {
+          joinedAt: session.joinedAt,
+          // Still open only while the meeting is running
+          leftAt: session.leftAt || (meeting.status === 'active' ? null : end),
+          durationSeconds: Math.max(0, Math.round((end - new Date(session.joinedAt)) / 1000)),
+        };
+      });
+      const spokenEntries = (userId && spokenCounts.get(userId)) || 0;
+      const isPresent = sessions.some((session) => !session.leftAt);
+
+      return {
+        userId,
+        name: participant.userId?.fullName || participant.name,
+        email: participant.userId?.email || null,
+        isHost: userId === hostId,
+        firstJoinedAt: sessions[0]?.joinedAt || null,
+        lastLeftAt: isPresent ? null : sessions[sessions.length - 1]?.leftAt || null,
+        isPresent,
+        sessions,
+        totalSeconds: sessions.reduce((sum, session) => sum + session.durationSeconds, 0),
+        spoke: spokenEntries > 0,
+        spokenEntries,
+      };
+    })
+    .sort((a, b) => b.totalSeconds - a.totalSeconds);
+};
+
+// Quote a CSV field when needed, and keep spreadsheet apps from running
+// names that look like formulas
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toIso = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * One row per attendee, times in UTC
+ */
+export const buildAttendanceCsv = (attendees) => {
+  const header = [
+    'Name',
+    'Email',
+    'Role',
+    'First joined',
+    'Last left',
+    'Total minutes',
+    'Sessions',
+    'Session times',
+    'Spoke',
+    'Transcript lines',
+  ];
+
+  const rows = attendees.map((attendee) => [
+    attendee.name,
+    attendee.email,
+    attendee.isHost ? 'Host' : 'Participant',
+    toIso(attendee.firstJoinedAt),
+    toIso(attendee.lastLeftAt),
+    (attendee.totalSeconds / 60).toFixed(1),
+    attendee.sessions.length,
+    attendee.sessions.map((s) => `${toIso(s.joinedAt)} - ${toIso(s.leftAt)}`).join('; '),
+    attendee.spoke ? 'Yes' : 'No',
+    attendee.spokenEntries,
+  ]);
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,43 @@
+// Breakout rooms of meetings in progress. Managed by the socket server and
+// read by the chat API, so each breakout's messages stay inside it.
+// Structure: Map<roomId, {
+//   rooms: Map<breakoutId, { id, name, screenShare }>,
+//   assignments: Map<oduserId, breakoutId>,  // who is in which breakout
+//   endsAt: number | null,                   // everyone is called back then
+//   timer: Timeout | null
+// }>
+export const breakoutSessions = new Map();
+
+export const MAX_BREAKOUT_ROOMS = 20;
+export const MAX_BREAKOUT_NAME_LENGTH = 50;
+// Longest a timed breakout session can run
+export const MAX_BREAKOUT_MINUTES = 240;
+
+/**
+ * The Socket.IO room one mesh of a meeting signals in: the main room, or
+ * one of its breakouts. Meeting-wide events still go to the plain roomId.
+ */
+export const getMediaChannel = (roomId, breakoutId = null) =>
+  breakoutId ? `${roomId}:breakout:${breakoutId}` : `${roomId}:main`;
+
+/**
+ * The breakout a user is in right now, or null for the main room
+ */
+export const getUserBreakout = (roomId, userId) => {
+  const session = breakoutSessions.get(roomId);
+  const breakoutId = session?.assignments.get(String(userId));
+  return breakoutId ? session.rooms.get(breakoutId) : null;
+};
+
+/**
+ * Deal users out across rooms as evenly as possible, in random order.
+ * Returns Map<userId, roomId>.
+ */
+export const assignRandomly = (userIds, roomIds) => {
+  const shuffled = [...userIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return new Map(shuffled.map((userId, index) => [userId, roomIds[index % roomIds.length]]));
+};
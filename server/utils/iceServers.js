@@ -0,0 +1,84 @@
+// ICE servers handed to clients before they open peer connections. TURN
+// credentials follow the TURN REST API convention (coturn's
+// "use-auth-secret"): the username is "<expiry unix time>:<user id>" and the
+// password is the base64 HMAC-SHA1 of that username under a secret shared
+// with the TURN server, so no per-user accounts are needed there.
+//
+// Settings come from the environment:
+//   ICE_STUN_URLS         comma-separated STUN URLs (default: Google's public
+//                         servers). Set it empty on an offline network.
+//   TURN_URLS             comma-separated TURN URLs, e.g.
+//                         "turn:turn.example.com:3478,turns:turn.example.com:5349"
+//   TURN_SECRET           the TURN server's static auth secret
+//   TURN_CREDENTIAL_TTL   seconds a credential stays valid (default 86400)
+//   ICE_FORCE_RELAY       "true" sends every meeting's media through TURN
+
+import crypto from 'crypto';
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302',
+  'stun:stun2.l.google.com:19302',
+  'stun:stun3.l.google.com:19302',
+  'stun:stun4.l.google.com:19302',
+];
+
+// A day, as the TURN REST API draft suggests. The TURN server checks the
+// expiry when an allocation is refreshed too, so it has to outlast a call.
+const DEFAULT_CREDENTIAL_TTL = 86400;
+
+const parseList = (value) =>
+  value.split(',').map((url) => url.trim()).filter(Boolean);
+
+/**
+ * Current settings. Read on each call because the environment is loaded after
+ * modules are imported.
+ */
+const getIceConfig = () => {
+  const ttl = Math.floor(Number(process.env.TURN_CREDENTIAL_TTL));
+  return {
+    stunUrls: process.env.ICE_STUN_URLS !== undefined
+      ? parseList(process.env.ICE_STUN_URLS)
+      : DEFAULT_STUN_URLS,
+    turnUrls: parseList(process.env.TURN_URLS || ''),
+    turnSecret: process.env.TURN_SECRET || '',
+    ttl: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_CREDENTIAL_TTL,
+    forceRelay: process.env.ICE_FORCE_RELAY === 'true',
+  };
+};
+
+/**
+ * Short-lived TURN credentials for a user, valid for `ttl` seconds
+ */
+export const createTurnCredentials = (userId, secret, ttl) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+};
+
+/**
+ * The RTCPeerConnection configuration for a user joining a meeting.
+ * `relayOnly` (the meeting's setting) or ICE_FORCE_RELAY restrict media to
+ * TURN, so participants never see each other's IP addresses.
+ * Returns { iceServers, iceTransportPolicy, ttl }.
+ */
+export const buildIceConfiguration = (userId, { relayOnly = false } = {}) => {
+  const { stunUrls, turnUrls, turnSecret, ttl, forceRelay } = getIceConfig();
+  const iceServers = [];
+
+  if (stunUrls.length) {
+    iceServers.push({ urls: stunUrls });
+  }
+  if (turnUrls.length && turnSecret) {
+    iceServers.push({ urls: turnUrls, ...createTurnCredentials(userId, turnSecret, ttl) });
+  }
+
+  return {
+    iceServers,
+    // Without a TURN server relay-only calls can't connect; that is still
+    // better than quietly falling back to direct connections.
+    iceTransportPolicy: relayOnly || forceRelay ? 'relay' : 'all',
+    ttl,
+  };
+};
@@ -0,0 +1,93 @@
+// iCalendar (RFC 5545) export for scheduled meetings
+
+const RRULE_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+};
+
+// 20260115T093000Z
+const formatIcsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+const escapeIcsText = (text = '') =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build an .ics calendar containing one VEVENT for the meeting, with an
+ * RRULE when it is a recurring series
+ */
+export const buildMeetingIcs = (meeting, { joinUrl, organizerEmail } = {}) => {
+  const start = new Date(meeting.scheduledStart);
+  const end = new Date(start.getTime() + (meeting.duration || 60) * 60 * 1000);
+
+  const descriptionParts = [];
+  if (meeting.agenda) descriptionParts.push(meeting.agenda);
+  if (joinUrl) descriptionParts.push(`Join the meeting: ${joinUrl}`);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MyMeet//Meeting Scheduler//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${meeting.status === 'cancelled' ? 'CANCEL' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    `UID:${meeting.meetingId}@mymeet`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SEQUENCE:${meeting.sequence || 0}`,
+    `SUMMARY:${escapeIcsText(meeting.title)}`,
+  ];
+
+  if (descriptionParts.length > 0) {
+    lines.push(`DESCRIPTION:${escapeIcsText(descriptionParts.join('\n\n'))}`);
+  }
+
+  if (joinUrl) {
+    lines.push(`LOCATION:${escapeIcsText(joinUrl)}`);
+    lines.push(`URL:${joinUrl}`);
+  }
+
+  const frequency = RRULE_FREQUENCIES[meeting.recurrence?.frequency];
+  if (frequency) {
+    const until = meeting.recurrence.until
+      ? `;UNTIL=${formatIcsDate(meeting.recurrence.until)}`
+      : '';
+    lines.push(`RRULE:FREQ=${frequency}${until}`);
+  }
+
+  if (organizerEmail) {
+    lines.push(`ORGANIZER;CN=${escapeIcsText(meeting.hostName)}:mailto:${organizerEmail}`);
+  }
+
+  (meeting.invitees || []).forEach((email) => {
+    lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${email}`);
+  });
+
+  lines.push(`STATUS:${meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
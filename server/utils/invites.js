@@ -0,0 +1,84 @@
+// Invite links and the guest identities they hand out. Both are JWTs signed
+// with JWT_SECRET, told apart from sign-in tokens by their `type`.
+//
+// Settings come from the environment:
+//   GUEST_TOKEN_EXPIRE   how long a guest stays signed in (default "12h")
+
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Invite from '../models/Invite.js';
+
+export const MAX_GUEST_NAME_LENGTH = 50;
+
+/**
+ * The token in an invite link. Signed over the invite's own fields only, so
+ * the same link can be shown to the host again later.
+ */
+export const signInviteToken = (invite) =>
+  jwt.sign(
+    {
+      type: 'invite',
+      meetingId: invite.meetingId,
+      iat: Math.floor(invite.createdAt.getTime() / 1000),
+      exp: Math.floor(invite.expiresAt.getTime() / 1000),
+    },
+    process.env.JWT_SECRET,
+    { jwtid: invite._id.toString() }
+  );
+
+/**
+ * Look up the invite behind a link. Returns { invite } while guests can
+ * still use it, or { status, message } explaining why not.
+ */
+export const findInviteByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { status: 410, message: 'This invite link has expired' }
+      : { status: 404, message: 'Invite link not found' };
+  }
+
+  const invite = decoded.type === 'invite' && mongoose.isValidObjectId(decoded.jti)
+    ? await Invite.findById(decoded.jti)
+    : null;
+  if (!invite || invite.meetingId !== decoded.meetingId) {
+    return { status: 404, message: 'Invite link not found' };
+  }
+  if (!invite.isUsable()) {
+    return { status: 410, message: 'This invite link is no longer valid' };
+  }
+  return { invite };
+};
+
+/**
+ * Sign in a guest: a fresh identity that only exists in its token
+ */
+export const signGuestToken = (invite, name) => {
+  const id = new mongoose.Types.ObjectId().toString();
+  const token = jwt.sign(
+    { type: 'guest', id, name, meetingId: invite.meetingId, inviteId: invite._id.toString(), role: invite.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.GUEST_TOKEN_EXPIRE || '12h' }
+  );
+  return { id, token };
+};
+
+/**
+ * The guest behind a verified guest token, shaped like a signed-in user, or
+ * null once the host has revoked the link they came in with
+ */
+export const resolveGuest = async (decoded) => {
+  const invite = await Invite.findById(decoded.inviteId).select('revokedAt');
+  if (!invite || invite.revokedAt) return null;
+
+  return {
+    _id: new mongoose.Types.ObjectId(decoded.id),
+    fullName: decoded.name,
+    email: null,
+    isGuest: true,
+    meetingId: decoded.meetingId,
+    inviteRole: decoded.role,
+  };
+};
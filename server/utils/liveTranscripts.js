@@ -0,0 +1,5 @@
+// Transcripts of meetings in progress. Filled by the socket server as people
+// speak (for late joiners & reconnections) and read by the export endpoint
+// before the host has saved the transcription.
+// Structure: Map<roomId, Array<{id, userId, userName, text, timestamp, secondsIntoMeeting, confidence}>>
+export const transcriptionHistory = new Map();
@@ -0,0 +1,61 @@
+// Outgoing email (account verification, password resets). Messages go through
+// a transport picked by MAIL_TRANSPORT; more can be added to TRANSPORTS.
+//
+// Settings come from the environment:
+//   MAIL_TRANSPORT   "smtp" or "console" (default: "smtp" when SMTP_HOST is set,
+//                    otherwise "console", which only logs the message)
+//   MAIL_FROM        sender address (default "MyMeet <no-reply@mymeet.local>")
+//   SMTP_HOST        SMTP server, e.g. "localhost" for a local catcher such as
+//                    Mailpit or MailHog
+//   SMTP_PORT        default 587, or 465 when SMTP_SECURE is "true"
+//   SMTP_SECURE      "true" to connect over TLS
+//   SMTP_USER        login, if the server needs one
+//   SMTP_PASS
+
+import nodemailer from 'nodemailer';
+
+// Builders for each transport. A transport is anything with sendMail(message).
+const TRANSPORTS = {
+  smtp: () => {
+    const secure = process.env.SMTP_SECURE === 'true';
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  },
+  console: () => ({
+    sendMail: async (message) => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    },
+  }),
+};
+
+// Built on first use, since the environment is loaded after imports
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+/**
+ * Send an email. `text` is required; `html` is optional.
+ */
+export const sendMail = ({ to, subject, text, html }) =>
+  getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'MyMeet <no-reply@mymeet.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
@@ -0,0 +1,31 @@
+import Meeting from '../models/Meeting.js';
+
+/**
+ * Meetings a user hosted or joined
+ */
+export const attendedMeetingsQuery = (userId) => ({
+  $or: [{ hostId: userId }, { 'participants.userId': userId }],
+});
+
+export const getAttendedMeetingIds = (userId) =>
+  Meeting.distinct('meetingId', attendedMeetingsQuery(userId));
+
+/**
+ * Recordings a user may watch: their own, ones shared with them directly,
+ * and ones shared with the participants of a meeting they attended
+ */
+export const viewableRecordingsQuery = (userId, attendedMeetingIds) => ({
+  $or: [
+    { recordedBy: userId },
+    { visibility: 'specific', allowedUsers: userId },
+    { visibility: 'participants', meetingId: { $in: attendedMeetingIds } },
+  ],
+});
+
+/**
+ * Chat messages a user may read: everything sent to the whole room, plus
+ * private messages they sent or received
+ */
+export const readableMessagesQuery = (userId) => ({
+  $or: [{ 'recipients.0': { $exists: false } }, { userId }, { 'recipients.userId': userId }],
+});
@@ -0,0 +1,64 @@
+// Short meeting codes like "abc-defg-hij" that people can read out over the
+// phone or type in, standing in for a meeting's UUID
+
+import crypto from 'crypto';
+import Meeting from '../models/Meeting.js';
+
+const CODE_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const CODE_GROUPS = [3, 4, 3];
+const CODE_LENGTH = CODE_GROUPS.reduce((sum, length) => sum + length, 0);
+
+// Codes are random, so a clash is already unlikely; give up after this many
+const MAX_CODE_ATTEMPTS = 5;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const generateMeetingCode = () =>
+  CODE_GROUPS.map((length) =>
+    Array.from({ length }, () => CODE_LETTERS[crypto.randomInt(CODE_LETTERS.length)]).join('')
+  ).join('-');
+
+/**
+ * Put a typed code in canonical form ("ABC DEFG HIJ" -> "abc-defg-hij").
+ * Returns null for anything that isn't a meeting code.
+ */
+export const normalizeMeetingCode = (input) => {
+  if (typeof input !== 'string' || !/^[a-z\s-]+$/i.test(input.trim())) return null;
+  const letters = input.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length !== CODE_LENGTH) return null;
+
+  const groups = [];
+  let start = 0;
+  for (const length of CODE_GROUPS) {
+    groups.push(letters.slice(start, start + length));
+    start += length;
+  }
+  return groups.join('-');
+};
+
+/**
+ * Create a meeting with a fresh code, drawing again if another meeting
+ * already has it
+ */
+export const createMeetingWithCode = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await Meeting.create({ ...fields, code: generateMeetingCode() });
+    } catch (error) {
+      const isCodeClash = error.code === 11000 && error.keyPattern?.code;
+      if (!isCodeClash || attempt >= MAX_CODE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Find a meeting from what someone typed: its code or its UUID
+ */
+export const findMeetingByReference = (reference, projection) => {
+  const value = String(reference || '').trim();
+  if (UUID_REGEX.test(value)) {
+    return Meeting.findOne({ meetingId: value.toLowerCase() }).select(projection);
+  }
+  const code = normalizeMeetingCode(value);
+  return code ? Meeting.findOne({ code }).select(projection) : Promise.resolve(null);
+};
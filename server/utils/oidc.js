@@ -0,0 +1,218 @@
+// Single sign-on with OpenID Connect identity providers, using the
+// authorization code flow with PKCE. Providers are discovered from their
+// issuer's /.well-known/openid-configuration and ID tokens are checked against
+// the provider's published keys.
+//
+// Settings come from the environment:
+//   OIDC_PROVIDERS    JSON list of providers, each
+//                       { "id": "acme", "name": "Acme", "issuer": "https://sso.acme.com",
+//                         "clientId": "...", "clientSecret": "...", "scopes": "openid email profile" }
+//                     clientSecret can be left out for public clients, and scopes
+//                     defaults to "openid email profile"
+//   OIDC_REDIRECT_BASE_URL
+//                     public URL of this server, for the callback URL registered with
+//                     each provider: <base>/api/auth/oidc/<id>/callback
+//                     (default: the host the sign-in request came in on)
+//   PASSWORD_LOGIN_DISABLED_DOMAINS
+//                     comma-separated email domains that must sign in with SSO
+//
+// For local testing, any standards-compliant mock provider works, e.g.
+// `docker run -p 8080:8080 ghcr.io/navikt/mock-oauth2-server` with
+// OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO","issuer":"http://localhost:8080/default","clientId":"mymeet","clientSecret":"secret"}]'
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DEFAULT_SCOPES = 'openid email profile';
+
+// How long someone has to finish signing in at the provider
+const LOGIN_TIMEOUT = 10 * 60 * 1000;
+
+// Refetch a provider's configuration and keys this often
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Sign-ins started here and not yet back from the provider
+// Structure: Map<state, { providerId, nonce, codeVerifier, redirectUri, expiresAt }>
+const pendingLogins = new Map();
+
+// Structure: Map<providerId, { configuration, keys, fetchedAt }>
+const discoveryCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Configured providers. Read on each call, since the environment is loaded
+ * after imports.
+ */
+export const getOidcProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  try {
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    return (Array.isArray(providers) ? providers : [])
+      .filter((provider) => provider?.id && provider.issuer && provider.clientId)
+      .map((provider) => ({
+        ...provider,
+        id: String(provider.id),
+        name: provider.name || provider.id,
+        issuer: String(provider.issuer).replace(/\/$/, ''),
+        scopes: provider.scopes || DEFAULT_SCOPES,
+      }));
+  } catch (error) {
+    console.error('Invalid OIDC_PROVIDERS:', error.message);
+    return [];
+  }
+};
+
+export const getOidcProvider = (providerId) =>
+  getOidcProviders().find((provider) => provider.id === providerId) || null;
+
+/**
+ * Whether an email address's domain has to sign in with SSO
+ */
+export const isPasswordLoginDisabled = (email) => {
+  const domain = String(email || '').split('@').pop().toLowerCase();
+  return parseList(process.env.PASSWORD_LOGIN_DISABLED_DOMAINS).includes(domain);
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new Error(`${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+// Helper: The provider's endpoints and signing keys, cached
+const discover = async (provider, { refresh = false } = {}) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+    return cached;
+  }
+
+  const configuration = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  const { keys } = await fetchJson(configuration.jwks_uri);
+  const entry = { configuration, keys: keys || [], fetchedAt: Date.now() };
+  discoveryCache.set(provider.id, entry);
+  return entry;
+};
+
+const prunePendingLogins = () => {
+  const now = Date.now();
+  for (const [state, login] of pendingLogins) {
+    if (login.expiresAt <= now) pendingLogins.delete(state);
+  }
+};
+
+/**
+ * Start signing in: returns the provider URL to send the browser to, and the
+ * `state` that must come back with it
+ */
+export const createAuthorizationRequest = async (provider, redirectUri) => {
+  const { configuration } = await discover(provider);
+
+  prunePendingLogins();
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  pendingLogins.set(state, {
+    providerId: provider.id,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: Date.now() + LOGIN_TIMEOUT,
+  });
+
+  const url = new URL(configuration.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return { url: url.toString(), state, expiresIn: LOGIN_TIMEOUT };
+};
+
+// Helper: Check an ID token's signature and claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header) throw new Error('The provider returned an unreadable ID token');
+
+  const findKey = (keys) =>
+    keys.find((key) => (header.kid ? key.kid === header.kid : key.use !== 'enc'));
+
+  let discovery = await discover(provider);
+  let jwk = findKey(discovery.keys);
+  if (!jwk) {
+    // The provider may have rotated its keys since we cached them
+    discovery = await discover(provider, { refresh: true });
+    jwk = findKey(discovery.keys);
+  }
+  if (!jwk) throw new Error('No matching signing key for the ID token');
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    audience: provider.clientId,
+    issuer: discovery.configuration.issuer,
+  });
+  if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+  return claims;
+};
+
+/**
+ * Finish signing in after the provider redirects back. Returns the user's
+ * claims ({ sub, email, email_verified, name, ... }); throws if anything
+ * doesn't check out.
+ */
+export const completeAuthorization = async (provider, { code, state }) => {
+  const login = pendingLogins.get(state);
+  pendingLogins.delete(state);
+  if (!login || login.expiresAt <= Date.now() || login.providerId !== provider.id) {
+    throw new Error('This sign-in link has expired. Please try again.');
+  }
+  if (!code) throw new Error('The provider did not return an authorization code');
+
+  const { configuration } = await discover(provider);
+  const tokens = await fetchJson(configuration.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: login.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: login.codeVerifier,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+    }),
+  });
+  if (!tokens.id_token) throw new Error('The provider did not return an ID token');
+
+  const claims = await verifyIdToken(provider, tokens.id_token, login.nonce);
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && configuration.userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(configuration.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (userInfo.sub === claims.sub) {
+      return { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+    }
+  }
+  return claims;
+};
@@ -0,0 +1,81 @@
+// On-disk storage for recordings: chunks of in-progress uploads and the finished files
+
+import path from 'path';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+export const RECORDINGS_DIR = path.join(process.cwd(), 'uploads', 'recordings');
+const CHUNKS_DIR = path.join(RECORDINGS_DIR, 'chunks');
+
+const getChunkDir = (uploadId) => path.join(CHUNKS_DIR, String(uploadId));
+const getChunkPath = (uploadId, index) => path.join(getChunkDir(uploadId), `${index}.part`);
+
+/**
+ * Store one chunk. Written to a temp file and renamed so a retried or
+ * interrupted request never leaves a half-written chunk behind.
+ */
+export const writeChunk = async (uploadId, index, data) => {
+  const chunkPath = getChunkPath(uploadId, index);
+  const tempPath = `${chunkPath}.${process.pid}-${Date.now()}.tmp`;
+
+  await fs.promises.mkdir(getChunkDir(uploadId), { recursive: true });
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, chunkPath);
+};
+
+export const getRecordingPath = (fileName) => path.join(RECORDINGS_DIR, path.basename(fileName));
+
+/**
+ * Concatenate chunks 0..count-1 into a single recording file and return its size
+ */
+export const assembleChunks = async (uploadId, count, fileName) => {
+  const filePath = getRecordingPath(fileName);
+
+  await pipeline(
+    async function* () {
+      for (let index = 0; index < count; index++) {
+        yield* fs.createReadStream(getChunkPath(uploadId, index));
+      }
+    },
+    fs.createWriteStream(filePath)
+  );
+
+  const { size } = await fs.promises.stat(filePath);
+  return size;
+};
+
+/**
+ * Delete an upload's chunks once they are no longer needed
+ */
+export const removeChunks = (uploadId) =>
+  fs.promises.rm(getChunkDir(uploadId), { recursive: true, force: true });
+
+/**
+ * Delete a finished recording file (ignores files that are already gone)
+ */
+export const removeRecordingFile = (fileName) =>
+  fs.promises.rm(getRecordingPath(fileName), { force: true });
+
+/**
+ * Parse a single-range HTTP Range header ("bytes=start-end", "bytes=start-",
+ * "bytes=-suffix") against a file size. Returns { start, end }, or null when
+ * the range can't be satisfied.
+ */
+export const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return null;
+  return { start, end };
+};
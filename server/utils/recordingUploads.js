@@ -0,0 +1,40 @@
+// Clears out recording uploads that were never finished, e.g. because the
+// recorder closed their browser and never came back to the meeting. Their
+// chunks would otherwise stay on disk forever.
+//
+// Settings come from the environment:
+//   RECORDING_UPLOAD_EXPIRE_HOURS   how long an upload can go without a new
+//                                   chunk before it is removed (default 24)
+
+import RecordingUpload from '../models/RecordingUpload.js';
+import { removeChunks } from './recordingStorage.js';
+
+const DEFAULT_EXPIRE_HOURS = 24;
+
+const uploadLifetime = () =>
+  (Number(process.env.RECORDING_UPLOAD_EXPIRE_HOURS) || DEFAULT_EXPIRE_HOURS) * 60 * 60 * 1000;
+
+/**
+ * Delete expired unfinished uploads and their chunks. Returns how many were removed.
+ */
+export const removeExpiredUploads = async () => {
+  const expired = await RecordingUpload.find({
+    status: { $in: ['uploading', 'assembling'] },
+    updatedAt: { $lt: new Date(Date.now() - uploadLifetime()) },
+  }).select('_id');
+
+  let removedCount = 0;
+  for (const { _id } of expired) {
+    // Checked again in case a chunk arrived since the lookup
+    const removed = await RecordingUpload.findOneAndDelete({
+      _id,
+      status: { $in: ['uploading', 'assembling'] },
+      updatedAt: { $lt: new Date(Date.now() - uploadLifetime()) },
+    });
+    if (removed) {
+      await removeChunks(_id);
+      removedCount++;
+    }
+  }
+  return removedCount;
+};
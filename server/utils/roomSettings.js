@@ -0,0 +1,122 @@
+// Host-configurable room settings, shared by the REST API and the socket server
+
+export const RECORDING_PERMISSIONS = ['host', 'everyone'];
+
+export const DEFAULT_ROOM_SETTINGS = {
+  waitingRoomEnabled: true,
+  autoAdmitDomains: [],
+  maxParticipants: 0, // 0 = no limit
+  muteOnEntry: false,
+  cameraOffOnEntry: false,
+  chatEnabled: true,
+  privateChatEnabled: true,
+  transcriptionEnabled: true,
+  recordingPermission: 'host',
+  relayOnly: false,
+  passcode: '', // digits asked for before a join request reaches the host; '' = none
+};
+
+const MAX_PARTICIPANTS_LIMIT = 100;
+const DOMAIN_REGEX = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+export const PASSCODE_REGEX = /^\d{4,10}$/;
+
+/**
+ * Merge stored settings (possibly partial or missing) over the defaults
+ */
+export const withDefaultSettings = (settings) => ({
+  ...DEFAULT_ROOM_SETTINGS,
+  ...(settings || {}),
+  autoAdmitDomains: [...(settings?.autoAdmitDomains || [])],
+});
+
+/**
+ * Validate a partial settings update against the current settings.
+ * Returns { settings } with the merged result, or { error } on bad input.
+ */
+export const sanitizeRoomSettings = (input, current = DEFAULT_ROOM_SETTINGS) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Settings must be an object' };
+  }
+
+  const settings = withDefaultSettings(current);
+
+  for (const key of ['waitingRoomEnabled', 'muteOnEntry', 'cameraOffOnEntry', 'chatEnabled', 'privateChatEnabled', 'transcriptionEnabled', 'relayOnly']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') {
+      return { error: `${key} must be true or false` };
+    }
+    settings[key] = input[key];
+  }
+
+  if (input.maxParticipants !== undefined) {
+    const max = Number(input.maxParticipants);
+    if (!Number.isInteger(max) || max < 0 || max > MAX_PARTICIPANTS_LIMIT) {
+      return { error: `Participant limit must be between 0 (no limit) and ${MAX_PARTICIPANTS_LIMIT}` };
+    }
+    settings.maxParticipants = max;
+  }
+
+  if (input.recordingPermission !== undefined) {
+    if (!RECORDING_PERMISSIONS.includes(input.recordingPermission)) {
+      return { error: 'Recording permission must be "host" or "everyone"' };
+    }
+    settings.recordingPermission = input.recordingPermission;
+  }
+
+  if (input.passcode !== undefined) {
+    const passcode = input.passcode === null ? '' : String(input.passcode).trim();
+    if (passcode && !PASSCODE_REGEX.test(passcode)) {
+      return { error: 'Passcode must be 4 to 10 digits' };
+    }
+    settings.passcode = passcode;
+  }
+
+  if (input.autoAdmitDomains !== undefined) {
+    if (!Array.isArray(input.autoAdmitDomains)) {
+      return { error: 'Auto-admit domains must be a list' };
+    }
+    const domains = [...new Set(
+      input.autoAdmitDomains.map((domain) => String(domain).trim().toLowerCase().replace(/^@/, ''))
+    )].filter(Boolean);
+    const invalid = domains.find((domain) => !DOMAIN_REGEX.test(domain));
+    if (invalid) {
+      return { error: `Invalid email domain: ${invalid}` };
+    }
+    settings.autoAdmitDomains = domains;
+  }
+
+  return { settings };
+};
+
+/**
+ * Whether a signed-in user's email domain is on the room's auto-admit list
+ */
+export const isDomainAutoAdmitted = (settings, email) => {
+  if (!email || !settings?.autoAdmitDomains?.length) return false;
+  const domain = email.split('@').pop().toLowerCase();
+  return settings.autoAdmitDomains.includes(domain);
+};
+
+/**
+ * Settings as shown to someone who may not moderate the room: without the passcode
+ */
+export const withoutPasscode = (settings) => {
+  const { passcode, ...rest } = withDefaultSettings(settings);
+  return { ...rest, hasPasscode: Boolean(passcode) };
+};
+
+/**
+ * Whether a user may start a recording under the room's settings
+ */
+export const canRecord = (settings, userIsHost) =>
+  userIsHost || settings?.recordingPermission === 'everyone';
+
+/**
+ * Whether a user holds the host or a co-host role on a saved meeting.
+ * The meeting owner counts as host until the role has been handed on.
+ */
+export const isMeetingModerator = (meeting, userId) => {
+  const id = userId.toString();
+  const hostId = (meeting.roles?.host || meeting.hostId).toString();
+  return hostId === id || (meeting.roles?.coHosts || []).some((coHost) => coHost.toString() === id);
+};
@@ -0,0 +1,97 @@
+// Helpers for scheduled (and recurring) meetings
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard stop so an open-ended daily series can't expand forever. Counted from
+// the first occurrence in the requested range, not from the series' start.
+const MAX_OCCURRENCES = 500;
+
+/**
+ * Start of the nth occurrence of a series, or null if that occurrence
+ * doesn't exist (e.g. the 31st in a 30-day month for monthly series)
+ */
+const nthOccurrence = (start, frequency, n) => {
+  switch (frequency) {
+    case 'daily':
+      return new Date(start.getTime() + n * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + n * 7 * DAY_MS);
+    case 'monthly': {
+      const date = new Date(start.getTime());
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + n);
+      date.setUTCDate(start.getUTCDate());
+      // Month rolled over - this month has no such day, skip it (RFC 5545 behaviour)
+      return date.getUTCDate() === start.getUTCDate() ? date : null;
+    }
+    default:
+      return n === 0 ? new Date(start.getTime()) : null;
+  }
+};
+
+/**
+ * Index of the first occurrence that could still be running at `from` (or a
+ * little earlier), so expanding a long-running series skips what came before
+ */
+const firstIndexFrom = (start, frequency, from) => {
+  if (from <= start) return 0;
+  switch (frequency) {
+    case 'daily':
+      return Math.floor((from - start) / DAY_MS);
+    case 'weekly':
+      return Math.floor((from - start) / (7 * DAY_MS));
+    case 'monthly':
+      // One month back, for days that month doesn't have
+      return Math.max(
+        0,
+        (from.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+          (from.getUTCMonth() - start.getUTCMonth()) - 1
+      );
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Expand a scheduled meeting into its occurrences that overlap [from, to]
+ * Returns Array<{ start: Date, end: Date, index: number }>
+ */
+export const expandOccurrences = (meeting, from, to) => {
+  if (!meeting.scheduledStart) return [];
+
+  const start = new Date(meeting.scheduledStart);
+  const durationMs = (meeting.duration || 60) * 60 * 1000;
+  const frequency = meeting.recurrence?.frequency || 'none';
+  const until = meeting.recurrence?.until ? new Date(meeting.recurrence.until) : null;
+
+  // Occurrences starting this early can still overlap `from`
+  const firstIndex = firstIndexFrom(start, frequency, new Date(from.getTime() - durationMs));
+
+  const occurrences = [];
+  for (let n = firstIndex; n < firstIndex + MAX_OCCURRENCES; n++) {
+    const occurrenceStart = nthOccurrence(start, frequency, n);
+
+    // Single meeting has exactly one occurrence
+    if (frequency === 'none' && n > 0) break;
+    if (!occurrenceStart) continue;
+    if (until && occurrenceStart > until) break;
+    if (occurrenceStart > to) break;
+
+    const occurrenceEnd = new Date(occurrenceStart.getTime() + durationMs);
+    if (occurrenceEnd >= from) {
+      occurrences.push({ start: occurrenceStart, end: occurrenceEnd, index: n });
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Next occurrence starting after `after`, or null when the series is over
+ */
+export const getNextOccurrence = (meeting, after = new Date()) => {
+  const farFuture = new Date(after.getTime() + 5 * 366 * DAY_MS);
+  const [next] = expandOccurrences(meeting, after, farFuture)
+    .filter((occurrence) => occurrence.start > after);
+  return next || null;
+};
@@ -0,0 +1,112 @@
+// Query parsing, ranking and snippets for /api/search. The database only
+// narrows candidates down with a case-insensitive regex; ranking happens here.
+
+// Longer queries are cut down to their first few distinct terms
+const MAX_TERMS = 8;
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 80;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalise a search string into the full phrase and its distinct terms
+ */
+export const parseSearchQuery = (q) => {
+  const phrase = String(q || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  const terms = [...new Set(phrase.split(' ').filter(Boolean))].slice(0, MAX_TERMS);
+  return { phrase, terms };
+};
+
+/**
+ * Regex matching any of the terms, for narrowing candidates in MongoDB
+ */
+export const buildTermsRegex = ({ terms }) => new RegExp(terms.map(escapeRegex).join('|'), 'i');
+
+// Every occurrence of every term as sorted, non-overlapping [start, end) ranges
+const findMatchRanges = (text, terms) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  for (const term of terms) {
+    for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+      ranges.push({ start: i, end: i + term.length });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Relevance of a piece of text: the share of query terms it contains counts
+ * most, then an exact phrase match, then how often the terms occur.
+ * 0 means no term matched.
+ */
+export const scoreText = (text, { phrase, terms }) => {
+  const lower = text.toLowerCase();
+  let matchedTerms = 0;
+  let occurrences = 0;
+
+  for (const term of terms) {
+    let count = 0;
+    for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+      count++;
+    }
+    if (count > 0) {
+      matchedTerms++;
+      occurrences += count;
+    }
+  }
+
+  if (matchedTerms === 0) return 0;
+
+  let score = (matchedTerms / terms.length) * 10 + Math.min(occurrences, 5);
+  if (terms.length > 1 && lower.includes(phrase)) score += 10;
+  return score;
+};
+
+/**
+ * Cut the text down to the area around the first match. Highlights are
+ * character ranges into the returned snippet text.
+ */
+export const buildSnippet = (text, { terms }) => {
+  const ranges = findMatchRanges(text, terms);
+  if (ranges.length === 0) {
+    return { text: text.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+  }
+
+  const first = ranges[0];
+  let start = Math.max(0, first.start - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first.end + SNIPPET_RADIUS);
+
+  // Don't start or end in the middle of a word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.end) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter((range) => range.start >= start && range.end <= end)
+      .map((range) => ({
+        start: range.start - start + prefix.length,
+        end: range.end - start + prefix.length,
+      })),
+  };
+};
@@ -0,0 +1,143 @@
+// Sign-in sessions: a short-lived access token (a JWT naming the session) and
+// a long-lived refresh token that is replaced every time it's used. Revoking
+// the session stops both, and signs its sockets out.
+//
+// Settings come from the environment:
+//   ACCESS_TOKEN_EXPIRE          access token lifetime (default "15m")
+//   REFRESH_TOKEN_EXPIRE_DAYS    how long an unused session lasts (default 30)
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Another tab may refresh with the same token moments after this one did;
+// that isn't treated as a stolen token being replayed
+const ROTATION_GRACE = 30 * 1000;
+
+// Don't write to the session on every request just to move its last-seen time
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 300;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshLifetime = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+  });
+
+// Helper: Where a request comes from, for the sessions list
+const describeClient = (req) => ({
+  userAgent: String(req.headers['user-agent'] || '').slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip || '',
+});
+
+/**
+ * Sign a user in on a new device. Returns { token, refreshToken }.
+ */
+export const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshLifetime()),
+    ...describeClient(req),
+  });
+  return { token: signAccessToken(user._id, session._id), refreshToken };
+};
+
+/**
+ * Trade a refresh token for a new access token and refresh token. Returns
+ * { session, token, refreshToken }, or { status, message } if it can't be used.
+ * A token that was already traded in some time ago means someone kept a copy,
+ * so the session is revoked.
+ */
+export const rotateSession = async (refreshToken, req, io) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return { status: 400, message: 'Refresh token is required' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: tokenHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + refreshLifetime()),
+        ...describeClient(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, token: signAccessToken(session.userId, session._id), refreshToken: nextToken };
+  }
+
+  const replayed = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+  if (replayed && now - replayed.rotatedAt > ROTATION_GRACE) {
+    console.warn(`Refresh token reused for session ${replayed._id}, revoking it`);
+    await revokeSessions(io, { _id: replayed._id });
+  }
+
+  return { status: 401, message: 'Your session has expired. Please sign in again.' };
+};
+
+/**
+ * Sign out the device holding this refresh token
+ */
+export const endSession = (refreshToken, io) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return Promise.resolve(0);
+  return revokeSessions(io, { refreshTokenHash: hashToken(refreshToken) });
+};
+
+/**
+ * The active session an access token names, or null once it has been revoked
+ * or has expired. Moves its last-seen time along.
+ */
+export const findActiveSession = async (sessionId, userId, ip) => {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive() || session.userId.toString() !== userId.toString()) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ...(ip && { ip }) } })
+      .catch((error) => console.error('Failed to update session last-seen time:', error.message));
+  }
+  return session;
+};
+
+/**
+ * Revoke every active session matching `filter` and disconnect their sockets.
+ * Returns how many were revoked.
+ */
+export const revokeSessions = async (io, filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  sessions.forEach(({ _id }) => {
+    const channel = `session:${_id}`;
+    io?.to(channel).emit('session-revoked');
+    io?.in(channel).disconnectSockets(true);
+  });
+  return sessions.length;
+};
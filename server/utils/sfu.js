@@ -0,0 +1,291 @@
+// Selective forwarding unit for larger meetings. Instead of a peer connection
+// to everyone else, each client sends its tracks to the server once and
+// receives everyone else's over one more connection. Small calls stay on the
+// peer-to-peer mesh, which needs no server media at all.
+//
+// Settings come from the environment:
+//   SFU_ENABLED             "false" keeps every meeting on the mesh
+//   SFU_MIN_PARTICIPANTS    connections in a mesh before it switches (default 4)
+//   SFU_LISTEN_IP           interface the media ports bind to (default 0.0.0.0)
+//   SFU_ANNOUNCED_ADDRESS   public IP or host name given to clients - required
+//                           when the server sits behind NAT
+//   SFU_RTC_MIN_PORT        UDP/TCP port range for media (default 40000-49999)
+//   SFU_RTC_MAX_PORT
+
+import * as mediasoup from 'mediasoup';
+
+export const MEDIA_MODES = ['mesh', 'sfu'];
+
+// What a producer carries - the camera/mic, or a screen share
+export const SFU_SOURCES = ['camera', 'screen'];
+
+const MEDIA_CODECS = [
+  { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+  {
+    kind: 'video',
+    mimeType: 'video/VP8',
+    clockRate: 90000,
+    parameters: { 'x-google-start-bitrate': 1000 },
+  },
+];
+
+// Wait this long before starting a replacement for a crashed media worker
+const WORKER_RESTART_DELAY = 2000;
+
+// Map<channel, { router, peers: Map<socketId, { transports, producers, consumers }> }>
+// One entry per mesh (see getMediaChannel) while anyone in it uses the SFU
+const sfuRooms = new Map();
+
+// Map<channel, Promise> - routers being created, so everyone joining a mesh at
+// once shares the same one
+const pendingRooms = new Map();
+
+let workerPromise = null;
+let isWorkerReady = false;
+
+// Told when the worker dies, after its routers are gone (see startSfu)
+let onWorkerDied = null;
+
+const readPositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Current settings. Read on each call because the environment is loaded after
+ * modules are imported.
+ */
+const getSfuConfig = () => ({
+  enabled: process.env.SFU_ENABLED !== 'false',
+  minParticipants: Math.max(2, Math.floor(readPositiveNumber(process.env.SFU_MIN_PARTICIPANTS, 4))),
+  listenIp: process.env.SFU_LISTEN_IP || '0.0.0.0',
+  announcedAddress: process.env.SFU_ANNOUNCED_ADDRESS || undefined,
+  rtcMinPort: readPositiveNumber(process.env.SFU_RTC_MIN_PORT, 40000),
+  rtcMaxPort: readPositiveNumber(process.env.SFU_RTC_MAX_PORT, 49999),
+});
+
+/**
+ * Start the media worker. Meetings stay on the mesh until it is running, and
+ * for good if it can't start (e.g. the worker binary isn't built). If it dies,
+ * `options.onWorkerDied` is called so meetings on the SFU can go back to the
+ * mesh, and a new worker is started.
+ */
+export const startSfu = async (options = {}) => {
+  if (options.onWorkerDied) onWorkerDied = options.onWorkerDied;
+
+  const { enabled, rtcMinPort, rtcMaxPort } = getSfuConfig();
+  if (!enabled || workerPromise) return;
+
+  workerPromise = mediasoup.createWorker({ logLevel: 'warn', rtcMinPort, rtcMaxPort });
+  try {
+    const worker = await workerPromise;
+    isWorkerReady = true;
+    console.log(`SFU media worker started (pid ${worker.pid})`);
+
+    worker.on('died', (error) => {
+      console.error('SFU media worker died:', error);
+      isWorkerReady = false;
+      workerPromise = null;
+      sfuRooms.clear();
+      pendingRooms.clear();
+      onWorkerDied?.();
+      setTimeout(startSfu, WORKER_RESTART_DELAY);
+    });
+  } catch (error) {
+    workerPromise = null;
+    console.warn('SFU unavailable, meetings will use peer-to-peer mesh only:', error.message);
+  }
+};
+
+/**
+ * Pick how a mesh should carry media for its number of connections. Once on
+ * the SFU a call stays there until it is down to two people, so one person
+ * dropping in and out doesn't rebuild everyone's connections each time.
+ */
+export const chooseMediaMode = (currentMode, connectionCount) => {
+  const { enabled, minParticipants } = getSfuConfig();
+  if (!enabled || !isWorkerReady) return 'mesh';
+  if (connectionCount >= minParticipants) return 'sfu';
+  return currentMode === 'sfu' && connectionCount > 2 ? 'sfu' : 'mesh';
+};
+
+// Router for a mesh, created the first time someone in it connects
+const getSfuRoom = async (channel) => {
+  if (sfuRooms.has(channel)) return sfuRooms.get(channel);
+  if (!pendingRooms.has(channel)) {
+    if (!isWorkerReady) throw new Error('The media server is not available.');
+    const pending = workerPromise
+      .then((worker) => worker.createRouter({ mediaCodecs: MEDIA_CODECS }))
+      .then((router) => {
+        const sfuRoom = { router, peers: new Map() };
+        sfuRooms.set(channel, sfuRoom);
+        return sfuRoom;
+      })
+      .finally(() => {
+        if (pendingRooms.get(channel) === pending) pendingRooms.delete(channel);
+      });
+    pendingRooms.set(channel, pending);
+  }
+  return pendingRooms.get(channel);
+};
+
+const getPeer = (sfuRoom, socketId) => {
+  if (!sfuRoom.peers.has(socketId)) {
+    sfuRoom.peers.set(socketId, { transports: new Map(), producers: new Map(), consumers: new Map() });
+  }
+  return sfuRoom.peers.get(socketId);
+};
+
+// Look up something a peer created, by id - never trust ids from another peer
+const getOwn = (channel, socketId, collection, id) => {
+  const item = sfuRooms.get(channel)?.peers.get(socketId)?.[collection].get(id);
+  if (!item) throw new Error('Unknown media connection.');
+  return item;
+};
+
+/**
+ * RTP capabilities of a mesh's router, which the client's device loads first
+ */
+export const getRouterCapabilities = async (channel) => (await getSfuRoom(channel)).router.rtpCapabilities;
+
+/**
+ * Create a WebRTC transport for sending or receiving, and return what the
+ * client needs to connect to it
+ */
+export const createTransport = async (channel, socketId) => {
+  const { listenIp, announcedAddress } = getSfuConfig();
+  const sfuRoom = await getSfuRoom(channel);
+  const transport = await sfuRoom.router.createWebRtcTransport({
+    listenInfos: [
+      { protocol: 'udp', ip: listenIp, announcedAddress },
+      { protocol: 'tcp', ip: listenIp, announcedAddress },
+    ],
+    enableUdp: true,
+    enableTcp: true,
+    preferUdp: true,
+  });
+  getPeer(sfuRoom, socketId).transports.set(transport.id, transport);
+
+  return {
+    id: transport.id,
+    iceParameters: transport.iceParameters,
+    iceCandidates: transport.iceCandidates,
+    dtlsParameters: transport.dtlsParameters,
+  };
+};
+
+export const connectTransport = async (channel, socketId, transportId, dtlsParameters) => {
+  await getOwn(channel, socketId, 'transports', transportId).connect({ dtlsParameters });
+};
+
+/**
+ * Start receiving a track from a client. `owner` ({ socketId, oduserId, userName })
+ * and `source` travel with it, so other clients know whose tile it belongs on.
+ */
+export const produce = async (channel, owner, { transportId, kind, rtpParameters, source }) => {
+  const transport = getOwn(channel, owner.socketId, 'transports', transportId);
+  const producer = await transport.produce({
+    kind,
+    rtpParameters,
+    appData: { ...owner, source },
+  });
+
+  const peer = sfuRooms.get(channel).peers.get(owner.socketId);
+  peer.producers.set(producer.id, producer);
+  producer.observer.on('close', () => peer.producers.delete(producer.id));
+  return producer;
+};
+
+export const closeProducer = (channel, socketId, producerId) => {
+  getOwn(channel, socketId, 'producers', producerId).close();
+};
+
+/**
+ * Describe a producer to the clients that may consume it
+ */
+export const describeProducer = (producer) => ({
+  producerId: producer.id,
+  kind: producer.kind,
+  ...producer.appData,
+});
+
+/**
+ * Everyone else's producers in a mesh, for a client that just connected
+ */
+export const getProducers = (channel, exceptSocketId) => {
+  const producers = [];
+  for (const [socketId, peer] of sfuRooms.get(channel)?.peers || []) {
+    if (socketId === exceptSocketId) continue;
+    peer.producers.forEach((producer) => producers.push(describeProducer(producer)));
+  }
+  return producers;
+};
+
+/**
+ * Forward a producer to a client on its receive transport. The consumer
+ * starts paused; the client resumes it once it is ready to play the track.
+ * `onClose` runs when the producer goes away, so the client can drop the track.
+ */
+export const consume = async (channel, socketId, { transportId, producerId, rtpCapabilities }, onClose) => {
+  const sfuRoom = await getSfuRoom(channel);
+  if (!sfuRoom.router.canConsume({ producerId, rtpCapabilities })) {
+    throw new Error('This browser cannot play that track.');
+  }
+
+  const transport = getOwn(channel, socketId, 'transports', transportId);
+  const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+
+  const peer = sfuRoom.peers.get(socketId);
+  peer.consumers.set(consumer.id, consumer);
+  consumer.observer.on('close', () => peer.consumers.delete(consumer.id));
+  consumer.on('producerclose', () => {
+    consumer.close();
+    onClose(consumer.id);
+  });
+
+  return {
+    id: consumer.id,
+    producerId,
+    kind: consumer.kind,
+    rtpParameters: consumer.rtpParameters,
+  };
+};
+
+export const resumeConsumer = async (channel, socketId, consumerId) => {
+  await getOwn(channel, socketId, 'consumers', consumerId).resume();
+};
+
+/**
+ * Close a client's transports, and with them its producers and consumers.
+ * The router goes once nobody in the mesh is left on it.
+ */
+export const leaveSfu = (channel, socketId) => {
+  const sfuRoom = sfuRooms.get(channel);
+  const peer = sfuRoom?.peers.get(socketId);
+  if (!peer) return;
+
+  peer.transports.forEach((transport) => transport.close());
+  sfuRoom.peers.delete(socketId);
+
+  if (sfuRoom.peers.size === 0) {
+    sfuRoom.router.close();
+    sfuRooms.delete(channel);
+  }
+};
+
+/**
+ * Close a mesh's router, e.g. when it goes back to peer-to-peer
+ */
+export const closeSfuRoom = (channel) => {
+  sfuRooms.get(channel)?.router.close();
+  sfuRooms.delete(channel);
+};
+
+/**
+ * Close the routers of a meeting and all its breakout rooms
+ */
+export const closeMeetingSfuRooms = (roomId) => {
+  for (const channel of sfuRooms.keys()) {
+    if (channel.startsWith(`${roomId}:`)) closeSfuRoom(channel);
+  }
+};
@@ -0,0 +1,144 @@
+// Transcript export formats. Every format is built from `secondsIntoMeeting`;
+// subtitle cues end where the next entry starts.
+
+// How long the last caption stays up when there is no next entry
+const LAST_CUE_SECONDS = 5;
+
+export const TRANSCRIPT_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  md: { extension: 'md', mimeType: 'text/markdown' },
+};
+
+/**
+ * Format meeting time (seconds to MM:SS or H:MM:SS)
+ */
+export const formatMeetingTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Seconds to HH:MM:SS<separator>mmm (SRT uses a comma, WebVTT a dot)
+const formatCueTime = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * One "[M:SS] Name: text" line per entry, naming the breakout room if it
+ * was said in one
+ */
+export const generateFullText = (entries) =>
+  entries
+    .map((e) => {
+      const room = e.breakoutName ? ` (${e.breakoutName})` : '';
+      return `[${formatMeetingTime(e.secondsIntoMeeting)}] ${e.userName}${room}: ${e.text}`;
+    })
+    .join('\n');
+
+// Start/end of each entry's cue. The end is the next entry's start, and
+// never before the entry's own start.
+const toCues = (entries) =>
+  entries.map((entry, index) => {
+    const start = entry.secondsIntoMeeting;
+    const next = entries[index + 1];
+    const end = next ? Math.max(next.secondsIntoMeeting, start + 1) : start + LAST_CUE_SECONDS;
+    return { start, end, speaker: entry.userName, text: entry.text };
+  });
+
+const formatTxt = (transcript) => `Meeting Transcript
+Meeting ID: ${transcript.meetingId}
+Duration: ${formatMeetingTime(transcript.totalDuration)}
+Date: ${new Date(transcript.startedAt).toLocaleDateString()}
+Participants: ${transcript.participantCount}
+
+${generateFullText(transcript.entries)}
+
+---
+Generated by MyMeet
+`;
+
+const formatSrt = (transcript) =>
+  toCues(transcript.entries)
+    .map((cue, index) =>
+      `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.speaker}: ${cue.text}\n`
+    )
+    .join('\n');
+
+// WebVTT cue text is markup, so spoken text can't be taken literally
+const escapeVtt = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const formatVtt = (transcript) => {
+  const cues = toCues(transcript.entries).map((cue) =>
+    `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}\n`
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+};
+
+const formatJson = (transcript) =>
+  JSON.stringify(
+    {
+      meetingId: transcript.meetingId,
+      startedAt: transcript.startedAt,
+      totalDuration: transcript.totalDuration,
+      participantCount: transcript.participantCount,
+      entries: toCues(transcript.entries).map((cue) => ({
+        start: cue.start,
+        end: cue.end,
+        speaker: cue.speaker,
+        text: cue.text,
+      })),
+    },
+    null,
+    2
+  );
+
+const formatMd = (transcript) => {
+  const lines = transcript.entries.map(
+    (e) => `- **[${formatMeetingTime(e.secondsIntoMeeting)}] ${e.userName}:** ${e.text}`
+  );
+  return `# Meeting Transcript
+
+- **Meeting ID:** ${transcript.meetingId}
+- **Duration:** ${formatMeetingTime(transcript.totalDuration)}
+- **Date:** ${new Date(transcript.startedAt).toLocaleDateString()}
+- **Participants:** ${transcript.participantCount}
+
+## Transcript
+
+${lines.join('\n')}
+
+---
+*Generated by MyMeet*
+`;
+};
+
+const FORMATTERS = {
+  txt: formatTxt,
+  srt: formatSrt,
+  vtt: formatVtt,
+  json: formatJson,
+  md: formatMd,
+};
+
+/**
+ * Render a transcript ({ meetingId, startedAt, totalDuration, participantCount,
+ * entries }) in one of TRANSCRIPT_FORMATS
+ */
+export const formatTranscript = (transcript, format) => FORMATTERS[format](transcript);